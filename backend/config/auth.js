@@ -0,0 +1,14 @@
+/**
+ * Authentication configuration for the application
+ * Reads JWT settings from the environment with development fallbacks
+ * @module config/auth
+ */
+
+if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
+  throw new Error('JWT_SECRET must be set in production');
+}
+
+module.exports = {
+  jwtSecret: process.env.JWT_SECRET || 'expense-tracker-dev-secret',
+  jwtExpire: process.env.JWT_EXPIRE || '7d'
+};
@@ -0,0 +1,21 @@
+/**
+ * Categories every new user starts with
+ * Users can rename, recolour or delete these like any category they add themselves.
+ * Colours are hex codes and icons are icon names understood by the frontend.
+ * @module config/categories
+ */
+
+module.exports = [
+  { name: 'Food', color: '#22c55e', icon: 'FaUtensils' },
+  { name: 'Transportation', color: '#3b82f6', icon: 'FaCar' },
+  { name: 'Entertainment', color: '#a855f7', icon: 'FaFilm' },
+  { name: 'Shopping', color: '#ef4444', icon: 'FaShoppingBag' },
+  { name: 'Utilities', color: '#eab308', icon: 'FaBolt' },
+  { name: 'Housing', color: '#f97316', icon: 'FaHome' },
+  { name: 'Healthcare', color: '#14b8a6', icon: 'FaHeartbeat' },
+  { name: 'Personal', color: '#ec4899', icon: 'FaUser' },
+  { name: 'Education', color: '#6366f1', icon: 'FaGraduationCap' },
+  { name: 'Gifts', color: '#f43f5e', icon: 'FaGift' },
+  { name: 'Travel', color: '#0ea5e9', icon: 'FaPlane' },
+  { name: 'Other', color: '#6b7280', icon: 'FaTag' }
+];
@@ -0,0 +1,23 @@
+/**
+ * Currencies an expense can be recorded in, as ISO 4217 codes
+ * The first entry is the default for new users and for expenses saved before currencies existed.
+ * @module config/currencies
+ */
+
+module.exports = [
+  'INR',
+  'USD',
+  'EUR',
+  'GBP',
+  'JPY',
+  'AUD',
+  'CAD',
+  'CHF',
+  'CNY',
+  'SGD',
+  'HKD',
+  'AED',
+  'NZD',
+  'THB',
+  'ZAR'
+];
@@ -0,0 +1,14 @@
+/**
+ * Kinds of income a user can record
+ * @module config/incomeSources
+ */
+
+module.exports = [
+  'Salary',
+  'Freelance',
+  'Refund',
+  'Reimbursement',
+  'Interest',
+  'Gift',
+  'Other'
+];
@@ -0,0 +1,12 @@
+/**
+ * Trash configuration
+ * Deleted expenses stay in the trash, where they can be restored, for TRASH_RETENTION_DAYS
+ * before they are purged for good.
+ * @module config/trash
+ */
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+module.exports = {
+  retentionDays: Number(process.env.TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS
+};
@@ -0,0 +1,228 @@
+/**
+ * Controller for expense attachments
+ * Uploads, lists, serves and deletes receipts kept with an expense. Files go to the
+ * configured storage driver; the expense keeps their metadata.
+ * @module controllers/attachmentController
+ */
+
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const Expense = require('../models/Expense');
+const storage = require('../storage');
+const logger = require('../config/logger');
+const { detectFileType } = require('../utils/fileType');
+
+// Most files one expense can have
+const MAX_ATTACHMENTS = 10;
+
+/**
+ * Send a 404 response for a missing expense or attachment
+ * @param {Object} res - Express response object
+ * @param {string} what - What was not found
+ * @returns {Object} JSON response
+ */
+const notFound = (res, what) => {
+  return res.status(404).json({
+    success: false,
+    error: `${what} not found`
+  });
+};
+
+/**
+ * Make a file name safe to put in a Content-Disposition header
+ * @param {string} filename - Original file name
+ * @returns {string} File name with only plain characters
+ */
+const safeFilename = (filename) => filename.replace(/[^\w.\- ]/g, '_');
+
+/**
+ * Get the attachments of an expense
+ * @async
+ * @function getAttachments
+ * @param {Object} req - Express request object with expense ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with attachment metadata
+ */
+exports.getAttachments = async (req, res, next) => {
+  try {
+    const expense = await Expense.findOne({ _id: req.params.id, user: req.user._id }).select('attachments');
+
+    if (!expense) {
+      logger.warn(`Expense not found with id: ${req.params.id}`);
+      return notFound(res, 'Expense');
+    }
+
+    res.status(200).json({
+      success: true,
+      count: expense.attachments.length,
+      data: expense.attachments
+    });
+  } catch (error) {
+    logger.error(`Error getting attachments: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Upload a receipt image or PDF to an expense
+ * The file type is checked from its contents, not its name.
+ * @async
+ * @function uploadAttachment
+ * @param {Object} req - Express request object with expense ID in params and the upload in req.file
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the new attachment
+ */
+exports.uploadAttachment = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please upload a file'
+      });
+    }
+
+    const fileType = detectFileType(req.file.buffer);
+    if (!fileType) {
+      return res.status(400).json({
+        success: false,
+        error: 'Attachments must be JPEG, PNG, GIF or WebP images or PDF documents'
+      });
+    }
+
+    const expense = await Expense.findOne({ _id: req.params.id, user: req.user._id }).select('attachments');
+
+    if (!expense) {
+      logger.warn(`Expense not found with id: ${req.params.id}`);
+      return notFound(res, 'Expense');
+    }
+
+    if (expense.attachments.length >= MAX_ATTACHMENTS) {
+      return res.status(400).json({
+        success: false,
+        error: `An expense can have at most ${MAX_ATTACHMENTS} attachments`
+      });
+    }
+
+    const key = `${req.user._id}/${expense._id}/${crypto.randomUUID()}${fileType.extension}`;
+    await storage.save(key, req.file.buffer, fileType.mimeType);
+
+    // The count condition stops concurrent uploads going over the limit
+    const updated = await Expense.findOneAndUpdate(
+      { _id: expense._id, [`attachments.${MAX_ATTACHMENTS - 1}`]: { $exists: false } },
+      {
+        $push: {
+          attachments: {
+            key,
+            filename: req.file.originalname,
+            mimeType: fileType.mimeType,
+            size: req.file.size
+          }
+        }
+      },
+      // Attachments are not part of the edited fields, so they do not change the version
+      { new: true, runValidators: true, keepVersion: true }
+    ).select('attachments');
+
+    if (!updated) {
+      await storage.remove(key);
+      return res.status(400).json({
+        success: false,
+        error: `An expense can have at most ${MAX_ATTACHMENTS} attachments`
+      });
+    }
+
+    const attachment = updated.attachments[updated.attachments.length - 1];
+    logger.info(`Added attachment ${attachment._id} to expense ${expense._id}`);
+
+    res.status(201).json({
+      success: true,
+      data: attachment
+    });
+  } catch (error) {
+    logger.error(`Error uploading attachment: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Send the file of an attachment
+ * @async
+ * @function getAttachmentFile
+ * @param {Object} req - Express request object with expense and attachment IDs in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Resolves once the file has been sent
+ */
+exports.getAttachmentFile = async (req, res, next) => {
+  try {
+    const expense = await Expense.findOne({ _id: req.params.id, user: req.user._id }).select('attachments');
+    const attachment = expense && expense.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      logger.warn(`Attachment not found with id: ${req.params.attachmentId}`);
+      return notFound(res, 'Attachment');
+    }
+
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Disposition': `inline; filename="${safeFilename(attachment.filename)}"`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    await pipeline(storage.createReadStream(attachment.key), res);
+  } catch (error) {
+    logger.error(`Error sending attachment: ${error.message}`);
+
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+
+    if (error.code === 'ENOENT') {
+      res.removeHeader('Content-Type');
+      res.removeHeader('Content-Disposition');
+      return notFound(res, 'Attachment file');
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Delete an attachment and its file
+ * @async
+ * @function deleteAttachment
+ * @param {Object} req - Express request object with expense and attachment IDs in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with success status
+ */
+exports.deleteAttachment = async (req, res, next) => {
+  try {
+    // Returns the expense as it was, so the removed attachment's key is still there
+    const expense = await Expense.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, 'attachments._id': req.params.attachmentId },
+      { $pull: { attachments: { _id: req.params.attachmentId } } },
+      { keepVersion: true }
+    ).select('attachments');
+
+    if (!expense) {
+      logger.warn(`Attachment not found with id: ${req.params.attachmentId}`);
+      return notFound(res, 'Attachment');
+    }
+
+    await storage.remove(expense.attachments.id(req.params.attachmentId).key);
+
+    logger.info(`Deleted attachment ${req.params.attachmentId} from expense ${req.params.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error(`Error deleting attachment: ${error.message}`);
+    next(error);
+  }
+};
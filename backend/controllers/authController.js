@@ -0,0 +1,193 @@
+/**
+ * Controller for authentication operations
+ * Handles user registration, login, logout and session lookup
+ * @module controllers/authController
+ */
+
+const User = require('../models/User');
+const logger = require('../config/logger');
+
+/**
+ * Send a token response for the given user
+ * @param {Object} user - User document
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with token and user data
+ */
+const sendTokenResponse = (user, statusCode, res) => {
+  const token = user.getSignedJwtToken();
+
+  res.status(statusCode).json({
+    success: true,
+    token,
+    data: user
+  });
+};
+
+/**
+ * Register a new user
+ * @async
+ * @function register
+ * @param {Object} req - Express request object with name, email and password in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with token and created user data
+ */
+exports.register = async (req, res, next) => {
+  try {
+    const { name, email, password, baseCurrency } = req.body;
+
+    const user = await User.create({ name, email, password, baseCurrency });
+
+    logger.info(`Registered new user with id: ${user._id}`);
+
+    sendTokenResponse(user, 201, res);
+  } catch (error) {
+    logger.error(`Error registering user: ${error.message}`);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        error: messages
+      });
+    }
+
+    // Handle duplicate email
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is already registered'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Log a user in
+ * @async
+ * @function login
+ * @param {Object} req - Express request object with email and password in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with token and user data
+ */
+exports.login = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide an email and password'
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase() }).select('+password');
+
+    if (!user || !(await user.matchPassword(password))) {
+      logger.warn(`Failed login attempt for: ${email}`);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials'
+      });
+    }
+
+    logger.info(`User logged in with id: ${user._id}`);
+
+    sendTokenResponse(user, 200, res);
+  } catch (error) {
+    logger.error(`Error logging in: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Log the current user out by revoking all of their issued tokens
+ * @async
+ * @function logout
+ * @param {Object} req - Express request object with authenticated user
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with success status
+ */
+exports.logout = async (req, res, next) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+
+    logger.info(`User logged out with id: ${req.user._id}`);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error(`Error logging out: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get the currently logged-in user
+ * @async
+ * @function getMe
+ * @param {Object} req - Express request object with authenticated user
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with user data
+ */
+exports.getMe = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: req.user
+    });
+  } catch (error) {
+    logger.error(`Error getting current user: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Update the currently logged-in user's profile
+ * Only the name and base currency can be changed here.
+ * @async
+ * @function updateMe
+ * @param {Object} req - Express request object with name and/or baseCurrency in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with updated user data
+ */
+exports.updateMe = async (req, res, next) => {
+  try {
+    const { name, baseCurrency } = req.body;
+    const user = req.user;
+
+    if (name !== undefined) user.name = name;
+    if (baseCurrency !== undefined) user.baseCurrency = baseCurrency;
+    await user.save();
+
+    logger.info(`Updated profile of user with id: ${user._id}`);
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    logger.error(`Error updating profile: ${error.message}`);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        error: messages
+      });
+    }
+
+    next(error);
+  }
+};
@@ -0,0 +1,247 @@
+/**
+ * Controller for budget operations
+ * Handles CRUD operations for budgets and spent-vs-limit statistics
+ * @module controllers/budgetController
+ */
+
+const Budget = require('../models/Budget');
+const logger = require('../config/logger');
+
+/**
+ * Send a 400 response for validation and duplicate-key errors
+ * @param {Error} error - Error thrown by Mongoose
+ * @param {Object} res - Express response object
+ * @returns {Object|undefined} JSON response if the error was handled
+ */
+const handleBudgetError = (error, res) => {
+  // Handle validation errors
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      error: messages
+    });
+  }
+
+  // Handle a second budget for the same category and month
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      error: 'A budget for this category and month already exists'
+    });
+  }
+
+  return undefined;
+};
+
+/**
+ * Get all budgets of the logged-in user
+ * @async
+ * @function getBudgets
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with budgets data
+ */
+exports.getBudgets = async (req, res, next) => {
+  try {
+    const query = { user: req.user._id };
+
+    // Filter by month if provided, including recurring budgets
+    if (req.query.month) {
+      query.$or = [{ month: req.query.month }, { recurring: true }];
+    }
+
+    const budgets = await Budget.find(query).sort({ category: 1, month: -1 });
+
+    logger.info(`Retrieved ${budgets.length} budgets`);
+
+    res.status(200).json({
+      success: true,
+      count: budgets.length,
+      data: budgets
+    });
+  } catch (error) {
+    logger.error(`Error getting budgets: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get a single budget by ID
+ * @async
+ * @function getBudget
+ * @param {Object} req - Express request object with budget ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with budget data
+ */
+exports.getBudget = async (req, res, next) => {
+  try {
+    const budget = await Budget.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!budget) {
+      logger.warn(`Budget not found with id: ${req.params.id}`);
+      return res.status(404).json({
+        success: false,
+        error: 'Budget not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: budget
+    });
+  } catch (error) {
+    logger.error(`Error getting budget: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Create a new budget
+ * @async
+ * @function createBudget
+ * @param {Object} req - Express request object with budget data in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with created budget data
+ */
+exports.createBudget = async (req, res, next) => {
+  try {
+    const budget = await Budget.create({
+      ...req.body,
+      user: req.user._id
+    });
+
+    logger.info(`Created new budget with id: ${budget._id}`);
+
+    res.status(201).json({
+      success: true,
+      data: budget
+    });
+  } catch (error) {
+    logger.error(`Error creating budget: ${error.message}`);
+
+    if (handleBudgetError(error, res)) {
+      return;
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Update an existing budget
+ * @async
+ * @function updateBudget
+ * @param {Object} req - Express request object with budget ID in params and update data in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with updated budget data
+ */
+exports.updateBudget = async (req, res, next) => {
+  try {
+    const budget = await Budget.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!budget) {
+      logger.warn(`Budget not found with id: ${req.params.id}`);
+      return res.status(404).json({
+        success: false,
+        error: 'Budget not found'
+      });
+    }
+
+    // Ownership cannot be changed through an update
+    const { user, ...updates } = req.body;
+
+    // Saving the document runs the month/recurring validation as a whole
+    budget.set(updates);
+    await budget.save();
+
+    logger.info(`Updated budget with id: ${req.params.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: budget
+    });
+  } catch (error) {
+    logger.error(`Error updating budget: ${error.message}`);
+
+    if (handleBudgetError(error, res)) {
+      return;
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Delete a budget
+ * @async
+ * @function deleteBudget
+ * @param {Object} req - Express request object with budget ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with success status
+ */
+exports.deleteBudget = async (req, res, next) => {
+  try {
+    const budget = await Budget.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!budget) {
+      logger.warn(`Budget not found with id: ${req.params.id}`);
+      return res.status(404).json({
+        success: false,
+        error: 'Budget not found'
+      });
+    }
+
+    logger.info(`Deleted budget with id: ${req.params.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error(`Error deleting budget: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get spent-vs-limit statistics for every budgeted category in a month
+ * @async
+ * @function getBudgetStats
+ * @param {Object} req - Express request object with optional month (YYYY-MM) in query
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with budget statistics
+ */
+exports.getBudgetStats = async (req, res, next) => {
+  try {
+    const month = req.query.month || Budget.toMonth(new Date());
+
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Month must be in YYYY-MM format'
+      });
+    }
+
+    const budgets = await Budget.getBudgetStatus(req.user._id, month, null, req.user.baseCurrency);
+
+    logger.info(`Retrieved budget statistics for ${month}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        month,
+        budgets
+      }
+    });
+  } catch (error) {
+    logger.error(`Error getting budget stats: ${error.message}`);
+    next(error);
+  }
+};
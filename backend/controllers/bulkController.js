@@ -0,0 +1,198 @@
+/**
+ * Controller for bulk operations on expenses
+ * Applies one action to a set of expenses, chosen by ID or by the list filters, and reports
+ * the outcome for each expense so a partial failure never hides which ones changed.
+ * @module controllers/bulkController
+ */
+
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const Category = require('../models/Category');
+const Group = require('../models/Group');
+const logger = require('../config/logger');
+const { buildExpenseFilter } = require('../utils/expenseQuery');
+const { normalizeTags } = require('../utils/tags');
+const { snapshotExpense, recordExpenseChange } = require('../utils/expenseHistory');
+const { publishToUsers } = require('../utils/expenseEvents');
+
+// Supported bulk actions
+const ACTIONS = ['delete', 'setCategory', 'addTags', 'removeTags', 'shiftDate'];
+
+// Largest number of expenses one bulk request may change
+const MAX_EXPENSES = 1000;
+
+// Largest date shift, in days either way
+const MAX_SHIFT_DAYS = 3660;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Send a 400 response
+ * @param {Object} res - Express response object
+ * @param {string} message - Error message
+ * @returns {Object} JSON response
+ */
+const badRequest = (res, message) => {
+  return res.status(400).json({
+    success: false,
+    error: message
+  });
+};
+
+/**
+ * Check the parameters of an action and build the change it makes to one expense
+ * @param {Object} body - Request body
+ * @param {Object} user - Logged-in user
+ * @returns {Promise<{error: string}|{apply: Function}>} Error message, or a function that changes an expense document
+ */
+const prepareAction = async ({ action, category, tags, days }, user) => {
+  switch (action) {
+    case 'delete':
+      // Deleted expenses go to the trash, like single deletes
+      return { apply: (expense) => { expense.deletedAt = new Date(); } };
+    case 'setCategory':
+      if (typeof category !== 'string' || !(await Category.exists({ user: user._id, name: category }))) {
+        return { error: `Category ${category} does not exist` };
+      }
+      return { apply: (expense) => { expense.category = category; } };
+    case 'addTags':
+    case 'removeTags': {
+      const tagList = normalizeTags(tags);
+      if (tagList.length === 0) {
+        return { error: 'Please add at least one tag' };
+      }
+      return action === 'addTags'
+        ? { apply: (expense) => { expense.tags = [...expense.tags, ...tagList]; } }
+        : { apply: (expense) => { expense.tags = expense.tags.filter(tag => !tagList.includes(tag)); } };
+    }
+    case 'shiftDate': {
+      const shift = Number(days);
+      if (!Number.isInteger(shift) || shift === 0 || Math.abs(shift) > MAX_SHIFT_DAYS) {
+        return { error: `days must be a whole number between -${MAX_SHIFT_DAYS} and ${MAX_SHIFT_DAYS}, other than 0` };
+      }
+      return { apply: (expense) => { expense.date = new Date(expense.date.getTime() + shift * DAY_MS); } };
+    }
+    default:
+      return { error: `Action must be one of ${ACTIONS.join(', ')}` };
+  }
+};
+
+/**
+ * Work out the IDs of the expenses a bulk request targets
+ * @param {Object} body - Request body with ids, or filters to select every matching expense
+ * @param {Object} user - Logged-in user
+ * @returns {Promise<{error: string}|{ids: Array<string>}>} Error message, or the requested IDs
+ */
+const resolveIds = async ({ ids, filters }, user) => {
+  if (filters && typeof filters === 'object') {
+    const { query } = buildExpenseFilter(user._id, filters);
+    const matching = await Expense.find(query).select('_id').limit(MAX_EXPENSES + 1).lean();
+    if (matching.length > MAX_EXPENSES) {
+      return { error: `A bulk action can change at most ${MAX_EXPENSES} expenses; narrow the filters` };
+    }
+    return { ids: matching.map(expense => String(expense._id)) };
+  }
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return { error: 'Please select at least one expense' };
+  }
+  if (ids.length > MAX_EXPENSES) {
+    return { error: `A bulk action can change at most ${MAX_EXPENSES} expenses` };
+  }
+  return { ids: [...new Set(ids.map(String))] };
+};
+
+/**
+ * Describe why an expense could not be changed
+ * @param {Error} error - Error raised while saving
+ * @returns {string} Message for the per-expense report
+ */
+const describeError = (error) => {
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(val => val.message).join(', ');
+  }
+  if (error.code === 11000) {
+    return 'Another expense from the same recurring rule is already on that date';
+  }
+  if (error.name === 'VersionError') {
+    return 'Expense was changed by someone else at the same time';
+  }
+  return 'Could not update expense';
+};
+
+/**
+ * Apply one action to many expenses
+ * Expenses are changed one by one through the model, so each is validated as a single update would be.
+ * @async
+ * @function bulkUpdateExpenses
+ * @param {Object} req - Express request object with action, ids or filters, and the action's
+ *   category, tags or days in the body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with counts and a result for every requested expense
+ */
+exports.bulkUpdateExpenses = async (req, res, next) => {
+  try {
+    const { action } = req.body;
+
+    const prepared = await prepareAction(req.body, req.user);
+    if (prepared.error) {
+      return badRequest(res, prepared.error);
+    }
+
+    const target = await resolveIds(req.body, req.user);
+    if (target.error) {
+      return badRequest(res, target.error);
+    }
+
+    const validIds = target.ids.filter(id => mongoose.isValidObjectId(id));
+    const expenses = await Expense.find({ _id: { $in: validIds }, user: req.user._id });
+    const byId = new Map(expenses.map(expense => [String(expense._id), expense]));
+
+    const results = [];
+    // Groups of the changed expenses, whose members reload as well
+    const groupIds = new Set();
+    for (const id of target.ids) {
+      const expense = byId.get(id);
+      if (!expense) {
+        results.push({ id, success: false, error: 'Expense not found' });
+        continue;
+      }
+
+      try {
+        const before = snapshotExpense(expense);
+        prepared.apply(expense);
+        await expense.save();
+        await recordExpenseChange(action === 'delete' ? 'delete' : 'update', expense, { before, userId: req.user._id });
+        if (expense.group) {
+          groupIds.add(String(expense.group));
+        }
+        results.push({ id, success: true });
+      } catch (error) {
+        results.push({ id, success: false, error: describeError(error) });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    if (succeeded > 0) {
+      const groups = await Group.find({ _id: { $in: [...groupIds] } }).select('members');
+      const members = groups.flatMap(group => group.members);
+      publishToUsers([req.user._id, ...members], 'reload', null, { clientId: req.get('X-Client-Id') });
+    }
+    logger.info(`Bulk ${action} changed ${succeeded} of ${results.length} expenses`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        action,
+        requested: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results
+      }
+    });
+  } catch (error) {
+    logger.error(`Error running bulk expense action: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,307 @@
+/**
+ * Controller for category operations
+ * Handles CRUD operations for the user's categories. Expenses, budgets and recurring rules
+ * refer to categories by name, so renames and deletions are carried over to them.
+ * @module controllers/categoryController
+ */
+
+const Category = require('../models/Category');
+const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
+const RecurringExpense = require('../models/RecurringExpense');
+const logger = require('../config/logger');
+const { publishExpenseEvent } = require('../utils/expenseEvents');
+
+// Models whose documents store a category name
+const CATEGORIZED_MODELS = [Expense, Budget, RecurringExpense];
+
+/**
+ * Send a 400 response for validation and duplicate name errors
+ * @param {Error} error - Error thrown by Mongoose
+ * @param {Object} res - Express response object
+ * @returns {Object|undefined} JSON response if the error was handled
+ */
+const handleValidationError = (error, res) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      error: messages
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      error: 'A category with this name already exists'
+    });
+  }
+  return undefined;
+};
+
+/**
+ * Send a 404 response for a missing category
+ * @param {Object} req - Express request object with category ID in params
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response
+ */
+const notFound = (req, res) => {
+  logger.warn(`Category not found with id: ${req.params.id}`);
+  return res.status(404).json({
+    success: false,
+    error: 'Category not found'
+  });
+};
+
+/**
+ * Check that a category may be placed under a parent
+ * Subcategories are one level deep, so the parent must be a top-level category
+ * and a category with subcategories cannot become one itself.
+ * @async
+ * @param {Object} category - Category document being saved
+ * @returns {Promise<string|null>} Error message, or null if the parent is valid
+ */
+const checkParent = async (category) => {
+  if (!category.parent) {
+    return null;
+  }
+
+  if (category.parent.equals(category._id)) {
+    return 'A category cannot be its own parent';
+  }
+
+  const parent = await Category.findOne({ _id: category.parent, user: category.user });
+  if (!parent) {
+    return 'Parent category not found';
+  }
+  if (parent.parent) {
+    return 'Subcategories cannot have subcategories of their own';
+  }
+
+  const hasChildren = !category.isNew && await Category.exists({ user: category.user, parent: category._id });
+  if (hasChildren) {
+    return 'A category with subcategories cannot become a subcategory';
+  }
+  return null;
+};
+
+/**
+ * Get all categories of the logged-in user with the number of expenses in each
+ * @async
+ * @function getCategories
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with categories data
+ */
+exports.getCategories = async (req, res, next) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find({ user: req.user._id }).sort({ name: 1 }),
+      Expense.aggregate([
+        { $match: { user: req.user._id } },
+        { $group: { _id: '$category', count: { $sum: 1 } } }
+      ])
+    ]);
+    const countByName = new Map(counts.map(item => [item._id, item.count]));
+
+    logger.info(`Retrieved ${categories.length} categories`);
+
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      data: categories.map(category => ({
+        ...category.toJSON(),
+        expenseCount: countByName.get(category.name) || 0
+      }))
+    });
+  } catch (error) {
+    logger.error(`Error getting categories: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Create a new category
+ * @async
+ * @function createCategory
+ * @param {Object} req - Express request object with name, color, icon and parent in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with created category data
+ */
+exports.createCategory = async (req, res, next) => {
+  try {
+    const { name, color, icon, parent } = req.body;
+
+    const category = new Category({
+      name,
+      color,
+      icon,
+      parent: parent || null,
+      user: req.user._id
+    });
+
+    const parentError = await checkParent(category);
+    if (parentError) {
+      return res.status(400).json({
+        success: false,
+        error: parentError
+      });
+    }
+
+    await category.save();
+
+    logger.info(`Created new category with id: ${category._id}`);
+
+    res.status(201).json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    logger.error(`Error creating category: ${error.message}`);
+
+    if (handleValidationError(error, res)) {
+      return;
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Update a category
+ * Renaming a category renames it on every expense, budget and recurring rule using it.
+ * @async
+ * @function updateCategory
+ * @param {Object} req - Express request object with category ID in params and update data in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with updated category data
+ */
+exports.updateCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!category) {
+      return notFound(req, res);
+    }
+
+    const { name, color, icon, parent } = req.body;
+    const previousName = category.name;
+
+    if (name !== undefined) category.name = name;
+    if (color !== undefined) category.color = color;
+    if (icon !== undefined) category.icon = icon;
+    if (parent !== undefined) category.parent = parent || null;
+
+    const parentError = await checkParent(category);
+    if (parentError) {
+      return res.status(400).json({
+        success: false,
+        error: parentError
+      });
+    }
+
+    await category.save();
+
+    if (category.name !== previousName) {
+      // Expenses in the trash are renamed too, so they are still valid when restored
+      await Promise.all(CATEGORIZED_MODELS.map(Model => Model.updateMany(
+        { user: req.user._id, category: previousName },
+        { $set: { category: category.name } },
+        { withDeleted: true }
+      )));
+      publishExpenseEvent(req.user._id, 'reload', null, { clientId: req.get('X-Client-Id') });
+      logger.info(`Renamed category ${previousName} to ${category.name}`);
+    }
+
+    logger.info(`Updated category with id: ${req.params.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    logger.error(`Error updating category: ${error.message}`);
+
+    if (handleValidationError(error, res)) {
+      return;
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Delete a category
+ * A category still used by expenses or recurring rules can only be deleted by reassigning them
+ * to another category (reassignTo in query). Budgets for the deleted category are removed.
+ * @async
+ * @function deleteCategory
+ * @param {Object} req - Express request object with category ID in params and optional reassignTo in query
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the number of expenses reassigned
+ */
+exports.deleteCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!category) {
+      return notFound(req, res);
+    }
+
+    if (await Category.exists({ user: req.user._id, parent: category._id })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Delete or move its subcategories first'
+      });
+    }
+
+    const inUse = { user: req.user._id, category: category.name };
+    // Expenses in the trash still use the category, so they are counted and moved as well
+    const [expenseCount, ruleCount] = await Promise.all([
+      Expense.countDocuments(inUse).setOptions({ withDeleted: true }),
+      RecurringExpense.countDocuments(inUse)
+    ]);
+
+    let reassigned = 0;
+    if (expenseCount > 0 || ruleCount > 0) {
+      const { reassignTo } = req.query;
+      const target = reassignTo
+        ? await Category.findOne({ _id: reassignTo, user: req.user._id })
+        : null;
+
+      if (!target || target._id.equals(category._id)) {
+        return res.status(400).json({
+          success: false,
+          error: `This category is used by ${expenseCount} expenses and ${ruleCount} recurring expenses; choose another category to move them to`,
+          expenseCount,
+          ruleCount
+        });
+      }
+
+      const [expenses] = await Promise.all([
+        Expense.updateMany(inUse, { $set: { category: target.name } }, { withDeleted: true }),
+        RecurringExpense.updateMany(inUse, { $set: { category: target.name } })
+      ]);
+      reassigned = expenses.modifiedCount;
+      publishExpenseEvent(req.user._id, 'reload', null, { clientId: req.get('X-Client-Id') });
+      logger.info(`Moved ${reassigned} expenses from ${category.name} to ${target.name}`);
+    }
+
+    await Budget.deleteMany(inUse);
+    await category.deleteOne();
+
+    logger.info(`Deleted category with id: ${req.params.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: { reassigned }
+    });
+  } catch (error) {
+    logger.error(`Error deleting category: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,66 @@
+/**
+ * Controller for the live stream of expense changes
+ * Keeps a Server-Sent Events response open and writes each change to the user's expenses to it.
+ * @module controllers/eventController
+ */
+
+const logger = require('../config/logger');
+const { subscribeToExpenseEvents, getEventsSince, getLatestEventId } = require('../utils/expenseEvents');
+
+// Comments sent this often keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+
+// How long browsers wait before reconnecting a dropped stream
+const RETRY_MS = 5 * 1000;
+
+/**
+ * Write one event in Server-Sent Events format
+ * @param {Object} res - Express response object
+ * @param {Object} event - Expense event with id and type
+ */
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+};
+
+/**
+ * Stream changes to the user's expenses as they happen
+ * A client reconnecting with the Last-Event-ID header first gets the events it missed, or a
+ * reload event when they are no longer kept and it should fetch everything again.
+ * @function streamExpenseEvents
+ * @param {Object} req - Express request object, optionally with a Last-Event-ID header
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+exports.streamExpenseEvents = (req, res) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store',
+    Connection: 'keep-alive',
+    // Stops nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const lastEventId = req.get('Last-Event-ID');
+  if (lastEventId) {
+    const missed = getEventsSince(req.user._id, lastEventId);
+    if (missed) {
+      missed.forEach(event => writeEvent(res, event));
+    } else {
+      writeEvent(res, { id: getLatestEventId(), type: 'reload' });
+    }
+    logger.info(`Expense event stream resumed after ${lastEventId} for user ${req.user._id}`);
+  } else {
+    logger.info(`Expense event stream opened for user ${req.user._id}`);
+  }
+
+  const unsubscribe = subscribeToExpenseEvents(req.user._id, event => writeEvent(res, event));
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.info(`Expense event stream closed for user ${req.user._id}`);
+  });
+};
@@ -5,55 +5,174 @@
  */
 
 const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
+const Group = require('../models/Group');
 const logger = require('../config/logger');
+const { parsePagination, encodeCursor, decodeCursor, cursorCondition } = require('../utils/pagination');
+const { buildExpenseFilter, buildExpenseSort } = require('../utils/expenseQuery');
+const { conversionStages } = require('../utils/currency');
+const { spendingMatch, shareStage } = require('../utils/splits');
+const { parsePeriod, toDateRange, periodBuckets, comparisonPeriod } = require('../utils/period');
+const { snapshotExpense, recordExpenseChange } = require('../utils/expenseHistory');
+const { publishToUsers } = require('../utils/expenseEvents');
+const { toETag, versionConflict, checkVersion } = require('../utils/concurrency');
+const { fromValidationError } = require('../utils/validation');
 
 /**
- * Get all expenses with optional filtering
+ * Summarize period totals with the average converted expense
+ * @param {Object} stats - Result of Expense.getPeriodStats
+ * @returns {{total: number, count: number, average: number, unconverted: number}} Summary figures
+ */
+const summarizeStats = ({ total, count, unconverted }) => {
+  const converted = count - unconverted;
+  return {
+    total,
+    count,
+    average: converted > 0 ? Math.round((total / converted) * 100) / 100 : 0,
+    unconverted
+  };
+};
+
+/**
+ * Work out how a figure changed from one period to the next
+ * @param {number} current - Figure for the period
+ * @param {number} previous - Figure for the comparison period
+ * @returns {{difference: number, percentage: number|null}} Change, with percentage null when previous is 0
+ */
+const describeChange = (current, previous) => ({
+  difference: Math.round((current - previous) * 100) / 100,
+  percentage: previous !== 0 ? Math.round(((current - previous) / Math.abs(previous)) * 1000) / 10 : null
+});
+
+// Fields a client may set on an expense; ownership, the version, the trash and the recurring rule
+// are managed by the server, and attachments and group splits have their own endpoints
+const EDITABLE_FIELDS = ['title', 'amount', 'currency', 'category', 'date', 'description', 'tags'];
+
+/**
+ * Copy the editable fields a request body gives
+ * @param {Object} body - Request body
+ * @returns {Object} Editable fields present in the body
+ */
+const pickEditableFields = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) {
+    fields[field] = body[field];
+  }
+  return fields;
+}, {});
+
+/**
+ * Publish a change to everyone who sees the expense: its owner, or every member of its group
+ * @async
+ * @param {Object} req - Express request object of the change
+ * @param {string} type - create, update or delete
+ * @param {Object} expense - The expense after the change
+ * @param {Object} [payload] - What to send, when not the whole expense
+ * @returns {Promise<Array<Object>>} Published events
+ */
+const publishChange = async (req, type, expense, payload = expense) => {
+  const group = expense.group && await Group.findById(expense.group).select('members');
+  return publishToUsers(group ? group.members : [req.user._id], type, payload, { clientId: req.get('X-Client-Id') });
+};
+
+/**
+ * Respond when an expense changed or disappeared between checking its version and writing
+ * @async
+ * @param {Object} req - Express request object with expense ID in params
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} 412 with the current copy, or 404 if the expense is gone
+ */
+const respondToLostUpdate = async (req, res) => {
+  const current = await Expense.findOne({ _id: req.params.id, user: req.user._id });
+  if (!current) {
+    logger.warn(`Expense not found with id: ${req.params.id}`);
+    return res.status(404).json({
+      success: false,
+      error: 'Expense not found'
+    });
+  }
+  return versionConflict(res, current);
+};
+
+/**
+ * Get expenses with optional filtering, full-text search and pagination
+ * Uses page/limit paging by default, or cursor paging on date + _id when a cursor is given.
+ * Search results are ranked by relevance unless another sort is requested.
  * @async
  * @function getExpenses
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
- * @returns {Object} JSON response with expenses data
+ * @returns {Object} JSON response with a page of expenses and totals for the whole result set
  */
 exports.getExpenses = async (req, res, next) => {
   try {
-    const { category, startDate, endDate, sort } = req.query;
+    const { sort, cursor } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
     
-    // Build query
-    const query = {};
+    // Build query and sort, always scoped to the logged-in user
+    const { query, search } = buildExpenseFilter(req.user._id, req.query);
+    const { sortOptions, sortByDate } = buildExpenseSort(sort, search);
     
-    // Filter by category if provided
-    if (category) {
-      query.category = category;
+    // Cursor paging is keyed on date + _id, so it needs a date sort
+    let pageQuery = query;
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      
+      if (!position || !sortByDate) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor'
+        });
+      }
+      
+      pageQuery = { $and: [query, cursorCondition(position, sortOptions.date)] };
     }
     
-    // Filter by date range if provided
-    if (startDate || endDate) {
-      query.date = {};
-      if (startDate) query.date.$gte = new Date(startDate);
-      if (endDate) query.date.$lte = new Date(endDate);
+    // Fetch one extra document to find out whether another page follows
+    const projection = search ? { score: { $meta: 'textScore' } } : {};
+    const findQuery = Expense.find(pageQuery, projection).sort(sortOptions).limit(limit + 1);
+    if (!cursor) {
+      findQuery.skip(skip);
     }
     
-    // Build sort options
-    let sortOptions = { date: -1 }; // Default sort by date descending
-    if (sort) {
-      const [field, order] = sort.split(':');
-      sortOptions = { [field]: order === 'asc' ? 1 : -1 };
-    }
+    // The count is of the listed expenses, while the amount is what the user spent, as in the
+    // statistics: their own expenses and their shares of group ones
+    const { user, ...rest } = query;
+    const spendingQuery = { ...rest, $and: [...(query.$and || []), spendingMatch(user)] };
     
-    const expenses = await Expense.find(query).sort(sortOptions);
+    const [results, totalCount, totals] = await Promise.all([
+      findQuery,
+      Expense.countDocuments(query),
+      Expense.aggregate([
+        { $match: spendingQuery },
+        shareStage(user),
+        ...conversionStages(user, req.user.baseCurrency),
+        {
+          $group: {
+            _id: null,
+            totalAmount: { $sum: '$baseAmount' }
+          }
+        }
+      ])
+    ]);
     
-    // Calculate total amount
-    const total = expenses.reduce((sum, expense) => sum + expense.amount, 0);
+    const hasMore = results.length > limit;
+    const expenses = hasMore ? results.slice(0, limit) : results;
+    const { totalAmount } = totals[0] || { totalAmount: 0 };
     
-    logger.info(`Retrieved ${expenses.length} expenses`);
+    logger.info(`Retrieved ${expenses.length} of ${totalCount} expenses`);
     
     res.status(200).json({
       success: true,
       count: expenses.length,
-      total,
-      data: expenses
+      totalCount,
+      totalAmount,
+      page: cursor ? null : page,
+      limit,
+      hasMore,
+      nextCursor: hasMore && sortByDate ? encodeCursor(expenses[expenses.length - 1]) : null,
+      baseCurrency: req.user.baseCurrency,
+      data: await Expense.withBaseAmounts(req.user._id, req.user.baseCurrency, expenses)
     });
   } catch (error) {
     logger.error(`Error getting expenses: ${error.message}`);
@@ -72,7 +191,7 @@ exports.getExpenses = async (req, res, next) => {
  */
 exports.getExpense = async (req, res, next) => {
   try {
-    const expense = await Expense.findById(req.params.id);
+    const expense = await Expense.findOne({ _id: req.params.id, user: req.user._id });
     
     if (!expense) {
       logger.warn(`Expense not found with id: ${req.params.id}`);
@@ -84,9 +203,13 @@ exports.getExpense = async (req, res, next) => {
     
     logger.info(`Retrieved expense with id: ${req.params.id}`);
     
-    res.status(200).json({
+    const [converted] = await Expense.withBaseAmounts(req.user._id, req.user.baseCurrency, [expense]);
+    
+    // The ETag covers the expense, not its converted amount, so it must not be used to cache the response
+    res.status(200).set({ ETag: toETag(expense), 'Cache-Control': 'no-store' }).json({
       success: true,
-      data: expense
+      baseCurrency: req.user.baseCurrency,
+      data: converted
     });
   } catch (error) {
     logger.error(`Error getting expense: ${error.message}`);
@@ -96,6 +219,7 @@ exports.getExpense = async (req, res, next) => {
 
 /**
  * Create a new expense
+ * Adds a warning to the response when the expense pushes its category over budget
  * @async
  * @function createExpense
  * @param {Object} req - Express request object with expense data in body
@@ -105,23 +229,41 @@ exports.getExpense = async (req, res, next) => {
  */
 exports.createExpense = async (req, res, next) => {
   try {
-    const expense = await Expense.create(req.body);
+    const fields = pickEditableFields(req.body);
+
+    const expense = await Expense.create({
+      currency: req.user.baseCurrency,
+      ...fields,
+      user: req.user._id
+    });
+    await recordExpenseChange('create', expense, { userId: req.user._id });
+    await publishChange(req, 'create', expense);
     
     logger.info(`Created new expense with id: ${expense._id}`);
     
-    res.status(201).json({
+    const response = {
       success: true,
       data: expense
-    });
+    };
+    
+    // Warn when this expense pushes its category over the month's budget
+    const month = Budget.toMonth(expense.date);
+    const [budgetStatus] = await Budget.getBudgetStatus(req.user._id, month, expense.category, req.user.baseCurrency);
+    const [{ baseAmount }] = await Expense.withBaseAmounts(req.user._id, req.user.baseCurrency, [expense]);
+    if (budgetStatus && budgetStatus.status === 'over' && budgetStatus.spent - (baseAmount || 0) <= budgetStatus.limit) {
+      response.warning = `This expense puts ${expense.category} over its budget for ${month} (${budgetStatus.spent} of ${budgetStatus.limit} spent)`;
+      logger.info(`Expense ${expense._id} exceeded the ${expense.category} budget for ${month}`);
+    }
+    
+    res.status(201).set('ETag', toETag(expense)).json(response);
   } catch (error) {
     logger.error(`Error creating expense: ${error.message}`);
     
     // Handle validation errors
     if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(val => val.message);
       return res.status(400).json({
         success: false,
-        error: messages
+        errors: fromValidationError(error)
       });
     }
     
@@ -131,18 +273,48 @@ exports.createExpense = async (req, res, next) => {
 
 /**
  * Update an existing expense
+ * The If-Match header must carry the version the client loaded; a stale version gets 412 and the current copy.
  * @async
  * @function updateExpense
- * @param {Object} req - Express request object with expense ID in params and update data in body
+ * @param {Object} req - Express request object with expense ID in params, version in If-Match and update data in body
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  * @returns {Object} JSON response with updated expense data
  */
 exports.updateExpense = async (req, res, next) => {
   try {
-    const expense = await Expense.findByIdAndUpdate(
-      req.params.id,
-      req.body,
+    const updates = pickEditableFields(req.body);
+    
+    const existing = await Expense.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!existing) {
+      logger.warn(`Expense not found with id: ${req.params.id}`);
+      return res.status(404).json({
+        success: false,
+        error: 'Expense not found'
+      });
+    }
+
+    if (checkVersion(req, res, existing)) {
+      return;
+    }
+
+    // A group expense's amount is split between members, so it changes through the group
+    const changesGroupAmount = existing.group && (
+      (updates.amount !== undefined && Number(updates.amount) !== existing.amount) ||
+      (updates.currency !== undefined && updates.currency !== existing.currency)
+    );
+    if (changesGroupAmount) {
+      return res.status(400).json({
+        success: false,
+        error: 'Change the amount of a group expense from its group'
+      });
+    }
+
+    // Only update the version that was checked, in case it changed in the meantime
+    const expense = await Expense.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, __v: existing.__v },
+      updates,
       {
         new: true, // Return updated document
         runValidators: true // Run model validators
@@ -150,16 +322,15 @@ exports.updateExpense = async (req, res, next) => {
     );
     
     if (!expense) {
-      logger.warn(`Expense not found with id: ${req.params.id}`);
-      return res.status(404).json({
-        success: false,
-        error: 'Expense not found'
-      });
+      return respondToLostUpdate(req, res);
     }
+
+    await recordExpenseChange('update', expense, { before: snapshotExpense(existing), userId: req.user._id });
+    await publishChange(req, 'update', expense);
     
     logger.info(`Updated expense with id: ${req.params.id}`);
     
-    res.status(200).json({
+    res.status(200).set('ETag', toETag(expense)).json({
       success: true,
       data: expense
     });
@@ -168,10 +339,9 @@ exports.updateExpense = async (req, res, next) => {
     
     // Handle validation errors
     if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(val => val.message);
       return res.status(400).json({
         success: false,
-        error: messages
+        errors: fromValidationError(error)
       });
     }
     
@@ -180,31 +350,50 @@ exports.updateExpense = async (req, res, next) => {
 };
 
 /**
- * Delete an expense
+ * Move an expense to the trash
+ * It can be restored until it is purged; its attachments are kept until then.
+ * Like updates, it needs the loaded version in the If-Match header.
  * @async
  * @function deleteExpense
- * @param {Object} req - Express request object with expense ID in params
+ * @param {Object} req - Express request object with expense ID in params and version in If-Match
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  * @returns {Object} JSON response with success status
  */
 exports.deleteExpense = async (req, res, next) => {
   try {
-    const expense = await Expense.findByIdAndDelete(req.params.id);
+    const existing = await Expense.findOne({ _id: req.params.id, user: req.user._id });
     
-    if (!expense) {
+    if (!existing) {
       logger.warn(`Expense not found with id: ${req.params.id}`);
       return res.status(404).json({
         success: false,
         error: 'Expense not found'
       });
     }
+
+    if (checkVersion(req, res, existing)) {
+      return;
+    }
+
+    const expense = await Expense.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, __v: existing.__v },
+      { deletedAt: new Date() },
+      { new: true }
+    );
+    
+    if (!expense) {
+      return respondToLostUpdate(req, res);
+    }
+
+    await recordExpenseChange('delete', expense, { before: snapshotExpense(existing), userId: req.user._id });
+    await publishChange(req, 'delete', expense, { _id: expense._id });
     
-    logger.info(`Deleted expense with id: ${req.params.id}`);
+    logger.info(`Moved expense with id: ${req.params.id} to the trash`);
     
     res.status(200).json({
       success: true,
-      data: {}
+      data: { _id: expense._id, deletedAt: expense.deletedAt }
     });
   } catch (error) {
     logger.error(`Error deleting expense: ${error.message}`);
@@ -213,41 +402,105 @@ exports.deleteExpense = async (req, res, next) => {
 };
 
 /**
- * Get expense statistics
+ * Get the tags the user has used, for autocomplete
  * @async
- * @function getExpenseStats
+ * @function getTags
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with tag names and how many expenses carry each
+ */
+exports.getTags = async (req, res, next) => {
+  try {
+    const tags = await Expense.getTags(req.user._id);
+
+    logger.info(`Retrieved ${tags.length} expense tags`);
+
+    res.status(200).json({
+      success: true,
+      count: tags.length,
+      data: tags
+    });
+  } catch (error) {
+    logger.error(`Error getting expense tags: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get expense statistics for a period, with changes versus a comparison period
+ * Accepts the expense list filters, which apply to both periods.
+ * Without from and to the statistics cover all matching expenses and nothing is compared.
+ * @async
+ * @function getExpenseStats
+ * @param {Object} req - Express request object with list filters and optional from, to, granularity, timezone and compare in query
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  * @returns {Object} JSON response with expense statistics
  */
 exports.getExpenseStats = async (req, res, next) => {
   try {
-    // Get total by category
-    const categoryStats = await Expense.getTotalByCategory();
-    
-    // Get monthly expenses for current year
-    const currentYear = new Date().getFullYear();
-    const monthlyStats = await Expense.getMonthlyExpenses(currentYear);
-    
-    // Get total expenses
-    const total = await Expense.aggregate([
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$amount' }
+    const { baseCurrency } = req.user;
+    const period = parsePeriod(req.query);
+
+    if (period.error) {
+      return res.status(400).json({
+        success: false,
+        error: period.error
+      });
+    }
+
+    // The same filters as the expense list, so both describe the same expenses
+    const { query } = buildExpenseFilter(req.user._id, req.query);
+    const { from, to, granularity, timezone, compare } = period;
+    const stats = await Expense.getPeriodStats(query, baseCurrency, {
+      ...toDateRange(from, to, timezone),
+      granularity,
+      timezone
+    });
+    const summary = summarizeStats(stats);
+
+    // A bounded period lists every bucket, so charts show gaps as zero
+    let byPeriod = stats.byPeriod.map(item => ({ start: item._id, total: item.total, count: item.count }));
+    if (from && to) {
+      const found = new Map(byPeriod.map(item => [item.start, item]));
+      byPeriod = periodBuckets(from, to, granularity)
+        .map(start => found.get(start) || { start, total: 0, count: 0 });
+    }
+
+    // Only a bounded period has a previous one to compare with
+    let comparison = null;
+    const comparedPeriod = from && to ? comparisonPeriod(from, to, compare) : null;
+    if (comparedPeriod) {
+      const previous = summarizeStats(await Expense.getPeriodStats(query, baseCurrency, {
+        ...toDateRange(comparedPeriod.from, comparedPeriod.to, timezone),
+        granularity,
+        timezone
+      }));
+
+      comparison = {
+        ...comparedPeriod,
+        ...previous,
+        change: {
+          total: describeChange(summary.total, previous.total),
+          count: describeChange(summary.count, previous.count),
+          average: describeChange(summary.average, previous.average)
         }
-      }
-    ]);
-    
-    logger.info('Retrieved expense statistics');
-    
+      };
+    }
+
+    logger.info(`Retrieved expense statistics for ${from || 'start'} to ${to || 'now'}`);
+
     res.status(200).json({
       success: true,
       data: {
-        total: total.length > 0 ? total[0].total : 0,
-        byCategory: categoryStats,
-        byMonth: monthlyStats
+        baseCurrency,
+        period: { from, to, granularity, timezone },
+        ...summary,
+        byCategory: stats.byCategory,
+        byTag: stats.byTag,
+        byPeriod,
+        comparison
       }
     });
   } catch (error) {
@@ -0,0 +1,166 @@
+/**
+ * Controller for exporting expenses
+ * Streams the filtered expense list as CSV, JSON or XLSX straight from a database cursor,
+ * so large exports never have to fit in memory.
+ * @module controllers/exportController
+ */
+
+const { pipeline } = require('stream/promises');
+const { stringify } = require('csv-stringify');
+const ExcelJS = require('exceljs');
+const Expense = require('../models/Expense');
+const logger = require('../config/logger');
+const currencies = require('../config/currencies');
+const { buildExpenseFilter, buildExpenseSort } = require('../utils/expenseQuery');
+
+// Columns of an exported expense, in order
+const COLUMNS = [
+  { key: 'date', header: 'Date', width: 12 },
+  { key: 'title', header: 'Title', width: 30 },
+  { key: 'category', header: 'Category', width: 16 },
+  { key: 'amount', header: 'Amount', width: 12 },
+  { key: 'currency', header: 'Currency', width: 10 },
+  { key: 'description', header: 'Description', width: 40 },
+  { key: 'tags', header: 'Tags', width: 24 }
+];
+
+// Content type of each export format
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Flatten an expense into an export row
+ * @param {Object} expense - Lean expense document
+ * @returns {Object} Row keyed by column
+ */
+const toRow = (expense) => ({
+  date: expense.date.toISOString().slice(0, 10),
+  title: expense.title,
+  category: expense.category,
+  amount: expense.amount,
+  currency: expense.currency || currencies[0],
+  description: expense.description || '',
+  tags: (expense.tags || []).join(', ')
+});
+
+/**
+ * Stream rows as a CSV file
+ * @async
+ * @param {Object} cursor - Mongoose query cursor
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Resolves when the file has been written
+ */
+const streamCsv = (cursor, res) => pipeline(
+  cursor,
+  async function* (expenses) {
+    for await (const expense of expenses) {
+      yield toRow(expense);
+    }
+  },
+  stringify({
+    header: true,
+    columns: COLUMNS.map(({ key, header }) => ({ key, header }))
+  }),
+  res
+);
+
+/**
+ * Stream rows as a JSON array
+ * @async
+ * @param {Object} cursor - Mongoose query cursor
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Resolves when the file has been written
+ */
+const streamJson = (cursor, res) => pipeline(
+  cursor,
+  async function* (expenses) {
+    let separator = '';
+    yield '[';
+    for await (const expense of expenses) {
+      yield separator + JSON.stringify({ id: expense._id, ...toRow(expense) });
+      separator = ',';
+    }
+    yield ']';
+  },
+  res
+);
+
+/**
+ * Stream rows as an XLSX workbook with a single sheet
+ * @async
+ * @param {Object} cursor - Mongoose query cursor
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Resolves when the workbook has been written
+ */
+const streamXlsx = async (cursor, res) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const sheet = workbook.addWorksheet('Expenses');
+  sheet.columns = COLUMNS;
+  sheet.getColumn('amount').numFmt = '#,##0.00';
+
+  for await (const expense of cursor) {
+    sheet.addRow(toRow(expense)).commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+// Writer for each export format
+const WRITERS = {
+  csv: streamCsv,
+  json: streamJson,
+  xlsx: streamXlsx
+};
+
+/**
+ * Export expenses matching the same filters and sort as getExpenses
+ * @async
+ * @function exportExpenses
+ * @param {Object} req - Express request object with format (csv, json or xlsx) and list filters in query
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Streams the export as a file download
+ */
+exports.exportExpenses = async (req, res, next) => {
+  try {
+    const format = req.query.format || 'csv';
+
+    if (!WRITERS[format]) {
+      return res.status(400).json({
+        success: false,
+        error: `Format must be one of: ${Object.keys(WRITERS).join(', ')}`
+      });
+    }
+
+    const { query, search } = buildExpenseFilter(req.user._id, req.query);
+    const { sortOptions } = buildExpenseSort(req.query.sort, search);
+    const projection = search ? { score: { $meta: 'textScore' } } : {};
+
+    const cursor = Expense.find(query, projection).sort(sortOptions).lean().cursor();
+    const filename = `expenses-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.status(200);
+    res.set({
+      'Content-Type': CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+
+    await WRITERS[format](cursor, res);
+
+    logger.info(`Exported expenses as ${format}`);
+  } catch (error) {
+    logger.error(`Error exporting expenses: ${error.message}`);
+
+    // Once the download has started the only option left is to abort it
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+
+    next(error);
+  }
+};
@@ -0,0 +1,50 @@
+/**
+ * Controller for spending forecasts
+ * Projects month-end and year-end spending per category from the user's history and recurring rules.
+ * @module controllers/forecastController
+ */
+
+const Expense = require('../models/Expense');
+const RecurringExpense = require('../models/RecurringExpense');
+const logger = require('../config/logger');
+const { HISTORY_MONTHS, buildForecast } = require('../utils/forecast');
+
+/**
+ * Get the month-end and year-end spending forecast for the logged-in user
+ * @async
+ * @function getForecast
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the forecast in the user's base currency
+ */
+exports.getForecast = async (req, res, next) => {
+  try {
+    const { baseCurrency } = req.user;
+    const now = new Date();
+    // The year so far is needed for the year-end figures, and the months before it for the patterns
+    const since = new Date(Math.min(
+      Date.UTC(now.getUTCFullYear(), 0, 1),
+      Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - HISTORY_MONTHS, 1)
+    ));
+
+    const [expenses, rules] = await Promise.all([
+      Expense.getBaseAmountsSince(req.user._id, baseCurrency, since),
+      RecurringExpense.getActiveWithBaseAmounts(req.user._id, baseCurrency)
+    ]);
+    const forecast = buildForecast(expenses, rules, now);
+
+    logger.info(`Forecast spending from ${expenses.length} expenses and ${rules.length} recurring rules`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        baseCurrency,
+        ...forecast
+      }
+    });
+  } catch (error) {
+    logger.error(`Error getting forecast: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,755 @@
+/**
+ * Controller for groups of users sharing expenses
+ * Handles groups and their members, expenses split between members, balances and
+ * the settlements members record when they pay each other back.
+ * @module controllers/groupController
+ */
+
+const Group = require('../models/Group');
+const Settlement = require('../models/Settlement');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const { snapshotExpense, recordExpenseChange } = require('../utils/expenseHistory');
+const { publishToUsers } = require('../utils/expenseEvents');
+const { parsePagination } = require('../utils/pagination');
+const { computeSplit } = require('../utils/splits');
+const { simplifyDebts } = require('../utils/settleUp');
+
+// Member fields returned with groups, expenses and settlements
+const MEMBER_FIELDS = 'name email';
+
+/**
+ * Send a 400 response for validation errors
+ * @param {Error} error - Error thrown by Mongoose
+ * @param {Object} res - Express response object
+ * @returns {Object|undefined} JSON response if the error was handled
+ */
+const handleValidationError = (error, res) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      error: messages
+    });
+  }
+  return undefined;
+};
+
+/**
+ * Send an error response
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {string} error - Error message
+ * @returns {Object} JSON response
+ */
+const fail = (res, status, error) => {
+  return res.status(status).json({
+    success: false,
+    error
+  });
+};
+
+/**
+ * Find a group the logged-in user belongs to
+ * @async
+ * @param {Object} req - Express request object with group ID in params
+ * @returns {Promise<Object|null>} Group document, or null if not found or not a member
+ */
+const findGroup = (req) => Group.findOne({ _id: req.params.id, members: req.user._id });
+
+/**
+ * Get the balance of every member with the transfers that would settle them
+ * @async
+ * @param {Object} group - Group document
+ * @returns {Promise<{balances: Array, transfers: Array}>} Balances (0 for members with no activity) and transfers
+ */
+const getSettleUp = async (group) => {
+  const totals = await Group.getBalances(group._id);
+  const byUser = new Map(totals.map(item => [String(item.user), item.balance]));
+
+  // Former members stay listed while they still owe or are owed money
+  const users = [
+    ...group.members.map(member => String(member._id || member)),
+    ...totals.filter(item => item.balance !== 0 && !group.hasMember(item.user)).map(item => String(item.user))
+  ];
+  const balances = users.map(user => ({ user, balance: byUser.get(user) || 0 }));
+
+  return { balances, transfers: simplifyDebts(balances) };
+};
+
+/**
+ * Set who paid a group expense and how it is split, from the request body
+ * Without a split, the expense is divided equally between all members. When only the amount
+ * changes, the existing split is worked out again for the new amount.
+ * @param {Object} expense - Expense document with amount set
+ * @param {Object} group - Group the expense belongs to
+ * @param {Object} body - Request body with optional paidBy and split ({method, entries: [{user, value}]})
+ * @param {Object} user - The logged-in user, who paid unless paidBy says otherwise
+ * @returns {string|null} Error message, or null if the split was applied
+ */
+const applySplit = (expense, group, body, user) => {
+  const paidBy = body.paidBy || expense.paidBy || user._id;
+  if (!group.hasMember(paidBy)) {
+    return 'The member who paid must be in the group';
+  }
+
+  const previous = expense.split && expense.split.method ? expense.split : null;
+  const method = (body.split && body.split.method) || (previous ? previous.method : 'equal');
+  const entries = (body.split && body.split.entries) ||
+    (previous ? previous.entries : group.members.map(member => ({ user: member })));
+
+  if (entries.some(entry => !entry || !group.hasMember(entry.user))) {
+    return 'Expenses can only be split between group members';
+  }
+
+  const split = computeSplit(expense.amount, method, entries);
+  if (split.error) {
+    return split.error;
+  }
+
+  expense.paidBy = paidBy;
+  expense.split = { method, entries: split.entries };
+  return null;
+};
+
+/**
+ * Get the groups the logged-in user belongs to
+ * @async
+ * @function getGroups
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with groups data
+ */
+exports.getGroups = async (req, res, next) => {
+  try {
+    const groups = await Group.find({ members: req.user._id })
+      .populate('members', MEMBER_FIELDS)
+      .sort({ name: 1 });
+
+    logger.info(`Retrieved ${groups.length} groups`);
+
+    res.status(200).json({
+      success: true,
+      count: groups.length,
+      data: groups
+    });
+  } catch (error) {
+    logger.error(`Error getting groups: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get a group with each member's balance and the fewest transfers that settle them
+ * @async
+ * @function getGroup
+ * @param {Object} req - Express request object with group ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with group data, balances and transfers
+ */
+exports.getGroup = async (req, res, next) => {
+  try {
+    const group = await findGroup(req).populate('members', MEMBER_FIELDS);
+
+    if (!group) {
+      logger.warn(`Group not found with id: ${req.params.id}`);
+      return fail(res, 404, 'Group not found');
+    }
+
+    const { balances, transfers } = await getSettleUp(group);
+
+    logger.info(`Retrieved group with id: ${req.params.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...group.toJSON(),
+        balances,
+        transfers
+      }
+    });
+  } catch (error) {
+    logger.error(`Error getting group: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Create a group, optionally adding other users by email
+ * @async
+ * @function createGroup
+ * @param {Object} req - Express request object with name, currency and member emails in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with created group data
+ */
+exports.createGroup = async (req, res, next) => {
+  try {
+    const { name, currency, members = [] } = req.body;
+
+    if (!Array.isArray(members)) {
+      return fail(res, 400, 'Members must be a list of email addresses');
+    }
+
+    const emails = [...new Set(members.map(email => String(email).trim().toLowerCase()))];
+    const users = await User.find({ email: { $in: emails } }).select('_id email');
+    const missing = emails.filter(email => !users.some(user => user.email === email));
+
+    if (missing.length > 0) {
+      return fail(res, 400, `No user found with email ${missing.join(', ')}`);
+    }
+
+    const group = await Group.create({
+      name,
+      currency: currency || req.user.baseCurrency,
+      owner: req.user._id,
+      members: [req.user._id, ...users.map(user => user._id).filter(id => !id.equals(req.user._id))]
+    });
+    await group.populate('members', MEMBER_FIELDS);
+
+    logger.info(`Created new group with id: ${group._id}`);
+
+    res.status(201).json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    logger.error(`Error creating group: ${error.message}`);
+
+    if (handleValidationError(error, res)) {
+      return;
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Rename a group
+ * The currency is fixed once the group is created, as existing amounts are in it.
+ * @async
+ * @function updateGroup
+ * @param {Object} req - Express request object with group ID in params and name in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with updated group data
+ */
+exports.updateGroup = async (req, res, next) => {
+  try {
+    const group = await findGroup(req);
+
+    if (!group) {
+      logger.warn(`Group not found with id: ${req.params.id}`);
+      return fail(res, 404, 'Group not found');
+    }
+
+    if (req.body.name !== undefined) {
+      group.name = req.body.name;
+    }
+    await group.save();
+    await group.populate('members', MEMBER_FIELDS);
+
+    logger.info(`Updated group with id: ${req.params.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    logger.error(`Error updating group: ${error.message}`);
+
+    if (handleValidationError(error, res)) {
+      return;
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Delete a group
+ * Only the owner can delete a group. Its settlements are deleted; its expenses are kept
+ * as personal expenses of the members who added them.
+ * @async
+ * @function deleteGroup
+ * @param {Object} req - Express request object with group ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with success status
+ */
+exports.deleteGroup = async (req, res, next) => {
+  try {
+    const group = await findGroup(req);
+
+    if (!group) {
+      logger.warn(`Group not found with id: ${req.params.id}`);
+      return fail(res, 404, 'Group not found');
+    }
+
+    if (!group.owner.equals(req.user._id)) {
+      return fail(res, 403, 'Only the owner can delete a group');
+    }
+
+    await Expense.updateMany(
+      { group: group._id },
+      { $unset: { group: 1, paidBy: 1, split: 1 } },
+      { withDeleted: true }
+    );
+    await Settlement.deleteMany({ group: group._id });
+    await group.deleteOne();
+    // The expenses now count in full for the members who added them and not at all for the others
+    publishToUsers(group.members, 'reload', null, { clientId: req.get('X-Client-Id') });
+
+    logger.info(`Deleted group with id: ${req.params.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error(`Error deleting group: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Add a user to a group by email
+ * @async
+ * @function addMember
+ * @param {Object} req - Express request object with group ID in params and email in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with updated group data
+ */
+exports.addMember = async (req, res, next) => {
+  try {
+    const group = await findGroup(req);
+
+    if (!group) {
+      logger.warn(`Group not found with id: ${req.params.id}`);
+      return fail(res, 404, 'Group not found');
+    }
+
+    const user = await User.findOne({ email: String(req.body.email || '').trim().toLowerCase() });
+    if (!user) {
+      return fail(res, 404, 'No user found with that email');
+    }
+    if (group.hasMember(user._id)) {
+      return fail(res, 400, `${user.name} is already in the group`);
+    }
+
+    group.members.push(user._id);
+    await group.save();
+    await group.populate('members', MEMBER_FIELDS);
+
+    logger.info(`Added user ${user._id} to group ${group._id}`);
+
+    res.status(200).json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    logger.error(`Error adding group member: ${error.message}`);
+
+    if (handleValidationError(error, res)) {
+      return;
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Remove a member from a group
+ * The owner can remove anyone but themselves; other members can only leave.
+ * A member who still owes or is owed money must settle up first.
+ * @async
+ * @function removeMember
+ * @param {Object} req - Express request object with group ID and user ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with updated group data
+ */
+exports.removeMember = async (req, res, next) => {
+  try {
+    const group = await findGroup(req);
+
+    if (!group) {
+      logger.warn(`Group not found with id: ${req.params.id}`);
+      return fail(res, 404, 'Group not found');
+    }
+
+    const { userId } = req.params;
+    if (!group.hasMember(userId)) {
+      return fail(res, 404, 'Member not found');
+    }
+    if (group.owner.equals(userId)) {
+      return fail(res, 400, 'The owner cannot leave the group');
+    }
+    if (!group.owner.equals(req.user._id) && !req.user._id.equals(userId)) {
+      return fail(res, 403, 'Only the owner can remove other members');
+    }
+
+    const balances = await Group.getBalances(group._id);
+    const balance = balances.find(item => String(item.user) === userId);
+    if (balance && balance.balance !== 0) {
+      return fail(res, 400, 'This member must settle up before leaving the group');
+    }
+
+    group.members = group.members.filter(member => String(member) !== userId);
+    await group.save();
+    await group.populate('members', MEMBER_FIELDS);
+
+    logger.info(`Removed user ${userId} from group ${group._id}`);
+
+    res.status(200).json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    logger.error(`Error removing group member: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get a page of a group's expenses, newest first
+ * @async
+ * @function getGroupExpenses
+ * @param {Object} req - Express request object with group ID in params and page/limit in query
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with expenses data
+ */
+exports.getGroupExpenses = async (req, res, next) => {
+  try {
+    const group = await findGroup(req);
+
+    if (!group) {
+      logger.warn(`Group not found with id: ${req.params.id}`);
+      return fail(res, 404, 'Group not found');
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [expenses, totalCount] = await Promise.all([
+      Expense.find({ group: group._id })
+        .sort({ date: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('paidBy', MEMBER_FIELDS),
+      Expense.countDocuments({ group: group._id })
+    ]);
+
+    logger.info(`Retrieved ${expenses.length} of ${totalCount} expenses for group ${group._id}`);
+
+    res.status(200).json({
+      success: true,
+      count: expenses.length,
+      totalCount,
+      page,
+      limit,
+      hasMore: skip + expenses.length < totalCount,
+      data: expenses
+    });
+  } catch (error) {
+    logger.error(`Error getting group expenses: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Add an expense to a group, split between members
+ * The expense belongs to the logged-in user, in the group's currency.
+ * @async
+ * @function createGroupExpense
+ * @param {Object} req - Express request object with group ID in params and expense, paidBy and split in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with created expense data
+ */
+exports.createGroupExpense = async (req, res, next) => {
+  try {
+    const group = await findGroup(req);
+
+    if (!group) {
+      logger.warn(`Group not found with id: ${req.params.id}`);
+      return fail(res, 404, 'Group not found');
+    }
+
+    const { title, amount, category, date, description } = req.body;
+    const expense = new Expense({
+      title,
+      amount,
+      category,
+      date,
+      description,
+      currency: group.currency,
+      group: group._id,
+      user: req.user._id
+    });
+
+    // Check the amount before splitting it
+    const amountError = expense.validateSync(['amount']);
+    if (amountError) {
+      return handleValidationError(amountError, res);
+    }
+
+    const splitError = applySplit(expense, group, req.body, req.user);
+    if (splitError) {
+      return fail(res, 400, splitError);
+    }
+
+    await expense.save();
+    await recordExpenseChange('create', expense, { userId: req.user._id });
+    publishToUsers(group.members, 'create', expense, { clientId: req.get('X-Client-Id') });
+    await expense.populate('paidBy', MEMBER_FIELDS);
+
+    logger.info(`Created expense ${expense._id} in group ${group._id}`);
+
+    res.status(201).json({
+      success: true,
+      data: expense
+    });
+  } catch (error) {
+    logger.error(`Error creating group expense: ${error.message}`);
+
+    if (handleValidationError(error, res)) {
+      return;
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Update a group expense
+ * Only the member who added the expense can change it.
+ * @async
+ * @function updateGroupExpense
+ * @param {Object} req - Express request object with group and expense IDs in params and update data in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with updated expense data
+ */
+exports.updateGroupExpense = async (req, res, next) => {
+  try {
+    const group = await findGroup(req);
+    const expense = group && await Expense.findOne({
+      _id: req.params.expenseId,
+      group: group._id,
+      user: req.user._id
+    });
+
+    if (!expense) {
+      logger.warn(`Group expense not found with id: ${req.params.expenseId}`);
+      return fail(res, 404, 'Expense not found');
+    }
+
+    const before = snapshotExpense(expense);
+    ['title', 'amount', 'category', 'date', 'description'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        expense[field] = req.body[field];
+      }
+    });
+
+    const amountError = expense.validateSync(['amount']);
+    if (amountError) {
+      return handleValidationError(amountError, res);
+    }
+
+    const splitError = applySplit(expense, group, req.body, req.user);
+    if (splitError) {
+      return fail(res, 400, splitError);
+    }
+
+    await expense.save();
+    await recordExpenseChange('update', expense, { before, userId: req.user._id });
+    publishToUsers(group.members, 'update', expense, { clientId: req.get('X-Client-Id') });
+    await expense.populate('paidBy', MEMBER_FIELDS);
+
+    logger.info(`Updated expense ${expense._id} in group ${group._id}`);
+
+    res.status(200).json({
+      success: true,
+      data: expense
+    });
+  } catch (error) {
+    logger.error(`Error updating group expense: ${error.message}`);
+
+    if (handleValidationError(error, res)) {
+      return;
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Move a group expense to the trash
+ * Only the member who added the expense can delete it.
+ * @async
+ * @function deleteGroupExpense
+ * @param {Object} req - Express request object with group and expense IDs in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with success status
+ */
+exports.deleteGroupExpense = async (req, res, next) => {
+  try {
+    const group = await findGroup(req);
+    const filter = group && { _id: req.params.expenseId, group: group._id, user: req.user._id };
+    const existing = group && await Expense.findOne(filter);
+    const expense = existing && await Expense.findOneAndUpdate(
+      { ...filter, __v: existing.__v },
+      { deletedAt: new Date() },
+      { new: true }
+    );
+
+    if (!expense) {
+      logger.warn(`Group expense not found with id: ${req.params.expenseId}`);
+      return fail(res, 404, 'Expense not found');
+    }
+
+    await recordExpenseChange('delete', expense, { before: snapshotExpense(existing), userId: req.user._id });
+    publishToUsers(group.members, 'delete', { _id: expense._id }, { clientId: req.get('X-Client-Id') });
+
+    logger.info(`Moved expense ${expense._id} from group ${group._id} to the trash`);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error(`Error deleting group expense: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get a group's settlements, newest first
+ * @async
+ * @function getSettlements
+ * @param {Object} req - Express request object with group ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with settlements data
+ */
+exports.getSettlements = async (req, res, next) => {
+  try {
+    const group = await findGroup(req);
+
+    if (!group) {
+      logger.warn(`Group not found with id: ${req.params.id}`);
+      return fail(res, 404, 'Group not found');
+    }
+
+    const settlements = await Settlement.find({ group: group._id })
+      .sort({ date: -1, _id: -1 })
+      .populate('from', MEMBER_FIELDS)
+      .populate('to', MEMBER_FIELDS);
+
+    logger.info(`Retrieved ${settlements.length} settlements for group ${group._id}`);
+
+    res.status(200).json({
+      success: true,
+      count: settlements.length,
+      data: settlements
+    });
+  } catch (error) {
+    logger.error(`Error getting settlements: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Record a payment between two group members
+ * @async
+ * @function createSettlement
+ * @param {Object} req - Express request object with group ID in params and from, to, amount, date and note in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with created settlement data
+ */
+exports.createSettlement = async (req, res, next) => {
+  try {
+    const group = await findGroup(req);
+
+    if (!group) {
+      logger.warn(`Group not found with id: ${req.params.id}`);
+      return fail(res, 404, 'Group not found');
+    }
+
+    const { from = req.user._id, to, amount, date, note } = req.body;
+    if (!group.hasMember(from) || !group.hasMember(to)) {
+      return fail(res, 400, 'Payments can only be between group members');
+    }
+
+    const settlement = await Settlement.create({
+      group: group._id,
+      from,
+      to,
+      amount,
+      date,
+      note,
+      createdBy: req.user._id
+    });
+    await settlement.populate([
+      { path: 'from', select: MEMBER_FIELDS },
+      { path: 'to', select: MEMBER_FIELDS }
+    ]);
+
+    logger.info(`Recorded settlement ${settlement._id} in group ${group._id}`);
+
+    res.status(201).json({
+      success: true,
+      data: settlement
+    });
+  } catch (error) {
+    logger.error(`Error creating settlement: ${error.message}`);
+
+    if (handleValidationError(error, res)) {
+      return;
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Delete a settlement
+ * Only the member who recorded it or one of the two members involved can delete it.
+ * @async
+ * @function deleteSettlement
+ * @param {Object} req - Express request object with group and settlement IDs in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with success status
+ */
+exports.deleteSettlement = async (req, res, next) => {
+  try {
+    const group = await findGroup(req);
+    const settlement = group && await Settlement.findOneAndDelete({
+      _id: req.params.settlementId,
+      group: group._id,
+      $or: [{ createdBy: req.user._id }, { from: req.user._id }, { to: req.user._id }]
+    });
+
+    if (!settlement) {
+      logger.warn(`Settlement not found with id: ${req.params.settlementId}`);
+      return fail(res, 404, 'Settlement not found');
+    }
+
+    logger.info(`Deleted settlement ${settlement._id} from group ${group._id}`);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error(`Error deleting settlement: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,143 @@
+/**
+ * Controller for the change history of expenses
+ * Lists who changed an expense, when and how, and reverts an expense to an earlier version.
+ * @module controllers/historyController
+ */
+
+const Expense = require('../models/Expense');
+const ExpenseHistory = require('../models/ExpenseHistory');
+const Group = require('../models/Group');
+const logger = require('../config/logger');
+const { TRACKED_FIELDS, snapshotExpense, recordExpenseChange } = require('../utils/expenseHistory');
+const { publishToUsers } = require('../utils/expenseEvents');
+const { toETag, checkVersion } = require('../utils/concurrency');
+const { fromValidationError } = require('../utils/validation');
+
+// User fields shown with each change
+const CHANGED_BY_FIELDS = 'name email';
+
+/**
+ * Send an error response
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {string|Array<string>} error - Error message or messages
+ * @returns {Object} JSON response
+ */
+const fail = (res, status, error) => {
+  return res.status(status).json({
+    success: false,
+    error
+  });
+};
+
+/**
+ * Get the change history of an expense, newest first
+ * Expenses in the trash keep their history and can still be inspected.
+ * @async
+ * @function getExpenseHistory
+ * @param {Object} req - Express request object with expense ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the history entries
+ */
+exports.getExpenseHistory = async (req, res, next) => {
+  try {
+    const expense = await Expense.findOne({ _id: req.params.id, user: req.user._id })
+      .setOptions({ withDeleted: true })
+      .select('_id');
+
+    if (!expense) {
+      logger.warn(`Expense not found with id: ${req.params.id}`);
+      return fail(res, 404, 'Expense not found');
+    }
+
+    const history = await ExpenseHistory.find({ expense: expense._id })
+      .sort({ createdAt: -1, _id: -1 })
+      .populate('changedBy', CHANGED_BY_FIELDS);
+
+    logger.info(`Retrieved ${history.length} history entries for expense ${expense._id}`);
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history
+    });
+  } catch (error) {
+    logger.error(`Error getting expense history: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Revert an expense to the version saved by one of its history entries
+ * The revert is itself recorded, so it can be undone the same way. Like updates, it needs the
+ * loaded version in the If-Match header.
+ * @async
+ * @function revertExpense
+ * @param {Object} req - Express request object with expense and history entry IDs in params and version in If-Match
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the reverted expense
+ */
+exports.revertExpense = async (req, res, next) => {
+  try {
+    const expense = await Expense.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!expense) {
+      logger.warn(`Expense not found with id: ${req.params.id}`);
+      return fail(res, 404, 'Expense not found');
+    }
+
+    if (checkVersion(req, res, expense)) {
+      return;
+    }
+
+    const entry = await ExpenseHistory.findOne({ _id: req.params.historyId, expense: expense._id });
+
+    if (!entry) {
+      logger.warn(`History entry not found with id: ${req.params.historyId}`);
+      return fail(res, 404, 'Version not found');
+    }
+
+    const { snapshot } = entry;
+
+    // A group expense's amount is split between members, so it changes through the group
+    if (expense.group && (snapshot.amount !== expense.amount || snapshot.currency !== expense.currency)) {
+      return fail(res, 400, 'Change the amount of a group expense from its group');
+    }
+
+    const before = snapshotExpense(expense);
+    TRACKED_FIELDS.forEach(field => {
+      expense[field] = snapshot[field] === null ? undefined : snapshot[field];
+    });
+    await expense.save();
+    await recordExpenseChange('revert', expense, { before, userId: req.user._id, revertedTo: entry._id });
+    // Members of the expense's group see its title, category and the like as well
+    const group = expense.group && await Group.findById(expense.group).select('members');
+    publishToUsers(group ? group.members : [req.user._id], 'update', expense, { clientId: req.get('X-Client-Id') });
+
+    logger.info(`Reverted expense ${expense._id} to version ${entry._id}`);
+
+    res.status(200).set('ETag', toETag(expense)).json({
+      success: true,
+      data: expense
+    });
+  } catch (error) {
+    logger.error(`Error reverting expense: ${error.message}`);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        errors: fromValidationError(error)
+      });
+    }
+    if (error.code === 11000) {
+      return fail(res, 400, 'Another expense from the same recurring rule is already on that date');
+    }
+    if (error.name === 'VersionError') {
+      return fail(res, 409, 'This expense was changed by someone else at the same time; try again');
+    }
+
+    next(error);
+  }
+};
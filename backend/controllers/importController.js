@@ -0,0 +1,327 @@
+/**
+ * Controller for importing expenses from CSV files
+ * Maps CSV columns onto expense fields, validates each row with the Expense schema
+ * and detects duplicates of existing expenses before anything is written.
+ * @module controllers/importController
+ */
+
+const { parse } = require('csv-parse/sync');
+const Expense = require('../models/Expense');
+const ExpenseHistory = require('../models/ExpenseHistory');
+const Category = require('../models/Category');
+const logger = require('../config/logger');
+const { buildHistoryEntry } = require('../utils/expenseHistory');
+const { publishExpenseEvent } = require('../utils/expenseEvents');
+
+// Expense fields a CSV column can be mapped to, and which of them must be mapped
+const FIELDS = ['title', 'amount', 'date', 'currency', 'category', 'description'];
+const REQUIRED_FIELDS = ['title', 'amount', 'date'];
+
+// Supported date formats for the date column
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+
+// Largest number of rows accepted in one import
+const MAX_ROWS = 5000;
+
+// Header names commonly used by bank exports, in order of preference per field
+const HEADER_SYNONYMS = {
+  date: ['date', 'transaction date', 'txn date', 'posted date', 'posting date', 'value date'],
+  amount: ['amount', 'debit', 'withdrawal', 'withdrawal amount', 'debit amount', 'value'],
+  currency: ['currency', 'ccy', 'currency code'],
+  category: ['category', 'type'],
+  title: ['title', 'payee', 'merchant', 'name', 'narration', 'details', 'description'],
+  description: ['description', 'notes', 'note', 'memo', 'remarks']
+};
+
+/**
+ * Guess which CSV column holds each expense field from the header names
+ * @param {Array<string>} headers - CSV header row
+ * @returns {Object} Mapping of expense field to header name
+ */
+const suggestMapping = (headers) => {
+  const mapping = {};
+  const used = new Set();
+
+  ['date', 'amount', 'currency', 'category', 'title', 'description'].forEach((field) => {
+    for (const synonym of HEADER_SYNONYMS[field]) {
+      const header = headers.find(h => !used.has(h) && h.trim().toLowerCase() === synonym);
+      if (header) {
+        mapping[field] = header;
+        used.add(header);
+        break;
+      }
+    }
+  });
+
+  return mapping;
+};
+
+/**
+ * Parse a date cell in the given format
+ * @param {string} value - Cell value
+ * @param {string} format - One of DATE_FORMATS
+ * @returns {Date|null} Date at midnight UTC, or null if it cannot be parsed
+ */
+const parseDate = (value, format) => {
+  const text = (value || '').trim();
+  let year;
+  let month;
+  let day;
+
+  if (format === 'YYYY-MM-DD') {
+    const match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+    if (!match) return null;
+    [, year, month, day] = match.map(Number);
+  } else {
+    const match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+    if (!match) return null;
+    const [, first, second, rawYear] = match.map(Number);
+    [day, month] = format === 'DD/MM/YYYY' ? [first, second] : [second, first];
+    year = rawYear < 100 ? 2000 + rawYear : rawYear;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // Reject dates that rolled over, such as 31/02
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+};
+
+/**
+ * Parse an amount cell, ignoring currency symbols and thousands separators
+ * Debits exported as negative numbers or in parentheses are imported as positive amounts.
+ * @param {string} value - Cell value
+ * @returns {number|undefined} Parsed amount, NaN if unparseable, undefined if empty
+ */
+const parseAmount = (value) => {
+  const text = (value || '').trim();
+  if (!text) return undefined;
+
+  const amount = parseFloat(text.replace(/[^0-9.-]/g, ''));
+  return isNaN(amount) ? NaN : Math.abs(amount);
+};
+
+/**
+ * Key identifying an expense for duplicate detection
+ * @param {Object} expense - Expense with date, amount, currency and title
+ * @returns {string} Duplicate key
+ */
+const duplicateKey = (expense) => {
+  const day = new Date(expense.date).toISOString().slice(0, 10);
+  return `${day}|${expense.amount} ${expense.currency}|${String(expense.title).trim().toLowerCase()}`;
+};
+
+/**
+ * Send a 400 response
+ * @param {Object} res - Express response object
+ * @param {string} message - Error message
+ * @returns {Object} JSON response
+ */
+const badRequest = (res, message) => {
+  return res.status(400).json({
+    success: false,
+    error: message
+  });
+};
+
+/**
+ * Import expenses from an uploaded CSV file
+ * Without a mapping, returns the CSV headers and a suggested mapping.
+ * With dryRun (the default), returns a per-row preview of validation errors and duplicates.
+ * Otherwise inserts every valid row that is not a duplicate.
+ * @async
+ * @function importExpenses
+ * @param {Object} req - Express request object with the CSV in req.file and mapping, dryRun,
+ *   dateFormat, defaultCategory and skipDuplicates in the body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the preview or import summary
+ */
+exports.importExpenses = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return badRequest(res, 'Please upload a CSV file');
+    }
+
+    let records;
+    try {
+      records = parse(req.file.buffer, {
+        columns: true,
+        bom: true,
+        trim: true,
+        skip_empty_lines: true,
+        relax_column_count: true
+      });
+    } catch (error) {
+      return badRequest(res, `Could not read CSV: ${error.message}`);
+    }
+
+    if (records.length === 0) {
+      return badRequest(res, 'The CSV file has no rows');
+    }
+    if (records.length > MAX_ROWS) {
+      return badRequest(res, `A single import cannot have more than ${MAX_ROWS} rows`);
+    }
+
+    const headers = Object.keys(records[0]);
+
+    // First step of the wizard: tell the client which columns exist
+    if (!req.body.mapping) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          headers,
+          suggestedMapping: suggestMapping(headers),
+          rowCount: records.length
+        }
+      });
+    }
+
+    let mapping;
+    try {
+      mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+    } catch (error) {
+      return badRequest(res, 'Mapping must be valid JSON');
+    }
+
+    const missing = REQUIRED_FIELDS.filter(field => !mapping[field]);
+    if (missing.length > 0) {
+      return badRequest(res, `Please map a column to: ${missing.join(', ')}`);
+    }
+    const unknown = FIELDS.filter(field => mapping[field] && !headers.includes(mapping[field]));
+    if (unknown.length > 0) {
+      return badRequest(res, `Mapped column not found for: ${unknown.join(', ')}`);
+    }
+
+    const dateFormat = req.body.dateFormat || 'YYYY-MM-DD';
+    if (!DATE_FORMATS.includes(dateFormat)) {
+      return badRequest(res, `Date format must be one of: ${DATE_FORMATS.join(', ')}`);
+    }
+
+    const dryRun = String(req.body.dryRun) !== 'false';
+    const skipDuplicates = String(req.body.skipDuplicates) !== 'false';
+    const defaultCategory = req.body.defaultCategory || 'Other';
+
+    // validateSync skips the async category check, so categories are checked against this list
+    const categoryNames = new Set(await Category.distinct('name', { user: req.user._id }));
+    if (!categoryNames.has(defaultCategory)) {
+      return badRequest(res, `Category ${defaultCategory} does not exist`);
+    }
+
+    // Build and validate each row with the Expense schema
+    const rows = records.map((record, index) => {
+      const cell = field => (mapping[field] ? record[mapping[field]] : undefined);
+      const date = parseDate(cell('date'), dateFormat);
+
+      const expense = new Expense({
+        user: req.user._id,
+        title: cell('title'),
+        amount: parseAmount(cell('amount')),
+        currency: (cell('currency') || req.user.baseCurrency).toUpperCase(),
+        date: date || undefined,
+        category: cell('category') || defaultCategory,
+        description: cell('description') || undefined
+      });
+
+      const errors = [];
+      if (!date) {
+        errors.push(`Could not read date "${cell('date') || ''}" as ${dateFormat}`);
+      }
+      const validation = expense.validateSync();
+      if (validation) {
+        errors.push(...Object.values(validation.errors).map(val => val.message));
+      }
+      if (!categoryNames.has(expense.category)) {
+        errors.push(`Category ${expense.category} does not exist`);
+      }
+
+      return {
+        row: index + 2, // Row 1 is the header
+        expense,
+        errors,
+        duplicate: null
+      };
+    });
+
+    // Detect duplicates of existing expenses and of earlier rows in the same file
+    const validRows = rows.filter(row => row.errors.length === 0);
+    if (validRows.length > 0) {
+      const times = validRows.map(row => row.expense.date.getTime());
+      const existing = await Expense.find({
+        user: req.user._id,
+        date: {
+          $gte: new Date(Math.min(...times)),
+          $lt: new Date(Math.max(...times) + 24 * 60 * 60 * 1000)
+        }
+      }).select('title amount currency date');
+
+      const existingKeys = new Set(existing.map(duplicateKey));
+      const fileKeys = new Set();
+
+      validRows.forEach((row) => {
+        const key = duplicateKey(row.expense);
+        if (existingKeys.has(key)) {
+          row.duplicate = 'existing';
+        } else if (fileKeys.has(key)) {
+          row.duplicate = 'file';
+        }
+        fileKeys.add(key);
+      });
+    }
+
+    const toImport = validRows.filter(row => !(skipDuplicates && row.duplicate));
+    const summary = {
+      total: rows.length,
+      valid: validRows.length,
+      invalid: rows.length - validRows.length,
+      duplicates: validRows.filter(row => row.duplicate).length,
+      toImport: toImport.length
+    };
+
+    if (dryRun) {
+      logger.info(`Previewed CSV import of ${rows.length} rows`);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          headers,
+          mapping,
+          summary,
+          rows: rows.map(({ row, expense, errors, duplicate }) => ({
+            row,
+            data: {
+              title: expense.title,
+              amount: expense.amount,
+              currency: expense.currency,
+              date: expense.date,
+              category: expense.category,
+              description: expense.description
+            },
+            errors,
+            duplicate
+          }))
+        }
+      });
+    }
+
+    const imported = await Expense.insertMany(toImport.map(row => row.expense));
+    await ExpenseHistory.insertMany(imported.map(expense => buildHistoryEntry('create', expense, { userId: req.user._id })));
+    publishExpenseEvent(req.user._id, 'reload', null, { clientId: req.get('X-Client-Id') });
+
+    logger.info(`Imported ${imported.length} expenses from CSV`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        summary: {
+          ...summary,
+          imported: imported.length
+        }
+      }
+    });
+  } catch (error) {
+    logger.error(`Error importing expenses: ${error.message}`);
+    next(error);
+  }
+};
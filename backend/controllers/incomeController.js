@@ -0,0 +1,285 @@
+/**
+ * Controller for income operations
+ * Handles CRUD operations for income and the monthly cash-flow report
+ * @module controllers/incomeController
+ */
+
+const Income = require('../models/Income');
+const Expense = require('../models/Expense');
+const logger = require('../config/logger');
+const { parsePagination } = require('../utils/pagination');
+
+/**
+ * Send a 400 response for validation errors
+ * @param {Error} error - Error thrown by Mongoose
+ * @param {Object} res - Express response object
+ * @returns {Object|undefined} JSON response if the error was handled
+ */
+const handleValidationError = (error, res) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      error: messages
+    });
+  }
+
+  return undefined;
+};
+
+/**
+ * Round an amount to two decimal places
+ * @param {number} value - Amount to round
+ * @returns {number} Rounded amount
+ */
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Work out net savings and the savings rate for an income and expense total
+ * @param {number} income - Income in the base currency
+ * @param {number} expenses - Spending in the base currency
+ * @returns {{income: number, expenses: number, net: number, savingsRate: number|null}}
+ *   Totals, with the share of income saved as a percentage, or null when there was no income
+ */
+const cashFlowFigures = (income, expenses) => {
+  const net = round2(income - expenses);
+  return {
+    income: round2(income),
+    expenses: round2(expenses),
+    net,
+    savingsRate: income > 0 ? Math.round((net / income) * 1000) / 10 : null
+  };
+};
+
+/**
+ * Get the logged-in user's income, newest first
+ * @async
+ * @function getIncomes
+ * @param {Object} req - Express request object with optional page and limit in query
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with income data
+ */
+exports.getIncomes = async (req, res, next) => {
+  try {
+    const query = { user: req.user._id };
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [incomes, totalCount] = await Promise.all([
+      Income.find(query).sort({ date: -1, _id: -1 }).skip(skip).limit(limit),
+      Income.countDocuments(query)
+    ]);
+
+    logger.info(`Retrieved ${incomes.length} of ${totalCount} income records`);
+
+    res.status(200).json({
+      success: true,
+      count: incomes.length,
+      totalCount,
+      page,
+      limit,
+      hasMore: skip + incomes.length < totalCount,
+      data: incomes
+    });
+  } catch (error) {
+    logger.error(`Error getting income: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get a single income record by ID
+ * @async
+ * @function getIncome
+ * @param {Object} req - Express request object with income ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with income data
+ */
+exports.getIncome = async (req, res, next) => {
+  try {
+    const income = await Income.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!income) {
+      logger.warn(`Income not found with id: ${req.params.id}`);
+      return res.status(404).json({
+        success: false,
+        error: 'Income not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: income
+    });
+  } catch (error) {
+    logger.error(`Error getting income: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Record new income
+ * @async
+ * @function createIncome
+ * @param {Object} req - Express request object with income data in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with created income data
+ */
+exports.createIncome = async (req, res, next) => {
+  try {
+    const income = await Income.create({
+      ...req.body,
+      user: req.user._id
+    });
+
+    logger.info(`Created new income with id: ${income._id}`);
+
+    res.status(201).json({
+      success: true,
+      data: income
+    });
+  } catch (error) {
+    logger.error(`Error creating income: ${error.message}`);
+
+    if (handleValidationError(error, res)) {
+      return;
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Update an existing income record
+ * @async
+ * @function updateIncome
+ * @param {Object} req - Express request object with income ID in params and update data in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with updated income data
+ */
+exports.updateIncome = async (req, res, next) => {
+  try {
+    // Ownership cannot be changed through an update
+    const { user, ...updates } = req.body;
+
+    const income = await Income.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    if (!income) {
+      logger.warn(`Income not found with id: ${req.params.id}`);
+      return res.status(404).json({
+        success: false,
+        error: 'Income not found'
+      });
+    }
+
+    logger.info(`Updated income with id: ${req.params.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: income
+    });
+  } catch (error) {
+    logger.error(`Error updating income: ${error.message}`);
+
+    if (handleValidationError(error, res)) {
+      return;
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Delete an income record
+ * @async
+ * @function deleteIncome
+ * @param {Object} req - Express request object with income ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with success status
+ */
+exports.deleteIncome = async (req, res, next) => {
+  try {
+    const income = await Income.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!income) {
+      logger.warn(`Income not found with id: ${req.params.id}`);
+      return res.status(404).json({
+        success: false,
+        error: 'Income not found'
+      });
+    }
+
+    logger.info(`Deleted income with id: ${req.params.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error(`Error deleting income: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get income, spending and net savings per month of a year, in the base currency
+ * @async
+ * @function getCashFlow
+ * @param {Object} req - Express request object with optional year (YYYY) in query
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with twelve monthly figures and the year's totals
+ */
+exports.getCashFlow = async (req, res, next) => {
+  try {
+    const { baseCurrency } = req.user;
+    const year = req.query.year || String(new Date().getFullYear());
+
+    if (!/^\d{4}$/.test(year)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Year must be in YYYY format'
+      });
+    }
+
+    const [monthlyIncome, monthlyExpenses] = await Promise.all([
+      Income.getMonthlyIncome(req.user._id, Number(year), baseCurrency),
+      Expense.getMonthlyExpenses(req.user._id, Number(year), baseCurrency)
+    ]);
+    const incomeByMonth = new Map(monthlyIncome.map(item => [item._id, item.total]));
+    const expensesByMonth = new Map(monthlyExpenses.map(item => [item._id, item.total]));
+
+    // Every month is listed, so charts line up even when a month has no entries
+    const byMonth = Array.from({ length: 12 }, (_, index) => ({
+      month: index + 1,
+      ...cashFlowFigures(incomeByMonth.get(index + 1) || 0, expensesByMonth.get(index + 1) || 0)
+    }));
+    const totals = cashFlowFigures(
+      byMonth.reduce((sum, item) => sum + item.income, 0),
+      byMonth.reduce((sum, item) => sum + item.expenses, 0)
+    );
+
+    logger.info(`Retrieved cash flow for ${year}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        baseCurrency,
+        year: Number(year),
+        ...totals,
+        byMonth
+      }
+    });
+  } catch (error) {
+    logger.error(`Error getting cash flow: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,41 @@
+/**
+ * Controller for spending insights
+ * Looks for trends, unusually large expenses, new titles and this month's pace in the user's own expenses.
+ * @module controllers/insightController
+ */
+
+const Expense = require('../models/Expense');
+const logger = require('../config/logger');
+const { DAY_MS, HISTORY_DAYS, buildInsights } = require('../utils/insights');
+
+/**
+ * Get spending insights for the logged-in user
+ * @async
+ * @function getInsights
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the insights, most useful first, in the user's base currency
+ */
+exports.getInsights = async (req, res, next) => {
+  try {
+    const { baseCurrency } = req.user;
+    const now = new Date();
+    const since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) - HISTORY_DAYS * DAY_MS);
+
+    const expenses = await Expense.getBaseAmountsSince(req.user._id, baseCurrency, since);
+    const insights = buildInsights(expenses, now);
+
+    logger.info(`Computed ${insights.length} insights from ${expenses.length} expenses`);
+
+    res.status(200).json({
+      success: true,
+      baseCurrency,
+      count: insights.length,
+      data: insights
+    });
+  } catch (error) {
+    logger.error(`Error getting insights: ${error.message}`);
+    next(error);
+  }
+};
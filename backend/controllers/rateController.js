@@ -0,0 +1,245 @@
+/**
+ * Controller for exchange rate operations
+ * Handles listing, adding, deleting and importing the user's dated exchange rates
+ * @module controllers/rateController
+ */
+
+const { parse } = require('csv-parse/sync');
+const ExchangeRate = require('../models/ExchangeRate');
+const logger = require('../config/logger');
+
+// Largest number of rates accepted in one import
+const MAX_ROWS = 10000;
+
+/**
+ * Send a 400 response for validation errors
+ * @param {Error} error - Error thrown by Mongoose
+ * @param {Object} res - Express response object
+ * @returns {Object|undefined} JSON response if the error was handled
+ */
+const handleValidationError = (error, res) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      error: messages
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      error: 'A rate for this currency pair and day already exists'
+    });
+  }
+  return undefined;
+};
+
+/**
+ * Read rate records from an uploaded CSV or JSON file
+ * @param {Object} file - Multer file held in memory
+ * @returns {Array<Object>} Records with date, from, to and rate
+ */
+const readRateFile = (file) => {
+  if (file.originalname.toLowerCase().endsWith('.json')) {
+    const records = JSON.parse(file.buffer.toString('utf8'));
+    if (!Array.isArray(records)) {
+      throw new Error('JSON file must contain an array of rates');
+    }
+    return records;
+  }
+
+  return parse(file.buffer, {
+    columns: header => header.map(column => column.trim().toLowerCase()),
+    bom: true,
+    trim: true,
+    skip_empty_lines: true
+  });
+};
+
+/**
+ * Get the logged-in user's exchange rates, newest first
+ * @async
+ * @function getRates
+ * @param {Object} req - Express request object with optional from and to currencies in query
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with exchange rates
+ */
+exports.getRates = async (req, res, next) => {
+  try {
+    const query = { user: req.user._id };
+    if (req.query.from) query.from = req.query.from;
+    if (req.query.to) query.to = req.query.to;
+
+    const rates = await ExchangeRate.find(query).sort({ date: -1, from: 1, to: 1 });
+
+    logger.info(`Retrieved ${rates.length} exchange rates`);
+
+    res.status(200).json({
+      success: true,
+      count: rates.length,
+      data: rates
+    });
+  } catch (error) {
+    logger.error(`Error getting exchange rates: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Add an exchange rate
+ * @async
+ * @function createRate
+ * @param {Object} req - Express request object with date, from, to and rate in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with created rate data
+ */
+exports.createRate = async (req, res, next) => {
+  try {
+    const { date, from, to, rate } = req.body;
+
+    const exchangeRate = await ExchangeRate.create({
+      date,
+      from,
+      to,
+      rate,
+      user: req.user._id
+    });
+
+    logger.info(`Created new exchange rate with id: ${exchangeRate._id}`);
+
+    res.status(201).json({
+      success: true,
+      data: exchangeRate
+    });
+  } catch (error) {
+    logger.error(`Error creating exchange rate: ${error.message}`);
+
+    if (handleValidationError(error, res)) {
+      return;
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Delete an exchange rate
+ * @async
+ * @function deleteRate
+ * @param {Object} req - Express request object with rate ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with success status
+ */
+exports.deleteRate = async (req, res, next) => {
+  try {
+    const exchangeRate = await ExchangeRate.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!exchangeRate) {
+      logger.warn(`Exchange rate not found with id: ${req.params.id}`);
+      return res.status(404).json({
+        success: false,
+        error: 'Exchange rate not found'
+      });
+    }
+
+    logger.info(`Deleted exchange rate with id: ${req.params.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error(`Error deleting exchange rate: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Import exchange rates from a CSV or JSON file
+ * Each record needs date (YYYY-MM-DD), from, to and rate. Nothing is saved if any record is invalid;
+ * otherwise rates replace any existing rate for the same pair and day.
+ * @async
+ * @function importRates
+ * @param {Object} req - Express request object with the file in req.file
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the number of rates created and updated
+ */
+exports.importRates = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please upload a CSV or JSON file of rates'
+      });
+    }
+
+    let records;
+    try {
+      records = readRateFile(req.file);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Could not read rates: ${error.message}`
+      });
+    }
+
+    if (records.length === 0 || records.length > MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        error: `The file must contain between 1 and ${MAX_ROWS} rates`
+      });
+    }
+
+    // Validate every record before writing any of them
+    const errors = [];
+    const rates = records.map((record, index) => {
+      const rate = new ExchangeRate({
+        user: req.user._id,
+        date: /^\d{4}-\d{2}-\d{2}$/.test(String(record.date).trim()) ? record.date : undefined,
+        from: typeof record.from === 'string' ? record.from.trim().toUpperCase() : record.from,
+        to: typeof record.to === 'string' ? record.to.trim().toUpperCase() : record.to,
+        rate: record.rate
+      });
+
+      const validation = rate.validateSync();
+      if (validation) {
+        const messages = Object.values(validation.errors).map(val => val.message);
+        errors.push(`Rate ${index + 1}: ${messages.join(', ')}`);
+      }
+      return rate;
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors
+      });
+    }
+
+    const result = await ExchangeRate.bulkWrite(rates.map(rate => ({
+      updateOne: {
+        filter: { user: rate.user, from: rate.from, to: rate.to, date: rate.date },
+        update: { $set: { rate: rate.rate } },
+        upsert: true
+      }
+    })));
+
+    logger.info(`Imported ${rates.length} exchange rates`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        created: result.upsertedCount,
+        updated: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    logger.error(`Error importing exchange rates: ${error.message}`);
+    next(error);
+  }
+};
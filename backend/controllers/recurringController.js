@@ -0,0 +1,379 @@
+/**
+ * Controller for recurring expense operations
+ * Handles CRUD operations for recurring rules, upcoming occurrences, skipping and pausing
+ * @module controllers/recurringController
+ */
+
+const RecurringExpense = require('../models/RecurringExpense');
+const logger = require('../config/logger');
+const { materializeRule } = require('../jobs/recurringExpenses');
+const {
+  startOfDay,
+  getFirstOccurrence,
+  getNextOccurrence,
+  isFinished,
+  getUpcomingOccurrences
+} = require('../utils/recurrence');
+
+// Fields that change when a rule's occurrences fall
+const SCHEDULE_FIELDS = ['frequency', 'interval', 'dayOfMonth', 'startDate', 'endDate', 'count'];
+
+/**
+ * Send a 400 response for validation errors
+ * @param {Error} error - Error thrown by Mongoose
+ * @param {Object} res - Express response object
+ * @returns {Object|undefined} JSON response if the error was handled
+ */
+const handleValidationError = (error, res) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      error: messages
+    });
+  }
+  return undefined;
+};
+
+/**
+ * Send a 404 response for a missing rule
+ * @param {Object} req - Express request object with rule ID in params
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response
+ */
+const notFound = (req, res) => {
+  logger.warn(`Recurring expense not found with id: ${req.params.id}`);
+  return res.status(404).json({
+    success: false,
+    error: 'Recurring expense not found'
+  });
+};
+
+/**
+ * Move a rule's next occurrence to the first one on or after a date
+ * Passed-over occurrences count towards the rule's total when countPassed is set.
+ * @param {Object} rule - Recurring expense rule document
+ * @param {Date} from - Earliest date the next occurrence may fall on
+ * @param {boolean} countPassed - Whether passed-over occurrences count as processed
+ */
+const scheduleFrom = (rule, from, countPassed) => {
+  const earliest = startOfDay(from);
+  let date = countPassed && rule.nextDate ? rule.nextDate : getFirstOccurrence(rule);
+  let count = rule.occurrenceCount;
+
+  while (date < earliest && !isFinished(rule, date, count)) {
+    if (countPassed) {
+      count += 1;
+    }
+    date = getNextOccurrence(rule, date);
+  }
+
+  rule.occurrenceCount = count;
+  rule.nextDate = isFinished(rule, date, count) ? null : date;
+};
+
+/**
+ * Get all recurring expense rules of the logged-in user
+ * @async
+ * @function getRecurringExpenses
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with recurring rules data
+ */
+exports.getRecurringExpenses = async (req, res, next) => {
+  try {
+    const rules = await RecurringExpense.find({ user: req.user._id }).sort({ nextDate: 1, title: 1 });
+
+    logger.info(`Retrieved ${rules.length} recurring expenses`);
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    logger.error(`Error getting recurring expenses: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get upcoming occurrences across all active rules
+ * @async
+ * @function getUpcomingOccurrences
+ * @param {Object} req - Express request object with optional days (default 30) in query
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with upcoming occurrences sorted by date
+ */
+exports.getUpcomingOccurrences = async (req, res, next) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 366);
+    const until = new Date(startOfDay(new Date()).getTime() + days * 24 * 60 * 60 * 1000);
+
+    const rules = await RecurringExpense.find({
+      user: req.user._id,
+      paused: false,
+      nextDate: { $ne: null, $lte: until }
+    });
+
+    const occurrences = rules
+      .flatMap(rule => getUpcomingOccurrences(rule, until).map(occurrence => ({
+        recurringExpense: rule._id,
+        title: rule.title,
+        amount: rule.amount,
+        currency: rule.currency,
+        category: rule.category,
+        ...occurrence
+      })))
+      .sort((a, b) => a.date - b.date);
+
+    res.status(200).json({
+      success: true,
+      count: occurrences.length,
+      data: occurrences
+    });
+  } catch (error) {
+    logger.error(`Error getting upcoming occurrences: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get a single recurring expense rule by ID
+ * @async
+ * @function getRecurringExpense
+ * @param {Object} req - Express request object with rule ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with rule data
+ */
+exports.getRecurringExpense = async (req, res, next) => {
+  try {
+    const rule = await RecurringExpense.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!rule) {
+      return notFound(req, res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    logger.error(`Error getting recurring expense: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Create a new recurring expense rule
+ * Occurrences that are already due are created straight away.
+ * @async
+ * @function createRecurringExpense
+ * @param {Object} req - Express request object with rule data in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with created rule data and number of expenses created
+ */
+exports.createRecurringExpense = async (req, res, next) => {
+  try {
+    const { occurrenceCount, nextDate, skippedDates, ...ruleData } = req.body;
+
+    const rule = await RecurringExpense.create({
+      currency: req.user.baseCurrency,
+      ...ruleData,
+      user: req.user._id
+    });
+
+    logger.info(`Created new recurring expense with id: ${rule._id}`);
+
+    const created = await materializeRule(rule);
+
+    res.status(201).json({
+      success: true,
+      created,
+      data: await RecurringExpense.findById(rule._id)
+    });
+  } catch (error) {
+    logger.error(`Error creating recurring expense: ${error.message}`);
+
+    if (handleValidationError(error, res)) {
+      return;
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Update a recurring expense rule
+ * Changing the schedule moves the next occurrence to the first one from today.
+ * @async
+ * @function updateRecurringExpense
+ * @param {Object} req - Express request object with rule ID in params and update data in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with updated rule data
+ */
+exports.updateRecurringExpense = async (req, res, next) => {
+  try {
+    const rule = await RecurringExpense.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!rule) {
+      return notFound(req, res);
+    }
+
+    // Ownership and scheduler bookkeeping cannot be changed through an update
+    const { user, occurrenceCount, nextDate, skippedDates, ...updates } = req.body;
+
+    rule.set(updates);
+
+    if (SCHEDULE_FIELDS.some(field => rule.isModified(field))) {
+      const today = startOfDay(new Date());
+      scheduleFrom(rule, rule.startDate > today ? rule.startDate : today, false);
+    }
+
+    await rule.save();
+
+    logger.info(`Updated recurring expense with id: ${req.params.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    logger.error(`Error updating recurring expense: ${error.message}`);
+
+    if (handleValidationError(error, res)) {
+      return;
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Delete a recurring expense rule
+ * Expenses it already created are kept.
+ * @async
+ * @function deleteRecurringExpense
+ * @param {Object} req - Express request object with rule ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with success status
+ */
+exports.deleteRecurringExpense = async (req, res, next) => {
+  try {
+    const rule = await RecurringExpense.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!rule) {
+      return notFound(req, res);
+    }
+
+    logger.info(`Deleted recurring expense with id: ${req.params.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error(`Error deleting recurring expense: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Skip or un-skip a single upcoming occurrence
+ * @async
+ * @function setOccurrenceSkipped
+ * @param {Object} req - Express request object with rule ID in params, date and skipped in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with updated rule data
+ */
+exports.setOccurrenceSkipped = async (req, res, next) => {
+  try {
+    const rule = await RecurringExpense.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!rule) {
+      return notFound(req, res);
+    }
+
+    const date = startOfDay(req.body.date);
+    const skipped = req.body.skipped !== false;
+
+    // Only occurrences that have not happened yet can be skipped
+    const upcoming = isNaN(date.getTime())
+      ? []
+      : getUpcomingOccurrences(rule, date, Infinity);
+    const isOccurrence = upcoming.some(occurrence => occurrence.date.getTime() === date.getTime());
+
+    if (!isOccurrence) {
+      return res.status(400).json({
+        success: false,
+        error: 'Date is not an upcoming occurrence of this recurring expense'
+      });
+    }
+
+    rule.skippedDates = rule.skippedDates.filter(skippedDate => skippedDate.getTime() !== date.getTime());
+    if (skipped) {
+      rule.skippedDates.push(date);
+    }
+    await rule.save();
+
+    logger.info(`${skipped ? 'Skipped' : 'Restored'} ${date.toISOString()} of recurring expense ${rule._id}`);
+
+    res.status(200).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    logger.error(`Error skipping occurrence: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Pause or resume a recurring expense rule
+ * Occurrences that fell due while paused are passed over when it resumes.
+ * @async
+ * @function setPaused
+ * @param {Object} req - Express request object with rule ID in params and paused in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with updated rule data
+ */
+exports.setPaused = async (req, res, next) => {
+  try {
+    const rule = await RecurringExpense.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!rule) {
+      return notFound(req, res);
+    }
+
+    const paused = req.body.paused !== false;
+
+    if (rule.paused && !paused && rule.nextDate) {
+      scheduleFrom(rule, new Date(), true);
+    }
+    rule.paused = paused;
+    await rule.save();
+
+    logger.info(`${paused ? 'Paused' : 'Resumed'} recurring expense with id: ${rule._id}`);
+
+    // Anything due today is created as soon as the rule resumes
+    if (!paused) {
+      await materializeRule(rule);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await RecurringExpense.findById(rule._id)
+    });
+  } catch (error) {
+    logger.error(`Error pausing recurring expense: ${error.message}`);
+    next(error);
+  }
+};
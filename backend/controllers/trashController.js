@@ -0,0 +1,176 @@
+/**
+ * Controller for the expense trash
+ * Deleted expenses stay in the trash, hidden from every other query, until they are restored,
+ * deleted permanently or purged after the retention period.
+ * @module controllers/trashController
+ */
+
+const Expense = require('../models/Expense');
+const ExpenseHistory = require('../models/ExpenseHistory');
+const Group = require('../models/Group');
+const logger = require('../config/logger');
+const { retentionDays } = require('../config/trash');
+const { parsePagination } = require('../utils/pagination');
+const { removeAttachmentFiles } = require('../utils/attachments');
+const { snapshotExpense, recordExpenseChange } = require('../utils/expenseHistory');
+const { publishToUsers } = require('../utils/expenseEvents');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build the filter for the logged-in user's trashed expenses
+ * @param {Object} req - Express request object
+ * @param {Object} [extra] - Additional conditions
+ * @returns {Object} MongoDB filter
+ */
+const trashFilter = (req, extra = {}) => ({ ...extra, user: req.user._id, deletedAt: { $ne: null } });
+
+/**
+ * Get the logged-in user's trashed expenses, most recently deleted first
+ * @async
+ * @function getTrash
+ * @param {Object} req - Express request object with optional page and limit in query
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with trashed expenses, each with the date it will be purged
+ */
+exports.getTrash = async (req, res, next) => {
+  try {
+    const query = trashFilter(req);
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [expenses, totalCount] = await Promise.all([
+      Expense.find(query).sort({ deletedAt: -1, _id: -1 }).skip(skip).limit(limit).lean(),
+      Expense.countDocuments(query)
+    ]);
+
+    logger.info(`Retrieved ${expenses.length} of ${totalCount} trashed expenses`);
+
+    res.status(200).json({
+      success: true,
+      count: expenses.length,
+      totalCount,
+      page,
+      limit,
+      hasMore: skip + expenses.length < totalCount,
+      retentionDays,
+      data: expenses.map(expense => ({
+        ...expense,
+        purgeAt: new Date(expense.deletedAt.getTime() + retentionDays * DAY_MS)
+      }))
+    });
+  } catch (error) {
+    logger.error(`Error getting trash: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Restore an expense from the trash
+ * @async
+ * @function restoreExpense
+ * @param {Object} req - Express request object with expense ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the restored expense
+ */
+exports.restoreExpense = async (req, res, next) => {
+  try {
+    const existing = await Expense.findOne(trashFilter(req, { _id: req.params.id }));
+    const expense = existing && await Expense.findOneAndUpdate(
+      trashFilter(req, { _id: req.params.id, __v: existing.__v }),
+      { deletedAt: null },
+      { new: true }
+    );
+
+    if (!expense) {
+      logger.warn(`Trashed expense not found with id: ${req.params.id}`);
+      return res.status(404).json({
+        success: false,
+        error: 'Expense not found in the trash'
+      });
+    }
+
+    await recordExpenseChange('restore', expense, { before: snapshotExpense(existing), userId: req.user._id });
+    // To open lists a restored expense is a new one, and a group expense is back in every member's totals
+    const group = expense.group && await Group.findById(expense.group).select('members');
+    publishToUsers(group ? group.members : [req.user._id], 'create', expense, { clientId: req.get('X-Client-Id') });
+
+    logger.info(`Restored expense with id: ${req.params.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: expense
+    });
+  } catch (error) {
+    logger.error(`Error restoring expense: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Permanently delete an expense in the trash, along with its attachment files and history
+ * @async
+ * @function deleteExpensePermanently
+ * @param {Object} req - Express request object with expense ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with success status
+ */
+exports.deleteExpensePermanently = async (req, res, next) => {
+  try {
+    const expense = await Expense.findOneAndDelete(trashFilter(req, { _id: req.params.id }));
+
+    if (!expense) {
+      logger.warn(`Trashed expense not found with id: ${req.params.id}`);
+      return res.status(404).json({
+        success: false,
+        error: 'Expense not found in the trash'
+      });
+    }
+
+    await ExpenseHistory.deleteMany({ expense: expense._id });
+    await removeAttachmentFiles([expense]);
+
+    logger.info(`Permanently deleted expense with id: ${req.params.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error(`Error permanently deleting expense: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Permanently delete every expense in the logged-in user's trash
+ * @async
+ * @function emptyTrash
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} JSON response with the number of expenses deleted
+ */
+exports.emptyTrash = async (req, res, next) => {
+  try {
+    const query = trashFilter(req);
+    const expenses = await Expense.find(query).select('attachments').lean();
+    const ids = expenses.map(expense => expense._id);
+    const { deletedCount } = await Expense.deleteMany({ ...query, _id: { $in: ids } });
+
+    await ExpenseHistory.deleteMany({ expense: { $in: ids } });
+    await removeAttachmentFiles(expenses);
+
+    logger.info(`Emptied the trash, deleting ${deletedCount} expenses`);
+
+    res.status(200).json({
+      success: true,
+      data: { deleted: deletedCount }
+    });
+  } catch (error) {
+    logger.error(`Error emptying trash: ${error.message}`);
+    next(error);
+  }
+};
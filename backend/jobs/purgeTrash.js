@@ -0,0 +1,67 @@
+/**
+ * Scheduler that permanently deletes expenses that have been in the trash too long
+ * Attachment files and change history are removed along with their expenses.
+ * @module jobs/purgeTrash
+ */
+
+const Expense = require('../models/Expense');
+const ExpenseHistory = require('../models/ExpenseHistory');
+const logger = require('../config/logger');
+const { retentionDays } = require('../config/trash');
+const { removeAttachmentFiles } = require('../utils/attachments');
+
+// How often the trash is checked, in milliseconds (default: hourly)
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Permanently delete every expense trashed longer ago than the retention period
+ * @async
+ * @function purgeTrash
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<number>} Number of expenses purged
+ */
+exports.purgeTrash = async (now = new Date()) => {
+  const expired = { deletedAt: { $ne: null, $lte: new Date(now.getTime() - retentionDays * DAY_MS) } };
+  const ids = await Expense.find(expired).distinct('_id');
+
+  // Delete one at a time so an expense restored in the meantime keeps its files
+  const purged = [];
+  for (const id of ids) {
+    const expense = await Expense.findOneAndDelete({ _id: id, ...expired });
+    if (expense) {
+      purged.push(expense);
+    }
+  }
+  await ExpenseHistory.deleteMany({ expense: { $in: purged.map(expense => expense._id) } });
+  await removeAttachmentFiles(purged);
+
+  if (purged.length > 0) {
+    logger.info(`Purged ${purged.length} expenses from the trash`);
+  }
+  return purged.length;
+};
+
+/**
+ * Start purging the trash periodically
+ * @function startTrashPurgeScheduler
+ * @param {number} [intervalMs] - Check interval, defaults to TRASH_PURGE_INTERVAL_MS or one hour
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+exports.startTrashPurgeScheduler = (intervalMs = Number(process.env.TRASH_PURGE_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  const run = () => {
+    exports.purgeTrash().catch((error) => {
+      logger.error(`Trash purge failed: ${error.message}`);
+    });
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+
+  // Do not keep the process alive just for the scheduler
+  timer.unref();
+
+  logger.info(`Trash purge running every ${intervalMs}ms, keeping deleted expenses for ${retentionDays} days`);
+  return timer;
+};
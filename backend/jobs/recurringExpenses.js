@@ -0,0 +1,148 @@
+/**
+ * Scheduler that materializes recurring expense rules into concrete expenses
+ * Each occurrence is upserted on (rule, date), so re-running after a restart or
+ * from a second server process never creates duplicates.
+ * @module jobs/recurringExpenses
+ */
+
+const Expense = require('../models/Expense');
+const RecurringExpense = require('../models/RecurringExpense');
+const logger = require('../config/logger');
+const { startOfDay, getNextOccurrence, isFinished } = require('../utils/recurrence');
+const { recordExpenseChange } = require('../utils/expenseHistory');
+const { publishExpenseEvent } = require('../utils/expenseEvents');
+
+// How often due rules are checked, in milliseconds (default: hourly)
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Create the expense for one occurrence unless it already exists
+ * @async
+ * @param {Object} rule - Recurring expense rule
+ * @param {Date} date - Occurrence date
+ * @returns {Promise<boolean>} True if a new expense was created
+ */
+const createOccurrence = async (rule, date) => {
+  try {
+    const fields = {
+      user: rule.user,
+      title: rule.title,
+      amount: rule.amount,
+      currency: rule.currency,
+      category: rule.category,
+      description: rule.description,
+      recurringExpense: rule._id,
+      date
+    };
+    // Upserts skip the version hook, so the first version is set here like a saved document's
+    const result = await Expense.updateOne(
+      { recurringExpense: rule._id, date },
+      { $setOnInsert: { ...fields, __v: 0 } },
+      { upsert: true }
+    );
+    if (result.upsertedCount === 0) {
+      return false;
+    }
+
+    // Scheduled expenses are recorded without a user
+    await recordExpenseChange('create', { _id: result.upsertedId, ...fields, tags: [] });
+    publishExpenseEvent(rule.user, 'create', { _id: result.upsertedId, ...fields, tags: [], __v: 0 });
+    return true;
+  } catch (error) {
+    // Another process inserted the same occurrence first, or it was deleted and is in the trash
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Create expenses for every due occurrence of a rule and advance its schedule
+ * @async
+ * @function materializeRule
+ * @param {Object} rule - Recurring expense rule document
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<number>} Number of expenses created
+ */
+exports.materializeRule = async (rule, now = new Date()) => {
+  const today = startOfDay(now);
+  let current = rule;
+  let created = 0;
+
+  while (current && !current.paused && current.nextDate && current.nextDate <= today) {
+    const occurrence = current.nextDate;
+    const skipped = current.skippedDates.some(date => date.getTime() === occurrence.getTime());
+
+    if (!skipped && await createOccurrence(current, occurrence)) {
+      created += 1;
+    }
+
+    const occurrenceCount = current.occurrenceCount + 1;
+    const next = getNextOccurrence(current, occurrence);
+
+    // Only advance if no one else has advanced the rule in the meantime
+    current = await RecurringExpense.findOneAndUpdate(
+      { _id: current._id, nextDate: occurrence },
+      {
+        $set: { nextDate: isFinished(current, next, occurrenceCount) ? null : next },
+        $inc: { occurrenceCount: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  if (created > 0) {
+    logger.info(`Created ${created} expenses from recurring rule ${rule._id}`);
+  }
+
+  return created;
+};
+
+/**
+ * Materialize every active rule that has an occurrence due
+ * @async
+ * @function materializeDueExpenses
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<number>} Number of expenses created
+ */
+exports.materializeDueExpenses = async (now = new Date()) => {
+  const rules = await RecurringExpense.find({
+    paused: false,
+    nextDate: { $ne: null, $lte: startOfDay(now) }
+  });
+
+  let created = 0;
+  for (const rule of rules) {
+    try {
+      created += await exports.materializeRule(rule, now);
+    } catch (error) {
+      logger.error(`Error materializing recurring rule ${rule._id}: ${error.message}`);
+    }
+  }
+
+  return created;
+};
+
+/**
+ * Start checking for due recurring expenses periodically
+ * @function startRecurringScheduler
+ * @param {number} [intervalMs] - Check interval, defaults to RECURRING_INTERVAL_MS or one hour
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+exports.startRecurringScheduler = (intervalMs = Number(process.env.RECURRING_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  const run = () => {
+    exports.materializeDueExpenses().catch((error) => {
+      logger.error(`Recurring expense scheduler failed: ${error.message}`);
+    });
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+
+  // Do not keep the process alive just for the scheduler
+  timer.unref();
+
+  logger.info(`Recurring expense scheduler running every ${intervalMs}ms`);
+  return timer;
+};
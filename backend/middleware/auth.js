@@ -0,0 +1,65 @@
+/**
+ * Authentication middleware
+ * Verifies the bearer token and attaches the logged-in user to the request
+ * @module middleware/auth
+ */
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const { jwtSecret } = require('../config/auth');
+
+/**
+ * Reject the request with a 401 response
+ * @param {Object} res - Express response object
+ * @param {string} message - Error message to return
+ * @returns {Object} JSON response
+ */
+const unauthorized = (res, message = 'Not authorized to access this route') => {
+  return res.status(401).json({
+    success: false,
+    error: message
+  });
+};
+
+/**
+ * Protect routes that require a logged-in user
+ * @async
+ * @function protect
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+exports.protect = async (req, res, next) => {
+  const { authorization } = req.headers;
+
+  if (!authorization || !authorization.startsWith('Bearer ')) {
+    return unauthorized(res);
+  }
+
+  const token = authorization.split(' ')[1];
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, jwtSecret);
+  } catch (error) {
+    logger.warn(`Rejected token: ${error.message}`);
+    return unauthorized(res);
+  }
+
+  try {
+    const user = await User.findById(decoded.id);
+
+    // Tokens issued before the last logout are no longer valid
+    if (!user || user.tokenVersion !== decoded.version) {
+      return unauthorized(res);
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    logger.error(`Error authenticating request: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,45 @@
+/**
+ * File upload middleware
+ * Wraps multer so upload errors become 400 responses in the API's usual shape
+ * @module middleware/upload
+ */
+
+const multer = require('multer');
+
+/**
+ * Build middleware accepting a single file held in memory
+ * @function singleFile
+ * @param {string} field - Name of the multipart field carrying the file
+ * @param {Object} options - Upload restrictions
+ * @param {number} options.maxSize - Maximum file size in bytes
+ * @param {Array<string>} options.extensions - Accepted lower-case file extensions (e.g. '.csv')
+ * @returns {Function} Express middleware
+ */
+exports.singleFile = (field, { maxSize, extensions }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize },
+    fileFilter: (req, file, cb) => {
+      const name = file.originalname.toLowerCase();
+      if (extensions.some(extension => name.endsWith(extension))) {
+        return cb(null, true);
+      }
+      cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', field));
+    }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        const message = err.code === 'LIMIT_FILE_SIZE'
+          ? `File cannot be larger than ${Math.round(maxSize / 1024)} KB`
+          : `Please upload a ${extensions.join(' or ')} file`;
+        return res.status(400).json({
+          success: false,
+          error: message
+        });
+      }
+      next(err);
+    });
+  };
+};
@@ -0,0 +1,73 @@
+/**
+ * Request validation middleware
+ * Checks the body, params and query of a request against the shared schemas and answers
+ * 400 with every invalid field before the request reaches a controller
+ * @module middleware/validate
+ */
+
+const { validate, isObjectId } = require('../utils/validation');
+const logger = require('../config/logger');
+const { objectId } = require('../../shared/expenseSchema.json');
+
+/**
+ * Send the validation errors of a request
+ * @param {Object} res - Express response object
+ * @param {Array<{field: string, code: string, message: string}>} errors - Invalid fields
+ * @returns {Object} JSON response
+ */
+const rejectRequest = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    errors
+  });
+};
+
+/**
+ * Build middleware validating parts of a request
+ * Body fields the schema does not list are rejected; query parameters outside it are left
+ * to the controller.
+ * @function validateRequest
+ * @param {Object} schemas - Schemas for the parts of the request to check
+ * @param {Object} [schemas.body] - Schema for the JSON body
+ * @param {Object} [schemas.params] - Schema for the route params
+ * @param {Object} [schemas.query] - Schema for the query string
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.partial] - Whether body fields left out may be skipped, as in an update
+ * @returns {Function} Express middleware
+ */
+exports.validateRequest = ({ body, params, query }, { partial = false } = {}) => {
+  return (req, res, next) => {
+    const errors = [
+      ...(params ? validate(params, req.params) : []),
+      ...(query ? validate(query, req.query) : []),
+      ...(body ? validate(body, req.body, { partial, strict: true }) : [])
+    ];
+
+    if (errors.length > 0) {
+      logger.warn(`Invalid request to ${req.method} ${req.originalUrl}: ${errors.map(err => err.field).join(', ')}`);
+      return rejectRequest(res, errors);
+    }
+
+    next();
+  };
+};
+
+/**
+ * Route param handler rejecting malformed ObjectIds with 400
+ * Use with router.param, so a bad ID never reaches Mongoose as a CastError.
+ * @function validateObjectId
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @param {string} value - Value of the param
+ * @param {string} name - Name of the param
+ * @returns {void}
+ */
+exports.validateObjectId = (req, res, next, value, name) => {
+  if (!isObjectId(value)) {
+    logger.warn(`Invalid ${name} in ${req.method} ${req.originalUrl}`);
+    return rejectRequest(res, [{ field: name, code: 'type', message: objectId.messages.type }]);
+  }
+
+  next();
+};
@@ -0,0 +1,197 @@
+/**
+ * Budget model schema
+ * @module models/Budget
+ */
+
+const mongoose = require('mongoose');
+const categoryValidator = require('../utils/categoryValidator');
+const { conversionStages } = require('../utils/currency');
+const { spendingMatch, shareStage } = require('../utils/splits');
+
+// Share of the limit at which a budget is flagged as nearly spent
+const WARNING_THRESHOLD = 80;
+
+/**
+ * Budget Schema
+ * A budget either applies to a single month or, when recurring, to every month
+ * that has no month-specific budget for the same category.
+ * @typedef {Object} BudgetSchema
+ * @property {ObjectId} user - The user who owns the budget
+ * @property {string} category - The expense category the budget limits
+ * @property {string} month - Month the budget applies to (YYYY-MM), unset for recurring budgets
+ * @property {boolean} recurring - Whether the budget applies to every month
+ * @property {number} limit - Maximum amount to spend in the category per month
+ * @property {Date} createdAt - When the budget record was created
+ * @property {Date} updatedAt - When the budget record was last updated
+ */
+const BudgetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  category: {
+    type: String,
+    required: [true, 'Please add a category'],
+    trim: true,
+    validate: categoryValidator
+  },
+  month: {
+    type: String,
+    match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Month must be in YYYY-MM format'],
+    required: [
+      function() { return !this.recurring; },
+      'Please add a month or make the budget recurring'
+    ]
+  },
+  recurring: {
+    type: Boolean,
+    default: false
+  },
+  limit: {
+    type: Number,
+    required: [true, 'Please add a limit'],
+    min: [0, 'Limit must be a positive number']
+  }
+}, {
+  timestamps: true
+});
+
+// One budget per category and month (or one recurring budget) per user
+BudgetSchema.index({ user: 1, category: 1, month: 1 }, { unique: true });
+
+/**
+ * Pre-validate middleware so recurring budgets never carry a month
+ * @function pre
+ * @param {string} 'validate' - The operation to hook into
+ * @param {Function} next - The next middleware function
+ * @returns {void}
+ */
+BudgetSchema.pre('validate', function(next) {
+  if (this.recurring) {
+    this.month = undefined;
+  }
+  next();
+});
+
+/**
+ * Get the UTC date range covered by a month
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {{start: Date, end: Date}} Start of the month and start of the next month
+ */
+const getMonthRange = (month) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return {
+    start: new Date(Date.UTC(year, monthIndex - 1, 1)),
+    end: new Date(Date.UTC(year, monthIndex, 1))
+  };
+};
+
+/**
+ * Get the month (YYYY-MM) a date falls in
+ * @function toMonth
+ * @param {Date|string} date - Any date
+ * @returns {string} Month in YYYY-MM format
+ */
+BudgetSchema.statics.toMonth = function(date) {
+  return new Date(date).toISOString().slice(0, 7);
+};
+
+/**
+ * Static method to get the budgets in effect for a month, one per category
+ * Month-specific budgets take precedence over recurring ones.
+ * @function getEffectiveBudgets
+ * @param {ObjectId} userId - The user whose budgets are returned
+ * @param {string} month - Month in YYYY-MM format
+ * @param {string} [category] - Only return the budget for this category
+ * @returns {Promise<Array>} Budgets in effect for the month
+ */
+BudgetSchema.statics.getEffectiveBudgets = async function(userId, month, category) {
+  const query = {
+    user: userId,
+    $or: [{ month }, { recurring: true }]
+  };
+  if (category) {
+    query.category = category;
+  }
+
+  const budgets = await this.find(query);
+  const byCategory = new Map();
+
+  budgets.forEach((budget) => {
+    const current = byCategory.get(budget.category);
+    if (!current || (current.recurring && !budget.recurring)) {
+      byCategory.set(budget.category, budget);
+    }
+  });
+
+  return [...byCategory.values()];
+};
+
+/**
+ * Static method to compare spending against the budgets in effect for a month
+ * @function getBudgetStatus
+ * @param {ObjectId} userId - The user whose budgets are checked
+ * @param {string} month - Month in YYYY-MM format
+ * @param {string} [category] - Only check the budget for this category
+ * @param {string} [baseCurrency] - Currency the limits are in and spending is converted to
+ * @returns {Promise<Array>} Spent vs limit, percentage and status per budgeted category
+ */
+BudgetSchema.statics.getBudgetStatus = async function(userId, month, category, baseCurrency) {
+  const Expense = mongoose.model('Expense');
+  const budgets = await this.getEffectiveBudgets(userId, month, category);
+
+  if (budgets.length === 0) {
+    return [];
+  }
+
+  const { start, end } = getMonthRange(month);
+  const spending = await Expense.aggregate([
+    {
+      $match: {
+        ...spendingMatch(userId),
+        category: { $in: budgets.map(budget => budget.category) },
+        date: { $gte: start, $lt: end }
+      }
+    },
+    shareStage(userId),
+    ...conversionStages(userId, baseCurrency),
+    {
+      $group: {
+        _id: '$category',
+        total: { $sum: '$baseAmount' }
+      }
+    }
+  ]);
+  const spentByCategory = new Map(spending.map(item => [item._id, item.total]));
+
+  return budgets
+    .map((budget) => {
+      const spent = spentByCategory.get(budget.category) || 0;
+      const percentage = budget.limit > 0
+        ? Math.round((spent / budget.limit) * 100)
+        : (spent > 0 ? 100 : 0);
+
+      let status = 'ok';
+      if (spent > budget.limit) {
+        status = 'over';
+      } else if (percentage >= WARNING_THRESHOLD) {
+        status = 'warning';
+      }
+
+      return {
+        budget: budget._id,
+        category: budget.category,
+        recurring: budget.recurring,
+        limit: budget.limit,
+        spent,
+        remaining: budget.limit - spent,
+        percentage,
+        status
+      };
+    })
+    .sort((a, b) => b.percentage - a.percentage);
+};
+
+module.exports = mongoose.model('Budget', BudgetSchema);
@@ -0,0 +1,84 @@
+/**
+ * Category model schema
+ * @module models/Category
+ */
+
+const mongoose = require('mongoose');
+const defaultCategories = require('../config/categories');
+
+/**
+ * Category Schema
+ * Expenses, budgets and recurring rules refer to a category by name,
+ * so a name is unique per user. Subcategories are one level deep.
+ * @typedef {Object} CategorySchema
+ * @property {ObjectId} user - The user who owns the category
+ * @property {string} name - Name of the category
+ * @property {string} color - Hex colour used for badges and charts
+ * @property {string} icon - Name of the icon shown with the category
+ * @property {ObjectId} parent - Parent category, if this is a subcategory
+ * @property {Date} createdAt - When the category record was created
+ * @property {Date} updatedAt - When the category record was last updated
+ */
+const CategorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a name'],
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Colour must be a hex code such as #22c55e'],
+    default: '#6b7280'
+  },
+  icon: {
+    type: String,
+    match: [/^[A-Za-z]{1,40}$/, 'Icon must be an icon name'],
+    default: 'FaTag'
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Category names are unique per user
+CategorySchema.index({ user: 1, name: 1 }, { unique: true });
+
+/**
+ * Static method to give a user the default categories
+ * Safe to run more than once: categories that already exist are left alone.
+ * @function createDefaults
+ * @param {ObjectId} userId - The user to create categories for
+ * @param {Array<string>} [extraNames] - Further category names to create, e.g. ones already in use
+ * @returns {Promise<number>} Number of categories created
+ */
+CategorySchema.statics.createDefaults = async function(userId, extraNames = []) {
+  const defaults = [
+    ...defaultCategories,
+    ...extraNames
+      .filter(name => !defaultCategories.some(category => category.name === name))
+      .map(name => ({ name }))
+  ];
+
+  const result = await this.bulkWrite(defaults.map(category => ({
+    updateOne: {
+      filter: { user: userId, name: category.name },
+      update: { $setOnInsert: { ...category, user: userId, parent: null } },
+      upsert: true
+    }
+  })));
+
+  return result.upsertedCount;
+};
+
+module.exports = mongoose.model('Category', CategorySchema);
@@ -0,0 +1,80 @@
+/**
+ * ExchangeRate model schema
+ * @module models/ExchangeRate
+ */
+
+const mongoose = require('mongoose');
+const currencies = require('../config/currencies');
+const { startOfDay } = require('../utils/recurrence');
+
+/**
+ * ExchangeRate Schema
+ * A dated rate applies from its date until the next rate for the same pair,
+ * and can be used in either direction.
+ * @typedef {Object} ExchangeRateSchema
+ * @property {ObjectId} user - The user who owns the rate
+ * @property {Date} date - Day the rate takes effect
+ * @property {string} from - Currency being converted
+ * @property {string} to - Currency converted to
+ * @property {number} rate - Units of the to currency per unit of the from currency
+ * @property {Date} createdAt - When the rate record was created
+ * @property {Date} updatedAt - When the rate record was last updated
+ */
+const ExchangeRateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  date: {
+    type: Date,
+    required: [true, 'Please add a date']
+  },
+  from: {
+    type: String,
+    required: [true, 'Please add the currency to convert from'],
+    enum: {
+      values: currencies,
+      message: 'Currency {VALUE} is not supported'
+    }
+  },
+  to: {
+    type: String,
+    required: [true, 'Please add the currency to convert to'],
+    enum: {
+      values: currencies,
+      message: 'Currency {VALUE} is not supported'
+    },
+    validate: {
+      validator: function(value) { return value !== this.from; },
+      message: 'A rate must convert between two different currencies'
+    }
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Please add a rate'],
+    min: [0.000001, 'Rate must be a positive number']
+  }
+}, {
+  timestamps: true
+});
+
+// One rate per currency pair and day per user, also used for the on-or-before lookup
+ExchangeRateSchema.index({ user: 1, from: 1, to: 1, date: -1 }, { unique: true });
+
+/**
+ * Pre-validate middleware so rates always take effect at the start of a day
+ * @function pre
+ * @param {string} 'validate' - The operation to hook into
+ * @param {Function} next - The next middleware function
+ * @returns {void}
+ */
+ExchangeRateSchema.pre('validate', function(next) {
+  if (this.date && !isNaN(this.date.getTime())) {
+    this.date = startOfDay(this.date);
+  }
+  next();
+});
+
+module.exports = mongoose.model('ExchangeRate', ExchangeRateSchema);
@@ -4,19 +4,99 @@
  */
 
 const mongoose = require('mongoose');
+const categoryValidator = require('../utils/categoryValidator');
+const currencies = require('../config/currencies');
+const { conversionStages } = require('../utils/currency');
+const { SPLIT_METHODS, spendingMatch, shareStage } = require('../utils/splits');
+const { MAX_TAGS, MAX_TAG_LENGTH, normalizeTags, validateTags } = require('../utils/tags');
+
+/**
+ * Attachment Schema
+ * A receipt or other file kept with an expense. The file itself lives in storage under key.
+ * @typedef {Object} AttachmentSchema
+ * @property {string} key - Storage key of the file
+ * @property {string} filename - Original file name
+ * @property {string} mimeType - Content type detected from the file
+ * @property {number} size - File size in bytes
+ * @property {Date} createdAt - When the file was uploaded
+ */
+const AttachmentSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [255, 'File name cannot be more than 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * Split Entry Schema
+ * One member's part of a group expense
+ * @typedef {Object} SplitEntrySchema
+ * @property {ObjectId} user - The member
+ * @property {number} value - What was entered for the member: 1 for equal splits, else an amount, percentage or share
+ * @property {number} amount - The member's part of the expense
+ */
+const SplitEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, {
+  _id: false
+});
 
 /**
  * Expense Schema
  * @typedef {Object} ExpenseSchema
+ * @property {ObjectId} user - The user who owns the expense
  * @property {string} title - The title of the expense
  * @property {number} amount - The amount of the expense
+ * @property {string} currency - ISO 4217 code of the currency the amount is in
  * @property {string} category - The category of the expense
  * @property {Date} date - The date of the expense
  * @property {string} description - Optional description of the expense
+ * @property {Array<string>} tags - Free-form labels, trimmed and lower-cased
+ * @property {ObjectId} recurringExpense - The recurring rule that generated the expense, if any
+ * @property {Array<AttachmentSchema>} attachments - Receipts and other files kept with the expense
+ * @property {ObjectId} group - The group sharing the expense, if any
+ * @property {ObjectId} paidBy - The group member who paid, for group expenses
+ * @property {Object} split - How a group expense is divided: method and one entry per member
+ * @property {Date} deletedAt - When the expense was moved to the trash, or null while it is active
  * @property {Date} createdAt - When the expense record was created
  * @property {Date} updatedAt - When the expense record was last updated
+ * @property {number} __v - Version, incremented by every change; sent as the ETag and checked against If-Match
  */
 const ExpenseSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
   title: {
     type: String,
     required: [true, 'Please add a title'],
@@ -28,10 +108,19 @@ const ExpenseSchema = new mongoose.Schema({
     required: [true, 'Please add an amount'],
     min: [0, 'Amount must be a positive number']
   },
+  currency: {
+    type: String,
+    enum: {
+      values: currencies,
+      message: 'Currency {VALUE} is not supported'
+    },
+    default: currencies[0]
+  },
   category: {
     type: String,
     required: [true, 'Please add a category'],
-    enum: ['Food', 'Transportation', 'Entertainment', 'Shopping', 'Utilities', 'Housing', 'Healthcare', 'Personal', 'Education', 'Gifts', 'Travel', 'Other'],
+    trim: true,
+    validate: categoryValidator,
     default: 'Other'
   },
   date: {
@@ -42,9 +131,162 @@ const ExpenseSchema = new mongoose.Schema({
     type: String,
     trim: true,
     maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  tags: {
+    type: [String],
+    set: normalizeTags,
+    validate: {
+      validator: validateTags,
+      message: `An expense can have up to ${MAX_TAGS} tags of up to ${MAX_TAG_LENGTH} characters each`
+    }
+  },
+  recurringExpense: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringExpense'
+  },
+  attachments: [AttachmentSchema],
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group'
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [
+      function() { return Boolean(this.group); },
+      'Please add who paid'
+    ]
+  },
+  split: {
+    method: {
+      type: String,
+      enum: {
+        values: SPLIT_METHODS,
+        message: 'Split method {VALUE} is not supported'
+      }
+    },
+    entries: {
+      type: [SplitEntrySchema],
+      default: undefined
+    }
+  },
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Every save checks and increments __v, so concurrent edits cannot overwrite each other
+  optimisticConcurrency: true
+});
+
+// Supports the default date-ordered listing and cursor paging per user
+ExpenseSchema.index({ user: 1, date: -1, _id: -1 });
+
+// Filters a user's expenses by tag and lists the tags in use
+ExpenseSchema.index({ user: 1, tags: 1 });
+
+// A recurring rule creates at most one expense per occurrence date
+ExpenseSchema.index(
+  { recurringExpense: 1, date: 1 },
+  { unique: true, partialFilterExpression: { recurringExpense: { $exists: true } } }
+);
+
+// Lists a group's expenses newest first
+ExpenseSchema.index({ group: 1, date: -1 }, { partialFilterExpression: { group: { $exists: true } } });
+
+// Finds the group expenses a member has a share of for their personal totals
+ExpenseSchema.index(
+  { 'split.entries.user': 1, date: -1 },
+  { partialFilterExpression: { group: { $exists: true } } }
+);
+
+// Lists a user's trash, most recently deleted first
+ExpenseSchema.index(
+  { user: 1, deletedAt: -1 },
+  { partialFilterExpression: { deletedAt: { $type: 'date' } } }
+);
+
+// Finds trashed expenses due for purging
+ExpenseSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
+// Full-text search over title and description, with title matches ranked higher
+ExpenseSchema.index(
+  { title: 'text', description: 'text' },
+  { weights: { title: 3, description: 1 }, name: 'ExpenseTextIndex' }
+);
+
+/**
+ * Query middleware hiding trashed expenses
+ * Every read and update only sees active expenses unless its filter mentions deletedAt
+ * or it is run with the withDeleted option. deleteMany and deleteOne are left alone so
+ * cleanups reach the trash too.
+ * @function excludeDeleted
+ * @returns {void}
+ */
+function excludeDeleted() {
+  if (this.getOptions().withDeleted || Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+    return;
+  }
+  this.where({ deletedAt: null });
+}
+
+ExpenseSchema.pre([
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndUpdate',
+  'updateMany',
+  'updateOne'
+], excludeDeleted);
+
+/**
+ * Query middleware incrementing the version of updated expenses
+ * Saves already increment __v; this does the same for update queries so that every change
+ * produces a new version. Upserts, updates that set __v themselves and queries run with
+ * the keepVersion option are left alone.
+ * @function bumpVersion
+ * @returns {void}
+ */
+function bumpVersion() {
+  const update = this.getUpdate();
+  const { upsert, keepVersion } = this.getOptions();
+  if (!update || Array.isArray(update) || upsert || keepVersion) {
+    return;
+  }
+
+  const setsVersion = ['$inc', '$set'].some(op => update[op] && update[op].__v !== undefined) || update.__v !== undefined;
+  if (!setsVersion) {
+    this.setUpdate({ ...update, $inc: { ...update.$inc, __v: 1 } });
+  }
+}
+
+ExpenseSchema.pre(['findOneAndUpdate', 'updateMany', 'updateOne'], bumpVersion);
+
+/**
+ * Aggregate middleware hiding trashed expenses
+ * The condition joins the first $match stage, which must stay first for full-text searches,
+ * unless that stage already mentions deletedAt or the withDeleted option is set.
+ * @function pre
+ * @param {string} 'aggregate' - The operation to hook into
+ * @returns {void}
+ */
+ExpenseSchema.pre('aggregate', function() {
+  if (this.options.withDeleted) {
+    return;
+  }
+
+  const pipeline = this.pipeline();
+  const first = pipeline[0] && pipeline[0].$match;
+  if (first) {
+    if (!Object.prototype.hasOwnProperty.call(first, 'deletedAt')) {
+      pipeline[0] = { $match: { ...first, deletedAt: null } };
+    }
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
 });
 
 /**
@@ -60,44 +302,133 @@ ExpenseSchema.pre('save', function(next) {
 });
 
 /**
- * Static method to get total expenses by category
- * @function getTotalByCategory
- * @returns {Promise<Array>} Array of categories with total amounts
+ * Static method to get totals, category totals and a time series for a period
+ * Buckets are the calendar day, week (starting Monday), month, quarter or year in the given time zone.
+ * @function getPeriodStats
+ * @param {Object} filter - Expense filter from buildExpenseFilter, always scoped to a user
+ * @param {string} baseCurrency - Currency the totals are converted to
+ * @param {Object} period - Period to aggregate
+ * @param {Date|null} period.start - First instant included, or null for no lower bound
+ * @param {Date|null} period.end - First instant excluded, or null for no upper bound
+ * @param {string} period.granularity - Bucket size of the time series
+ * @param {string} period.timezone - IANA time zone the buckets are read in
+ * @returns {Promise<Object>} total, count and unconverted, byCategory, byTag, and byPeriod keyed by bucket start day
  */
-ExpenseSchema.statics.getTotalByCategory = async function() {
-  return this.aggregate([
+ExpenseSchema.statics.getPeriodStats = async function(filter, baseCurrency, { start, end, granularity, timezone }) {
+  // The user's own expenses and their shares of group ones; the period narrows the filter,
+  // which may have a date range of its own
+  const { user, ...rest } = filter;
+  const match = { ...rest, $and: [...(filter.$and || []), spendingMatch(user)] };
+  if (start || end) {
+    const range = {};
+    if (start) range.$gte = start;
+    if (end) range.$lt = end;
+    match.$and.push({ date: range });
+  }
+
+  const bucket = {
+    $dateTrunc: {
+      date: '$date',
+      unit: granularity,
+      timezone,
+      ...(granularity === 'week' ? { startOfWeek: 'monday' } : {})
+    }
+  };
+
+  const [result] = await this.aggregate([
+    { $match: match },
+    shareStage(user),
+    ...conversionStages(user, baseCurrency),
     {
-      $group: {
-        _id: '$category',
-        total: { $sum: '$amount' }
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: '$baseAmount' },
+              count: { $sum: 1 },
+              unconverted: { $sum: { $cond: [{ $eq: ['$baseAmount', null] }, 1, 0] } }
+            }
+          }
+        ],
+        byCategory: [
+          { $group: { _id: '$category', total: { $sum: '$baseAmount' } } },
+          { $sort: { total: -1 } }
+        ],
+        // An expense with several tags counts towards each of them
+        byTag: [
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', total: { $sum: '$baseAmount' }, count: { $sum: 1 } } },
+          { $sort: { total: -1, _id: 1 } }
+        ],
+        byPeriod: [
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m-%d', date: bucket, timezone } },
+              total: { $sum: '$baseAmount' },
+              count: { $sum: 1 }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ]
       }
-    },
-    {
-      $sort: { total: -1 }
     }
   ]);
+
+  const totals = result.totals[0] || { total: 0, count: 0, unconverted: 0 };
+
+  return {
+    total: totals.total,
+    count: totals.count,
+    unconverted: totals.unconverted,
+    byCategory: result.byCategory,
+    byTag: result.byTag,
+    byPeriod: result.byPeriod
+  };
+};
+
+/**
+ * Static method to list the tags a user has used, most used first
+ * @function getTags
+ * @param {ObjectId} userId - The user whose tags are listed
+ * @returns {Promise<Array<{name: string, count: number}>>} Tags with the number of expenses carrying each
+ */
+ExpenseSchema.statics.getTags = async function(userId) {
+  const tags = await this.aggregate([
+    { $match: { user: userId, tags: { $exists: true, $ne: [] } } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ]);
+
+  return tags.map(tag => ({ name: tag._id, count: tag.count }));
 };
 
 /**
  * Static method to get monthly expense summary
  * @function getMonthlyExpenses
+ * @param {ObjectId} userId - The user whose expenses are aggregated
  * @param {number} year - The year to get data for
+ * @param {string} baseCurrency - Currency the totals are converted to
  * @returns {Promise<Array>} Monthly expense data
  */
-ExpenseSchema.statics.getMonthlyExpenses = async function(year) {
+ExpenseSchema.statics.getMonthlyExpenses = async function(userId, year, baseCurrency) {
   return this.aggregate([
     {
       $match: {
+        ...spendingMatch(userId),
         date: {
-          $gte: new Date(`${year}-01-01`),
-          $lte: new Date(`${year}-12-31`)
+          $gte: new Date(Date.UTC(year, 0, 1)),
+          $lt: new Date(Date.UTC(year + 1, 0, 1))
         }
       }
     },
+    shareStage(userId),
+    ...conversionStages(userId, baseCurrency),
     {
       $group: {
         _id: { $month: '$date' },
-        total: { $sum: '$amount' }
+        total: { $sum: '$baseAmount' }
       }
     },
     {
@@ -106,4 +437,54 @@ ExpenseSchema.statics.getMonthlyExpenses = async function(year) {
   ]);
 };
 
+/**
+ * Static method to list a user's expenses since a date with their amounts in the base currency
+ * Only the fields insights and forecasts need are returned; baseAmount is null when no exchange rate is known.
+ * @function getBaseAmountsSince
+ * @param {ObjectId} userId - The user whose expenses are listed
+ * @param {string} baseCurrency - Currency to convert to
+ * @param {Date} since - Earliest expense date included
+ * @returns {Promise<Array<Object>>} Expenses with _id, title, category, date, baseAmount and recurringExpense, oldest first
+ */
+ExpenseSchema.statics.getBaseAmountsSince = async function(userId, baseCurrency, since) {
+  return this.aggregate([
+    { $match: { ...spendingMatch(userId), date: { $gte: since } } },
+    shareStage(userId),
+    ...conversionStages(userId, baseCurrency),
+    { $project: { title: 1, category: 1, date: 1, baseAmount: 1, recurringExpense: 1 } },
+    { $sort: { date: 1, _id: 1 } }
+  ]);
+};
+
+/**
+ * Static method to add the amount in the user's base currency to expenses
+ * baseAmount is null when no exchange rate on or before the expense date is known.
+ * @function withBaseAmounts
+ * @param {ObjectId} userId - The user who owns the expenses and exchange rates
+ * @param {string} baseCurrency - Currency to convert to
+ * @param {Array<Object>} expenses - Expense documents
+ * @returns {Promise<Array<Object>>} Plain expense objects with baseAmount
+ */
+ExpenseSchema.statics.withBaseAmounts = async function(userId, baseCurrency, expenses) {
+  if (expenses.length === 0) {
+    return [];
+  }
+
+  const converted = await this.aggregate([
+    {
+      $match: { _id: { $in: expenses.map(expense => expense._id) } }
+    },
+    ...conversionStages(userId, baseCurrency),
+    {
+      $project: { baseAmount: 1 }
+    }
+  ]);
+  const baseAmounts = new Map(converted.map(item => [String(item._id), item.baseAmount]));
+
+  return expenses.map(expense => ({
+    ...expense.toJSON(),
+    baseAmount: baseAmounts.has(String(expense._id)) ? baseAmounts.get(String(expense._id)) : null
+  }));
+};
+
 module.exports = mongoose.model('Expense', ExpenseSchema);
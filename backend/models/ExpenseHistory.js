@@ -0,0 +1,77 @@
+/**
+ * ExpenseHistory model schema
+ * @module models/ExpenseHistory
+ */
+
+const mongoose = require('mongoose');
+
+// Changes recorded in an expense's history
+const ACTIONS = ['create', 'update', 'delete', 'restore', 'revert'];
+
+/**
+ * Change Schema
+ * @typedef {Object} ChangeSchema
+ * @property {string} field - Name of the changed field
+ * @property {*} from - Value before the change, or null when it was unset
+ * @property {*} to - Value after the change, or null when it was cleared
+ */
+const ChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, {
+  _id: false
+});
+
+/**
+ * ExpenseHistory Schema
+ * One entry in the change log of an expense, written whenever it is created, updated,
+ * deleted, restored or reverted. Entries are never edited.
+ * @typedef {Object} ExpenseHistorySchema
+ * @property {ObjectId} expense - The expense that changed
+ * @property {string} action - What happened: create, update, delete, restore or revert
+ * @property {ObjectId} changedBy - The user who made the change, or null for scheduled changes
+ * @property {Array<ChangeSchema>} changes - Field-level differences from the previous version
+ * @property {Object} snapshot - The tracked fields of the expense after the change, used to revert to it
+ * @property {ObjectId} revertedTo - For a revert, the entry whose version was restored
+ * @property {Date} createdAt - When the change was made
+ */
+const ExpenseHistorySchema = new mongoose.Schema({
+  expense: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: {
+      values: ACTIONS,
+      message: 'Action must be one of ' + ACTIONS.join(', ')
+    }
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changes: [ChangeSchema],
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  revertedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExpenseHistory'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for reading an expense's history newest first
+ExpenseHistorySchema.index({ expense: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ExpenseHistory', ExpenseHistorySchema);
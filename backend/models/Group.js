@@ -0,0 +1,125 @@
+/**
+ * Group model schema
+ * @module models/Group
+ */
+
+const mongoose = require('mongoose');
+const currencies = require('../config/currencies');
+
+/**
+ * Group Schema
+ * Members share expenses and settle up with each other. Amounts owed within a group
+ * are all in the group's currency.
+ * @typedef {Object} GroupSchema
+ * @property {string} name - Name of the group
+ * @property {ObjectId} owner - The user who created the group
+ * @property {Array<ObjectId>} members - Users in the group, including the owner
+ * @property {string} currency - ISO 4217 code of the currency the group's expenses are in
+ * @property {Date} createdAt - When the group record was created
+ * @property {Date} updatedAt - When the group record was last updated
+ */
+const GroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    validate: {
+      validator: members => members.length <= 50,
+      message: 'A group can have at most 50 members'
+    }
+  },
+  currency: {
+    type: String,
+    enum: {
+      values: currencies,
+      message: 'Currency {VALUE} is not supported'
+    },
+    default: currencies[0]
+  }
+}, {
+  timestamps: true
+});
+
+// Finds the groups a user belongs to
+GroupSchema.index({ members: 1 });
+
+/**
+ * Check whether a user belongs to the group
+ * @function hasMember
+ * @param {ObjectId|string} userId - User to look for
+ * @returns {boolean} Whether the user is a member
+ */
+GroupSchema.methods.hasMember = function(userId) {
+  return this.members.some(member => String(member._id || member) === String(userId));
+};
+
+/**
+ * Static method to get the net balance of every member of a group
+ * A member's balance is what they paid for group expenses and sent in settlements,
+ * less their share of expenses and what they were sent. Positive means they are owed money.
+ * @function getBalances
+ * @param {ObjectId} groupId - The group to total
+ * @returns {Promise<Array<{user: ObjectId, balance: number}>>} Balance of each user with group activity
+ */
+GroupSchema.statics.getBalances = async function(groupId) {
+  const [expenseTotals, settlementTotals] = await Promise.all([
+    mongoose.model('Expense').aggregate([
+      { $match: { group: groupId } },
+      {
+        $project: {
+          movements: {
+            $concatArrays: [
+              [{ user: '$paidBy', amount: '$amount' }],
+              {
+                $map: {
+                  input: '$split.entries',
+                  in: { user: '$$this.user', amount: { $multiply: ['$$this.amount', -1] } }
+                }
+              }
+            ]
+          }
+        }
+      },
+      { $unwind: '$movements' },
+      { $group: { _id: '$movements.user', balance: { $sum: '$movements.amount' } } }
+    ]),
+    mongoose.model('Settlement').aggregate([
+      { $match: { group: groupId } },
+      {
+        $project: {
+          movements: [
+            { user: '$from', amount: '$amount' },
+            { user: '$to', amount: { $multiply: ['$amount', -1] } }
+          ]
+        }
+      },
+      { $unwind: '$movements' },
+      { $group: { _id: '$movements.user', balance: { $sum: '$movements.amount' } } }
+    ])
+  ]);
+
+  const balances = new Map();
+  [...expenseTotals, ...settlementTotals].forEach(({ _id, balance }) => {
+    const key = String(_id);
+    balances.set(key, { user: _id, balance: (balances.has(key) ? balances.get(key).balance : 0) + balance });
+  });
+
+  return [...balances.values()].map(({ user, balance }) => ({
+    user,
+    balance: Math.round(balance * 100) / 100
+  }));
+};
+
+module.exports = mongoose.model('Group', GroupSchema);
@@ -0,0 +1,106 @@
+/**
+ * Income model schema
+ * @module models/Income
+ */
+
+const mongoose = require('mongoose');
+const currencies = require('../config/currencies');
+const incomeSources = require('../config/incomeSources');
+const { conversionStages } = require('../utils/currency');
+
+/**
+ * Income Schema
+ * Money coming in, kept apart from expenses so spending totals stay outflows only.
+ * @typedef {Object} IncomeSchema
+ * @property {ObjectId} user - The user who received the income
+ * @property {string} title - The title of the income
+ * @property {number} amount - The amount received
+ * @property {string} currency - ISO 4217 code of the currency the amount is in
+ * @property {string} source - The kind of income, such as Salary or Refund
+ * @property {Date} date - The date the income was received
+ * @property {string} description - Optional description of the income
+ * @property {Date} createdAt - When the income record was created
+ * @property {Date} updatedAt - When the income record was last updated
+ */
+const IncomeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Please add a title'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please add an amount'],
+    min: [0.01, 'Amount must be a positive number']
+  },
+  currency: {
+    type: String,
+    enum: {
+      values: currencies,
+      message: 'Currency {VALUE} is not supported'
+    },
+    default: currencies[0]
+  },
+  source: {
+    type: String,
+    enum: {
+      values: incomeSources,
+      message: 'Income source {VALUE} is not supported'
+    },
+    default: 'Other'
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Supports the date-ordered listing and monthly totals per user
+IncomeSchema.index({ user: 1, date: -1, _id: -1 });
+
+/**
+ * Static method to get monthly income for a specific year
+ * @function getMonthlyIncome
+ * @param {ObjectId} userId - The user whose income is aggregated
+ * @param {number} year - The year to get data for
+ * @param {string} baseCurrency - Currency the totals are converted to
+ * @returns {Promise<Array>} Array of months with total amounts
+ */
+IncomeSchema.statics.getMonthlyIncome = async function(userId, year, baseCurrency) {
+  return this.aggregate([
+    {
+      $match: {
+        user: userId,
+        date: {
+          $gte: new Date(Date.UTC(year, 0, 1)),
+          $lt: new Date(Date.UTC(year + 1, 0, 1))
+        }
+      }
+    },
+    ...conversionStages(userId, baseCurrency),
+    {
+      $group: {
+        _id: { $month: '$date' },
+        total: { $sum: '$baseAmount' }
+      }
+    },
+    {
+      $sort: { _id: 1 }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('Income', IncomeSchema);
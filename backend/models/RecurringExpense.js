@@ -0,0 +1,175 @@
+/**
+ * Recurring expense model schema
+ * A rule from which concrete expenses are materialized when they fall due
+ * @module models/RecurringExpense
+ */
+
+const mongoose = require('mongoose');
+const categoryValidator = require('../utils/categoryValidator');
+const currencies = require('../config/currencies');
+const { conversionStages } = require('../utils/currency');
+const { startOfDay, getFirstOccurrence, isFinished } = require('../utils/recurrence');
+
+/**
+ * Recurring Expense Schema
+ * @typedef {Object} RecurringExpenseSchema
+ * @property {ObjectId} user - The user who owns the rule
+ * @property {string} title - Title given to each generated expense
+ * @property {number} amount - Amount of each generated expense
+ * @property {string} currency - Currency of each generated expense
+ * @property {string} category - Category of each generated expense
+ * @property {string} description - Optional description of each generated expense
+ * @property {string} frequency - How often the expense repeats (daily, weekly, monthly, yearly)
+ * @property {number} interval - Repeat every N periods (e.g. 2 with weekly for fortnightly)
+ * @property {number} dayOfMonth - Day of month for monthly and yearly rules
+ * @property {Date} startDate - First day the rule can occur
+ * @property {Date} endDate - Optional last day the rule can occur
+ * @property {number} count - Optional total number of occurrences
+ * @property {number} occurrenceCount - Occurrences already processed (created or skipped)
+ * @property {Date} nextDate - Next occurrence due, null once the rule has finished
+ * @property {Array<Date>} skippedDates - Occurrences that should not create an expense
+ * @property {boolean} paused - Whether materialization is paused
+ * @property {Date} createdAt - When the rule was created
+ * @property {Date} updatedAt - When the rule was last updated
+ */
+const RecurringExpenseSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Please add a title'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please add an amount'],
+    min: [0, 'Amount must be a positive number']
+  },
+  currency: {
+    type: String,
+    enum: {
+      values: currencies,
+      message: 'Currency {VALUE} is not supported'
+    },
+    default: currencies[0]
+  },
+  category: {
+    type: String,
+    required: [true, 'Please add a category'],
+    trim: true,
+    validate: categoryValidator,
+    default: 'Other'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  frequency: {
+    type: String,
+    required: [true, 'Please add a frequency'],
+    enum: {
+      values: ['daily', 'weekly', 'monthly', 'yearly'],
+      message: 'Frequency must be daily, weekly, monthly or yearly'
+    }
+  },
+  interval: {
+    type: Number,
+    default: 1,
+    min: [1, 'Interval must be at least 1']
+  },
+  dayOfMonth: {
+    type: Number,
+    min: [1, 'Day of month must be between 1 and 31'],
+    max: [31, 'Day of month must be between 1 and 31']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Please add a start date']
+  },
+  endDate: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || !this.startDate || value >= this.startDate;
+      },
+      message: 'End date cannot be before the start date'
+    }
+  },
+  count: {
+    type: Number,
+    min: [1, 'Count must be at least 1']
+  },
+  occurrenceCount: {
+    type: Number,
+    default: 0
+  },
+  nextDate: {
+    type: Date,
+    index: true
+  },
+  skippedDates: [Date],
+  paused: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Pre-validate middleware to normalize dates and schedule the first occurrence
+ * @function pre
+ * @param {string} 'validate' - The operation to hook into
+ * @param {Function} next - The next middleware function
+ * @returns {void}
+ */
+RecurringExpenseSchema.pre('validate', function(next) {
+  if (this.startDate) {
+    this.startDate = startOfDay(this.startDate);
+  }
+  if (this.endDate) {
+    this.endDate = startOfDay(this.endDate);
+  }
+  if (this.isNew && this.startDate && !this.nextDate) {
+    const first = getFirstOccurrence(this);
+    this.nextDate = isFinished(this, first, 0) ? null : first;
+  }
+  next();
+});
+
+/**
+ * Virtual flag for rules with no occurrences left
+ * @returns {boolean} True once the rule has passed its end date or count
+ */
+RecurringExpenseSchema.virtual('finished').get(function() {
+  return !this.nextDate;
+});
+
+/**
+ * Static method to list a user's rules that still have occurrences to create, with their amounts in the base currency
+ * Occurrences are still to come, so each amount is converted at the latest known exchange rate;
+ * baseAmount is null when there is none.
+ * @function getActiveWithBaseAmounts
+ * @param {ObjectId} userId - The user whose rules are listed
+ * @param {string} baseCurrency - Currency to convert to
+ * @returns {Promise<Array<Object>>} Plain rule objects with baseAmount
+ */
+RecurringExpenseSchema.statics.getActiveWithBaseAmounts = async function(userId, baseCurrency) {
+  return this.aggregate([
+    { $match: { user: userId, paused: false, nextDate: { $ne: null } } },
+    // The conversion looks up the latest rate on or before each document's date
+    { $addFields: { date: '$$NOW' } },
+    ...conversionStages(userId, baseCurrency),
+    { $project: { date: 0 } }
+  ]);
+};
+
+RecurringExpenseSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('RecurringExpense', RecurringExpenseSchema);
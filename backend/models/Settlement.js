@@ -0,0 +1,69 @@
+/**
+ * Settlement model schema
+ * @module models/Settlement
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Settlement Schema
+ * A payment from one group member to another that pays off what they owe,
+ * in the group's currency.
+ * @typedef {Object} SettlementSchema
+ * @property {ObjectId} group - The group the payment settles balances in
+ * @property {ObjectId} from - The member who paid
+ * @property {ObjectId} to - The member who was paid
+ * @property {number} amount - Amount paid
+ * @property {Date} date - When the payment was made
+ * @property {string} note - Optional note, e.g. how it was paid
+ * @property {ObjectId} createdBy - The user who recorded the payment
+ * @property {Date} createdAt - When the settlement record was created
+ * @property {Date} updatedAt - When the settlement record was last updated
+ */
+const SettlementSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true,
+    index: true
+  },
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please add who paid']
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please add who was paid'],
+    validate: {
+      validator: function(to) {
+        return !this.from || !this.from.equals(to);
+      },
+      message: 'A member cannot pay themselves'
+    }
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please add an amount'],
+    min: [0.01, 'Amount must be a positive number']
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot be more than 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Settlement', SettlementSchema);
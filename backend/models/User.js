@@ -0,0 +1,128 @@
+/**
+ * User model schema
+ * @module models/User
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { jwtSecret, jwtExpire } = require('../config/auth');
+const currencies = require('../config/currencies');
+const Category = require('./Category');
+
+/**
+ * User Schema
+ * @typedef {Object} UserSchema
+ * @property {string} name - Display name of the user
+ * @property {string} email - Unique login email of the user
+ * @property {string} password - Bcrypt hash of the user's password
+ * @property {string} baseCurrency - Currency totals and statistics are reported in
+ * @property {number} tokenVersion - Incremented on logout to revoke issued tokens
+ * @property {Date} createdAt - When the user record was created
+ * @property {Date} updatedAt - When the user record was last updated
+ */
+const UserSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a name'],
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Please add an email'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please add a valid email']
+  },
+  password: {
+    type: String,
+    required: [true, 'Please add a password'],
+    minlength: [6, 'Password must be at least 6 characters'],
+    select: false
+  },
+  baseCurrency: {
+    type: String,
+    enum: {
+      values: currencies,
+      message: 'Currency {VALUE} is not supported'
+    },
+    default: currencies[0]
+  },
+  tokenVersion: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Pre-save middleware to hash the password whenever it changes
+ * Also notes whether the user is new for the post-save hook.
+ * @function pre
+ * @param {string} 'save' - The operation to hook into
+ * @param {Function} next - The next middleware function
+ * @returns {void}
+ */
+UserSchema.pre('save', async function(next) {
+  this.$locals.wasNew = this.isNew;
+
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  this.password = await bcrypt.hash(this.password, salt);
+  next();
+});
+
+/**
+ * Post-save middleware giving new users the default categories
+ * @function post
+ * @param {string} 'save' - The operation to hook into
+ * @returns {Promise<void>}
+ */
+UserSchema.post('save', async function() {
+  if (this.$locals.wasNew) {
+    await Category.createDefaults(this._id);
+  }
+});
+
+/**
+ * Compare a plain text password against the stored hash
+ * @function matchPassword
+ * @param {string} enteredPassword - Password supplied at login
+ * @returns {Promise<boolean>} True if the password matches
+ */
+UserSchema.methods.matchPassword = async function(enteredPassword) {
+  return bcrypt.compare(enteredPassword, this.password);
+};
+
+/**
+ * Sign a JWT for this user
+ * @function getSignedJwtToken
+ * @returns {string} Signed JSON Web Token
+ */
+UserSchema.methods.getSignedJwtToken = function() {
+  return jwt.sign(
+    { id: this._id, version: this.tokenVersion },
+    jwtSecret,
+    { expiresIn: jwtExpire }
+  );
+};
+
+/**
+ * Strip private fields when the user is serialized
+ * @function toJSON
+ * @returns {Object} Public user fields
+ */
+UserSchema.methods.toJSON = function() {
+  const user = this.toObject();
+  delete user.password;
+  delete user.tokenVersion;
+  return user;
+};
+
+module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,46 @@
+/**
+ * Routes for authentication operations
+ * @module routes/authRoutes
+ */
+
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { protect } = require('../middleware/auth');
+
+/**
+ * @route   POST /api/auth/register
+ * @desc    Register a new user
+ * @access  Public
+ */
+router.post('/register', authController.register);
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Log in and receive a token
+ * @access  Public
+ */
+router.post('/login', authController.login);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Log out and revoke issued tokens
+ * @access  Private
+ */
+router.post('/logout', protect, authController.logout);
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the logged-in user
+ * @access  Private
+ */
+router.get('/me', protect, authController.getMe);
+
+/**
+ * @route   PUT /api/auth/me
+ * @desc    Update the logged-in user's name or base currency
+ * @access  Private
+ */
+router.put('/me', protect, authController.updateMe);
+
+module.exports = router;
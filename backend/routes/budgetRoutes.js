@@ -0,0 +1,52 @@
+/**
+ * Routes for budget operations
+ * @module routes/budgetRoutes
+ */
+
+const express = require('express');
+const router = express.Router();
+const budgetController = require('../controllers/budgetController');
+
+/**
+ * @route   GET /api/budgets
+ * @desc    Get all budgets, optionally those in effect for a month
+ * @access  Private
+ */
+router.get('/', budgetController.getBudgets);
+
+/**
+ * @route   GET /api/budgets/stats
+ * @desc    Get spent vs limit per budgeted category for a month
+ * @access  Private
+ */
+router.get('/stats', budgetController.getBudgetStats);
+
+/**
+ * @route   GET /api/budgets/:id
+ * @desc    Get a single budget by ID
+ * @access  Private
+ */
+router.get('/:id', budgetController.getBudget);
+
+/**
+ * @route   POST /api/budgets
+ * @desc    Create a new budget
+ * @access  Private
+ */
+router.post('/', budgetController.createBudget);
+
+/**
+ * @route   PUT /api/budgets/:id
+ * @desc    Update a budget
+ * @access  Private
+ */
+router.put('/:id', budgetController.updateBudget);
+
+/**
+ * @route   DELETE /api/budgets/:id
+ * @desc    Delete a budget
+ * @access  Private
+ */
+router.delete('/:id', budgetController.deleteBudget);
+
+module.exports = router;
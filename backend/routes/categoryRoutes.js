@@ -0,0 +1,38 @@
+/**
+ * Routes for category operations
+ * @module routes/categoryRoutes
+ */
+
+const express = require('express');
+const router = express.Router();
+const categoryController = require('../controllers/categoryController');
+
+/**
+ * @route   GET /api/categories
+ * @desc    Get all categories with their expense counts
+ * @access  Private
+ */
+router.get('/', categoryController.getCategories);
+
+/**
+ * @route   POST /api/categories
+ * @desc    Create a new category or subcategory
+ * @access  Private
+ */
+router.post('/', categoryController.createCategory);
+
+/**
+ * @route   PUT /api/categories/:id
+ * @desc    Update a category, renaming it everywhere it is used
+ * @access  Private
+ */
+router.put('/:id', categoryController.updateCategory);
+
+/**
+ * @route   DELETE /api/categories/:id
+ * @desc    Delete a category, moving its expenses to the reassignTo category
+ * @access  Private
+ */
+router.delete('/:id', categoryController.deleteCategory);
+
+module.exports = router;
@@ -6,47 +6,178 @@
 const express = require('express');
 const router = express.Router();
 const expenseController = require('../controllers/expenseController');
+const importController = require('../controllers/importController');
+const exportController = require('../controllers/exportController');
+const attachmentController = require('../controllers/attachmentController');
+const bulkController = require('../controllers/bulkController');
+const trashController = require('../controllers/trashController');
+const historyController = require('../controllers/historyController');
+const eventController = require('../controllers/eventController');
+const { singleFile } = require('../middleware/upload');
+const { validateRequest, validateObjectId } = require('../middleware/validate');
+const { expense, expenseQuery } = require('../../shared/expenseSchema.json');
+
+// Malformed IDs get a 400 before any controller sees them
+router.param('id', validateObjectId);
+router.param('historyId', validateObjectId);
+router.param('attachmentId', validateObjectId);
 
 /**
  * @route   GET /api/expenses
  * @desc    Get all expenses with optional filtering
- * @access  Public
+ * @access  Private
  */
-router.get('/', expenseController.getExpenses);
+router.get('/', validateRequest({ query: expenseQuery }), expenseController.getExpenses);
 
 /**
  * @route   GET /api/expenses/stats
- * @desc    Get expense statistics
- * @access  Public
+ * @desc    Get expense statistics for a period, by category and over time, compared with another period
+ * @access  Private
+ */
+router.get('/stats', validateRequest({ query: expenseQuery }), expenseController.getExpenseStats);
+
+/**
+ * @route   GET /api/expenses/tags
+ * @desc    Get the tags used on the user's expenses, most used first
+ * @access  Private
+ */
+router.get('/tags', expenseController.getTags);
+
+/**
+ * @route   GET /api/expenses/events
+ * @desc    Stream changes to the user's expenses as Server-Sent Events, resuming after Last-Event-ID
+ * @access  Private
+ */
+router.get('/events', eventController.streamExpenseEvents);
+
+/**
+ * @route   GET /api/expenses/export
+ * @desc    Download expenses matching the list filters as CSV, JSON or XLSX
+ * @access  Private
+ */
+router.get('/export', validateRequest({ query: expenseQuery }), exportController.exportExpenses);
+
+/**
+ * @route   POST /api/expenses/import
+ * @desc    Import expenses from a CSV upload, previewing by default
+ * @access  Private
+ */
+router.post(
+  '/import',
+  singleFile('file', { maxSize: 1024 * 1024, extensions: ['.csv'] }),
+  importController.importExpenses
+);
+
+/**
+ * @route   POST /api/expenses/bulk
+ * @desc    Delete, recategorize, tag or shift the dates of many expenses, reporting each one
+ * @access  Private
+ */
+router.post('/bulk', bulkController.bulkUpdateExpenses);
+
+/**
+ * @route   GET /api/expenses/trash
+ * @desc    Get deleted expenses, most recently deleted first, with the date each will be purged
+ * @access  Private
+ */
+router.get('/trash', trashController.getTrash);
+
+/**
+ * @route   DELETE /api/expenses/trash
+ * @desc    Permanently delete every expense in the trash
+ * @access  Private
+ */
+router.delete('/trash', trashController.emptyTrash);
+
+/**
+ * @route   DELETE /api/expenses/trash/:id
+ * @desc    Permanently delete an expense in the trash
+ * @access  Private
  */
-router.get('/stats', expenseController.getExpenseStats);
+router.delete('/trash/:id', trashController.deleteExpensePermanently);
 
 /**
  * @route   GET /api/expenses/:id
  * @desc    Get a single expense by ID
- * @access  Public
+ * @access  Private
  */
 router.get('/:id', expenseController.getExpense);
 
 /**
  * @route   POST /api/expenses
  * @desc    Create a new expense
- * @access  Public
+ * @access  Private
  */
-router.post('/', expenseController.createExpense);
+router.post('/', validateRequest({ body: expense }), expenseController.createExpense);
 
 /**
  * @route   PUT /api/expenses/:id
  * @desc    Update an expense
- * @access  Public
+ * @access  Private
  */
-router.put('/:id', expenseController.updateExpense);
+router.put('/:id', validateRequest({ body: expense }, { partial: true }), expenseController.updateExpense);
 
 /**
  * @route   DELETE /api/expenses/:id
- * @desc    Delete an expense
- * @access  Public
+ * @desc    Move an expense to the trash
+ * @access  Private
  */
 router.delete('/:id', expenseController.deleteExpense);
 
+/**
+ * @route   POST /api/expenses/:id/restore
+ * @desc    Restore an expense from the trash
+ * @access  Private
+ */
+router.post('/:id/restore', trashController.restoreExpense);
+
+/**
+ * @route   GET /api/expenses/:id/history
+ * @desc    Get who created, changed, deleted or restored an expense, with field-level changes, newest first
+ * @access  Private
+ */
+router.get('/:id/history', historyController.getExpenseHistory);
+
+/**
+ * @route   POST /api/expenses/:id/history/:historyId/revert
+ * @desc    Revert an expense to the version saved by a history entry
+ * @access  Private
+ */
+router.post('/:id/history/:historyId/revert', historyController.revertExpense);
+
+/**
+ * @route   GET /api/expenses/:id/attachments
+ * @desc    List the attachments of an expense
+ * @access  Private
+ */
+router.get('/:id/attachments', attachmentController.getAttachments);
+
+/**
+ * @route   POST /api/expenses/:id/attachments
+ * @desc    Upload a receipt image or PDF to an expense
+ * @access  Private
+ */
+router.post(
+  '/:id/attachments',
+  singleFile('file', {
+    maxSize: 5 * 1024 * 1024,
+    extensions: ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.pdf']
+  }),
+  attachmentController.uploadAttachment
+);
+
+/**
+ * @route   GET /api/expenses/:id/attachments/:attachmentId
+ * @desc    Download the file of an attachment
+ * @access  Private
+ */
+router.get('/:id/attachments/:attachmentId', attachmentController.getAttachmentFile);
+
+/**
+ * @route   DELETE /api/expenses/:id/attachments/:attachmentId
+ * @desc    Delete an attachment and its file
+ * @access  Private
+ */
+router.delete('/:id/attachments/:attachmentId', attachmentController.deleteAttachment);
+
 module.exports = router;
@@ -0,0 +1,17 @@
+/**
+ * Routes for spending forecasts
+ * @module routes/forecastRoutes
+ */
+
+const express = require('express');
+const router = express.Router();
+const forecastController = require('../controllers/forecastController');
+
+/**
+ * @route   GET /api/forecast
+ * @desc    Get projected month-end and year-end spending per category, with confidence bands
+ * @access  Private
+ */
+router.get('/', forecastController.getForecast);
+
+module.exports = router;
@@ -0,0 +1,108 @@
+/**
+ * Routes for groups, their split expenses and settlements
+ * @module routes/groupRoutes
+ */
+
+const express = require('express');
+const router = express.Router();
+const groupController = require('../controllers/groupController');
+
+/**
+ * @route   GET /api/groups
+ * @desc    Get the groups the user belongs to
+ * @access  Private
+ */
+router.get('/', groupController.getGroups);
+
+/**
+ * @route   POST /api/groups
+ * @desc    Create a group
+ * @access  Private
+ */
+router.post('/', groupController.createGroup);
+
+/**
+ * @route   GET /api/groups/:id
+ * @desc    Get a group with member balances and suggested settlements
+ * @access  Private
+ */
+router.get('/:id', groupController.getGroup);
+
+/**
+ * @route   PUT /api/groups/:id
+ * @desc    Rename a group
+ * @access  Private
+ */
+router.put('/:id', groupController.updateGroup);
+
+/**
+ * @route   DELETE /api/groups/:id
+ * @desc    Delete a group, keeping its expenses as personal expenses
+ * @access  Private
+ */
+router.delete('/:id', groupController.deleteGroup);
+
+/**
+ * @route   POST /api/groups/:id/members
+ * @desc    Add a user to a group by email
+ * @access  Private
+ */
+router.post('/:id/members', groupController.addMember);
+
+/**
+ * @route   DELETE /api/groups/:id/members/:userId
+ * @desc    Remove a member from a group
+ * @access  Private
+ */
+router.delete('/:id/members/:userId', groupController.removeMember);
+
+/**
+ * @route   GET /api/groups/:id/expenses
+ * @desc    Get a group's expenses
+ * @access  Private
+ */
+router.get('/:id/expenses', groupController.getGroupExpenses);
+
+/**
+ * @route   POST /api/groups/:id/expenses
+ * @desc    Add an expense split between group members
+ * @access  Private
+ */
+router.post('/:id/expenses', groupController.createGroupExpense);
+
+/**
+ * @route   PUT /api/groups/:id/expenses/:expenseId
+ * @desc    Update a group expense and its split
+ * @access  Private
+ */
+router.put('/:id/expenses/:expenseId', groupController.updateGroupExpense);
+
+/**
+ * @route   DELETE /api/groups/:id/expenses/:expenseId
+ * @desc    Delete a group expense
+ * @access  Private
+ */
+router.delete('/:id/expenses/:expenseId', groupController.deleteGroupExpense);
+
+/**
+ * @route   GET /api/groups/:id/settlements
+ * @desc    Get a group's settlements
+ * @access  Private
+ */
+router.get('/:id/settlements', groupController.getSettlements);
+
+/**
+ * @route   POST /api/groups/:id/settlements
+ * @desc    Record a payment between group members
+ * @access  Private
+ */
+router.post('/:id/settlements', groupController.createSettlement);
+
+/**
+ * @route   DELETE /api/groups/:id/settlements/:settlementId
+ * @desc    Delete a settlement
+ * @access  Private
+ */
+router.delete('/:id/settlements/:settlementId', groupController.deleteSettlement);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+/**
+ * Routes for income operations
+ * @module routes/incomeRoutes
+ */
+
+const express = require('express');
+const router = express.Router();
+const incomeController = require('../controllers/incomeController');
+
+/**
+ * @route   GET /api/income
+ * @desc    Get all income, newest first
+ * @access  Private
+ */
+router.get('/', incomeController.getIncomes);
+
+/**
+ * @route   GET /api/income/cashflow
+ * @desc    Get income, expenses, net savings and savings rate per month of a year
+ * @access  Private
+ */
+router.get('/cashflow', incomeController.getCashFlow);
+
+/**
+ * @route   GET /api/income/:id
+ * @desc    Get a single income record by ID
+ * @access  Private
+ */
+router.get('/:id', incomeController.getIncome);
+
+/**
+ * @route   POST /api/income
+ * @desc    Record new income
+ * @access  Private
+ */
+router.post('/', incomeController.createIncome);
+
+/**
+ * @route   PUT /api/income/:id
+ * @desc    Update an income record
+ * @access  Private
+ */
+router.put('/:id', incomeController.updateIncome);
+
+/**
+ * @route   DELETE /api/income/:id
+ * @desc    Delete an income record
+ * @access  Private
+ */
+router.delete('/:id', incomeController.deleteIncome);
+
+module.exports = router;
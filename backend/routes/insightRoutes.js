@@ -0,0 +1,17 @@
+/**
+ * Routes for spending insights
+ * @module routes/insightRoutes
+ */
+
+const express = require('express');
+const router = express.Router();
+const insightController = require('../controllers/insightController');
+
+/**
+ * @route   GET /api/insights
+ * @desc    Get spending insights: this month's pace, unusually large expenses, trending categories and new titles
+ * @access  Private
+ */
+router.get('/', insightController.getInsights);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+/**
+ * Routes for exchange rate operations
+ * @module routes/rateRoutes
+ */
+
+const express = require('express');
+const router = express.Router();
+const rateController = require('../controllers/rateController');
+const { singleFile } = require('../middleware/upload');
+
+/**
+ * @route   GET /api/rates
+ * @desc    Get all exchange rates, optionally for one currency pair
+ * @access  Private
+ */
+router.get('/', rateController.getRates);
+
+/**
+ * @route   POST /api/rates
+ * @desc    Add an exchange rate
+ * @access  Private
+ */
+router.post('/', rateController.createRate);
+
+/**
+ * @route   POST /api/rates/import
+ * @desc    Import dated exchange rates from a CSV or JSON file
+ * @access  Private
+ */
+router.post(
+  '/import',
+  singleFile('file', { maxSize: 1024 * 1024, extensions: ['.csv', '.json'] }),
+  rateController.importRates
+);
+
+/**
+ * @route   DELETE /api/rates/:id
+ * @desc    Delete an exchange rate
+ * @access  Private
+ */
+router.delete('/:id', rateController.deleteRate);
+
+module.exports = router;
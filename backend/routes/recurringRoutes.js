@@ -0,0 +1,66 @@
+/**
+ * Routes for recurring expense operations
+ * @module routes/recurringRoutes
+ */
+
+const express = require('express');
+const router = express.Router();
+const recurringController = require('../controllers/recurringController');
+
+/**
+ * @route   GET /api/recurring
+ * @desc    Get all recurring expense rules
+ * @access  Private
+ */
+router.get('/', recurringController.getRecurringExpenses);
+
+/**
+ * @route   GET /api/recurring/upcoming
+ * @desc    Get upcoming occurrences of all active rules
+ * @access  Private
+ */
+router.get('/upcoming', recurringController.getUpcomingOccurrences);
+
+/**
+ * @route   GET /api/recurring/:id
+ * @desc    Get a single recurring expense rule by ID
+ * @access  Private
+ */
+router.get('/:id', recurringController.getRecurringExpense);
+
+/**
+ * @route   POST /api/recurring
+ * @desc    Create a recurring expense rule
+ * @access  Private
+ */
+router.post('/', recurringController.createRecurringExpense);
+
+/**
+ * @route   PUT /api/recurring/:id
+ * @desc    Update a recurring expense rule
+ * @access  Private
+ */
+router.put('/:id', recurringController.updateRecurringExpense);
+
+/**
+ * @route   DELETE /api/recurring/:id
+ * @desc    Delete a recurring expense rule
+ * @access  Private
+ */
+router.delete('/:id', recurringController.deleteRecurringExpense);
+
+/**
+ * @route   POST /api/recurring/:id/skip
+ * @desc    Skip (or with skipped: false, restore) an upcoming occurrence
+ * @access  Private
+ */
+router.post('/:id/skip', recurringController.setOccurrenceSkipped);
+
+/**
+ * @route   POST /api/recurring/:id/pause
+ * @desc    Pause (or with paused: false, resume) a recurring expense rule
+ * @access  Private
+ */
+router.post('/:id/pause', recurringController.setPaused);
+
+module.exports = router;
@@ -0,0 +1,63 @@
+/**
+ * Migration giving every existing user their own categories
+ * Creates the default categories plus any other category name already used by the user's
+ * expenses, budgets or recurring expenses, so existing data stays valid. Safe to run more than once.
+ *
+ * Usage: MONGODB_URI=<uri> npm run migrate:categories
+ * @module scripts/migrateCategories
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const logger = require('../config/logger');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
+const RecurringExpense = require('../models/RecurringExpense');
+
+/**
+ * Create categories for every user
+ * @async
+ * @function migrateCategories
+ * @returns {Promise<{users: number, created: number}>} Number of users migrated and categories created
+ */
+const migrateCategories = async () => {
+  let users = 0;
+  let created = 0;
+
+  for await (const user of User.find().select('_id').cursor()) {
+    const usedNames = await Promise.all([
+      Expense.distinct('category', { user: user._id }),
+      Budget.distinct('category', { user: user._id }),
+      RecurringExpense.distinct('category', { user: user._id })
+    ]);
+
+    created += await Category.createDefaults(user._id, [...new Set(usedNames.flat())]);
+    users += 1;
+  }
+
+  return { users, created };
+};
+
+if (require.main === module) {
+  dotenv.config();
+
+  if (!process.env.MONGODB_URI) {
+    logger.error('Please set the MONGODB_URI environment variable');
+    process.exit(1);
+  }
+
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(migrateCategories)
+    .then(({ users, created }) => {
+      logger.info(`Created ${created} categories for ${users} users`);
+      return mongoose.disconnect();
+    })
+    .catch((err) => {
+      logger.error(`Category migration failed: ${err.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateCategories;
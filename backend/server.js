@@ -15,7 +15,23 @@ const logger = require('./config/logger');
 dotenv.config();
 
 // Import routes
+const authRoutes = require('./routes/authRoutes');
 const expenseRoutes = require('./routes/expenseRoutes');
+const budgetRoutes = require('./routes/budgetRoutes');
+const recurringRoutes = require('./routes/recurringRoutes');
+const rateRoutes = require('./routes/rateRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const groupRoutes = require('./routes/groupRoutes');
+const incomeRoutes = require('./routes/incomeRoutes');
+const insightRoutes = require('./routes/insightRoutes');
+const forecastRoutes = require('./routes/forecastRoutes');
+
+// Import middleware
+const { protect } = require('./middleware/auth');
+
+// Import background jobs
+const { startRecurringScheduler } = require('./jobs/recurringExpenses');
+const { startTrashPurgeScheduler } = require('./jobs/purgeTrash');
 
 // Initialize Express app
 const app = express();
@@ -33,13 +49,30 @@ app.use((req, res, next) => {
 });
 
 // Routes
-app.use('/api/expenses', expenseRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/expenses', protect, expenseRoutes);
+app.use('/api/budgets', protect, budgetRoutes);
+app.use('/api/recurring', protect, recurringRoutes);
+app.use('/api/rates', protect, rateRoutes);
+app.use('/api/categories', protect, categoryRoutes);
+app.use('/api/groups', protect, groupRoutes);
+app.use('/api/income', protect, incomeRoutes);
+app.use('/api/insights', protect, insightRoutes);
+app.use('/api/forecast', protect, forecastRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
   logger.error(`Error: ${err.message}`);
   logger.error(err.stack);
   
+  // A malformed ID that no route checked is the client's mistake, not a server error
+  if (err.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      errors: [{ field: err.path, code: 'type', message: `Invalid ${err.path}` }]
+    });
+  }
+  
   const statusCode = err.statusCode || 500;
   res.status(statusCode).json({
     success: false,
@@ -63,9 +96,20 @@ const mongooseOptions = {
   serverApi: { version: '1', strict: true, deprecationErrors: true }
 };
 
+// Only `node server.js` runs the schedulers and listens; tests that require the app share one
+// process, where a second listen on the port would fail and the timers would keep it alive
+const isEntryPoint = require.main === module;
+
 mongoose.connect(MONGODB_URI, mongooseOptions)
 .then(() => {
   logger.info('MongoDB connected successfully');
+  if (!isEntryPoint) {
+    return;
+  }
+  // Create any recurring expenses that fell due while the server was down
+  startRecurringScheduler();
+  // Permanently delete expenses that have been in the trash past the retention period
+  startTrashPurgeScheduler();
   // Start server after DB connection
   app.listen(PORT, () => {
     logger.info(`Server running on port ${PORT}`);
@@ -77,11 +121,13 @@ mongoose.connect(MONGODB_URI, mongooseOptions)
   process.exit(1);
 });
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (err) => {
-  logger.error(`Unhandled Rejection: ${err.message}`);
-  logger.error(err.stack);
-  process.exit(1);
-});
+// Handle unhandled promise rejections; under a test runner they are reported as failures instead
+if (isEntryPoint) {
+  process.on('unhandledRejection', (err) => {
+    logger.error(`Unhandled Rejection: ${err.message}`);
+    logger.error(err.stack);
+    process.exit(1);
+  });
+}
 
 module.exports = app; // Export for testing
@@ -0,0 +1,35 @@
+/**
+ * File storage used for expense attachments
+ * Picks a driver from STORAGE_DRIVER (default "local"). Another backend, such as an
+ * object store, can be added by writing a driver with the same three methods and
+ * registering it in DRIVERS.
+ * @module storage
+ */
+
+const path = require('path');
+const createLocalDiskStorage = require('./localDisk');
+
+/**
+ * Storage driver interface
+ * @typedef {Object} StorageDriver
+ * @property {string} name - Name of the driver
+ * @property {function(string, Buffer, string): Promise<void>} save - Store a file under a key, with its content type
+ * @property {function(string): stream.Readable} createReadStream - Read a stored file; the stream errors with code ENOENT if it is missing
+ * @property {function(string): Promise<void>} remove - Delete a stored file; missing files are ignored
+ */
+
+// Factories for the available drivers, keyed by STORAGE_DRIVER value
+const DRIVERS = {
+  local: () => createLocalDiskStorage({
+    root: process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads')
+  })
+};
+
+const driverName = process.env.STORAGE_DRIVER || 'local';
+
+if (!DRIVERS[driverName]) {
+  throw new Error(`Unknown STORAGE_DRIVER: ${driverName}`);
+}
+
+/** @type {StorageDriver} */
+module.exports = DRIVERS[driverName]();
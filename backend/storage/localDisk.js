@@ -0,0 +1,59 @@
+/**
+ * Local disk storage driver
+ * Keeps each stored file under a root directory, at the path given by its key
+ * @module storage/localDisk
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a storage driver writing files below a directory
+ * @function createLocalDiskStorage
+ * @param {Object} options - Driver options
+ * @param {string} options.root - Directory files are stored in; created when missing
+ * @returns {Object} Storage driver implementing save, createReadStream and remove
+ */
+const createLocalDiskStorage = ({ root }) => {
+  const rootDir = path.resolve(root);
+
+  /**
+   * Resolve a key to a path, refusing keys that would leave the root directory
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   */
+  const resolve = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolve(key));
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolve(key));
+      } catch (error) {
+        // Already gone is as good as removed
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+  };
+};
+
+module.exports = createLocalDiskStorage;
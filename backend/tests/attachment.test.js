@@ -0,0 +1,151 @@
+/**
+ * Tests for expense attachment endpoints
+ * @module tests/attachment.test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep uploaded test files out of the real upload directory
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'expense-attachments-'));
+process.env.UPLOAD_DIR = uploadDir;
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+
+// Smallest files the type check accepts
+const pdfFile = Buffer.from('%PDF-1.4\n%%EOF\n');
+const pngFile = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+// Logged-in user, auth header and expense shared by the tests
+let user;
+let auth;
+let expense;
+
+/**
+ * Count the files stored for the test expense
+ * @returns {number} Number of files on disk
+ */
+const storedFiles = () => {
+  const dir = path.join(uploadDir, String(user._id), String(expense._id));
+  return fs.existsSync(dir) ? fs.readdirSync(dir).length : 0;
+};
+
+/**
+ * Clear the database and create a user with one expense before each test
+ */
+beforeEach(async () => {
+  await Expense.deleteMany({});
+  await User.deleteMany({});
+
+  user = await User.create({
+    name: 'Test User',
+    email: 'test@example.com',
+    password: 'password123'
+  });
+  auth = { Authorization: `Bearer ${user.getSignedJwtToken()}` };
+  expense = await Expense.create({ title: 'Hotel', amount: 120, category: 'Travel', user: user._id });
+});
+
+/**
+ * Close database connection and remove uploaded files after all tests
+ */
+afterAll(async () => {
+  await mongoose.connection.close();
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+/**
+ * Test suite for attachments
+ */
+describe('Attachment API', () => {
+  it('should upload a receipt and list it', async () => {
+    const res = await request(app)
+      .post(`/api/expenses/${expense._id}/attachments`)
+      .set(auth)
+      .attach('file', pdfFile, 'receipt.pdf');
+
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.data).toMatchObject({ filename: 'receipt.pdf', mimeType: 'application/pdf' });
+    expect(storedFiles()).toBe(1);
+
+    const list = await request(app).get(`/api/expenses/${expense._id}/attachments`).set(auth);
+    expect(list.body.count).toBe(1);
+  });
+
+  it('should serve the file with its detected type', async () => {
+    const upload = await request(app)
+      .post(`/api/expenses/${expense._id}/attachments`)
+      .set(auth)
+      .attach('file', pngFile, 'photo.png');
+
+    const res = await request(app)
+      .get(`/api/expenses/${expense._id}/attachments/${upload.body.data._id}`)
+      .set(auth);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['content-type']).toBe('image/png');
+  });
+
+  it('should reject files whose contents are not an image or PDF', async () => {
+    const res = await request(app)
+      .post(`/api/expenses/${expense._id}/attachments`)
+      .set(auth)
+      .attach('file', Buffer.from('not really a pdf'), 'receipt.pdf');
+
+    expect(res.statusCode).toEqual(400);
+    expect(storedFiles()).toBe(0);
+  });
+
+  it('should reject other file extensions', async () => {
+    const res = await request(app)
+      .post(`/api/expenses/${expense._id}/attachments`)
+      .set(auth)
+      .attach('file', pdfFile, 'receipt.exe');
+
+    expect(res.statusCode).toEqual(400);
+  });
+
+  it('should not let other users see attachments', async () => {
+    const other = await User.create({ name: 'Other', email: 'other@example.com', password: 'password123' });
+
+    const res = await request(app)
+      .get(`/api/expenses/${expense._id}/attachments`)
+      .set({ Authorization: `Bearer ${other.getSignedJwtToken()}` });
+
+    expect(res.statusCode).toEqual(404);
+  });
+
+  it('should delete the file with the attachment', async () => {
+    const upload = await request(app)
+      .post(`/api/expenses/${expense._id}/attachments`)
+      .set(auth)
+      .attach('file', pdfFile, 'receipt.pdf');
+
+    const res = await request(app)
+      .delete(`/api/expenses/${expense._id}/attachments/${upload.body.data._id}`)
+      .set(auth);
+
+    expect(res.statusCode).toEqual(200);
+    expect(storedFiles()).toBe(0);
+  });
+
+  it('should keep the files in the trash and delete them with the expense', async () => {
+    await request(app)
+      .post(`/api/expenses/${expense._id}/attachments`)
+      .set(auth)
+      .attach('file', pdfFile, 'receipt.pdf');
+
+    await request(app).delete(`/api/expenses/${expense._id}`).set(auth).set('If-Match', '"0"');
+    expect(storedFiles()).toBe(1);
+
+    const res = await request(app).delete(`/api/expenses/trash/${expense._id}`).set(auth);
+
+    expect(res.statusCode).toEqual(200);
+    expect(storedFiles()).toBe(0);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests for authentication API endpoints
+ * @module tests/auth.test
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+
+// Sample user data for testing
+const sampleUser = {
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'password123'
+};
+
+/**
+ * Clear the database before each test
+ */
+beforeEach(async () => {
+  await User.deleteMany({});
+});
+
+/**
+ * Close database connection after all tests
+ */
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+/**
+ * Test suite for authentication API endpoints
+ */
+describe('Auth API', () => {
+  /**
+   * Test registering a new user
+   */
+  describe('POST /api/auth/register', () => {
+    it('should register a user and return a token', async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send(sampleUser);
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.success).toBe(true);
+      expect(res.body.token).toBeDefined();
+      expect(res.body.data.email).toBe(sampleUser.email);
+      expect(res.body.data.password).toBeUndefined();
+    });
+
+    it('should store a hashed password', async () => {
+      await request(app).post('/api/auth/register').send(sampleUser);
+
+      const user = await User.findOne({ email: sampleUser.email }).select('+password');
+      expect(user.password).not.toBe(sampleUser.password);
+    });
+
+    it('should return 400 if the email is already registered', async () => {
+      await User.create(sampleUser);
+
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send(sampleUser);
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  /**
+   * Test logging in
+   */
+  describe('POST /api/auth/login', () => {
+    it('should log in with valid credentials', async () => {
+      await User.create(sampleUser);
+
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: sampleUser.email, password: sampleUser.password });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.token).toBeDefined();
+    });
+
+    it('should return 401 with an invalid password', async () => {
+      await User.create(sampleUser);
+
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: sampleUser.email, password: 'wrong-password' });
+
+      expect(res.statusCode).toEqual(401);
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  /**
+   * Test logging out
+   */
+  describe('POST /api/auth/logout', () => {
+    it('should revoke the token', async () => {
+      const user = await User.create(sampleUser);
+      const auth = { Authorization: `Bearer ${user.getSignedJwtToken()}` };
+
+      const res = await request(app).post('/api/auth/logout').set(auth);
+      expect(res.statusCode).toEqual(200);
+
+      const me = await request(app).get('/api/auth/me').set(auth);
+      expect(me.statusCode).toEqual(401);
+    });
+  });
+});
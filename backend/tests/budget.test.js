@@ -0,0 +1,144 @@
+/**
+ * Tests for budget API endpoints
+ * @module tests/budget.test
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Budget = require('../models/Budget');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+
+// Sample budget data for testing
+const sampleBudget = {
+  category: 'Food',
+  month: '2023-05',
+  limit: 100
+};
+
+// Logged-in user and auth header shared by the tests
+let user;
+let auth;
+
+/**
+ * Clear the database and log in a fresh user before each test
+ */
+beforeEach(async () => {
+  await Budget.deleteMany({});
+  await Expense.deleteMany({});
+  await User.deleteMany({});
+
+  user = await User.create({
+    name: 'Test User',
+    email: 'test@example.com',
+    password: 'password123'
+  });
+  auth = { Authorization: `Bearer ${user.getSignedJwtToken()}` };
+});
+
+/**
+ * Close database connection after all tests
+ */
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+/**
+ * Test suite for budget API endpoints
+ */
+describe('Budget API', () => {
+  /**
+   * Test creating budgets
+   */
+  describe('POST /api/budgets', () => {
+    it('should create a monthly budget', async () => {
+      const res = await request(app)
+        .post('/api/budgets')
+        .set(auth)
+        .send(sampleBudget);
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.month).toBe(sampleBudget.month);
+    });
+
+    it('should return 400 without a month for a non-recurring budget', async () => {
+      const res = await request(app)
+        .post('/api/budgets')
+        .set(auth)
+        .send({ category: 'Food', limit: 100 });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should return 400 for a duplicate budget', async () => {
+      await Budget.create({ ...sampleBudget, user: user._id });
+
+      const res = await request(app)
+        .post('/api/budgets')
+        .set(auth)
+        .send(sampleBudget);
+
+      expect(res.statusCode).toEqual(400);
+    });
+  });
+
+  /**
+   * Test budget statistics
+   */
+  describe('GET /api/budgets/stats', () => {
+    it('should report spent vs limit, preferring monthly over recurring budgets', async () => {
+      await Budget.create({ ...sampleBudget, user: user._id });
+      await Budget.create({ category: 'Food', recurring: true, limit: 1000, user: user._id });
+      await Budget.create({ category: 'Travel', recurring: true, limit: 200, user: user._id });
+      await Expense.create({ title: 'Lunch', amount: 85, category: 'Food', date: new Date('2023-05-10'), user: user._id });
+      await Expense.create({ title: 'Dinner', amount: 50, category: 'Food', date: new Date('2023-06-01'), user: user._id });
+
+      const res = await request(app)
+        .get('/api/budgets/stats')
+        .set(auth)
+        .query({ month: '2023-05' });
+
+      expect(res.statusCode).toEqual(200);
+      const food = res.body.data.budgets.find(item => item.category === 'Food');
+      expect(food.limit).toBe(100);
+      expect(food.spent).toBe(85);
+      expect(food.percentage).toBe(85);
+      expect(food.status).toBe('warning');
+      const travel = res.body.data.budgets.find(item => item.category === 'Travel');
+      expect(travel.status).toBe('ok');
+    });
+  });
+
+  /**
+   * Test overspend warnings when creating expenses
+   */
+  describe('POST /api/expenses', () => {
+    it('should warn when an expense pushes a category over budget', async () => {
+      await Budget.create({ ...sampleBudget, user: user._id });
+      await Expense.create({ title: 'Lunch', amount: 80, category: 'Food', date: new Date('2023-05-10'), user: user._id });
+
+      const res = await request(app)
+        .post('/api/expenses')
+        .set(auth)
+        .send({ title: 'Dinner', amount: 30, category: 'Food', date: '2023-05-11' });
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.warning).toBeDefined();
+    });
+
+    it('should not warn while a category is within budget', async () => {
+      await Budget.create({ ...sampleBudget, user: user._id });
+
+      const res = await request(app)
+        .post('/api/expenses')
+        .set(auth)
+        .send({ title: 'Dinner', amount: 30, category: 'Food', date: '2023-05-11' });
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.warning).toBeUndefined();
+    });
+  });
+});
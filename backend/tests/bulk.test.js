@@ -0,0 +1,129 @@
+/**
+ * Tests for the bulk expense endpoint
+ * @module tests/bulk.test
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+
+// Sample expense data for testing
+const sampleExpense = {
+  title: 'Test Expense',
+  amount: 100,
+  category: 'Food',
+  date: new Date('2023-03-10')
+};
+
+// Logged-in user, auth header and the user's expenses shared by the tests
+let user;
+let auth;
+let expenses;
+
+/**
+ * Send a bulk request
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Supertest response
+ */
+const bulk = (body) => request(app).post('/api/expenses/bulk').set(auth).send(body);
+
+/**
+ * Clear the database, log in a fresh user and give them three expenses before each test
+ */
+beforeEach(async () => {
+  await Expense.deleteMany({});
+  await User.deleteMany({});
+
+  user = await User.create({
+    name: 'Test User',
+    email: 'test@example.com',
+    password: 'password123'
+  });
+  auth = { Authorization: `Bearer ${user.getSignedJwtToken()}` };
+
+  expenses = await Expense.create([
+    { ...sampleExpense, user: user._id, title: 'Lunch', tags: ['work'] },
+    { ...sampleExpense, user: user._id, title: 'Dinner' },
+    { ...sampleExpense, user: user._id, title: 'Taxi', category: 'Transportation' }
+  ]);
+});
+
+/**
+ * Close database connection after all tests
+ */
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+/**
+ * Test suite for bulk operations
+ */
+describe('POST /api/expenses/bulk', () => {
+  it('should delete the selected expenses and report each one', async () => {
+    const missing = new mongoose.Types.ObjectId().toString();
+    const ids = [expenses[0]._id.toString(), expenses[1]._id.toString(), missing];
+
+    const res = await bulk({ action: 'delete', ids });
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data).toMatchObject({ requested: 3, succeeded: 2, failed: 1 });
+    expect(res.body.data.results[2]).toEqual({ id: missing, success: false, error: 'Expense not found' });
+    expect(await Expense.countDocuments({ user: user._id })).toBe(1);
+  });
+
+  it("should not touch another user's expenses", async () => {
+    const otherUser = await User.create({
+      name: 'Other User',
+      email: 'other@example.com',
+      password: 'password123'
+    });
+    const other = await Expense.create({ ...sampleExpense, user: otherUser._id });
+
+    const res = await bulk({ action: 'delete', ids: [other._id.toString()] });
+
+    expect(res.body.data.failed).toBe(1);
+    expect(await Expense.exists({ _id: other._id })).toBeTruthy();
+  });
+
+  it('should change the category of every expense matching the filters', async () => {
+    const res = await bulk({ action: 'setCategory', category: 'Entertainment', filters: { category: 'Food' } });
+
+    expect(res.body.data.succeeded).toBe(2);
+    expect(await Expense.countDocuments({ category: 'Entertainment' })).toBe(2);
+    expect(await Expense.countDocuments({ category: 'Transportation' })).toBe(1);
+  });
+
+  it('should add and remove tags', async () => {
+    const ids = expenses.slice(0, 2).map(expense => expense._id.toString());
+
+    await bulk({ action: 'addTags', ids, tags: ['Team', 'work'] });
+    let [lunch, dinner] = await Promise.all(ids.map(id => Expense.findById(id)));
+    expect(lunch.tags).toEqual(['work', 'team']);
+    expect(dinner.tags).toEqual(['team', 'work']);
+
+    await bulk({ action: 'removeTags', ids, tags: 'work' });
+    [lunch, dinner] = await Promise.all(ids.map(id => Expense.findById(id)));
+    expect(lunch.tags).toEqual(['team']);
+    expect(dinner.tags).toEqual(['team']);
+  });
+
+  it('should shift dates by a number of days', async () => {
+    const res = await bulk({ action: 'shiftDate', ids: [expenses[0]._id.toString()], days: -10 });
+
+    expect(res.body.data.succeeded).toBe(1);
+    const shifted = await Expense.findById(expenses[0]._id);
+    expect(shifted.date.toISOString().slice(0, 10)).toBe('2023-02-28');
+  });
+
+  it('should reject an unknown action or category', async () => {
+    const ids = [expenses[0]._id.toString()];
+
+    const unknownAction = await bulk({ action: 'archive', ids });
+    const unknownCategory = await bulk({ action: 'setCategory', category: 'Nope', ids });
+
+    expect(unknownAction.statusCode).toEqual(400);
+    expect(unknownCategory.statusCode).toEqual(400);
+  });
+});
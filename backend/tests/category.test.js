@@ -0,0 +1,136 @@
+/**
+ * Tests for category API endpoints
+ * @module tests/category.test
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Budget = require('../models/Budget');
+const Category = require('../models/Category');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const migrateCategories = require('../scripts/migrateCategories');
+
+// Logged-in user and auth header shared by the tests
+let user;
+let auth;
+
+/**
+ * Clear the database and log in a fresh user before each test
+ */
+beforeEach(async () => {
+  await Budget.deleteMany({});
+  await Category.deleteMany({});
+  await Expense.deleteMany({});
+  await User.deleteMany({});
+
+  user = await User.create({
+    name: 'Test User',
+    email: 'test@example.com',
+    password: 'password123'
+  });
+  auth = { Authorization: `Bearer ${user.getSignedJwtToken()}` };
+});
+
+/**
+ * Close database connection after all tests
+ */
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+/**
+ * Test suite for categories
+ */
+describe('Category API', () => {
+  it('should give new users the default categories', async () => {
+    const res = await request(app).get('/api/categories').set(auth);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.map(category => category.name)).toContain('Food');
+    expect(res.body.data.find(category => category.name === 'Food').color).toMatch(/^#/);
+  });
+
+  it('should create a subcategory and use it for expenses', async () => {
+    const food = await Category.findOne({ user: user._id, name: 'Food' });
+
+    const res = await request(app)
+      .post('/api/categories')
+      .set(auth)
+      .send({ name: 'Coffee', color: '#8b5a2b', icon: 'FaCoffee', parent: food._id });
+
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.data.parent).toBe(String(food._id));
+
+    const expense = await request(app)
+      .post('/api/expenses')
+      .set(auth)
+      .send({ title: 'Latte', amount: 4, category: 'Coffee' });
+    expect(expense.statusCode).toEqual(201);
+  });
+
+  it('should not nest subcategories more than one level deep', async () => {
+    const food = await Category.findOne({ user: user._id, name: 'Food' });
+    const coffee = await Category.create({ user: user._id, name: 'Coffee', parent: food._id });
+
+    const res = await request(app)
+      .post('/api/categories')
+      .set(auth)
+      .send({ name: 'Espresso', parent: coffee._id });
+
+    expect(res.statusCode).toEqual(400);
+  });
+
+  it('should reject expenses in a category the user does not have', async () => {
+    const res = await request(app)
+      .post('/api/expenses')
+      .set(auth)
+      .send({ title: 'Mystery', amount: 4, category: 'Unknown' });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error[0]).toMatch(/Category Unknown does not exist/);
+  });
+
+  it('should rename the category on existing expenses', async () => {
+    const food = await Category.findOne({ user: user._id, name: 'Food' });
+    await Expense.create({ title: 'Lunch', amount: 10, category: 'Food', user: user._id });
+
+    const res = await request(app)
+      .put(`/api/categories/${food._id}`)
+      .set(auth)
+      .send({ name: 'Groceries' });
+
+    expect(res.statusCode).toEqual(200);
+    expect(await Expense.countDocuments({ user: user._id, category: 'Groceries' })).toBe(1);
+  });
+
+  it('should require reassigning expenses before deleting a category in use', async () => {
+    const food = await Category.findOne({ user: user._id, name: 'Food' });
+    const other = await Category.findOne({ user: user._id, name: 'Other' });
+    await Expense.create({ title: 'Lunch', amount: 10, category: 'Food', user: user._id });
+
+    const refused = await request(app).delete(`/api/categories/${food._id}`).set(auth);
+    expect(refused.statusCode).toEqual(400);
+    expect(refused.body.expenseCount).toBe(1);
+
+    const res = await request(app)
+      .delete(`/api/categories/${food._id}?reassignTo=${other._id}`)
+      .set(auth);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.reassigned).toBe(1);
+    expect(await Expense.countDocuments({ user: user._id, category: 'Other' })).toBe(1);
+    expect(await Category.exists({ _id: food._id })).toBeNull();
+  });
+
+  it('should migrate category names already in use', async () => {
+    await Category.deleteMany({ user: user._id });
+    await Expense.collection.insertOne({ title: 'Old', amount: 1, category: 'Legacy', user: user._id, date: new Date() });
+
+    await migrateCategories();
+
+    const names = await Category.distinct('name', { user: user._id });
+    expect(names).toEqual(expect.arrayContaining(['Food', 'Other', 'Legacy']));
+  });
+});
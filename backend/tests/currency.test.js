@@ -0,0 +1,151 @@
+/**
+ * Tests for multi-currency expenses, exchange rates and base-currency statistics
+ * @module tests/currency.test
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Expense = require('../models/Expense');
+const ExchangeRate = require('../models/ExchangeRate');
+const User = require('../models/User');
+
+// Dated USD to INR rates as a CSV file
+const rateFile = [
+  'date,from,to,rate',
+  '2023-01-01,USD,INR,80',
+  '2023-02-01,USD,INR,82'
+].join('\n');
+
+// Logged-in user and auth header shared by the tests
+let user;
+let auth;
+
+/**
+ * Clear the database and log in a fresh user before each test
+ */
+beforeEach(async () => {
+  await ExchangeRate.deleteMany({});
+  await Expense.deleteMany({});
+  await User.deleteMany({});
+
+  user = await User.create({
+    name: 'Test User',
+    email: 'test@example.com',
+    password: 'password123'
+  });
+  auth = { Authorization: `Bearer ${user.getSignedJwtToken()}` };
+});
+
+/**
+ * Close database connection after all tests
+ */
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+/**
+ * Test suite for currencies
+ */
+describe('Currency API', () => {
+  describe('POST /api/rates/import', () => {
+    it('should import dated rates from a CSV file', async () => {
+      const res = await request(app)
+        .post('/api/rates/import')
+        .set(auth)
+        .attach('file', Buffer.from(rateFile), 'rates.csv');
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.created).toBe(2);
+      expect(await ExchangeRate.countDocuments({ user: user._id })).toBe(2);
+    });
+
+    it('should reject the whole file when a rate is invalid', async () => {
+      const res = await request(app)
+        .post('/api/rates/import')
+        .set(auth)
+        .attach('file', Buffer.from(`${rateFile}\n2023-03-01,USD,XYZ,1`), 'rates.csv');
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.error[0]).toMatch(/^Rate 3/);
+      expect(await ExchangeRate.countDocuments({ user: user._id })).toBe(0);
+    });
+  });
+
+  describe('GET /api/expenses/stats', () => {
+    beforeEach(async () => {
+      await ExchangeRate.create([
+        { user: user._id, date: '2023-01-01', from: 'USD', to: 'INR', rate: 80 },
+        { user: user._id, date: '2023-02-01', from: 'USD', to: 'INR', rate: 82 }
+      ]);
+      await Expense.create([
+        { title: 'Hotel', amount: 100, currency: 'USD', category: 'Travel', date: new Date('2023-01-15'), user: user._id },
+        { title: 'Taxi', amount: 10, currency: 'USD', category: 'Travel', date: new Date('2023-02-15'), user: user._id },
+        { title: 'Lunch', amount: 500, currency: 'INR', category: 'Food', date: new Date('2023-02-16'), user: user._id }
+      ]);
+    });
+
+    it('should convert totals to the base currency using the rate on each expense date', async () => {
+      const res = await request(app).get('/api/expenses/stats').set(auth);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.baseCurrency).toBe('INR');
+      // 100 USD at 80 + 10 USD at 82 + 500 INR
+      expect(res.body.data.total).toBe(8000 + 820 + 500);
+      expect(res.body.data.unconverted).toBe(0);
+    });
+
+    it('should use rates in reverse when the base currency changes', async () => {
+      await request(app).put('/api/auth/me').set(auth).send({ baseCurrency: 'USD' });
+
+      const res = await request(app).get('/api/expenses/stats').set(auth);
+
+      expect(res.body.data.baseCurrency).toBe('USD');
+      // 100 USD + 10 USD + 500 INR at 1/82
+      expect(res.body.data.total).toBeCloseTo(100 + 10 + 6.1, 2);
+    });
+
+    it('should leave out expenses with no rate and count them', async () => {
+      await Expense.create({ title: 'Dinner', amount: 20, currency: 'EUR', category: 'Food', date: new Date('2023-02-20'), user: user._id });
+
+      const res = await request(app).get('/api/expenses/stats').set(auth);
+
+      expect(res.body.data.total).toBe(9320);
+      expect(res.body.data.unconverted).toBe(1);
+    });
+  });
+
+  describe('GET /api/expenses', () => {
+    it('should return original and converted amounts', async () => {
+      await ExchangeRate.create({ user: user._id, date: '2023-01-01', from: 'USD', to: 'INR', rate: 80 });
+      await Expense.create({ title: 'Hotel', amount: 100, currency: 'USD', category: 'Travel', date: new Date('2023-01-15'), user: user._id });
+
+      const res = await request(app).get('/api/expenses').set(auth);
+
+      expect(res.body.baseCurrency).toBe('INR');
+      expect(res.body.totalAmount).toBe(8000);
+      expect(res.body.data[0]).toMatchObject({ amount: 100, currency: 'USD', baseAmount: 8000 });
+    });
+
+    it('should record new expenses in the base currency by default', async () => {
+      await request(app).put('/api/auth/me').set(auth).send({ baseCurrency: 'EUR' });
+
+      const res = await request(app)
+        .post('/api/expenses')
+        .set(auth)
+        .send({ title: 'Coffee', amount: 3, category: 'Food' });
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.currency).toBe('EUR');
+    });
+  });
+
+  describe('PUT /api/auth/me', () => {
+    it('should return 400 for an unsupported base currency', async () => {
+      const res = await request(app).put('/api/auth/me').set(auth).send({ baseCurrency: 'XYZ' });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.success).toBe(false);
+    });
+  });
+});
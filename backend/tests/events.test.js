@@ -0,0 +1,185 @@
+/**
+ * Tests for live expense events
+ * @module tests/events.test
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Expense = require('../models/Expense');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const {
+  MAX_BUFFERED_EVENTS,
+  publishExpenseEvent,
+  subscribeToExpenseEvents,
+  getEventsSince,
+  resetExpenseEvents
+} = require('../utils/expenseEvents');
+
+// Sample expense data for testing
+const sampleExpense = {
+  title: 'Groceries',
+  amount: 45,
+  category: 'Food',
+  date: '2023-04-02'
+};
+
+// Logged-in user, auth header and the events the user's streams received
+let user;
+let auth;
+let received;
+let unsubscribe;
+
+/**
+ * Clear the database and events, log in a fresh user and listen for their events before each test
+ */
+beforeEach(async () => {
+  await Expense.deleteMany({});
+  await Group.deleteMany({});
+  await User.deleteMany({});
+  resetExpenseEvents();
+
+  user = await User.create({
+    name: 'Test User',
+    email: 'test@example.com',
+    password: 'password123'
+  });
+  auth = { Authorization: `Bearer ${user.getSignedJwtToken()}` };
+
+  received = [];
+  unsubscribe = subscribeToExpenseEvents(user._id, event => received.push(event));
+});
+
+afterEach(() => {
+  unsubscribe();
+});
+
+/**
+ * Close database connection after all tests
+ */
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+/**
+ * Test suite for events published by expense changes
+ */
+describe('Expense events', () => {
+  it('should publish creates, updates and deletes to the owner', async () => {
+    const created = await request(app).post('/api/expenses').set(auth).send(sampleExpense);
+    const id = created.body.data._id;
+    await request(app).put(`/api/expenses/${id}`).set(auth).set('If-Match', '"0"').send({ amount: 50 });
+    await request(app).delete(`/api/expenses/${id}`).set(auth).set('If-Match', '"1"');
+
+    expect(received.map(event => event.type)).toEqual(['create', 'update', 'delete']);
+    expect(received[0].expense.title).toBe('Groceries');
+    expect(received[1].expense.amount).toBe(50);
+    expect(String(received[2].expense._id)).toBe(id);
+  });
+
+  it('should tag events with the client that made the change', async () => {
+    await request(app).post('/api/expenses').set(auth).set('X-Client-Id', 'tab-1').send(sampleExpense);
+
+    expect(received[0].clientId).toBe('tab-1');
+  });
+
+  it('should not publish to other users', async () => {
+    const other = await User.create({ name: 'Other', email: 'other@example.com', password: 'password123' });
+    const otherAuth = { Authorization: `Bearer ${other.getSignedJwtToken()}` };
+
+    await request(app).post('/api/expenses').set(otherAuth).send(sampleExpense);
+
+    expect(received).toHaveLength(0);
+  });
+
+  it('should publish group expense changes to every member', async () => {
+    const member = await User.create({ name: 'Member', email: 'member@example.com', password: 'password123' });
+    const memberAuth = { Authorization: `Bearer ${member.getSignedJwtToken()}` };
+    const memberReceived = [];
+    const unsubscribeMember = subscribeToExpenseEvents(member._id, event => memberReceived.push(event));
+
+    const group = await request(app).post('/api/groups').set(memberAuth).send({ name: 'Flat', members: [user.email] });
+    const groupUrl = `/api/groups/${group.body.data._id}/expenses`;
+    const created = await request(app).post(groupUrl).set(memberAuth).send(sampleExpense);
+    const id = created.body.data._id;
+    await request(app).put(`${groupUrl}/${id}`).set(memberAuth).send({ amount: 50 });
+    await request(app).delete(`${groupUrl}/${id}`).set(memberAuth);
+    unsubscribeMember();
+
+    expect(received.map(event => event.type)).toEqual(['create', 'update', 'delete']);
+    expect(received[1].expense.amount).toBe(50);
+    expect(String(received[2].expense._id)).toBe(id);
+    expect(memberReceived.map(event => event.type)).toEqual(['create', 'update', 'delete']);
+  });
+
+  it('should publish changes to a group expense made outside its group to every member', async () => {
+    const member = await User.create({ name: 'Member', email: 'member@example.com', password: 'password123' });
+    const memberAuth = { Authorization: `Bearer ${member.getSignedJwtToken()}` };
+
+    const group = await request(app).post('/api/groups').set(memberAuth).send({ name: 'Flat', members: [user.email] });
+    const created = await request(app).post(`/api/groups/${group.body.data._id}/expenses`).set(memberAuth).send(sampleExpense);
+    const id = created.body.data._id;
+    await request(app).put(`/api/expenses/${id}`).set(memberAuth).set('If-Match', '"0"').send({ title: 'Weekly shop' });
+    await request(app).post('/api/expenses/bulk').set(memberAuth).send({ action: 'addTags', tags: ['weekly'], ids: [id] });
+    await request(app).delete(`/api/expenses/${id}`).set(memberAuth).set('If-Match', '"2"');
+
+    expect(received.map(event => event.type)).toEqual(['create', 'update', 'reload', 'delete']);
+    expect(received[1].expense.title).toBe('Weekly shop');
+  });
+
+  it('should ask for a reload after a bulk action', async () => {
+    const created = await request(app).post('/api/expenses').set(auth).send(sampleExpense);
+
+    await request(app).post('/api/expenses/bulk').set(auth).send({
+      action: 'addTags',
+      tags: ['weekly'],
+      ids: [created.body.data._id]
+    });
+
+    expect(received[received.length - 1].type).toBe('reload');
+  });
+});
+
+/**
+ * Test suite for catching up after a reconnect
+ */
+describe('getEventsSince', () => {
+  it('should return the events after the last one seen', () => {
+    const first = publishExpenseEvent(user._id, 'create', { _id: 'a' });
+    const second = publishExpenseEvent(user._id, 'update', { _id: 'a' });
+    const third = publishExpenseEvent(user._id, 'delete', { _id: 'a' });
+
+    expect(getEventsSince(user._id, first.id).map(event => event.id)).toEqual([second.id, third.id]);
+    expect(getEventsSince(user._id, third.id)).toEqual([]);
+  });
+
+  it('should not replay other users\' events', () => {
+    const first = publishExpenseEvent(user._id, 'create', { _id: 'a' });
+    publishExpenseEvent(new mongoose.Types.ObjectId(), 'create', { _id: 'b' });
+
+    expect(getEventsSince(user._id, first.id)).toEqual([]);
+  });
+
+  it('should return null for IDs it cannot resume from', () => {
+    const first = publishExpenseEvent(user._id, 'create', { _id: 'a' });
+    for (let i = 0; i < MAX_BUFFERED_EVENTS + 1; i++) {
+      publishExpenseEvent(user._id, 'update', { _id: 'a' });
+    }
+
+    expect(getEventsSince(user._id, first.id)).toBeNull();
+    expect(getEventsSince(user._id, 'ffffffff-1')).toBeNull();
+    expect(getEventsSince(user._id, 'not-an-id')).toBeNull();
+  });
+});
+
+/**
+ * Test suite for GET /api/expenses/events
+ */
+describe('GET /api/expenses/events', () => {
+  it('should need a logged-in user', async () => {
+    const res = await request(app).get('/api/expenses/events');
+
+    expect(res.statusCode).toBe(401);
+  });
+});
@@ -7,6 +7,7 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../server');
 const Expense = require('../models/Expense');
+const User = require('../models/User');
 
 // Sample expense data for testing
 const sampleExpense = {
@@ -16,11 +17,23 @@ const sampleExpense = {
   description: 'Test description'
 };
 
+// Logged-in user and auth header shared by the tests
+let user;
+let auth;
+
 /**
- * Clear the database before each test
+ * Clear the database and log in a fresh user before each test
  */
 beforeEach(async () => {
   await Expense.deleteMany({});
+  await User.deleteMany({});
+
+  user = await User.create({
+    name: 'Test User',
+    email: 'test@example.com',
+    password: 'password123'
+  });
+  auth = { Authorization: `Bearer ${user.getSignedJwtToken()}` };
 });
 
 /**
@@ -41,6 +54,7 @@ describe('Expense API', () => {
     it('should create a new expense', async () => {
       const res = await request(app)
         .post('/api/expenses')
+        .set(auth)
         .send(sampleExpense);
       
       expect(res.statusCode).toEqual(201);
@@ -50,14 +64,43 @@ describe('Expense API', () => {
       expect(res.body.data.amount).toBe(sampleExpense.amount);
     });
 
+    it('should reject fields a client may not set', async () => {
+      const res = await request(app)
+        .post('/api/expenses')
+        .set(auth)
+        .send({ ...sampleExpense, deletedAt: new Date(), createdAt: '2020-01-01', __v: 7 });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.errors.map(err => err.field)).toEqual(['deletedAt', 'createdAt', '__v']);
+      expect(res.body.errors[0].code).toBe('unknown');
+      expect(await Expense.countDocuments({ user: user._id })).toBe(0);
+    });
+
     it('should return 400 if required fields are missing', async () => {
       const res = await request(app)
         .post('/api/expenses')
+        .set(auth)
         .send({ title: 'Missing Fields' });
       
       expect(res.statusCode).toEqual(400);
       expect(res.body.success).toBe(false);
-      expect(res.body.error).toBeDefined();
+      expect(res.body.errors).toEqual([
+        { field: 'amount', code: 'required', message: 'Amount is required' }
+      ]);
+    });
+
+    it('should report every invalid field', async () => {
+      const res = await request(app)
+        .post('/api/expenses')
+        .set(auth)
+        .send({ ...sampleExpense, title: 'x'.repeat(101), amount: -5, date: 'someday' });
+      
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.errors.map(err => `${err.field}:${err.code}`)).toEqual([
+        'title:maxLength',
+        'amount:exclusiveMin',
+        'date:type'
+      ]);
     });
   });
 
@@ -67,14 +110,15 @@ describe('Expense API', () => {
   describe('GET /api/expenses', () => {
     it('should get all expenses', async () => {
       // Create test expenses
-      await Expense.create(sampleExpense);
+      await Expense.create({ ...sampleExpense, user: user._id });
       await Expense.create({
         ...sampleExpense,
+        user: user._id,
         title: 'Second Expense',
         category: 'Transportation'
       });
 
-      const res = await request(app).get('/api/expenses');
+      const res = await request(app).get('/api/expenses').set(auth);
       
       expect(res.statusCode).toEqual(200);
       expect(res.body.success).toBe(true);
@@ -82,17 +126,121 @@ describe('Expense API', () => {
       expect(Array.isArray(res.body.data)).toBe(true);
     });
 
+    it("should not return another user's expenses", async () => {
+      const otherUser = await User.create({
+        name: 'Other User',
+        email: 'other@example.com',
+        password: 'password123'
+      });
+      await Expense.create({ ...sampleExpense, user: otherUser._id });
+      await Expense.create({ ...sampleExpense, user: user._id });
+
+      const res = await request(app).get('/api/expenses').set(auth);
+      
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.count).toBe(1);
+    });
+
+    it('should reject an unknown sort field and an invalid date', async () => {
+      const res = await request(app)
+        .get('/api/expenses')
+        .set(auth)
+        .query({ sort: 'user:asc', startDate: 'yesterday-ish' });
+      
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.errors.map(err => err.field)).toEqual(['startDate', 'sort']);
+    });
+
+    it('should return 401 without a token', async () => {
+      const res = await request(app).get('/api/expenses');
+      
+      expect(res.statusCode).toEqual(401);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should paginate expenses and report totals for the whole set', async () => {
+      for (let i = 0; i < 5; i++) {
+        await Expense.create({ ...sampleExpense, user: user._id, title: `Expense ${i}` });
+      }
+
+      const res = await request(app)
+        .get('/api/expenses')
+        .set(auth)
+        .query({ page: 2, limit: 2 });
+      
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.count).toBe(2);
+      expect(res.body.totalCount).toBe(5);
+      expect(res.body.totalAmount).toBe(500);
+      expect(res.body.page).toBe(2);
+      expect(res.body.hasMore).toBe(true);
+    });
+
+    it('should page through expenses with a cursor', async () => {
+      for (let i = 1; i <= 3; i++) {
+        await Expense.create({ ...sampleExpense, user: user._id, date: new Date(`2023-01-0${i}`) });
+      }
+
+      const first = await request(app)
+        .get('/api/expenses')
+        .set(auth)
+        .query({ limit: 2 });
+      
+      expect(first.body.hasMore).toBe(true);
+      expect(first.body.nextCursor).toBeDefined();
+
+      const second = await request(app)
+        .get('/api/expenses')
+        .set(auth)
+        .query({ limit: 2, cursor: first.body.nextCursor });
+      
+      expect(second.statusCode).toEqual(200);
+      expect(second.body.count).toBe(1);
+      expect(second.body.hasMore).toBe(false);
+      expect(new Date(second.body.data[0].date).toISOString()).toBe(new Date('2023-01-01').toISOString());
+    });
+
+    it('should return 400 for an invalid cursor', async () => {
+      const res = await request(app)
+        .get('/api/expenses')
+        .set(auth)
+        .query({ cursor: 'not-a-cursor' });
+      
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should search expense titles and descriptions by relevance', async () => {
+      // Make sure the text index exists before searching
+      await Expense.init();
+      await Expense.create({ ...sampleExpense, user: user._id, title: 'Groceries', description: 'Weekly uber delivery' });
+      await Expense.create({ ...sampleExpense, user: user._id, title: 'Uber ride', description: 'Airport' });
+      await Expense.create({ ...sampleExpense, user: user._id, title: 'Cinema', description: 'Movie night' });
+
+      const res = await request(app)
+        .get('/api/expenses')
+        .set(auth)
+        .query({ q: 'uber' });
+      
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.totalCount).toBe(2);
+      // Title matches are weighted above description matches
+      expect(res.body.data[0].title).toBe('Uber ride');
+    });
+
     it('should filter expenses by category', async () => {
       // Create test expenses with different categories
-      await Expense.create(sampleExpense);
+      await Expense.create({ ...sampleExpense, user: user._id });
       await Expense.create({
         ...sampleExpense,
+        user: user._id,
         title: 'Transportation Expense',
         category: 'Transportation'
       });
 
       const res = await request(app)
         .get('/api/expenses')
+        .set(auth)
         .query({ category: 'Food' });
       
       expect(res.statusCode).toEqual(200);
@@ -100,6 +248,43 @@ describe('Expense API', () => {
       expect(res.body.count).toBe(1);
       expect(res.body.data[0].category).toBe('Food');
     });
+
+    it('should filter expenses by any or all of the given tags', async () => {
+      await Expense.create([
+        { ...sampleExpense, user: user._id, title: 'Client lunch', tags: ['Work', 'lunch'] },
+        { ...sampleExpense, user: user._id, title: 'Taxi', tags: ['work'] },
+        { ...sampleExpense, user: user._id, title: 'Groceries', tags: ['home'] }
+      ]);
+
+      const any = await request(app).get('/api/expenses?tags=work,home').set(auth);
+      const all = await request(app).get('/api/expenses?tags=work,lunch&tagMatch=all').set(auth);
+
+      expect(any.body.totalCount).toBe(3);
+      expect(all.body.totalCount).toBe(1);
+      expect(all.body.data[0].title).toBe('Client lunch');
+      expect(all.body.data[0].tags).toEqual(['work', 'lunch']);
+    });
+  });
+
+  /**
+   * Test listing tags for autocomplete
+   */
+  describe('GET /api/expenses/tags', () => {
+    it('should list the tags in use, most used first', async () => {
+      await Expense.create([
+        { ...sampleExpense, user: user._id, tags: ['work', 'lunch'] },
+        { ...sampleExpense, user: user._id, tags: ['work'] },
+        { ...sampleExpense, user: user._id }
+      ]);
+
+      const res = await request(app).get('/api/expenses/tags').set(auth);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data).toEqual([
+        { name: 'work', count: 2 },
+        { name: 'lunch', count: 1 }
+      ]);
+    });
   });
 
   /**
@@ -107,9 +292,9 @@ describe('Expense API', () => {
    */
   describe('GET /api/expenses/:id', () => {
     it('should get a single expense by ID', async () => {
-      const expense = await Expense.create(sampleExpense);
+      const expense = await Expense.create({ ...sampleExpense, user: user._id });
 
-      const res = await request(app).get(`/api/expenses/${expense._id}`);
+      const res = await request(app).get(`/api/expenses/${expense._id}`).set(auth);
       
       expect(res.statusCode).toEqual(200);
       expect(res.body.success).toBe(true);
@@ -118,12 +303,19 @@ describe('Expense API', () => {
 
     it('should return 404 if expense not found', async () => {
       const nonExistentId = new mongoose.Types.ObjectId();
-      const res = await request(app).get(`/api/expenses/${nonExistentId}`);
+      const res = await request(app).get(`/api/expenses/${nonExistentId}`).set(auth);
       
       expect(res.statusCode).toEqual(404);
       expect(res.body.success).toBe(false);
       expect(res.body.error).toBe('Expense not found');
     });
+
+    it('should return 400 for a malformed ID', async () => {
+      const res = await request(app).get('/api/expenses/not-an-id').set(auth);
+      
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.errors).toEqual([{ field: 'id', code: 'type', message: 'Not a valid ID' }]);
+    });
   });
 
   /**
@@ -131,7 +323,7 @@ describe('Expense API', () => {
    */
   describe('PUT /api/expenses/:id', () => {
     it('should update an expense', async () => {
-      const expense = await Expense.create(sampleExpense);
+      const expense = await Expense.create({ ...sampleExpense, user: user._id });
       const updatedData = {
         title: 'Updated Title',
         amount: 200
@@ -139,6 +331,8 @@ describe('Expense API', () => {
 
       const res = await request(app)
         .put(`/api/expenses/${expense._id}`)
+        .set(auth)
+        .set('If-Match', '"0"')
         .send(updatedData);
       
       expect(res.statusCode).toEqual(200);
@@ -147,12 +341,86 @@ describe('Expense API', () => {
       expect(res.body.data.amount).toBe(updatedData.amount);
       // Category should remain unchanged
       expect(res.body.data.category).toBe(sampleExpense.category);
+      // Each change produces a new version
+      expect(res.headers.etag).toBe('"1"');
+    });
+
+    it('should expose the version as an ETag', async () => {
+      const expense = await Expense.create({ ...sampleExpense, user: user._id });
+
+      const res = await request(app).get(`/api/expenses/${expense._id}`).set(auth);
+
+      expect(res.headers.etag).toBe('"0"');
+      expect(res.body.data.__v).toBe(0);
+    });
+
+    it('should require the version in If-Match', async () => {
+      const expense = await Expense.create({ ...sampleExpense, user: user._id });
+
+      const res = await request(app)
+        .put(`/api/expenses/${expense._id}`)
+        .set(auth)
+        .send({ title: 'Updated Title' });
+
+      expect(res.statusCode).toEqual(428);
+    });
+
+    it('should not accept the If-Match wildcard in place of the version', async () => {
+      const expense = await Expense.create({ ...sampleExpense, user: user._id });
+
+      const res = await request(app)
+        .put(`/api/expenses/${expense._id}`)
+        .set(auth)
+        .set('If-Match', '*')
+        .send({ title: 'Updated Title' });
+
+      expect(res.statusCode).toEqual(428);
+      expect((await Expense.findById(expense._id)).title).toBe(sampleExpense.title);
+    });
+
+    it('should refuse an update based on an outdated version and return the current copy', async () => {
+      const expense = await Expense.create({ ...sampleExpense, user: user._id });
+      await request(app)
+        .put(`/api/expenses/${expense._id}`)
+        .set(auth)
+        .set('If-Match', '"0"')
+        .send({ title: 'First edit' });
+
+      const res = await request(app)
+        .put(`/api/expenses/${expense._id}`)
+        .set(auth)
+        .set('If-Match', '"0"')
+        .send({ title: 'Second edit' });
+
+      expect(res.statusCode).toEqual(412);
+      expect(res.headers.etag).toBe('"1"');
+      expect(res.body.data.title).toBe('First edit');
+      expect((await Expense.findById(expense._id)).title).toBe('First edit');
+    });
+
+    it('should not change fields the server manages', async () => {
+      const expense = await Expense.create({ ...sampleExpense, user: user._id });
+
+      const res = await request(app)
+        .put(`/api/expenses/${expense._id}`)
+        .set(auth)
+        .set('If-Match', '"0"')
+        .send({ title: 'Renamed', deletedAt: new Date(), recurringExpense: new mongoose.Types.ObjectId() });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.errors.map(err => err.field)).toEqual(['deletedAt', 'recurringExpense']);
+      const saved = await Expense.findById(expense._id);
+      expect(saved.title).toBe(sampleExpense.title);
+      expect(saved.deletedAt).toBeNull();
+      expect(saved.recurringExpense).toBeUndefined();
     });
 
     it('should return 404 if expense not found', async () => {
       const nonExistentId = new mongoose.Types.ObjectId();
       const res = await request(app)
         .put(`/api/expenses/${nonExistentId}`)
+        .set(auth)
+        .set('If-Match', '"0"')
         .send({ title: 'Updated Title' });
       
       expect(res.statusCode).toEqual(404);
@@ -165,25 +433,50 @@ describe('Expense API', () => {
    */
   describe('DELETE /api/expenses/:id', () => {
     it('should delete an expense', async () => {
-      const expense = await Expense.create(sampleExpense);
+      const expense = await Expense.create({ ...sampleExpense, user: user._id });
 
-      const res = await request(app).delete(`/api/expenses/${expense._id}`);
+      const res = await request(app).delete(`/api/expenses/${expense._id}`).set(auth).set('If-Match', '"0"');
       
       expect(res.statusCode).toEqual(200);
       expect(res.body.success).toBe(true);
       
-      // Verify expense is deleted from database
+      // Verify expense is in the trash and hidden from queries
       const deletedExpense = await Expense.findById(expense._id);
       expect(deletedExpense).toBeNull();
     });
 
+    it("should not delete another user's expense", async () => {
+      const otherUser = await User.create({
+        name: 'Other User',
+        email: 'other@example.com',
+        password: 'password123'
+      });
+      const expense = await Expense.create({ ...sampleExpense, user: otherUser._id });
+
+      const res = await request(app).delete(`/api/expenses/${expense._id}`).set(auth).set('If-Match', '"0"');
+      
+      expect(res.statusCode).toEqual(404);
+      expect(await Expense.findById(expense._id)).not.toBeNull();
+    });
+
     it('should return 404 if expense not found', async () => {
       const nonExistentId = new mongoose.Types.ObjectId();
-      const res = await request(app).delete(`/api/expenses/${nonExistentId}`);
+      const res = await request(app).delete(`/api/expenses/${nonExistentId}`).set(auth).set('If-Match', '"0"');
       
       expect(res.statusCode).toEqual(404);
       expect(res.body.success).toBe(false);
     });
+
+    it('should not delete an expense changed since it was loaded', async () => {
+      const expense = await Expense.create({ ...sampleExpense, user: user._id });
+      expense.title = 'Changed elsewhere';
+      await expense.save();
+
+      const res = await request(app).delete(`/api/expenses/${expense._id}`).set(auth).set('If-Match', '"0"');
+
+      expect(res.statusCode).toEqual(412);
+      expect(await Expense.findById(expense._id)).not.toBeNull();
+    });
   });
 
   /**
@@ -192,22 +485,120 @@ describe('Expense API', () => {
   describe('GET /api/expenses/stats', () => {
     it('should get expense statistics', async () => {
       // Create test expenses
-      await Expense.create(sampleExpense);
+      await Expense.create({ ...sampleExpense, user: user._id });
       await Expense.create({
         ...sampleExpense,
+        user: user._id,
         title: 'Transportation Expense',
         category: 'Transportation',
         amount: 50
       });
 
-      const res = await request(app).get('/api/expenses/stats');
+      const res = await request(app).get('/api/expenses/stats').set(auth);
       
       expect(res.statusCode).toEqual(200);
       expect(res.body.success).toBe(true);
       expect(res.body.data).toHaveProperty('total');
       expect(res.body.data).toHaveProperty('byCategory');
-      expect(res.body.data).toHaveProperty('byMonth');
+      expect(res.body.data).toHaveProperty('byPeriod');
       expect(res.body.data.total).toBe(150); // Sum of all expense amounts
+      expect(res.body.data.comparison).toBeNull();
+    });
+
+    it('should limit statistics to a period and compare with the month before', async () => {
+      await Expense.create([
+        { ...sampleExpense, user: user._id, amount: 40, date: new Date('2023-02-10') },
+        { ...sampleExpense, user: user._id, amount: 60, date: new Date('2023-03-05') },
+        { ...sampleExpense, user: user._id, amount: 90, date: new Date('2023-03-31T22:00:00Z') },
+        { ...sampleExpense, user: user._id, amount: 500, date: new Date('2023-04-01') }
+      ]);
+
+      const res = await request(app)
+        .get('/api/expenses/stats?from=2023-03-01&to=2023-03-31&granularity=week')
+        .set(auth);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.total).toBe(150);
+      expect(res.body.data.count).toBe(2);
+      // Weeks start on Monday, so the first bucket begins in February
+      expect(res.body.data.byPeriod[0]).toEqual({ start: '2023-02-27', total: 60, count: 1 });
+      expect(res.body.data.byPeriod).toHaveLength(5);
+      expect(res.body.data.comparison).toMatchObject({
+        from: '2023-02-01',
+        to: '2023-02-28',
+        total: 40,
+        change: { total: { difference: 110, percentage: 275 } }
+      });
+    });
+
+    it('should read period boundaries in the requested time zone', async () => {
+      // 22:00 UTC on 31 March is already 1 April in Kolkata
+      await Expense.create({ ...sampleExpense, user: user._id, date: new Date('2023-03-31T22:00:00Z') });
+
+      const res = await request(app)
+        .get('/api/expenses/stats?from=2023-04-01&to=2023-04-30&timezone=Asia/Kolkata&compare=none')
+        .set(auth);
+
+      expect(res.body.data.total).toBe(100);
+      expect(res.body.data.byPeriod).toEqual([{ start: '2023-04-01', total: 100, count: 1 }]);
+      expect(res.body.data.comparison).toBeNull();
+    });
+
+    it('should apply the same filters as the expense list', async () => {
+      await Expense.create([
+        { ...sampleExpense, user: user._id, date: new Date('2023-03-31T18:00:00Z') },
+        { ...sampleExpense, user: user._id, category: 'Transportation', amount: 50, date: new Date('2023-03-10') },
+        { ...sampleExpense, user: user._id, amount: 70, date: new Date('2023-04-01') }
+      ]);
+
+      const query = 'category=Food&startDate=2023-03-01&endDate=2023-03-31';
+      const [stats, list] = await Promise.all([
+        request(app).get(`/api/expenses/stats?${query}`).set(auth),
+        request(app).get(`/api/expenses?${query}`).set(auth)
+      ]);
+
+      expect(stats.body.data.total).toBe(100);
+      expect(stats.body.data.count).toBe(1);
+      expect(stats.body.data.average).toBe(100);
+      expect(list.body.totalAmount).toBe(stats.body.data.total);
+      expect(list.body.totalCount).toBe(stats.body.data.count);
+    });
+
+    it('should break totals down by tag', async () => {
+      await Expense.create([
+        { ...sampleExpense, user: user._id, tags: ['work', 'lunch'] },
+        { ...sampleExpense, user: user._id, amount: 30, tags: ['work'] },
+        { ...sampleExpense, user: user._id, amount: 20 }
+      ]);
+
+      const res = await request(app).get('/api/expenses/stats').set(auth);
+
+      expect(res.body.data.total).toBe(150);
+      expect(res.body.data.byTag).toEqual([
+        { _id: 'work', total: 130, count: 2 },
+        { _id: 'lunch', total: 100, count: 1 }
+      ]);
+    });
+
+    it('should reject an unknown granularity', async () => {
+      const res = await request(app)
+        .get('/api/expenses/stats?granularity=hour')
+        .set(auth);
+
+      expect(res.statusCode).toEqual(400);
+    });
+
+    it('should reject a period with too many buckets for its granularity', async () => {
+      const [tooLong, byYear, longest] = await Promise.all([
+        '?from=0100-01-01&to=9999-12-31&granularity=day',
+        '?from=1900-01-01&to=2099-12-31&granularity=year',
+        '?from=2020-01-01&to=2022-09-26&granularity=day'
+      ].map(query => request(app).get(`/api/expenses/stats${query}`).set(auth)));
+
+      expect(tooLong.statusCode).toEqual(400);
+      expect(byYear.statusCode).toEqual(200);
+      expect(longest.statusCode).toEqual(200);
+      expect(longest.body.data.byPeriod).toHaveLength(1000);
     });
   });
 });
@@ -0,0 +1,107 @@
+/**
+ * Tests for the expense export endpoint
+ * @module tests/export.test
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+
+// Logged-in user and auth header shared by the tests
+let user;
+let auth;
+
+/**
+ * Clear the database, log in a fresh user and add a few expenses before each test
+ */
+beforeEach(async () => {
+  await Expense.deleteMany({});
+  await User.deleteMany({});
+
+  user = await User.create({
+    name: 'Test User',
+    email: 'test@example.com',
+    password: 'password123'
+  });
+  auth = { Authorization: `Bearer ${user.getSignedJwtToken()}` };
+
+  await Expense.create([
+    { title: 'Lunch, with "team"', amount: 40, category: 'Food', date: new Date('2023-03-01'), user: user._id },
+    { title: 'Train', amount: 15, category: 'Transportation', date: new Date('2023-03-02'), user: user._id },
+    { title: 'Dinner', amount: 60, category: 'Food', date: new Date('2023-03-03'), user: user._id }
+  ]);
+});
+
+/**
+ * Close database connection after all tests
+ */
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+/**
+ * Test suite for exporting expenses
+ */
+describe('GET /api/expenses/export', () => {
+  it('should export filtered expenses as CSV in the requested order', async () => {
+    const res = await request(app)
+      .get('/api/expenses/export?format=csv&category=Food&sort=date:asc')
+      .set(auth);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="expenses-.*\.csv"/);
+    expect(res.text.trim().split('\n')).toEqual([
+      'Date,Title,Category,Amount,Currency,Description',
+      '2023-03-01,"Lunch, with ""team""",Food,40,INR,',
+      '2023-03-03,Dinner,Food,60,INR,'
+    ]);
+  });
+
+  it('should export expenses as JSON', async () => {
+    const res = await request(app)
+      .get('/api/expenses/export?format=json&startDate=2023-03-02')
+      .set(auth);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.map(expense => expense.title)).toEqual(['Dinner', 'Train']);
+  });
+
+  it('should export expenses as an XLSX workbook', async () => {
+    const res = await request(app)
+      .get('/api/expenses/export?format=xlsx')
+      .set(auth)
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['content-type']).toMatch(/spreadsheetml/);
+    // XLSX files are zip archives
+    expect(res.body.subarray(0, 2).toString()).toBe('PK');
+  });
+
+  it('should not export other users\' expenses', async () => {
+    const other = await User.create({ name: 'Other', email: 'other@example.com', password: 'password123' });
+    const res = await request(app)
+      .get('/api/expenses/export?format=json')
+      .set({ Authorization: `Bearer ${other.getSignedJwtToken()}` });
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toEqual([]);
+  });
+
+  it('should return 400 for an unknown format', async () => {
+    const res = await request(app)
+      .get('/api/expenses/export?format=pdf')
+      .set(auth);
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.success).toBe(false);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Tests for spending forecasts
+ * @module tests/forecast.test
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Expense = require('../models/Expense');
+const RecurringExpense = require('../models/RecurringExpense');
+const User = require('../models/User');
+const { buildForecast, getScheduledOccurrences } = require('../utils/forecast');
+
+// Fixed current time for the computation tests
+const now = new Date('2023-06-20T12:00:00Z');
+
+/**
+ * Build an expense as the forecast query returns it
+ * @param {string} date - Day of the expense in YYYY-MM-DD format
+ * @param {number} baseAmount - Amount in the base currency
+ * @param {Object} [fields] - Category and recurringExpense
+ * @returns {Object} Expense
+ */
+const expenseOn = (date, baseAmount, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  category: 'Food',
+  date: new Date(`${date}T00:00:00Z`),
+  baseAmount,
+  ...fields
+});
+
+// Monthly rent rule that created February to May and is due again on 28 June
+const rentRule = {
+  category: 'Housing',
+  baseAmount: 1000,
+  frequency: 'monthly',
+  interval: 1,
+  dayOfMonth: 28,
+  startDate: new Date('2023-02-28T00:00:00Z'),
+  nextDate: new Date('2023-06-28T00:00:00Z'),
+  occurrenceCount: 4,
+  skippedDates: []
+};
+
+/**
+ * February to May 2023: groceries early and late each month, and the rent the rule created
+ * The groceries after the 20th alternate between 200 and 300.
+ * @returns {Array<Object>} Expenses
+ */
+const history = () => [2, 3, 4, 5].flatMap(month => [
+  expenseOn(`2023-0${month}-05`, 100),
+  expenseOn(`2023-0${month}-25`, month % 2 === 0 ? 200 : 300),
+  expenseOn(`2023-0${month}-28`, 1000, { category: 'Housing', recurringExpense: new mongoose.Types.ObjectId() })
+]);
+
+// Logged-in user and auth header shared by the API tests
+let user;
+let auth;
+
+/**
+ * Clear the database and log in a fresh user before each test
+ */
+beforeEach(async () => {
+  await Expense.deleteMany({});
+  await RecurringExpense.deleteMany({});
+  await User.deleteMany({});
+
+  user = await User.create({
+    name: 'Test User',
+    email: 'test@example.com',
+    password: 'password123'
+  });
+  auth = { Authorization: `Bearer ${user.getSignedJwtToken()}` };
+});
+
+/**
+ * Close database connection after all tests
+ */
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+/**
+ * Test suite for computing forecasts
+ */
+describe('buildForecast', () => {
+  it('should project the rest of the month from the same days of past months', () => {
+    const forecast = buildForecast([...history(), expenseOn('2023-06-05', 120)], [rentRule], now);
+    const food = forecast.monthEnd.byCategory.find(item => item.category === 'Food');
+
+    expect(forecast).toMatchObject({ year: 2023, month: 6, dayOfMonth: 20, historyMonths: 4 });
+    // 120 so far and 250 on average after the 20th, give or take 1.28 standard deviations
+    expect(food).toEqual({ category: 'Food', actual: 120, scheduled: 0, projected: 370, low: 296.1, high: 443.9 });
+  });
+
+  it('should count occurrences recurring rules still have to create', () => {
+    const forecast = buildForecast([...history(), expenseOn('2023-06-05', 120)], [rentRule], now);
+
+    expect(forecast.monthEnd.byCategory[0]).toEqual({
+      category: 'Housing', actual: 0, scheduled: 1000, projected: 1000, low: 1000, high: 1000
+    });
+    expect(forecast.yearEnd.byCategory[0]).toMatchObject({ category: 'Housing', actual: 4000, scheduled: 7000, projected: 11000 });
+  });
+
+  it('should project the rest of the year from monthly moving averages', () => {
+    const forecast = buildForecast([...history(), expenseOn('2023-06-05', 120)], [rentRule], now);
+    const food = forecast.yearEnd.byCategory.find(item => item.category === 'Food');
+
+    // 1520 so far, 250 more this month and 350 in each of the six months left
+    expect(food).toEqual({ category: 'Food', actual: 1520, scheduled: 0, projected: 3870, low: 3674.48, high: 4065.52 });
+    expect(forecast.yearEnd).toMatchObject({ actual: 5520, scheduled: 7000, projected: 14870 });
+  });
+
+  it('should combine category bands into a narrower total band', () => {
+    const forecast = buildForecast([
+      ...history(),
+      ...history().map(expense => ({ ...expense, category: expense.recurringExpense ? 'Housing' : 'Travel' }))
+    ], [], now);
+    const bandSum = forecast.monthEnd.byCategory.reduce((sum, item) => sum + item.high - item.projected, 0);
+
+    expect(forecast.monthEnd.high - forecast.monthEnd.projected).toBeLessThan(bandSum);
+  });
+
+  it('should extrapolate the month so far with a wide band when there is little history', () => {
+    const forecast = buildForecast([expenseOn('2023-06-05', 100)], [], now);
+
+    expect(forecast.historyMonths).toBe(0);
+    expect(forecast.monthEnd).toMatchObject({ actual: 100, projected: 150, low: 100, high: 214 });
+  });
+
+  it('should leave out expenses without an exchange rate', () => {
+    const forecast = buildForecast([expenseOn('2023-06-05', null)], [], now);
+
+    expect(forecast.monthEnd).toEqual({ actual: 0, scheduled: 0, projected: 0, low: 0, high: 0, byCategory: [] });
+  });
+
+  it('should skip skipped occurrences and rules without an exchange rate', () => {
+    const until = new Date('2023-08-31T00:00:00Z');
+
+    expect(getScheduledOccurrences([{ ...rentRule, skippedDates: [new Date('2023-07-28T00:00:00Z')] }], until)
+      .map(occurrence => new Date(occurrence.date).toISOString().slice(0, 10))).toEqual(['2023-06-28', '2023-08-28']);
+    expect(getScheduledOccurrences([{ ...rentRule, baseAmount: null }], until)).toEqual([]);
+  });
+});
+
+/**
+ * Test suite for GET /api/forecast
+ */
+describe('GET /api/forecast', () => {
+  it('should forecast from the user\'s expenses and recurring rules', async () => {
+    const today = new Date();
+    await Expense.create({ user: user._id, title: 'Lunch', amount: 120, category: 'Food', date: today });
+    await RecurringExpense.create({
+      user: user._id, title: 'Gym', amount: 50, category: 'Healthcare', frequency: 'daily', count: 1, startDate: today
+    });
+    await RecurringExpense.create({
+      user: user._id, title: 'Rent', amount: 1000, category: 'Housing', frequency: 'daily', startDate: today, paused: true
+    });
+
+    const res = await request(app).get('/api/forecast').set(auth);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(res.body.data.baseCurrency).toBe('INR');
+    expect(res.body.data.monthEnd).toMatchObject({ actual: 120, scheduled: 50 });
+    expect(res.body.data.monthEnd.byCategory.map(item => item.category)).not.toContain('Housing');
+  });
+
+  it('should not use other users\' expenses', async () => {
+    const other = await User.create({ name: 'Other', email: 'other@example.com', password: 'password123' });
+    await Expense.create({ user: other._id, title: 'Lunch', amount: 120, category: 'Food', date: new Date() });
+
+    const res = await request(app).get('/api/forecast').set(auth);
+
+    expect(res.body.data.monthEnd.byCategory).toEqual([]);
+  });
+
+  it('should need a logged-in user', async () => {
+    const res = await request(app).get('/api/forecast');
+
+    expect(res.statusCode).toBe(401);
+  });
+});
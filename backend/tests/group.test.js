@@ -0,0 +1,239 @@
+/**
+ * Tests for groups, split expenses, balances and settlements
+ * @module tests/group.test
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Expense = require('../models/Expense');
+const Group = require('../models/Group');
+const Settlement = require('../models/Settlement');
+const User = require('../models/User');
+const { simplifyDebts } = require('../utils/settleUp');
+
+// Three users sharing a flat; auth headers keyed by name
+let alice;
+let bob;
+let carol;
+let auth;
+
+/**
+ * Create a user and remember their auth header
+ * @param {string} name - User name, also used for the email
+ * @returns {Promise<Object>} Created user
+ */
+const createUser = async (name) => {
+  const user = await User.create({ name, email: `${name}@example.com`, password: 'password123' });
+  auth[name] = { Authorization: `Bearer ${user.getSignedJwtToken()}` };
+  return user;
+};
+
+/**
+ * Clear the database and create the users before each test
+ */
+beforeEach(async () => {
+  await Expense.deleteMany({});
+  await Group.deleteMany({});
+  await Settlement.deleteMany({});
+  await User.deleteMany({});
+
+  auth = {};
+  alice = await createUser('alice');
+  bob = await createUser('bob');
+  carol = await createUser('carol');
+});
+
+/**
+ * Close database connection after all tests
+ */
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+/**
+ * Test suite for groups
+ */
+describe('Group API', () => {
+  let group;
+
+  beforeEach(async () => {
+    const res = await request(app)
+      .post('/api/groups')
+      .set(auth.alice)
+      .send({ name: 'Flat', members: ['bob@example.com', 'carol@example.com'] });
+    group = res.body.data;
+  });
+
+  it('should create a group with the members found by email', () => {
+    expect(group.members).toHaveLength(3);
+    expect(group.owner).toBe(String(alice._id));
+  });
+
+  it('should not show the group to non-members', async () => {
+    await createUser('dave');
+
+    const res = await request(app).get(`/api/groups/${group._id}`).set(auth.dave);
+
+    expect(res.statusCode).toEqual(404);
+  });
+
+  it('should split an expense equally by default', async () => {
+    const res = await request(app)
+      .post(`/api/groups/${group._id}/expenses`)
+      .set(auth.alice)
+      .send({ title: 'Groceries', amount: 100, category: 'Food' });
+
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.data.split.entries.map(entry => entry.amount)).toEqual([33.34, 33.33, 33.33]);
+  });
+
+  it('should count only each member\'s share in their personal stats', async () => {
+    await request(app)
+      .post(`/api/groups/${group._id}/expenses`)
+      .set(auth.alice)
+      .send({
+        title: 'Rent',
+        amount: 1000,
+        category: 'Housing',
+        split: { method: 'percentage', entries: [{ user: alice._id, value: 60 }, { user: bob._id, value: 40 }] }
+      });
+    await request(app)
+      .post('/api/expenses')
+      .set(auth.alice)
+      .send({ title: 'Lunch', amount: 50, category: 'Food' });
+
+    const [aliceStats, bobStats, carolStats] = await Promise.all(['alice', 'bob', 'carol']
+      .map(name => request(app).get('/api/expenses/stats').set(auth[name])));
+
+    expect(aliceStats.body.data).toMatchObject({ total: 650, count: 2 });
+    expect(bobStats.body.data).toMatchObject({ total: 400, count: 1 });
+    expect(bobStats.body.data.byCategory).toEqual([{ _id: 'Housing', total: 400 }]);
+    expect(carolStats.body.data).toMatchObject({ total: 0, count: 0 });
+
+    const [aliceList, bobList] = await Promise.all(['alice', 'bob']
+      .map(name => request(app).get('/api/expenses').set(auth[name])));
+
+    // The list holds each user's own expenses, but its total agrees with the stats
+    expect(aliceList.body).toMatchObject({ totalCount: 2, totalAmount: 650 });
+    expect(bobList.body).toMatchObject({ totalCount: 0, totalAmount: 400 });
+  });
+
+  it('should reject percentages that do not add up to 100', async () => {
+    const res = await request(app)
+      .post(`/api/groups/${group._id}/expenses`)
+      .set(auth.alice)
+      .send({
+        title: 'Rent',
+        amount: 1000,
+        category: 'Housing',
+        split: { method: 'percentage', entries: [{ user: alice._id, value: 50 }, { user: bob._id, value: 40 }] }
+      });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error).toMatch(/100/);
+  });
+
+  it('should work out balances and the fewest transfers to settle them', async () => {
+    // Alice pays 90 split equally; Bob pays 30 for himself and Carol by shares 1:2
+    await request(app)
+      .post(`/api/groups/${group._id}/expenses`)
+      .set(auth.alice)
+      .send({ title: 'Dinner', amount: 90, category: 'Food' });
+    await request(app)
+      .post(`/api/groups/${group._id}/expenses`)
+      .set(auth.bob)
+      .send({
+        title: 'Taxi',
+        amount: 30,
+        category: 'Transportation',
+        split: { method: 'shares', entries: [{ user: bob._id, value: 1 }, { user: carol._id, value: 2 }] }
+      });
+
+    const res = await request(app).get(`/api/groups/${group._id}`).set(auth.carol);
+    const balanceOf = user => res.body.data.balances.find(item => item.user === String(user._id)).balance;
+
+    expect(balanceOf(alice)).toBe(60);
+    expect(balanceOf(bob)).toBe(-10);
+    expect(balanceOf(carol)).toBe(-50);
+    expect(res.body.data.transfers).toHaveLength(2);
+  });
+
+  it('should clear balances once a settlement is recorded', async () => {
+    await request(app)
+      .post(`/api/groups/${group._id}/expenses`)
+      .set(auth.alice)
+      .send({
+        title: 'Tickets',
+        amount: 40,
+        category: 'Entertainment',
+        split: { method: 'exact', entries: [{ user: bob._id, value: 40 }] }
+      });
+
+    const settlement = await request(app)
+      .post(`/api/groups/${group._id}/settlements`)
+      .set(auth.bob)
+      .send({ to: alice._id, amount: 40 });
+    expect(settlement.statusCode).toEqual(201);
+
+    const res = await request(app).get(`/api/groups/${group._id}`).set(auth.alice);
+    expect(res.body.data.transfers).toHaveLength(0);
+  });
+
+  it('should not let a member with a balance leave', async () => {
+    await request(app)
+      .post(`/api/groups/${group._id}/expenses`)
+      .set(auth.alice)
+      .send({ title: 'Milk', amount: 3, category: 'Food' });
+
+    const res = await request(app)
+      .delete(`/api/groups/${group._id}/members/${bob._id}`)
+      .set(auth.bob);
+
+    expect(res.statusCode).toEqual(400);
+  });
+
+  it('should keep expenses as personal ones when the group is deleted', async () => {
+    await request(app)
+      .post(`/api/groups/${group._id}/expenses`)
+      .set(auth.alice)
+      .send({ title: 'Milk', amount: 3, category: 'Food' });
+
+    const res = await request(app).delete(`/api/groups/${group._id}`).set(auth.alice);
+
+    expect(res.statusCode).toEqual(200);
+    const expense = await Expense.findOne({ title: 'Milk' });
+    expect(expense.group).toBeUndefined();
+  });
+});
+
+/**
+ * Test suite for debt simplification
+ */
+describe('simplifyDebts', () => {
+  it('should settle independent debts separately', () => {
+    const transfers = simplifyDebts([
+      { user: 'a', balance: 10 },
+      { user: 'b', balance: -10 },
+      { user: 'c', balance: 5 },
+      { user: 'd', balance: -5 }
+    ]);
+
+    expect(transfers).toHaveLength(2);
+    expect(transfers).toContainEqual({ from: 'b', to: 'a', amount: 10 });
+    expect(transfers).toContainEqual({ from: 'd', to: 'c', amount: 5 });
+  });
+
+  it('should find zero-sum groups a greedy plan would miss', () => {
+    // Largest-first matching pays 9 to 12 and needs 4 transfers; {9, -9} and {-5, -7, 12} need 3
+    const transfers = simplifyDebts([
+      { user: 'a', balance: 9 },
+      { user: 'b', balance: -5 },
+      { user: 'c', balance: -9 },
+      { user: 'd', balance: -7 },
+      { user: 'e', balance: 12 }
+    ]);
+
+    expect(transfers).toHaveLength(3);
+  });
+});
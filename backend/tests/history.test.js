@@ -0,0 +1,173 @@
+/**
+ * Tests for the expense change history
+ * @module tests/history.test
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Expense = require('../models/Expense');
+const ExpenseHistory = require('../models/ExpenseHistory');
+const User = require('../models/User');
+
+// Sample expense data for testing
+const sampleExpense = {
+  title: 'Team lunch',
+  amount: 100,
+  category: 'Food',
+  date: '2023-03-10'
+};
+
+// Logged-in user, auth header and an expense created through the API
+let user;
+let auth;
+let expenseId;
+
+/**
+ * Get the history of the test expense
+ * @returns {Promise<Object>} Supertest response
+ */
+const getHistory = () => request(app).get(`/api/expenses/${expenseId}/history`).set(auth);
+
+/**
+ * Clear the database, log in a fresh user and create an expense before each test
+ */
+beforeEach(async () => {
+  await Expense.deleteMany({});
+  await ExpenseHistory.deleteMany({});
+  await User.deleteMany({});
+
+  user = await User.create({
+    name: 'Test User',
+    email: 'test@example.com',
+    password: 'password123'
+  });
+  auth = { Authorization: `Bearer ${user.getSignedJwtToken()}` };
+
+  const res = await request(app).post('/api/expenses').set(auth).send(sampleExpense);
+  expenseId = res.body.data._id;
+});
+
+/**
+ * Close database connection after all tests
+ */
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+/**
+ * Test suite for expense history
+ */
+describe('GET /api/expenses/:id/history', () => {
+  it('should record who created the expense', async () => {
+    const res = await getHistory();
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.count).toBe(1);
+    expect(res.body.data[0].action).toBe('create');
+    expect(res.body.data[0].changedBy.name).toBe('Test User');
+  });
+
+  it('should record the changed fields of an update, newest first', async () => {
+    await request(app)
+      .put(`/api/expenses/${expenseId}`)
+      .set(auth)
+      .set('If-Match', '"0"')
+      .send({ amount: 120, title: 'Team lunch' });
+
+    const res = await getHistory();
+
+    expect(res.body.data.map(entry => entry.action)).toEqual(['update', 'create']);
+    expect(res.body.data[0].changes).toEqual([{ field: 'amount', from: 100, to: 120 }]);
+  });
+
+  it('should not record an update that changes nothing', async () => {
+    await request(app)
+      .put(`/api/expenses/${expenseId}`)
+      .set(auth)
+      .set('If-Match', '"0"')
+      .send({ title: 'Team lunch' });
+
+    const res = await getHistory();
+
+    expect(res.body.count).toBe(1);
+  });
+
+  it('should keep the history of a deleted and restored expense', async () => {
+    await request(app).delete(`/api/expenses/${expenseId}`).set(auth).set('If-Match', '"0"');
+    const trashed = await getHistory();
+    await request(app).post(`/api/expenses/${expenseId}/restore`).set(auth);
+
+    const res = await getHistory();
+
+    expect(trashed.statusCode).toEqual(200);
+    expect(res.body.data.map(entry => entry.action)).toEqual(['restore', 'delete', 'create']);
+  });
+
+  it("should not show another user's history", async () => {
+    const other = await User.create({ name: 'Other', email: 'other@example.com', password: 'password123' });
+
+    const res = await request(app)
+      .get(`/api/expenses/${expenseId}/history`)
+      .set({ Authorization: `Bearer ${other.getSignedJwtToken()}` });
+
+    expect(res.statusCode).toEqual(404);
+  });
+});
+
+describe('POST /api/expenses/:id/history/:historyId/revert', () => {
+  it('should revert an expense to an earlier version and record the revert', async () => {
+    await request(app)
+      .put(`/api/expenses/${expenseId}`)
+      .set(auth)
+      .set('If-Match', '"0"')
+      .send({ amount: 120, category: 'Transportation' });
+    const created = (await getHistory()).body.data[1];
+
+    const res = await request(app)
+      .post(`/api/expenses/${expenseId}/history/${created._id}/revert`)
+      .set(auth)
+      .set('If-Match', '"1"');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data).toMatchObject({ amount: 100, category: 'Food' });
+    expect(res.headers.etag).toBe('"2"');
+
+    const latest = (await getHistory()).body.data[0];
+    expect(latest.action).toBe('revert');
+    expect(latest.revertedTo).toBe(created._id);
+    expect(latest.changes.map(change => change.field)).toEqual(['amount', 'category']);
+  });
+
+  it('should return 404 for a version of another expense', async () => {
+    const other = await request(app).post('/api/expenses').set(auth).send(sampleExpense);
+    const [otherEntry] = (await request(app).get(`/api/expenses/${other.body.data._id}/history`).set(auth)).body.data;
+
+    const res = await request(app)
+      .post(`/api/expenses/${expenseId}/history/${otherEntry._id}/revert`)
+      .set(auth)
+      .set('If-Match', '"0"');
+
+    expect(res.statusCode).toEqual(404);
+  });
+
+  it('should need the version the revert is based on, as updates do', async () => {
+    const [created] = (await getHistory()).body.data;
+    await request(app)
+      .put(`/api/expenses/${expenseId}`)
+      .set(auth)
+      .set('If-Match', '"0"')
+      .send({ amount: 120 });
+    const revert = () => request(app).post(`/api/expenses/${expenseId}/history/${created._id}/revert`).set(auth);
+
+    const missing = await revert();
+    const wildcard = await revert().set('If-Match', '*');
+    const stale = await revert().set('If-Match', '"0"');
+
+    expect(missing.statusCode).toEqual(428);
+    expect(wildcard.statusCode).toEqual(428);
+    expect(stale.statusCode).toEqual(412);
+    expect(stale.body.data.amount).toBe(120);
+    expect((await Expense.findById(expenseId)).amount).toBe(120);
+  });
+});
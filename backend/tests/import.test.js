@@ -0,0 +1,113 @@
+/**
+ * Tests for the CSV import endpoint
+ * @module tests/import.test
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+
+// Bank statement as exported by a typical bank
+const statement = [
+  'Txn Date,Narration,Debit,Notes',
+  '05/03/2023,Uber ride,"1,250.00",Airport',
+  '06/03/2023,Groceries,300,',
+  '07/03/2023,Groceries,abc,',
+  '31/02/2023,Bad date,10,'
+].join('\n');
+
+// Mapping of expense fields to the statement's columns
+const mapping = {
+  date: 'Txn Date',
+  title: 'Narration',
+  amount: 'Debit',
+  description: 'Notes'
+};
+
+// Logged-in user and auth header shared by the tests
+let user;
+let auth;
+
+/**
+ * Upload the statement to the import endpoint
+ * @param {Object} fields - Extra multipart fields
+ * @returns {Promise<Object>} Supertest response
+ */
+const upload = (fields = {}) => {
+  const req = request(app)
+    .post('/api/expenses/import')
+    .set(auth)
+    .attach('file', Buffer.from(statement), 'statement.csv');
+
+  Object.entries(fields).forEach(([key, value]) => req.field(key, value));
+  return req;
+};
+
+/**
+ * Clear the database and log in a fresh user before each test
+ */
+beforeEach(async () => {
+  await Expense.deleteMany({});
+  await User.deleteMany({});
+
+  user = await User.create({
+    name: 'Test User',
+    email: 'test@example.com',
+    password: 'password123'
+  });
+  auth = { Authorization: `Bearer ${user.getSignedJwtToken()}` };
+});
+
+/**
+ * Close database connection after all tests
+ */
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+/**
+ * Test suite for CSV import
+ */
+describe('POST /api/expenses/import', () => {
+  it('should return headers and a suggested mapping without a mapping', async () => {
+    const res = await upload();
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.headers).toEqual(['Txn Date', 'Narration', 'Debit', 'Notes']);
+    expect(res.body.data.suggestedMapping).toEqual(mapping);
+  });
+
+  it('should preview rows with validation errors and duplicates without saving', async () => {
+    await Expense.create({ title: 'Groceries', amount: 300, category: 'Food', date: new Date('2023-03-06'), user: user._id });
+
+    const res = await upload({ mapping: JSON.stringify(mapping), dateFormat: 'DD/MM/YYYY' });
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.summary).toEqual({ total: 4, valid: 2, invalid: 2, duplicates: 1, toImport: 1 });
+    expect(res.body.data.rows[0].data.amount).toBe(1250);
+    expect(res.body.data.rows[1].duplicate).toBe('existing');
+    expect(res.body.data.rows[2].errors.length).toBeGreaterThan(0);
+    expect(res.body.data.rows[3].errors.length).toBeGreaterThan(0);
+    expect(await Expense.countDocuments({ user: user._id })).toBe(1);
+  });
+
+  it('should import valid rows that are not duplicates', async () => {
+    const res = await upload({ mapping: JSON.stringify(mapping), dateFormat: 'DD/MM/YYYY', dryRun: 'false' });
+
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.data.summary.imported).toBe(2);
+
+    const expenses = await Expense.find({ user: user._id });
+    expect(expenses).toHaveLength(2);
+    expect(expenses.every(expense => expense.category === 'Other')).toBe(true);
+  });
+
+  it('should return 400 when a required field is not mapped', async () => {
+    const res = await upload({ mapping: JSON.stringify({ title: 'Narration' }) });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.success).toBe(false);
+  });
+});
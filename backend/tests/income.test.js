@@ -0,0 +1,118 @@
+/**
+ * Tests for income API endpoints and the cash-flow report
+ * @module tests/income.test
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Expense = require('../models/Expense');
+const Income = require('../models/Income');
+const User = require('../models/User');
+
+// Sample income data for testing
+const sampleIncome = {
+  title: 'May salary',
+  amount: 1000,
+  source: 'Salary',
+  date: '2023-05-01'
+};
+
+// Logged-in user and auth header shared by the tests
+let user;
+let auth;
+
+/**
+ * Clear the database and log in a fresh user before each test
+ */
+beforeEach(async () => {
+  await Income.deleteMany({});
+  await Expense.deleteMany({});
+  await User.deleteMany({});
+
+  user = await User.create({
+    name: 'Test User',
+    email: 'test@example.com',
+    password: 'password123'
+  });
+  auth = { Authorization: `Bearer ${user.getSignedJwtToken()}` };
+});
+
+/**
+ * Close database connection after all tests
+ */
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+/**
+ * Test suite for income API endpoints
+ */
+describe('Income API', () => {
+  it('should record income', async () => {
+    const res = await request(app)
+      .post('/api/income')
+      .set(auth)
+      .send(sampleIncome);
+
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.data.source).toBe('Salary');
+    expect(res.body.data.user).toBe(String(user._id));
+  });
+
+  it('should reject an unknown source and a non-positive amount', async () => {
+    const res = await request(app)
+      .post('/api/income')
+      .set(auth)
+      .send({ ...sampleIncome, amount: 0, source: 'Lottery' });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error).toHaveLength(2);
+  });
+
+  it('should not show income to other users', async () => {
+    const income = await Income.create({ ...sampleIncome, user: user._id });
+    const other = await User.create({ name: 'Other', email: 'other@example.com', password: 'password123' });
+
+    const res = await request(app)
+      .get(`/api/income/${income._id}`)
+      .set({ Authorization: `Bearer ${other.getSignedJwtToken()}` });
+
+    expect(res.statusCode).toEqual(404);
+  });
+
+  it('should report income, expenses and savings per month', async () => {
+    await Income.create([
+      { ...sampleIncome, user: user._id },
+      { title: 'Refund', amount: 200, source: 'Refund', date: '2023-05-20', user: user._id }
+    ]);
+    await Expense.create([
+      { title: 'Rent', amount: 600, category: 'Housing', date: '2023-05-03', user: user._id },
+      { title: 'Gift', amount: 50, category: 'Other', date: '2023-06-10', user: user._id }
+    ]);
+
+    const res = await request(app)
+      .get('/api/income/cashflow?year=2023')
+      .set(auth);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.byMonth).toHaveLength(12);
+    expect(res.body.data.byMonth[4]).toEqual({
+      month: 5,
+      income: 1200,
+      expenses: 600,
+      net: 600,
+      savingsRate: 50
+    });
+    expect(res.body.data.byMonth[5].savingsRate).toBeNull();
+    expect(res.body.data.net).toBe(550);
+  });
+
+  it('should reject a malformed year', async () => {
+    const res = await request(app)
+      .get('/api/income/cashflow?year=23')
+      .set(auth);
+
+    expect(res.statusCode).toEqual(400);
+  });
+});
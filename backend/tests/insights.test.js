@@ -0,0 +1,188 @@
+/**
+ * Tests for spending insights
+ * @module tests/insights.test
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const { buildInsights, normalizeTitle } = require('../utils/insights');
+
+// Fixed current time for the computation tests
+const now = new Date('2023-06-20T12:00:00Z');
+
+/**
+ * Build an expense as the insights query returns it
+ * @param {string} date - Day of the expense in YYYY-MM-DD format
+ * @param {number} baseAmount - Amount in the base currency
+ * @param {Object} [fields] - Title and category
+ * @returns {Object} Expense
+ */
+const expenseOn = (date, baseAmount, { title = 'Groceries', category = 'Food' } = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title,
+  category,
+  date: new Date(`${date}T00:00:00Z`),
+  baseAmount
+});
+
+/**
+ * Weekly groceries from February to May 2023, a steady history to compare against
+ * @returns {Array<Object>} Expenses
+ */
+const steadyHistory = () => {
+  const expenses = [];
+  for (let month = 2; month <= 5; month++) {
+    [1, 6, 11, 16].forEach((day, index) => {
+      expenses.push(expenseOn(`2023-0${month}-${String(day).padStart(2, '0')}`, 100 + index * 10));
+    });
+  }
+  return expenses;
+};
+
+// Logged-in user and auth header shared by the API tests
+let user;
+let auth;
+
+/**
+ * Clear the database and log in a fresh user before each test
+ */
+beforeEach(async () => {
+  await Expense.deleteMany({});
+  await User.deleteMany({});
+
+  user = await User.create({
+    name: 'Test User',
+    email: 'test@example.com',
+    password: 'password123'
+  });
+  auth = { Authorization: `Bearer ${user.getSignedJwtToken()}` };
+});
+
+/**
+ * Close database connection after all tests
+ */
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+/**
+ * Test suite for computing insights
+ */
+describe('buildInsights', () => {
+  it('should compare this month to date with the same days of last month', () => {
+    const insights = buildInsights([
+      expenseOn('2023-05-10', 200),
+      expenseOn('2023-05-25', 300),
+      expenseOn('2023-06-05', 250),
+      expenseOn('2023-06-21', 1000)
+    ], now);
+
+    expect(insights[0]).toEqual({
+      type: 'pace',
+      dayOfMonth: 20,
+      monthToDate: 250,
+      lastMonthToDate: 200,
+      lastMonthTotal: 500,
+      projected: 375,
+      change: 25
+    });
+  });
+
+  it('should flag an expense far above its category history', () => {
+    const big = expenseOn('2023-06-12', 900, { title: 'Wholesale order' });
+    const anomalies = buildInsights([...steadyHistory(), big], now).filter(item => item.type === 'anomaly');
+
+    expect(anomalies).toHaveLength(1);
+    expect(anomalies[0]).toMatchObject({ expenseId: big._id, category: 'Food', amount: 900, categoryAverage: 115 });
+    expect(anomalies[0].zScore).toBeGreaterThan(3);
+  });
+
+  it('should not flag expenses in categories with too little history', () => {
+    const insights = buildInsights([
+      expenseOn('2023-04-01', 10, { category: 'Travel' }),
+      expenseOn('2023-04-02', 20, { category: 'Travel' }),
+      expenseOn('2023-06-10', 5000, { category: 'Travel' })
+    ], now);
+
+    expect(insights.filter(item => item.type === 'anomaly')).toHaveLength(0);
+  });
+
+  it('should report categories trending above their rolling average', () => {
+    const insights = buildInsights([
+      ...steadyHistory(),
+      expenseOn('2023-06-01', 400),
+      expenseOn('2023-06-10', 400)
+    ], now);
+    const trend = insights.find(item => item.type === 'trend');
+
+    expect(trend).toMatchObject({ category: 'Food' });
+    expect(trend.recent).toBeGreaterThan(trend.average * 1.25);
+    expect(trend.change).toBe(Math.round((trend.recent - trend.average) / trend.average * 100));
+  });
+
+  it('should not report trends without history covering the average', () => {
+    const insights = buildInsights([
+      expenseOn('2023-05-15', 100),
+      expenseOn('2023-06-10', 500)
+    ], now);
+
+    expect(insights.filter(item => item.type === 'trend')).toHaveLength(0);
+  });
+
+  it('should list titles seen for the first time', () => {
+    const insights = buildInsights([
+      ...steadyHistory(),
+      expenseOn('2023-06-02', 60, { title: 'groceries ' }),
+      expenseOn('2023-06-03', 45, { title: 'Corner Cafe' }),
+      expenseOn('2023-06-17', 30, { title: 'corner  cafe' })
+    ], now);
+
+    expect(insights.filter(item => item.type === 'newTitle')).toEqual([
+      { type: 'newTitle', title: 'Corner Cafe', firstDate: new Date('2023-06-03T00:00:00Z'), count: 2, total: 75 }
+    ]);
+  });
+
+  it('should leave out expenses without an exchange rate', () => {
+    const insights = buildInsights([expenseOn('2023-06-05', null)], now);
+
+    expect(insights).toEqual([]);
+  });
+
+  it('should compare titles ignoring case and spacing', () => {
+    expect(normalizeTitle('  Corner   Cafe ')).toBe('corner cafe');
+  });
+});
+
+/**
+ * Test suite for GET /api/insights
+ */
+describe('GET /api/insights', () => {
+  it('should return insights for the user\'s expenses', async () => {
+    await Expense.create({ user: user._id, title: 'Lunch', amount: 120, category: 'Food', date: new Date() });
+
+    const res = await request(app).get('/api/insights').set(auth);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(res.body.baseCurrency).toBe('INR');
+    expect(res.body.data[0]).toMatchObject({ type: 'pace', monthToDate: 120 });
+  });
+
+  it('should not use other users\' expenses', async () => {
+    const other = await User.create({ name: 'Other', email: 'other@example.com', password: 'password123' });
+    await Expense.create({ user: other._id, title: 'Lunch', amount: 120, category: 'Food', date: new Date() });
+
+    const res = await request(app).get('/api/insights').set(auth);
+
+    expect(res.body.data).toEqual([]);
+  });
+
+  it('should need a logged-in user', async () => {
+    const res = await request(app).get('/api/insights');
+
+    expect(res.statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Tests for recurring expense API endpoints and scheduler
+ * @module tests/recurring.test
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Expense = require('../models/Expense');
+const RecurringExpense = require('../models/RecurringExpense');
+const User = require('../models/User');
+const { materializeDueExpenses } = require('../jobs/recurringExpenses');
+
+// Sample recurring rule data for testing
+const sampleRule = {
+  title: 'Rent',
+  amount: 1000,
+  category: 'Housing',
+  frequency: 'monthly',
+  dayOfMonth: 31,
+  startDate: '2023-01-15'
+};
+
+// Logged-in user and auth header shared by the tests
+let user;
+let auth;
+
+/**
+ * Clear the database and log in a fresh user before each test
+ */
+beforeEach(async () => {
+  await RecurringExpense.deleteMany({});
+  await Expense.deleteMany({});
+  await User.deleteMany({});
+
+  user = await User.create({
+    name: 'Test User',
+    email: 'test@example.com',
+    password: 'password123'
+  });
+  auth = { Authorization: `Bearer ${user.getSignedJwtToken()}` };
+});
+
+/**
+ * Close database connection after all tests
+ */
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+/**
+ * Test suite for recurring expenses
+ */
+describe('Recurring Expense API', () => {
+  /**
+   * Test creating a rule
+   */
+  describe('POST /api/recurring', () => {
+    it('should create a rule and the occurrences already due', async () => {
+      const res = await request(app)
+        .post('/api/recurring')
+        .set(auth)
+        .send({ ...sampleRule, count: 3 });
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.success).toBe(true);
+      expect(res.body.created).toBe(3);
+      expect(res.body.data.finished).toBe(true);
+
+      const dates = (await Expense.find({ user: user._id }).sort({ date: 1 }))
+        .map(expense => expense.date.toISOString().slice(0, 10));
+      // Day 31 falls on the last day of shorter months
+      expect(dates).toEqual(['2023-01-31', '2023-02-28', '2023-03-31']);
+    });
+
+    it('should return 400 for an unknown frequency', async () => {
+      const res = await request(app)
+        .post('/api/recurring')
+        .set(auth)
+        .send({ ...sampleRule, frequency: 'hourly' });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  /**
+   * Test the scheduler
+   */
+  describe('materializeDueExpenses', () => {
+    it('should not create duplicates when run again', async () => {
+      await RecurringExpense.create({ ...sampleRule, startDate: '2023-01-01', frequency: 'weekly', user: user._id });
+      const now = new Date('2023-01-29');
+
+      expect(await materializeDueExpenses(now)).toBe(5);
+      expect(await materializeDueExpenses(now)).toBe(0);
+      expect(await Expense.countDocuments({ user: user._id })).toBe(5);
+    });
+
+    it('should not create expenses for skipped or paused rules', async () => {
+      const rule = await RecurringExpense.create({
+        ...sampleRule,
+        startDate: '2023-01-01',
+        frequency: 'daily',
+        user: user._id,
+        skippedDates: [new Date('2023-01-02')]
+      });
+      await RecurringExpense.create({ ...sampleRule, frequency: 'daily', paused: true, user: user._id });
+
+      await materializeDueExpenses(new Date('2023-01-03'));
+
+      const dates = (await Expense.find({ recurringExpense: rule._id }).sort({ date: 1 }))
+        .map(expense => expense.date.toISOString().slice(0, 10));
+      expect(dates).toEqual(['2023-01-01', '2023-01-03']);
+      expect(await Expense.countDocuments({ user: user._id })).toBe(2);
+    });
+
+    it('should give created expenses a version for If-Match checks', async () => {
+      await RecurringExpense.create({ ...sampleRule, startDate: '2023-01-01', frequency: 'daily', user: user._id });
+
+      await materializeDueExpenses(new Date('2023-01-01'));
+
+      const expense = await Expense.findOne({ user: user._id });
+      expect(expense.__v).toBe(0);
+
+      const res = await request(app)
+        .get(`/api/expenses/${expense._id}`)
+        .set(auth);
+      expect(res.headers.etag).toBe('"0"');
+    });
+  });
+
+  /**
+   * Test skipping occurrences
+   */
+  describe('POST /api/recurring/:id/skip', () => {
+    it('should skip an upcoming occurrence', async () => {
+      const startDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      const rule = await RecurringExpense.create({ ...sampleRule, frequency: 'daily', startDate, user: user._id });
+
+      const res = await request(app)
+        .post(`/api/recurring/${rule._id}/skip`)
+        .set(auth)
+        .send({ date: startDate });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.skippedDates).toHaveLength(1);
+
+      const upcoming = await request(app).get('/api/recurring/upcoming').set(auth);
+      expect(upcoming.body.data[0].skipped).toBe(true);
+    });
+
+    it('should return 400 for a date that is not an occurrence', async () => {
+      const rule = await RecurringExpense.create({ ...sampleRule, startDate: '2099-01-01', user: user._id });
+
+      const res = await request(app)
+        .post(`/api/recurring/${rule._id}/skip`)
+        .set(auth)
+        .send({ date: '2099-01-15' });
+
+      expect(res.statusCode).toEqual(400);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests for soft delete and the expense trash
+ * @module tests/trash.test
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const { purgeTrash } = require('../jobs/purgeTrash');
+
+// Sample expense data for testing
+const sampleExpense = {
+  title: 'Test Expense',
+  amount: 100,
+  category: 'Food'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Logged-in user, auth header and the user's expenses shared by the tests
+let user;
+let auth;
+let lunch;
+let dinner;
+
+/**
+ * Clear the database, log in a fresh user and give them two expenses before each test
+ */
+beforeEach(async () => {
+  await Expense.deleteMany({});
+  await User.deleteMany({});
+
+  user = await User.create({
+    name: 'Test User',
+    email: 'test@example.com',
+    password: 'password123'
+  });
+  auth = { Authorization: `Bearer ${user.getSignedJwtToken()}` };
+
+  [lunch, dinner] = await Expense.create([
+    { ...sampleExpense, user: user._id, title: 'Lunch' },
+    { ...sampleExpense, user: user._id, title: 'Dinner', amount: 50 }
+  ]);
+});
+
+/**
+ * Close database connection after all tests
+ */
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+/**
+ * Test suite for the trash
+ */
+describe('Expense trash', () => {
+  it('should hide a deleted expense from the list and stats but show it in the trash', async () => {
+    await request(app).delete(`/api/expenses/${lunch._id}`).set(auth).set('If-Match', '"0"');
+
+    const list = await request(app).get('/api/expenses').set(auth);
+    const stats = await request(app).get('/api/expenses/stats').set(auth);
+    const trash = await request(app).get('/api/expenses/trash').set(auth);
+
+    expect(list.body.data.map(expense => expense.title)).toEqual(['Dinner']);
+    expect(stats.body.data.total).toBe(50);
+    expect(trash.body.totalCount).toBe(1);
+    expect(trash.body.data[0].title).toBe('Lunch');
+    expect(trash.body.data[0]).toHaveProperty('purgeAt');
+  });
+
+  it('should restore an expense from the trash', async () => {
+    await request(app).delete(`/api/expenses/${lunch._id}`).set(auth).set('If-Match', '"0"');
+
+    const res = await request(app).post(`/api/expenses/${lunch._id}/restore`).set(auth);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.deletedAt).toBeNull();
+    expect(await Expense.countDocuments({ user: user._id })).toBe(2);
+  });
+
+  it('should only restore expenses that are in the trash', async () => {
+    const res = await request(app).post(`/api/expenses/${dinner._id}/restore`).set(auth);
+
+    expect(res.statusCode).toEqual(404);
+  });
+
+  it('should permanently delete an expense or empty the trash', async () => {
+    await request(app).delete(`/api/expenses/${lunch._id}`).set(auth).set('If-Match', '"0"');
+    await request(app).delete(`/api/expenses/${dinner._id}`).set(auth).set('If-Match', '"0"');
+
+    const one = await request(app).delete(`/api/expenses/trash/${lunch._id}`).set(auth);
+    expect(one.statusCode).toEqual(200);
+    expect(await Expense.countDocuments({ deletedAt: { $ne: null } })).toBe(1);
+
+    const all = await request(app).delete('/api/expenses/trash').set(auth);
+    expect(all.body.data.deleted).toBe(1);
+    expect(await Expense.countDocuments({ deletedAt: { $ne: null } })).toBe(0);
+  });
+
+  it('should not permanently delete an expense that is not in the trash', async () => {
+    const res = await request(app).delete(`/api/expenses/trash/${dinner._id}`).set(auth);
+
+    expect(res.statusCode).toEqual(404);
+    expect(await Expense.exists({ _id: dinner._id })).toBeTruthy();
+  });
+
+  it('should purge expenses trashed longer ago than the retention period', async () => {
+    await Expense.updateOne({ _id: lunch._id }, { deletedAt: new Date(Date.now() - 31 * DAY_MS) });
+    await Expense.updateOne({ _id: dinner._id }, { deletedAt: new Date(Date.now() - DAY_MS) });
+
+    const purged = await purgeTrash();
+
+    expect(purged).toBe(1);
+    expect(await Expense.countDocuments({ deletedAt: { $ne: null } })).toBe(1);
+  });
+});
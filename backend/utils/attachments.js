@@ -0,0 +1,29 @@
+/**
+ * Helpers for expense attachments
+ * @module utils/attachments
+ */
+
+const storage = require('../storage');
+const logger = require('../config/logger');
+
+/**
+ * Delete the stored files of expenses that have been removed
+ * Failures are logged rather than thrown: the expenses are already gone, so a
+ * leftover file must not turn the request into an error.
+ * @async
+ * @function removeAttachmentFiles
+ * @param {Array<Object>} expenses - Deleted expenses with their attachments
+ * @returns {Promise<number>} Number of files deleted
+ */
+exports.removeAttachmentFiles = async (expenses) => {
+  const keys = expenses.flatMap(expense => (expense.attachments || []).map(attachment => attachment.key));
+  const results = await Promise.allSettled(keys.map(key => storage.remove(key)));
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      logger.error(`Error deleting attachment file ${keys[index]}: ${result.reason.message}`);
+    }
+  });
+
+  return results.filter(result => result.status === 'fulfilled').length;
+};
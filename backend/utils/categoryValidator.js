@@ -0,0 +1,29 @@
+/**
+ * Schema validator for category names
+ * Expenses, budgets and recurring rules store their category by name; the name must be
+ * one of the owning user's categories.
+ * @module utils/categoryValidator
+ */
+
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+
+/**
+ * Check that a category name exists for the user owning the document
+ * Works for documents and for update queries filtered by user.
+ * @async
+ * @param {string} name - Category name
+ * @returns {Promise<boolean>} Whether the user has a category with this name
+ */
+async function categoryExists(name) {
+  const userId = this instanceof mongoose.Query ? this.getFilter().user : this.user;
+  if (!userId || !name) {
+    return false;
+  }
+  return Boolean(await Category.exists({ user: userId, name }));
+}
+
+module.exports = {
+  validator: categoryExists,
+  message: 'Category {VALUE} does not exist'
+};
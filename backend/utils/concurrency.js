@@ -0,0 +1,88 @@
+/**
+ * Optimistic concurrency for expenses
+ * The version of an expense is its Mongoose version key, sent to clients as an ETag.
+ * Changes must send it back in an If-Match header, so an edit based on an outdated copy
+ * is refused instead of overwriting someone else's change.
+ * @module utils/concurrency
+ */
+
+const logger = require('../config/logger');
+
+/**
+ * Build the ETag of a document from its version
+ * @function toETag
+ * @param {Object} doc - Mongoose document or plain object with __v
+ * @returns {string} Quoted ETag, e.g. "3"
+ */
+const toETag = (doc) => `"${doc.__v}"`;
+
+/**
+ * Read the version from an If-Match header
+ * Weak validators are accepted and compared by their value.
+ * @function parseIfMatch
+ * @param {string} [header] - If-Match header value
+ * @returns {number|string|null|undefined} The version, '*' for the wildcard,
+ *   null when the header is not a version, or undefined when there is no header
+ */
+const parseIfMatch = (header) => {
+  if (header === undefined || header.trim() === '') {
+    return undefined;
+  }
+
+  const value = header.trim();
+  if (value === '*') {
+    return '*';
+  }
+
+  const match = /^(?:W\/)?"?(\d+)"?$/.exec(value);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Refuse a change to an expense that has been changed since the client read it
+ * Responds with 412 and the current copy, so the client can show both versions.
+ * @function versionConflict
+ * @param {Object} res - Express response object
+ * @param {Object} current - Expense as it is now
+ * @returns {Object} JSON response
+ */
+const versionConflict = (res, current) => {
+  logger.warn(`Version conflict on expense ${current._id}, now at version ${current.__v}`);
+  return res.status(412).set('ETag', toETag(current)).json({
+    success: false,
+    error: 'This expense has been changed by someone else since you loaded it',
+    data: current
+  });
+};
+
+/**
+ * Check the If-Match header of a change against the expense's version
+ * The wildcard is refused like a missing header: it would match whatever version is current,
+ * so the change could overwrite an edit the client never saw.
+ * @function checkVersion
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} expense - Expense as it is now
+ * @returns {Object|null} Error response already sent, or null when the change may go ahead
+ */
+const checkVersion = (req, res, expense) => {
+  const version = parseIfMatch(req.get('If-Match'));
+
+  if (version === undefined || version === '*') {
+    return res.status(428).json({
+      success: false,
+      error: 'Send the expense version you loaded in an If-Match header'
+    });
+  }
+  if (version !== expense.__v) {
+    return versionConflict(res, expense);
+  }
+  return null;
+};
+
+module.exports = {
+  toETag,
+  parseIfMatch,
+  versionConflict,
+  checkVersion
+};
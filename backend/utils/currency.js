@@ -0,0 +1,81 @@
+/**
+ * Helpers for converting expense amounts to a user's base currency
+ * @module utils/currency
+ */
+
+const currencies = require('../config/currencies');
+
+/**
+ * Build aggregation stages that add baseAmount, the expense amount in the base currency
+ * Uses the user's latest exchange rate dated on or before each expense, in either direction.
+ * baseAmount is null when no such rate exists, so $sum leaves those expenses out.
+ * @function conversionStages
+ * @param {ObjectId} userId - The user whose exchange rates are used
+ * @param {string} baseCurrency - Currency to convert to
+ * @returns {Array<Object>} Aggregation pipeline stages
+ */
+exports.conversionStages = (userId, baseCurrency = currencies[0]) => [
+  {
+    // Expenses saved before currencies existed are in the default currency
+    $addFields: { currency: { $ifNull: ['$currency', currencies[0]] } }
+  },
+  {
+    $lookup: {
+      from: 'exchangerates',
+      let: { currency: '$currency', date: '$date' },
+      pipeline: [
+        {
+          $match: {
+            user: userId,
+            $expr: {
+              $and: [
+                { $lte: ['$date', '$$date'] },
+                {
+                  $or: [
+                    { $and: [{ $eq: ['$from', '$$currency'] }, { $eq: ['$to', baseCurrency] }] },
+                    { $and: [{ $eq: ['$from', baseCurrency] }, { $eq: ['$to', '$$currency'] }] }
+                  ]
+                }
+              ]
+            }
+          }
+        },
+        { $sort: { date: -1 } },
+        { $limit: 1 },
+        {
+          $project: {
+            factor: {
+              $cond: [{ $eq: ['$from', '$$currency'] }, '$rate', { $divide: [1, '$rate'] }]
+            }
+          }
+        }
+      ],
+      as: 'exchangeRate'
+    }
+  },
+  {
+    $addFields: {
+      baseAmount: {
+        $cond: [
+          { $eq: ['$currency', baseCurrency] },
+          '$amount',
+          {
+            $let: {
+              vars: { factor: { $arrayElemAt: ['$exchangeRate.factor', 0] } },
+              in: {
+                $cond: [
+                  { $eq: [{ $ifNull: ['$$factor', null] }, null] },
+                  null,
+                  { $round: [{ $multiply: ['$amount', '$$factor'] }, 2] }
+                ]
+              }
+            }
+          }
+        ]
+      }
+    }
+  },
+  {
+    $project: { exchangeRate: 0 }
+  }
+];
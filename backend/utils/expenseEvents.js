@@ -0,0 +1,155 @@
+/**
+ * Live expense change events for the sessions a user has open
+ * Controllers publish every created, updated or deleted expense, a group expense to each member;
+ * open dashboards receive the events over Server-Sent Events. Each user's recent events are kept in memory so a session
+ * that lost its connection can catch up from the last event it saw.
+ * @module utils/expenseEvents
+ */
+
+const { randomBytes } = require('crypto');
+
+// Events kept per user for catching up after a reconnect
+const MAX_BUFFERED_EVENTS = 100;
+
+// Changes of a single expense; reload means many expenses changed and lists should be fetched again
+const EVENT_TYPES = ['create', 'update', 'delete', 'reload'];
+
+// Event IDs start with this server run's ID, so IDs from before a restart are recognised as unknown
+const RUN_ID = randomBytes(4).toString('hex');
+
+let sequence = 0;
+
+// User ID -> Set of listeners of open streams
+const listeners = new Map();
+
+// User ID -> { events, droppedUpTo } with the newest events last
+const buffers = new Map();
+
+/**
+ * Split an event ID into its server run and sequence number
+ * @function parseEventId
+ * @param {string} id - Event ID such as 3fa2b1c0-42
+ * @returns {Object|null} runId and seq, or null for a malformed ID
+ */
+const parseEventId = (id) => {
+  const match = /^([0-9a-f]+)-(\d+)$/.exec(String(id || ''));
+  return match ? { runId: match[1], seq: Number(match[2]) } : null;
+};
+
+/**
+ * Send an expense change to every open stream of a user and keep it for catching up
+ * @function publishExpenseEvent
+ * @param {ObjectId|string} userId - Owner of the expense
+ * @param {string} type - create, update, delete or reload
+ * @param {Object} [expense] - The expense after the change; only its ID for a delete, none for a reload
+ * @param {Object} [options] - Event options
+ * @param {string} [options.clientId] - Browser tab that made the change, so it can skip its own events
+ * @returns {Object} Published event
+ */
+const publishExpenseEvent = (userId, type, expense = null, { clientId = null } = {}) => {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown expense event type: ${type}`);
+  }
+
+  sequence += 1;
+  const key = String(userId);
+  const event = {
+    id: `${RUN_ID}-${sequence}`,
+    type,
+    expense: expense && typeof expense.toObject === 'function' ? expense.toObject() : expense,
+    clientId,
+    at: new Date().toISOString()
+  };
+
+  const buffer = buffers.get(key) || { events: [], droppedUpTo: 0 };
+  buffer.events.push(event);
+  if (buffer.events.length > MAX_BUFFERED_EVENTS) {
+    buffer.droppedUpTo = parseEventId(buffer.events.shift().id).seq;
+  }
+  buffers.set(key, buffer);
+
+  (listeners.get(key) || []).forEach(listener => listener(event));
+  return event;
+};
+
+/**
+ * Send an expense change to every open stream of several users, such as a group's members
+ * Each user gets their own event, kept for catching up like any other; repeated IDs get one.
+ * @function publishToUsers
+ * @param {Array<ObjectId|string>} userIds - Users who see the expense
+ * @param {string} type - create, update, delete or reload
+ * @param {Object} [expense] - The expense after the change; only its ID for a delete, none for a reload
+ * @param {Object} [options] - Event options, as for publishExpenseEvent
+ * @returns {Array<Object>} Published events
+ */
+const publishToUsers = (userIds, type, expense = null, options = {}) => [...new Set(userIds.map(String))]
+  .map(userId => publishExpenseEvent(userId, type, expense, options));
+
+/**
+ * Listen for a user's expense events
+ * @function subscribeToExpenseEvents
+ * @param {ObjectId|string} userId - User whose events to receive
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Function that stops listening
+ */
+const subscribeToExpenseEvents = (userId, listener) => {
+  const key = String(userId);
+  if (!listeners.has(key)) {
+    listeners.set(key, new Set());
+  }
+  listeners.get(key).add(listener);
+
+  return () => {
+    const userListeners = listeners.get(key);
+    userListeners.delete(listener);
+    if (userListeners.size === 0) {
+      listeners.delete(key);
+    }
+  };
+};
+
+/**
+ * Get the events a user missed since an event they saw
+ * @function getEventsSince
+ * @param {ObjectId|string} userId - User whose events to return
+ * @param {string} lastEventId - ID of the last event the client received
+ * @returns {Array<Object>|null} Missed events oldest first, or null when they can no longer be
+ *   replayed (the ID is from before a restart or older than the kept events)
+ */
+const getEventsSince = (userId, lastEventId) => {
+  const last = parseEventId(lastEventId);
+  const buffer = buffers.get(String(userId)) || { events: [], droppedUpTo: 0 };
+
+  if (!last || last.runId !== RUN_ID || last.seq < buffer.droppedUpTo) {
+    return null;
+  }
+  return buffer.events.filter(event => parseEventId(event.id).seq > last.seq);
+};
+
+/**
+ * Get the ID of the newest event published to anyone
+ * A client told to reload has seen everything up to here once it has fetched again.
+ * @function getLatestEventId
+ * @returns {string} Event ID
+ */
+const getLatestEventId = () => `${RUN_ID}-${sequence}`;
+
+/**
+ * Forget every listener and kept event, for tests
+ * @function resetExpenseEvents
+ */
+const resetExpenseEvents = () => {
+  listeners.clear();
+  buffers.clear();
+};
+
+module.exports = {
+  MAX_BUFFERED_EVENTS,
+  EVENT_TYPES,
+  publishExpenseEvent,
+  publishToUsers,
+  subscribeToExpenseEvents,
+  getEventsSince,
+  getLatestEventId,
+  resetExpenseEvents
+};
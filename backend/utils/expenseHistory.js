@@ -0,0 +1,89 @@
+/**
+ * Helpers for recording the change history of expenses
+ * @module utils/expenseHistory
+ */
+
+const ExpenseHistory = require('../models/ExpenseHistory');
+
+// Expense fields whose changes are recorded and restored by a revert
+const TRACKED_FIELDS = ['title', 'amount', 'currency', 'category', 'date', 'description', 'tags'];
+
+/**
+ * Copy the tracked fields of an expense
+ * @function snapshotExpense
+ * @param {Object} expense - Expense document or plain object
+ * @returns {Object} Tracked field values, with null for unset fields
+ */
+const snapshotExpense = (expense) => {
+  const source = typeof expense.toObject === 'function' ? expense.toObject() : expense;
+  return TRACKED_FIELDS.reduce((snapshot, field) => {
+    snapshot[field] = source[field] === undefined ? null : source[field];
+    return snapshot;
+  }, {});
+};
+
+/**
+ * List the tracked fields that differ between two versions of an expense
+ * @function diffSnapshots
+ * @param {Object|null} before - Earlier snapshot, or null for a new expense
+ * @param {Object} after - Later snapshot
+ * @returns {Array<{field: string, from: *, to: *}>} Changed fields in TRACKED_FIELDS order
+ */
+const diffSnapshots = (before, after) => {
+  return TRACKED_FIELDS
+    .map(field => ({
+      field,
+      from: before ? before[field] : null,
+      to: after[field]
+    }))
+    .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+};
+
+/**
+ * Build a history entry for a change to an expense, without saving it
+ * @function buildHistoryEntry
+ * @param {string} action - create, update, delete, restore or revert
+ * @param {Object} expense - The expense after the change
+ * @param {Object} [options] - Entry options
+ * @param {Object} [options.before] - Snapshot of the expense before the change
+ * @param {ObjectId} [options.userId] - User who made the change
+ * @param {ObjectId} [options.revertedTo] - History entry a revert restored
+ * @returns {Object} History entry fields
+ */
+const buildHistoryEntry = (action, expense, { before = null, userId = null, revertedTo } = {}) => {
+  const snapshot = snapshotExpense(expense);
+  return {
+    expense: expense._id,
+    action,
+    changedBy: userId,
+    changes: diffSnapshots(before, snapshot),
+    snapshot,
+    revertedTo
+  };
+};
+
+/**
+ * Record a change to an expense in its history
+ * An update or revert that changed none of the tracked fields is not recorded.
+ * @async
+ * @function recordExpenseChange
+ * @param {string} action - create, update, delete, restore or revert
+ * @param {Object} expense - The expense after the change
+ * @param {Object} [options] - Options for buildHistoryEntry
+ * @returns {Promise<Object|null>} Saved history entry, or null when nothing was recorded
+ */
+const recordExpenseChange = async (action, expense, options) => {
+  const entry = buildHistoryEntry(action, expense, options);
+  if ((action === 'update' || action === 'revert') && entry.changes.length === 0) {
+    return null;
+  }
+  return ExpenseHistory.create(entry);
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshotExpense,
+  diffSnapshots,
+  buildHistoryEntry,
+  recordExpenseChange
+};
@@ -0,0 +1,81 @@
+/**
+ * Helpers for turning expense list query parameters into a Mongo filter and sort
+ * Shared by every endpoint that reads a filtered list of expenses, so they all agree on what a filter means
+ * @module utils/expenseQuery
+ */
+
+const { normalizeTags } = require('./tags');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build the filter for a user's expenses from category, tag, date range and search parameters
+ * @function buildExpenseFilter
+ * @param {Object} userId - ID of the logged-in user
+ * @param {Object} params - Express request query
+ * @param {string} [params.category] - Category to match
+ * @param {string|Array<string>} [params.tags] - Tags to match, comma-separated or repeated
+ * @param {string} [params.tagMatch] - 'any' (default) to match expenses with any of the tags, or 'all'
+ * @param {string} [params.startDate] - Earliest date, inclusive
+ * @param {string} [params.endDate] - Latest date, inclusive
+ * @param {string} [params.q] - Full-text search over title and description
+ * @returns {{query: Object, search: string}} Mongo filter and the trimmed search text
+ */
+exports.buildExpenseFilter = (userId, { category, tags, tagMatch, startDate, endDate, q } = {}) => {
+  // Always scoped to the logged-in user
+  const query = { user: userId };
+
+  // Filter by category if provided
+  if (category) {
+    query.category = category;
+  }
+
+  // Filter by tags if provided
+  const tagList = tags ? normalizeTags(tags) : [];
+  if (tagList.length > 0) {
+    query.tags = tagMatch === 'all' ? { $all: tagList } : { $in: tagList };
+  }
+
+  // Filter by date range if provided
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = new Date(startDate);
+    if (endDate) {
+      // A plain day includes everything up to the end of that day
+      query.date = /^\d{4}-\d{2}-\d{2}$/.test(endDate)
+        ? { ...query.date, $lt: new Date(new Date(endDate).getTime() + DAY_MS) }
+        : { ...query.date, $lte: new Date(endDate) };
+    }
+  }
+
+  // Full-text search on title and description if provided
+  const search = typeof q === 'string' ? q.trim() : '';
+  if (search) {
+    query.$text = { $search: search };
+  }
+
+  return { query, search };
+};
+
+/**
+ * Build sort options from a 'field:direction' sort parameter
+ * Search results are ranked by relevance unless another sort is requested,
+ * and _id is always added as a tie-breaker for a stable order.
+ * @function buildExpenseSort
+ * @param {string} [sort] - Sort field and direction (e.g. 'date:desc'), or 'relevance'
+ * @param {string} [search] - Search text, if the query is a full-text search
+ * @returns {{sortOptions: Object, sortByDate: boolean}} Mongo sort and whether it is keyed on date
+ */
+exports.buildExpenseSort = (sort, search) => {
+  let sortOptions = { date: -1 }; // Default sort by date descending
+  if (search && (!sort || sort === 'relevance')) {
+    sortOptions = { score: { $meta: 'textScore' } };
+  } else if (sort && sort !== 'relevance') {
+    const [field, order] = sort.split(':');
+    sortOptions = { [field]: order === 'asc' ? 1 : -1 };
+  }
+  const sortByDate = Object.keys(sortOptions)[0] === 'date';
+  sortOptions._id = sortOptions.date || -1;
+
+  return { sortOptions, sortByDate };
+};
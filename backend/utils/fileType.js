@@ -0,0 +1,36 @@
+/**
+ * Detect the type of an uploaded file from its first bytes
+ * The file name and the type claimed by the browser are not trusted.
+ * @module utils/fileType
+ */
+
+// Signatures of the accepted file types; offset is where the bytes start
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', extension: '.jpg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/png', extension: '.png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/gif', extension: '.gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: 'image/webp', extension: '.webp', bytes: [0x57, 0x45, 0x42, 0x50], offset: 8 },
+  { mimeType: 'application/pdf', extension: '.pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }
+];
+
+/**
+ * Work out whether a file is one of the accepted image or PDF types
+ * @function detectFileType
+ * @param {Buffer} buffer - File contents
+ * @returns {{mimeType: string, extension: string}|null} Detected type, or null if not accepted
+ */
+const detectFileType = (buffer) => {
+  const match = SIGNATURES.find(({ bytes, offset = 0 }) =>
+    buffer.length >= offset + bytes.length &&
+    bytes.every((byte, index) => buffer[offset + index] === byte)
+  );
+
+  // WebP files are RIFF containers; the WEBP tag alone is not enough
+  if (match && match.mimeType === 'image/webp' && buffer.toString('ascii', 0, 4) !== 'RIFF') {
+    return null;
+  }
+
+  return match ? { mimeType: match.mimeType, extension: match.extension } : null;
+};
+
+module.exports = { detectFileType };
@@ -0,0 +1,228 @@
+/**
+ * Month-end and year-end spending forecasts computed from a user's own expenses
+ * Each category's forecast adds three parts: what has already been spent, the occurrences its
+ * recurring rules still have to create, and an estimate of the other spending still to come.
+ * That estimate follows the category's day-of-month pattern over recent months: the rest of this
+ * month is expected to bring what the same days brought on average, and each later month its
+ * moving average. Amounts are in the user's base currency and months are UTC, like the monthly
+ * cash flow.
+ * @module utils/forecast
+ */
+
+const { getUpcomingOccurrences } = require('./recurrence');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Complete months before the current one that patterns and moving averages are taken from
+const HISTORY_MONTHS = 6;
+
+// Months of history needed before the spread between months is trusted
+const MIN_HISTORY_MONTHS = 2;
+
+// Standard deviations either side of a forecast covered by its band, about 80% of outcomes
+const CONFIDENCE_Z = 1.28;
+
+// Most occurrences of a single rule counted in a year, enough for a daily rule
+const MAX_OCCURRENCES = 366;
+
+/**
+ * Round to two decimal places, like converted amounts
+ * @param {number} value - Number to round
+ * @returns {number} Rounded number
+ */
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Get the mean and sample standard deviation of some values
+ * @param {Array<number>} values - At least one value
+ * @returns {{mean: number, deviation: number}} Mean, and a deviation of 0 for a single value
+ */
+const spread = (values) => {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const deviation = values.length > 1
+    ? Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1))
+    : 0;
+  return { mean, deviation };
+};
+
+/**
+ * List the occurrences rules will create from their next due date to a given day
+ * Skipped occurrences are left out, as are rules whose amount cannot be converted.
+ * @function getScheduledOccurrences
+ * @param {Array<Object>} rules - Active recurring rules with category and baseAmount
+ * @param {Date} until - Last day to include
+ * @returns {Array<{date: number, category: string, baseAmount: number}>} Occurrences with dates in milliseconds
+ */
+const getScheduledOccurrences = (rules, until) => rules
+  .filter(rule => rule.baseAmount !== null && rule.baseAmount !== undefined)
+  .flatMap(rule => getUpcomingOccurrences(rule, until, MAX_OCCURRENCES)
+    .filter(occurrence => !occurrence.skipped)
+    .map(occurrence => ({ date: occurrence.date.getTime(), category: rule.category, baseAmount: rule.baseAmount })));
+
+/**
+ * Sum the amounts of the entries dated in a range
+ * @param {Array<Object>} entries - Expenses or occurrences with date in milliseconds and baseAmount
+ * @param {number} start - First instant included, in milliseconds
+ * @param {number} end - First instant excluded, in milliseconds
+ * @returns {number} Total
+ */
+const sumBetween = (entries, start, end) => entries
+  .filter(entry => entry.date >= start && entry.date < end)
+  .reduce((sum, entry) => sum + entry.baseAmount, 0);
+
+/**
+ * Estimate a category's spending still to come that no recurring rule accounts for
+ * With MIN_HISTORY_MONTHS of history the estimate is the average of past months and its
+ * deviation their spread. With less, the month so far is extrapolated and the deviation taken to
+ * be as large as the estimate, so the band is wide.
+ * @param {Array<Object>} variable - The category's expenses not created by a rule
+ * @param {Array<{start: number, end: number}>} history - Complete months to learn from
+ * @param {Object} month - Start, end and tomorrow of the current month, in milliseconds
+ * @param {number} remainingMonths - Whole months left in the year after the current one
+ * @returns {Object} Estimate and deviation for the rest of this month and for the rest of the year
+ */
+const estimateVariable = (variable, history, month, remainingMonths) => {
+  const soFar = sumBetween(variable, month.start, month.tomorrow);
+  const elapsed = month.tomorrow - month.start;
+
+  if (history.length < MIN_HISTORY_MONTHS) {
+    const restOfMonth = soFar / elapsed * (month.end - month.tomorrow);
+    const monthly = soFar + restOfMonth;
+    return {
+      restOfMonth: { estimate: restOfMonth, deviation: restOfMonth },
+      laterMonths: { estimate: monthly * remainingMonths, deviation: monthly * Math.sqrt(remainingMonths) }
+    };
+  }
+
+  // What the days after today's day of the month brought in each past month
+  const rest = spread(history.map(({ start, end }) => sumBetween(variable, Math.min(start + elapsed, end), end)));
+  const monthly = spread(history.map(({ start, end }) => sumBetween(variable, start, end)));
+
+  return {
+    restOfMonth: { estimate: rest.mean, deviation: rest.deviation },
+    laterMonths: { estimate: monthly.mean * remainingMonths, deviation: monthly.deviation * Math.sqrt(remainingMonths) }
+  };
+};
+
+/**
+ * Build a forecast figure with its band
+ * The band never reaches below what has been spent and scheduled.
+ * @param {number} actual - Already spent
+ * @param {number} scheduled - Still to be created by recurring rules
+ * @param {number} estimate - Other spending expected
+ * @param {number} deviation - Standard deviation of the estimate
+ * @returns {Object} actual, scheduled, projected, low and high
+ */
+const toFigure = (actual, scheduled, estimate, deviation) => {
+  const known = actual + scheduled;
+  const band = CONFIDENCE_Z * deviation;
+  return {
+    actual: round2(actual),
+    scheduled: round2(scheduled),
+    projected: round2(known + estimate),
+    low: round2(known + Math.max(estimate - band, 0)),
+    high: round2(known + estimate + band)
+  };
+};
+
+/**
+ * Add up category forecasts into a total
+ * Categories are taken to vary independently, so their variances rather than their bands add up.
+ * @param {Array<Object>} parts - Category estimates with actual, scheduled, estimate and deviation
+ * @returns {Object} Total figure
+ */
+const totalFigure = parts => toFigure(
+  parts.reduce((sum, part) => sum + part.actual, 0),
+  parts.reduce((sum, part) => sum + part.scheduled, 0),
+  parts.reduce((sum, part) => sum + part.estimate, 0),
+  Math.sqrt(parts.reduce((sum, part) => sum + part.deviation ** 2, 0))
+);
+
+/**
+ * Forecast month-end and year-end spending per category
+ * @function buildForecast
+ * @param {Array<Object>} expenses - Expenses since the start of the year or of the history, whichever is earlier, with category, date, baseAmount and recurringExpense
+ * @param {Array<Object>} rules - Active recurring rules with baseAmount
+ * @param {Date} [now] - Current time
+ * @returns {Object} Forecasts for the month and the year, each with totals and byCategory, largest first
+ */
+const buildForecast = (expenses, rules, now = new Date()) => {
+  const year = now.getUTCFullYear();
+  const monthIndex = now.getUTCMonth();
+  const month = {
+    start: Date.UTC(year, monthIndex, 1),
+    // Today counts as spent, so the rest of the month starts tomorrow
+    tomorrow: Date.UTC(year, monthIndex, now.getUTCDate() + 1),
+    end: Date.UTC(year, monthIndex + 1, 1)
+  };
+  const yearStart = Date.UTC(year, 0, 1);
+  const yearEnd = Date.UTC(year + 1, 0, 1);
+  const remainingMonths = 11 - monthIndex;
+
+  const converted = expenses
+    .filter(expense => expense.baseAmount !== null && expense.baseAmount !== undefined)
+    .map(expense => ({ ...expense, date: new Date(expense.date).getTime() }));
+  const scheduled = getScheduledOccurrences(rules, new Date(yearEnd - DAY_MS));
+
+  // Months before the user's first expense would drag the averages down, so they are not used
+  const first = new Date(converted.reduce((earliest, expense) => Math.min(earliest, expense.date), month.start));
+  const firstMonth = Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), 1);
+  const history = Array.from({ length: HISTORY_MONTHS }, (_, index) => ({
+    start: Date.UTC(year, monthIndex - HISTORY_MONTHS + index, 1),
+    end: Date.UTC(year, monthIndex - HISTORY_MONTHS + index + 1, 1)
+  })).filter(({ start }) => start >= firstMonth);
+
+  const categories = [...new Set([...converted, ...scheduled].map(entry => entry.category))];
+  const parts = categories.map((category) => {
+    const categoryExpenses = converted.filter(expense => expense.category === category);
+    const categoryScheduled = scheduled.filter(occurrence => occurrence.category === category);
+    const variable = categoryExpenses.filter(expense => !expense.recurringExpense);
+    const { restOfMonth, laterMonths } = estimateVariable(variable, history, month, remainingMonths);
+
+    const monthEnd = {
+      actual: sumBetween(categoryExpenses, month.start, month.end),
+      scheduled: sumBetween(categoryScheduled, month.start, month.end),
+      ...restOfMonth
+    };
+    const yearEndPart = {
+      actual: sumBetween(categoryExpenses, yearStart, yearEnd),
+      scheduled: sumBetween(categoryScheduled, yearStart, yearEnd),
+      estimate: restOfMonth.estimate + laterMonths.estimate,
+      deviation: Math.sqrt(restOfMonth.deviation ** 2 + laterMonths.deviation ** 2)
+    };
+    return { category, monthEnd, yearEnd: yearEndPart };
+  });
+
+  /**
+   * Collect one horizon's figures per category and in total
+   * @param {string} horizon - monthEnd or yearEnd
+   * @returns {Object} Total figure with byCategory, largest projection first
+   */
+  const summarize = (horizon) => ({
+    ...totalFigure(parts.map(part => part[horizon])),
+    byCategory: parts
+      .map(part => ({
+        category: part.category,
+        ...toFigure(part[horizon].actual, part[horizon].scheduled, part[horizon].estimate, part[horizon].deviation)
+      }))
+      .filter(figure => figure.projected > 0)
+      .sort((a, b) => b.projected - a.projected)
+  });
+
+  return {
+    year,
+    month: monthIndex + 1,
+    dayOfMonth: now.getUTCDate(),
+    historyMonths: history.length,
+    monthEnd: summarize('monthEnd'),
+    yearEnd: summarize('yearEnd')
+  };
+};
+
+module.exports = {
+  HISTORY_MONTHS,
+  MIN_HISTORY_MONTHS,
+  CONFIDENCE_Z,
+  getScheduledOccurrences,
+  buildForecast
+};
@@ -0,0 +1,255 @@
+/**
+ * Spending insights computed from a user's own expenses
+ * Amounts are in the user's base currency; expenses without an exchange rate are left out of
+ * every figure. Days and months are UTC, like the monthly cash flow.
+ * @module utils/insights
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Length in days of the recent window that trends, anomalies and new titles look at
+const RECENT_DAYS = 30;
+
+// Number of earlier windows of RECENT_DAYS averaged to decide whether a category is trending
+const AVERAGE_WINDOWS = 3;
+
+// A category is trending when its recent spend is this far above its rolling average
+const TREND_THRESHOLD = 0.25;
+
+// Expenses this many standard deviations above their category's mean are unusually large
+const ANOMALY_Z_SCORE = 3;
+
+// Earlier expenses a category needs before its spread is trusted
+const MIN_CATEGORY_HISTORY = 5;
+
+// How far back titles count as seen before, and so how much history insights need
+const HISTORY_DAYS = 365;
+
+// Most insights of each kind that are returned
+const MAX_PER_TYPE = 5;
+
+/**
+ * Round to two decimal places, like converted amounts
+ * @param {number} value - Number to round
+ * @returns {number} Rounded number
+ */
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Sum the amounts of the expenses dated in a range
+ * @param {Array<Object>} expenses - Expenses with date and baseAmount
+ * @param {number} start - First instant included, in milliseconds
+ * @param {number} end - First instant excluded, in milliseconds
+ * @returns {number} Total
+ */
+const sumBetween = (expenses, start, end) => round2(expenses
+  .filter(expense => expense.date >= start && expense.date < end)
+  .reduce((sum, expense) => sum + expense.baseAmount, 0));
+
+/**
+ * Normalize an expense title for comparison, so "Corner Cafe " and "corner cafe" match
+ * @function normalizeTitle
+ * @param {string} title - Expense title
+ * @returns {string} Lower-cased title with single spaces
+ */
+const normalizeTitle = title => String(title || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Compare this month's spending so far with the same days of last month
+ * @function getPace
+ * @param {Array<Object>} expenses - Converted expenses with dates in milliseconds
+ * @param {Date} now - Current time
+ * @returns {Object|null} Pace insight, or null when neither month has any spending
+ */
+const getPace = (expenses, now) => {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const day = now.getUTCDate();
+  const monthStart = Date.UTC(year, month, 1);
+  const lastMonthStart = Date.UTC(year, month - 1, 1);
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  const monthToDate = sumBetween(expenses, monthStart, Date.UTC(year, month, day + 1));
+  // On the 31st, last month to date is all of a 30-day month
+  const lastMonthToDate = sumBetween(expenses, lastMonthStart, Math.min(Date.UTC(year, month - 1, day + 1), monthStart));
+  const lastMonthTotal = sumBetween(expenses, lastMonthStart, monthStart);
+
+  if (monthToDate === 0 && lastMonthTotal === 0) {
+    return null;
+  }
+
+  return {
+    type: 'pace',
+    dayOfMonth: day,
+    monthToDate,
+    lastMonthToDate,
+    lastMonthTotal,
+    projected: round2(monthToDate / day * daysInMonth),
+    change: lastMonthToDate > 0 ? Math.round((monthToDate - lastMonthToDate) / lastMonthToDate * 100) : null
+  };
+};
+
+/**
+ * Find categories whose recent spending is well above their rolling average
+ * Only users with history reaching back over every averaged window get trends, so a new user's
+ * first month does not look like a jump.
+ * @function getTrends
+ * @param {Array<Object>} expenses - Converted expenses with dates in milliseconds
+ * @param {number} recentStart - Start of the recent window, in milliseconds
+ * @param {number} recentEnd - End of the recent window, in milliseconds
+ * @returns {Array<Object>} Trend insights, steepest first
+ */
+const getTrends = (expenses, recentStart, recentEnd) => {
+  const averageStart = recentStart - AVERAGE_WINDOWS * RECENT_DAYS * DAY_MS;
+  if (!expenses.some(expense => expense.date < averageStart + RECENT_DAYS * DAY_MS)) {
+    return [];
+  }
+
+  const byCategory = new Map();
+  expenses.forEach((expense) => {
+    if (!byCategory.has(expense.category)) {
+      byCategory.set(expense.category, []);
+    }
+    byCategory.get(expense.category).push(expense);
+  });
+
+  return [...byCategory.entries()]
+    .map(([category, categoryExpenses]) => {
+      const recent = sumBetween(categoryExpenses, recentStart, recentEnd);
+      const average = round2(sumBetween(categoryExpenses, averageStart, recentStart) / AVERAGE_WINDOWS);
+      return { type: 'trend', category, recent, average };
+    })
+    .filter(trend => trend.average > 0 && trend.recent > trend.average * (1 + TREND_THRESHOLD))
+    .map(trend => ({ ...trend, change: Math.round((trend.recent - trend.average) / trend.average * 100) }))
+    .sort((a, b) => b.change - a.change)
+    .slice(0, MAX_PER_TYPE);
+};
+
+/**
+ * Find recent expenses far larger than usual for their category
+ * Each is compared with the category's expenses before the recent window by its z-score, the
+ * number of standard deviations it lies above their mean.
+ * @function getAnomalies
+ * @param {Array<Object>} expenses - Converted expenses with dates in milliseconds
+ * @param {number} recentStart - Start of the recent window, in milliseconds
+ * @param {number} recentEnd - End of the recent window, in milliseconds
+ * @returns {Array<Object>} Anomaly insights, most unusual first
+ */
+const getAnomalies = (expenses, recentStart, recentEnd) => {
+  const baselines = new Map();
+  expenses
+    .filter(expense => expense.date < recentStart)
+    .forEach((expense) => {
+      if (!baselines.has(expense.category)) {
+        baselines.set(expense.category, []);
+      }
+      baselines.get(expense.category).push(expense.baseAmount);
+    });
+
+  const spreads = new Map();
+  baselines.forEach((amounts, category) => {
+    if (amounts.length < MIN_CATEGORY_HISTORY) {
+      return;
+    }
+    const mean = amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length;
+    const deviation = Math.sqrt(amounts.reduce((sum, amount) => sum + (amount - mean) ** 2, 0) / amounts.length);
+    // Identical amounts give no spread to measure against
+    if (deviation > 0) {
+      spreads.set(category, { mean, deviation });
+    }
+  });
+
+  return expenses
+    .filter(expense => expense.date >= recentStart && expense.date < recentEnd && spreads.has(expense.category))
+    .map((expense) => {
+      const { mean, deviation } = spreads.get(expense.category);
+      return {
+        type: 'anomaly',
+        expenseId: expense._id,
+        title: expense.title,
+        category: expense.category,
+        date: new Date(expense.date),
+        amount: expense.baseAmount,
+        categoryAverage: round2(mean),
+        zScore: Math.round((expense.baseAmount - mean) / deviation * 10) / 10
+      };
+    })
+    .filter(anomaly => anomaly.zScore >= ANOMALY_Z_SCORE)
+    .sort((a, b) => b.zScore - a.zScore)
+    .slice(0, MAX_PER_TYPE);
+};
+
+/**
+ * Find titles, such as merchants, that appear in the recent window for the first time
+ * Users with no earlier expenses get none, since everything would be new.
+ * @function getNewTitles
+ * @param {Array<Object>} expenses - Expenses with dates in milliseconds, converted or not
+ * @param {number} recentStart - Start of the recent window, in milliseconds
+ * @param {number} recentEnd - End of the recent window, in milliseconds
+ * @returns {Array<Object>} New title insights, most spent first
+ */
+const getNewTitles = (expenses, recentStart, recentEnd) => {
+  const earlier = new Set(expenses
+    .filter(expense => expense.date < recentStart)
+    .map(expense => normalizeTitle(expense.title)));
+  if (earlier.size === 0) {
+    return [];
+  }
+
+  const found = new Map();
+  expenses
+    .filter(expense => expense.date >= recentStart && expense.date < recentEnd)
+    .sort((a, b) => a.date - b.date)
+    .forEach((expense) => {
+      const key = normalizeTitle(expense.title);
+      if (earlier.has(key)) {
+        return;
+      }
+      if (!found.has(key)) {
+        found.set(key, { type: 'newTitle', title: expense.title, firstDate: new Date(expense.date), count: 0, total: 0 });
+      }
+      const entry = found.get(key);
+      entry.count += 1;
+      entry.total = round2(entry.total + (expense.baseAmount || 0));
+    });
+
+  return [...found.values()]
+    .sort((a, b) => b.total - a.total)
+    .slice(0, MAX_PER_TYPE);
+};
+
+/**
+ * Compute every insight for a user's expenses
+ * @function buildInsights
+ * @param {Array<Object>} expenses - Expenses from the last HISTORY_DAYS with title, category, date and baseAmount
+ * @param {Date} [now] - Current time
+ * @returns {Array<Object>} Insights, each with a type of pace, anomaly, trend or newTitle, most useful first
+ */
+const buildInsights = (expenses, now = new Date()) => {
+  const all = expenses.map(expense => ({ ...expense, date: new Date(expense.date).getTime() }));
+  const converted = all.filter(expense => expense.baseAmount !== null && expense.baseAmount !== undefined);
+
+  // The recent window ends with today
+  const recentEnd = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  const recentStart = recentEnd - RECENT_DAYS * DAY_MS;
+  const pace = getPace(converted, now);
+
+  return [
+    ...(pace ? [pace] : []),
+    ...getAnomalies(converted, recentStart, recentEnd),
+    ...getTrends(converted, recentStart, recentEnd),
+    ...getNewTitles(all, recentStart, recentEnd)
+  ];
+};
+
+module.exports = {
+  DAY_MS,
+  RECENT_DAYS,
+  AVERAGE_WINDOWS,
+  TREND_THRESHOLD,
+  ANOMALY_Z_SCORE,
+  MIN_CATEGORY_HISTORY,
+  HISTORY_DAYS,
+  normalizeTitle,
+  buildInsights
+};
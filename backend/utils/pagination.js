@@ -0,0 +1,80 @@
+/**
+ * Helpers for paginating list endpoints
+ * Supports classic page/limit paging and cursor paging keyed on date + _id
+ * @module utils/pagination
+ */
+
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse page and limit query parameters
+ * @function parsePagination
+ * @param {Object} query - Express request query
+ * @returns {{page: number, limit: number, skip: number}} Normalized paging values
+ */
+exports.parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  return {
+    page,
+    limit,
+    skip: (page - 1) * limit
+  };
+};
+
+/**
+ * Encode the position of a document as an opaque cursor
+ * @function encodeCursor
+ * @param {Object} doc - Document with date and _id
+ * @returns {string} URL-safe cursor string
+ */
+exports.encodeCursor = (doc) => {
+  const payload = JSON.stringify({ date: doc.date, id: doc._id });
+  return Buffer.from(payload).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @function decodeCursor
+ * @param {string} cursor - Cursor string from the client
+ * @returns {{date: Date, id: ObjectId}|null} Decoded position, or null if invalid
+ */
+exports.decodeCursor = (cursor) => {
+  try {
+    const { date, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const parsedDate = new Date(date);
+
+    if (isNaN(parsedDate.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+
+    return {
+      date: parsedDate,
+      id: new mongoose.Types.ObjectId(id)
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build a query condition selecting documents after a cursor position
+ * @function cursorCondition
+ * @param {{date: Date, id: ObjectId}} position - Decoded cursor
+ * @param {number} direction - 1 for ascending, -1 for descending date order
+ * @returns {Object} MongoDB query condition
+ */
+exports.cursorCondition = (position, direction) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+
+  return {
+    $or: [
+      { date: { [op]: position.date } },
+      { date: position.date, _id: { [op]: position.id } }
+    ]
+  };
+};
@@ -0,0 +1,289 @@
+/**
+ * Reporting periods for statistics: parsing, time zones, buckets and comparison periods
+ * Days are handled as YYYY-MM-DD strings so calendar arithmetic never depends on the server's zone.
+ * @module utils/period
+ */
+
+const GRANULARITIES = ['day', 'week', 'month', 'quarter', 'year'];
+const COMPARISONS = ['previous', 'year', 'none'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Most buckets a bounded period may be split into, e.g. about 2.7 years of days
+const MAX_BUCKETS = 1000;
+
+/**
+ * Check that a time zone is an IANA name the runtime knows
+ * @param {string} timeZone - Time zone such as Europe/London
+ * @returns {boolean} Whether the zone can be used
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Format a UTC-midnight timestamp as a day string
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string} Day in YYYY-MM-DD format
+ */
+const toDay = time => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Split a day string into numbers
+ * @param {string} day - Day in YYYY-MM-DD format
+ * @returns {Array<number>} Year, month (1-12) and day of month
+ */
+const dayParts = day => day.split('-').map(Number);
+
+/**
+ * Check that a string is a real calendar day in YYYY-MM-DD format
+ * @param {string} day - Candidate day
+ * @returns {boolean} Whether the day exists
+ */
+const isValidDay = (day) => {
+  if (typeof day !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+    return false;
+  }
+  const [year, month, date] = dayParts(day);
+  return toDay(Date.UTC(year, month - 1, date)) === day;
+};
+
+/**
+ * Add days to a day
+ * @param {string} day - Day in YYYY-MM-DD format
+ * @param {number} days - Days to add, may be negative
+ * @returns {string} Resulting day
+ */
+const addDays = (day, days) => {
+  const [year, month, date] = dayParts(day);
+  return toDay(Date.UTC(year, month - 1, date + days));
+};
+
+/**
+ * Add whole months to a day, clamping to the end of shorter months
+ * @param {string} day - Day in YYYY-MM-DD format
+ * @param {number} months - Months to add, may be negative
+ * @returns {string} Resulting day
+ */
+const addMonths = (day, months) => {
+  const [year, month, date] = dayParts(day);
+  const daysInMonth = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  return toDay(Date.UTC(year, month - 1 + months, Math.min(date, daysInMonth)));
+};
+
+/**
+ * Get how far a time zone is ahead of UTC at an instant
+ * @param {Date} instant - Moment to check
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds
+ */
+const zoneOffset = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(instant);
+  const part = type => Number(parts.find(item => item.type === type).value);
+  const wallClock = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+/**
+ * Get the instant a day starts in a time zone
+ * @param {string} day - Day in YYYY-MM-DD format
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Local midnight as an instant
+ */
+const startOfDayIn = (day, timeZone) => {
+  const [year, month, date] = dayParts(day);
+  const midnightUtc = Date.UTC(year, month - 1, date);
+  // The offset can differ between UTC midnight and local midnight around a DST change
+  const guess = midnightUtc - zoneOffset(new Date(midnightUtc), timeZone);
+  return new Date(midnightUtc - zoneOffset(new Date(guess), timeZone));
+};
+
+/**
+ * Get the first day of the bucket a day belongs to; weeks start on Monday
+ * @param {string} day - Day in YYYY-MM-DD format
+ * @param {string} granularity - One of GRANULARITIES
+ * @returns {string} First day of the bucket
+ */
+const bucketStart = (day, granularity) => {
+  const [year, month] = dayParts(day);
+
+  switch (granularity) {
+    case 'day':
+      return day;
+    case 'week': {
+      const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+      return addDays(day, -((weekday + 6) % 7));
+    }
+    case 'month':
+      return toDay(Date.UTC(year, month - 1, 1));
+    case 'quarter':
+      return toDay(Date.UTC(year, Math.floor((month - 1) / 3) * 3, 1));
+    default:
+      return toDay(Date.UTC(year, 0, 1));
+  }
+};
+
+/**
+ * List the first day of every bucket that overlaps a period
+ * @function periodBuckets
+ * @param {string} from - First day of the period
+ * @param {string} to - Last day of the period
+ * @param {string} granularity - One of GRANULARITIES
+ * @returns {Array<string>} Bucket start days in order
+ */
+const periodBuckets = (from, to, granularity) => {
+  const buckets = [];
+  const step = {
+    day: start => addDays(start, 1),
+    week: start => addDays(start, 7),
+    month: start => addMonths(start, 1),
+    quarter: start => addMonths(start, 3),
+    year: start => addMonths(start, 12)
+  }[granularity];
+
+  for (let start = bucketStart(from, granularity); start <= to; start = step(start)) {
+    buckets.push(start);
+  }
+
+  return buckets;
+};
+
+/**
+ * Count the buckets that overlap a period without listing them
+ * @function countBuckets
+ * @param {string} from - First day of the period
+ * @param {string} to - Last day of the period
+ * @param {string} granularity - One of GRANULARITIES
+ * @returns {number} Number of buckets periodBuckets would list
+ */
+const countBuckets = (from, to, granularity) => {
+  const [fromYear, fromMonth] = dayParts(from);
+  const [toYear, toMonth] = dayParts(to);
+  const months = (toYear - fromYear) * 12 + toMonth - fromMonth;
+
+  switch (granularity) {
+    case 'day':
+    case 'week': {
+      const days = Math.round((new Date(to) - new Date(bucketStart(from, granularity))) / DAY_MS);
+      return Math.floor(days / (granularity === 'week' ? 7 : 1)) + 1;
+    }
+    case 'month':
+      return months + 1;
+    case 'quarter':
+      return Math.floor((toMonth - 1) / 3) - Math.floor((fromMonth - 1) / 3) + (toYear - fromYear) * 4 + 1;
+    default:
+      return toYear - fromYear + 1;
+  }
+};
+
+/**
+ * Get the period a bounded period is compared with
+ * 'previous' is the preceding calendar months when the period starts on the 1st (ending on the month's
+ * last day when the period does), and otherwise the same number of days immediately before.
+ * 'year' is the same days a year earlier.
+ * @function comparisonPeriod
+ * @param {string} from - First day of the period
+ * @param {string} to - Last day of the period
+ * @param {string} compare - One of COMPARISONS
+ * @returns {{from: string, to: string}|null} Comparison period, or null for 'none'
+ */
+const comparisonPeriod = (from, to, compare) => {
+  if (compare === 'year') {
+    return { from: addMonths(from, -12), to: addMonths(to, -12) };
+  }
+
+  if (compare !== 'previous') {
+    return null;
+  }
+
+  const [fromYear, fromMonth, fromDate] = dayParts(from);
+  if (fromDate === 1) {
+    const [toYear, toMonth] = dayParts(to);
+    const months = (toYear - fromYear) * 12 + toMonth - fromMonth + 1;
+    const endsMonth = addDays(to, 1).endsWith('-01');
+    return {
+      from: addMonths(from, -months),
+      to: endsMonth ? addDays(addMonths(addDays(to, 1), -months), -1) : addMonths(to, -months)
+    };
+  }
+
+  const days = Math.round((new Date(to) - new Date(from)) / DAY_MS) + 1;
+  return { from: addDays(from, -days), to: addDays(from, -1) };
+};
+
+/**
+ * Parse and validate the period query parameters of a statistics request
+ * from and to are inclusive days; either may be left out for an open-ended period. A bounded period
+ * may not span more than MAX_BUCKETS buckets, since each one is listed in the time series.
+ * @function parsePeriod
+ * @param {Object} query - Express request query
+ * @returns {{error: string}|{from: string|null, to: string|null, granularity: string, timezone: string, compare: string}}
+ *   Normalized period, or an error message
+ */
+const parsePeriod = (query) => {
+  const {
+    from = null,
+    to = null,
+    granularity = 'month',
+    timezone = 'UTC',
+    compare = 'previous'
+  } = query;
+
+  if ((from !== null && !isValidDay(from)) || (to !== null && !isValidDay(to))) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+  if (from && to && from > to) {
+    return { error: 'from must not be after to' };
+  }
+  if (!GRANULARITIES.includes(granularity)) {
+    return { error: `Granularity must be one of ${GRANULARITIES.join(', ')}` };
+  }
+  if (from && to && countBuckets(from, to, granularity) > MAX_BUCKETS) {
+    return { error: `The period spans more than ${MAX_BUCKETS} ${granularity}s; shorten it or choose a larger granularity` };
+  }
+  if (typeof timezone !== 'string' || !isValidTimeZone(timezone)) {
+    return { error: `Unknown time zone ${timezone}` };
+  }
+  if (!COMPARISONS.includes(compare)) {
+    return { error: `Comparison must be one of ${COMPARISONS.join(', ')}` };
+  }
+
+  return { from, to, granularity, timezone, compare };
+};
+
+/**
+ * Turn inclusive days into a half-open range of instants in a time zone
+ * @function toDateRange
+ * @param {string|null} from - First day, or null for no lower bound
+ * @param {string|null} to - Last day, or null for no upper bound
+ * @param {string} timeZone - IANA time zone
+ * @returns {{start: Date|null, end: Date|null}} Start of from and start of the day after to
+ */
+const toDateRange = (from, to, timeZone) => ({
+  start: from ? startOfDayIn(from, timeZone) : null,
+  end: to ? startOfDayIn(addDays(to, 1), timeZone) : null
+});
+
+module.exports = {
+  GRANULARITIES,
+  COMPARISONS,
+  MAX_BUCKETS,
+  periodBuckets,
+  countBuckets,
+  comparisonPeriod,
+  parsePeriod,
+  toDateRange
+};
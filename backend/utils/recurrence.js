@@ -0,0 +1,135 @@
+/**
+ * Date arithmetic for recurring expense schedules
+ * All dates are treated as calendar days at midnight UTC, matching how expense dates are stored.
+ * @module utils/recurrence
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Truncate a date to midnight UTC
+ * @function startOfDay
+ * @param {Date|string} date - Any date
+ * @returns {Date} The same calendar day at 00:00 UTC
+ */
+const startOfDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+/**
+ * Build a date from year, month and day, clamping the day to the end of the month
+ * @param {number} year - Full year
+ * @param {number} month - Month index, may overflow into following years
+ * @param {number} day - Day of month (1-31)
+ * @returns {Date} Date at midnight UTC
+ */
+const clampedDate = (year, month, day) => {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(day, daysInMonth)));
+};
+
+/**
+ * Get the day of month a monthly or yearly rule falls on
+ * @param {Object} rule - Recurring expense rule
+ * @returns {number} Day of month (1-31)
+ */
+const getDayOfMonth = (rule) => rule.dayOfMonth || new Date(rule.startDate).getUTCDate();
+
+/**
+ * Get the first occurrence of a rule on or after its start date
+ * @function getFirstOccurrence
+ * @param {Object} rule - Recurring expense rule
+ * @returns {Date} First occurrence date
+ */
+const getFirstOccurrence = (rule) => {
+  const start = startOfDay(rule.startDate);
+
+  if (rule.frequency !== 'monthly' && rule.frequency !== 'yearly') {
+    return start;
+  }
+
+  const candidate = clampedDate(start.getUTCFullYear(), start.getUTCMonth(), getDayOfMonth(rule));
+  if (candidate >= start) {
+    return candidate;
+  }
+
+  return rule.frequency === 'monthly'
+    ? clampedDate(start.getUTCFullYear(), start.getUTCMonth() + 1, getDayOfMonth(rule))
+    : clampedDate(start.getUTCFullYear() + 1, start.getUTCMonth(), getDayOfMonth(rule));
+};
+
+/**
+ * Get the occurrence that follows a given occurrence
+ * Monthly and yearly rules always land on the rule's day of month, so a rule on
+ * the 31st falls on the last day of shorter months without drifting.
+ * @function getNextOccurrence
+ * @param {Object} rule - Recurring expense rule
+ * @param {Date} occurrence - A previous occurrence date
+ * @returns {Date} Next occurrence date
+ */
+const getNextOccurrence = (rule, occurrence) => {
+  const current = startOfDay(occurrence);
+  const interval = rule.interval || 1;
+
+  switch (rule.frequency) {
+    case 'daily':
+      return new Date(current.getTime() + interval * DAY_MS);
+    case 'weekly':
+      return new Date(current.getTime() + 7 * interval * DAY_MS);
+    case 'monthly':
+      return clampedDate(current.getUTCFullYear(), current.getUTCMonth() + interval, getDayOfMonth(rule));
+    case 'yearly':
+      return clampedDate(current.getUTCFullYear() + interval, current.getUTCMonth(), getDayOfMonth(rule));
+    default:
+      throw new Error(`Unknown frequency: ${rule.frequency}`);
+  }
+};
+
+/**
+ * Whether a rule has run its course at a given occurrence
+ * @function isFinished
+ * @param {Object} rule - Recurring expense rule
+ * @param {Date} occurrence - Candidate occurrence date
+ * @param {number} occurrenceCount - Occurrences already scheduled before the candidate
+ * @returns {boolean} True if the candidate lies past the end date or count
+ */
+const isFinished = (rule, occurrence, occurrenceCount) => {
+  if (rule.endDate && startOfDay(occurrence) > startOfDay(rule.endDate)) {
+    return true;
+  }
+  return Boolean(rule.count) && occurrenceCount >= rule.count;
+};
+
+/**
+ * List the upcoming occurrences of a rule, starting from its next due date
+ * @function getUpcomingOccurrences
+ * @param {Object} rule - Recurring expense rule with nextDate and occurrenceCount
+ * @param {Date} until - Last day to include
+ * @param {number} [max=50] - Maximum number of occurrences to return
+ * @returns {Array<{date: Date, skipped: boolean}>} Upcoming occurrences
+ */
+const getUpcomingOccurrences = (rule, until, max = 50) => {
+  const occurrences = [];
+  const skipped = new Set((rule.skippedDates || []).map(date => startOfDay(date).getTime()));
+  const last = startOfDay(until);
+
+  let date = rule.nextDate ? startOfDay(rule.nextDate) : null;
+  let count = rule.occurrenceCount || 0;
+
+  while (date && date <= last && occurrences.length < max && !isFinished(rule, date, count)) {
+    occurrences.push({ date, skipped: skipped.has(date.getTime()) });
+    count += 1;
+    date = getNextOccurrence(rule, date);
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  startOfDay,
+  getFirstOccurrence,
+  getNextOccurrence,
+  isFinished,
+  getUpcomingOccurrences
+};
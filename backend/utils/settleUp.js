@@ -0,0 +1,108 @@
+/**
+ * Settling group balances with as few transfers as possible
+ * @module utils/settleUp
+ */
+
+const { toCents } = require('./splits');
+
+// Above this many unsettled members the exact search is too slow and a greedy plan is used
+const EXACT_LIMIT = 15;
+
+/**
+ * Settle a set of balances that add up to zero, largest debtor paying largest creditor first
+ * Every transfer clears at least one member, so n members need at most n - 1 transfers.
+ * @param {Array<{user: string, cents: number}>} members - Balances in cents, positive when owed money
+ * @returns {Array<{from: string, to: string, cents: number}>} Transfers
+ */
+const settleGreedily = (members) => {
+  const creditors = members.filter(member => member.cents > 0).map(member => ({ ...member }));
+  const debtors = members.filter(member => member.cents < 0).map(member => ({ ...member, cents: -member.cents }));
+  const transfers = [];
+
+  while (creditors.length > 0 && debtors.length > 0) {
+    creditors.sort((a, b) => b.cents - a.cents);
+    debtors.sort((a, b) => b.cents - a.cents);
+
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const cents = Math.min(creditor.cents, debtor.cents);
+    transfers.push({ from: debtor.user, to: creditor.user, cents });
+
+    creditor.cents -= cents;
+    debtor.cents -= cents;
+    if (creditor.cents === 0) creditors.shift();
+    if (debtor.cents === 0) debtors.shift();
+  }
+
+  return transfers;
+};
+
+/**
+ * Split members into as many groups that balance out on their own as possible
+ * Settling a group of k members takes k - 1 transfers, so more groups means fewer transfers.
+ * Dynamic programming over subsets: best[mask] is the most zero-sum groups the members in
+ * mask can be cut into when taken in some order.
+ * @param {Array<{user: string, cents: number}>} members - Non-zero balances adding up to zero
+ * @returns {Array<Array<Object>>} Members grouped into zero-sum groups
+ */
+const zeroSumGroups = (members) => {
+  const size = 1 << members.length;
+  const sum = new Array(size).fill(0);
+  const best = new Array(size).fill(0);
+  const last = new Array(size).fill(-1);
+
+  for (let mask = 1; mask < size; mask++) {
+    const lowest = 31 - Math.clz32(mask & -mask);
+    sum[mask] = sum[mask & (mask - 1)] + members[lowest].cents;
+
+    for (let i = 0; i < members.length; i++) {
+      if (mask & (1 << i) && (last[mask] === -1 || best[mask ^ (1 << i)] > best[mask ^ (1 << last[mask])])) {
+        last[mask] = i;
+      }
+    }
+    best[mask] = best[mask ^ (1 << last[mask])] + (sum[mask] === 0 ? 1 : 0);
+  }
+
+  // Walk back through the chosen order, starting a new group wherever the running sum is zero
+  const groups = [];
+  let current = [];
+  for (let mask = size - 1; mask > 0; mask ^= 1 << last[mask]) {
+    if (sum[mask] === 0 && current.length > 0) {
+      groups.push(current);
+      current = [];
+    }
+    current.push(members[last[mask]]);
+  }
+  groups.push(current);
+
+  return groups;
+};
+
+/**
+ * Plan the transfers that settle all balances in a group
+ * Finds the fewest transfers exactly for up to EXACT_LIMIT unsettled members.
+ * @function simplifyDebts
+ * @param {Array<{user: string, balance: number}>} balances - Net balance of each member, positive when owed money
+ * @returns {Array<{from: string, to: string, amount: number}>} Transfers, from the member who pays to the one who is paid
+ */
+const simplifyDebts = (balances) => {
+  const members = balances
+    .map(({ user, balance }) => ({ user: String(user), cents: toCents(balance) }))
+    .filter(member => member.cents !== 0);
+
+  // Rounding can leave a cent over; give it to the largest balance so the total is zero
+  const drift = members.reduce((total, member) => total + member.cents, 0);
+  if (drift !== 0 && members.length > 0) {
+    const largest = members.reduce((a, b) => (Math.abs(b.cents) > Math.abs(a.cents) ? b : a));
+    largest.cents -= drift;
+  }
+
+  const unsettled = members.filter(member => member.cents !== 0);
+  const groups = unsettled.length <= EXACT_LIMIT ? zeroSumGroups(unsettled) : [unsettled];
+
+  return groups
+    .flatMap(settleGreedily)
+    .map(({ from, to, cents }) => ({ from, to, amount: cents / 100 }));
+};
+
+module.exports = { simplifyDebts };
@@ -0,0 +1,149 @@
+/**
+ * Splitting a group expense between members
+ * Amounts are worked out in whole cents so the parts always add up to the expense amount.
+ * @module utils/splits
+ */
+
+// Supported ways of dividing an expense
+const SPLIT_METHODS = ['equal', 'exact', 'percentage', 'shares'];
+
+/**
+ * Convert an amount to whole cents
+ * @function toCents
+ * @param {number} amount - Amount in currency units
+ * @returns {number} Amount in cents
+ */
+const toCents = (amount) => Math.round(amount * 100);
+
+/**
+ * Divide cents in proportion to weights
+ * Cents left over from rounding down go to the largest remainders, ties to the earliest entry.
+ * @param {number} totalCents - Amount to divide, in cents
+ * @param {Array<number>} weights - Non-negative weight of each part
+ * @returns {Array<number>} Cents for each part
+ */
+const allocate = (totalCents, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const exact = weights.map(weight => (totalCents * weight) / totalWeight);
+  const parts = exact.map(Math.floor);
+  let remaining = totalCents - parts.reduce((sum, part) => sum + part, 0);
+
+  const byRemainder = exact
+    .map((value, index) => ({ index, remainder: value - parts[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+
+  for (let i = 0; remaining > 0; i = (i + 1) % byRemainder.length) {
+    parts[byRemainder[i].index] += 1;
+    remaining -= 1;
+  }
+
+  return parts;
+};
+
+/**
+ * Work out how much each member owes for an expense
+ * For "equal" values are ignored; for "exact" they are amounts adding up to the expense amount;
+ * for "percentage" they add up to 100; for "shares" they are relative weights.
+ * @function computeSplit
+ * @param {number} amount - Expense amount
+ * @param {string} method - One of SPLIT_METHODS
+ * @param {Array<{user: string, value: number}>} entries - Members sharing the expense
+ * @returns {{entries: Array<{user: string, value: number, amount: number}>}|{error: string}} Split or error message
+ */
+const computeSplit = (amount, method, entries) => {
+  if (!SPLIT_METHODS.includes(method)) {
+    return { error: `Split method must be one of ${SPLIT_METHODS.join(', ')}` };
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return { error: 'Choose at least one member to split with' };
+  }
+
+  const users = entries.map(entry => String(entry.user));
+  if (new Set(users).size !== users.length) {
+    return { error: 'Each member can appear only once in a split' };
+  }
+
+  const values = entries.map(entry => (method === 'equal' ? 1 : Number(entry.value)));
+  if (values.some(value => !Number.isFinite(value) || value < 0)) {
+    return { error: 'Split values must be positive numbers' };
+  }
+
+  const totalCents = toCents(amount);
+  const valueTotal = values.reduce((sum, value) => sum + value, 0);
+  let parts;
+
+  if (method === 'exact') {
+    parts = values.map(toCents);
+    if (parts.reduce((sum, part) => sum + part, 0) !== totalCents) {
+      return { error: `Split amounts must add up to ${amount}` };
+    }
+  } else if (method === 'percentage') {
+    if (Math.abs(valueTotal - 100) > 0.001) {
+      return { error: 'Split percentages must add up to 100' };
+    }
+    parts = allocate(totalCents, values);
+  } else {
+    if (valueTotal === 0) {
+      return { error: 'At least one member must have a share' };
+    }
+    parts = allocate(totalCents, values);
+  }
+
+  return {
+    entries: entries.map((entry, index) => ({
+      user: entry.user,
+      value: method === 'equal' ? 1 : values[index],
+      amount: parts[index] / 100
+    }))
+  };
+};
+
+/**
+ * Build the $match condition for the expenses that count towards a user's own spending
+ * A personal expense counts for its owner and a group expense for each member its split includes,
+ * whoever added it.
+ * @function spendingMatch
+ * @param {ObjectId} userId - The user whose spending is aggregated
+ * @returns {Object} Condition to combine with others through $and
+ */
+const spendingMatch = userId => ({
+  $or: [
+    { user: userId, group: { $exists: false } },
+    { group: { $exists: true }, 'split.entries.user': userId }
+  ]
+});
+
+/**
+ * Build the aggregation stage that replaces a group expense's amount with a member's share of it
+ * Personal expenses keep their amount. Runs before conversionStages, which convert the amount.
+ * @function shareStage
+ * @param {ObjectId} userId - The member whose share is kept
+ * @returns {Object} $addFields stage
+ */
+const shareStage = userId => ({
+  $addFields: {
+    amount: {
+      $cond: [
+        { $ifNull: ['$group', false] },
+        {
+          $sum: {
+            $map: {
+              input: { $filter: { input: '$split.entries', cond: { $eq: ['$$this.user', userId] } } },
+              in: '$$this.amount'
+            }
+          }
+        },
+        '$amount'
+      ]
+    }
+  }
+});
+
+module.exports = {
+  SPLIT_METHODS,
+  toCents,
+  computeSplit,
+  spendingMatch,
+  shareStage
+};
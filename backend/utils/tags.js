@@ -0,0 +1,38 @@
+/**
+ * Free-form expense tags
+ * Tags are stored trimmed and lower-cased so "Work" and "work " are the same tag.
+ * @module utils/tags
+ */
+
+// Limits on the tags of one expense
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Normalize tags for storage: trimmed, lower-cased, without blanks or repeats
+ * @function normalizeTags
+ * @param {Array<string>|string} tags - Tags, or a comma-separated list of them
+ * @returns {Array<string>} Normalized tags in their original order
+ */
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const normalized = list
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(normalized)];
+};
+
+/**
+ * Schema validator for the tags of an expense
+ * @function validateTags
+ * @param {Array<string>} tags - Normalized tags
+ * @returns {boolean} Whether there are not too many tags and none is too long
+ */
+const validateTags = (tags) => tags.length <= MAX_TAGS && tags.every(tag => tag.length <= MAX_TAG_LENGTH);
+
+module.exports = {
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  normalizeTags,
+  validateTags
+};
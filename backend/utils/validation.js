@@ -0,0 +1,38 @@
+/**
+ * Validation of request data against the declarative schemas in shared/
+ * The rules themselves live in shared/validation.js, which the frontend's forms use too;
+ * this adds the conversion of Mongoose errors to the same shape.
+ * @module utils/validation
+ */
+
+const { validate, isObjectId } = require('../../shared/validation');
+
+// Mongoose validator kinds, as the error codes of the schemas
+const MONGOOSE_CODES = {
+  required: 'required',
+  maxlength: 'maxLength',
+  min: 'min',
+  max: 'max',
+  enum: 'enum',
+  Number: 'type',
+  Date: 'type',
+  ObjectId: 'type'
+};
+
+/**
+ * Turn a Mongoose ValidationError into errors of the same shape as validate
+ * @function fromValidationError
+ * @param {Error} error - Mongoose ValidationError
+ * @returns {Array<{field: string, code: string, message: string}>} One error per invalid path
+ */
+const fromValidationError = (error) => Object.values(error.errors).map(err => ({
+  field: err.path,
+  code: MONGOOSE_CODES[err.kind] || 'invalid',
+  message: err.message
+}));
+
+module.exports = {
+  validate,
+  isObjectId,
+  fromValidationError
+};
@@ -0,0 +1,60 @@
+/**
+ * Service worker keeping the app shell available offline
+ * Pages fall back to the cached app shell when the network is down, and built assets are
+ * served from the cache while a fresh copy is fetched. API requests are never cached here;
+ * the app keeps its own copies of expenses in IndexedDB.
+ */
+
+// Bump to drop every cached file on the next visit
+const CACHE_NAME = 'expense-tracker-v1';
+
+// Files needed to start the app without a network
+const APP_SHELL = ['/', '/index.html', '/manifest.webmanifest', '/favicon.svg'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return;
+  }
+
+  // Pages: the network when it is up, so deploys show straight away, else the app shell
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  // Assets: the cached copy straight away, refreshed in the background
+  event.respondWith(
+    caches.open(CACHE_NAME).then(cache => cache.match(request).then((cached) => {
+      const fetched = fetch(request)
+        .then((response) => {
+          if (response.ok) {
+            cache.put(request, response.clone());
+          }
+          return response;
+        })
+        .catch(() => cached);
+      return cached || fetched;
+    }))
+  );
+});
@@ -5,6 +5,7 @@ import { toast } from 'react-toastify';
 // Components
 import Header from './components/Header';
 import Footer from './components/Footer';
+import ProtectedRoute from './components/ProtectedRoute';
 
 // Pages
 import Dashboard from './pages/Dashboard';
@@ -12,6 +13,17 @@ import AddExpense from './pages/AddExpense';
 import EditExpense from './pages/EditExpense';
 import ExpenseDetails from './pages/ExpenseDetails';
 import NotFound from './pages/NotFound';
+import Login from './pages/Login';
+import Register from './pages/Register';
+import Budgets from './pages/Budgets';
+import RecurringExpenses from './pages/RecurringExpenses';
+import ImportExpenses from './pages/ImportExpenses';
+import Currencies from './pages/Currencies';
+import Categories from './pages/Categories';
+import Groups from './pages/Groups';
+import GroupDetails from './pages/GroupDetails';
+import Income from './pages/Income';
+import Trash from './pages/Trash';
 
 // Context
 import { ExpenseProvider } from './context/ExpenseContext';
@@ -46,10 +58,21 @@ function App() {
         <Header />
         <main className="flex-grow container mx-auto px-4 py-8">
           <Routes>
-            <Route path="/" element={<Dashboard />} />
-            <Route path="/add" element={<AddExpense />} />
-            <Route path="/edit/:id" element={<EditExpense />} />
-            <Route path="/expense/:id" element={<ExpenseDetails />} />
+            <Route path="/login" element={<Login />} />
+            <Route path="/register" element={<Register />} />
+            <Route path="/" element={<ProtectedRoute><Dashboard /></ProtectedRoute>} />
+            <Route path="/add" element={<ProtectedRoute><AddExpense /></ProtectedRoute>} />
+            <Route path="/edit/:id" element={<ProtectedRoute><EditExpense /></ProtectedRoute>} />
+            <Route path="/expense/:id" element={<ProtectedRoute><ExpenseDetails /></ProtectedRoute>} />
+            <Route path="/income" element={<ProtectedRoute><Income /></ProtectedRoute>} />
+            <Route path="/trash" element={<ProtectedRoute><Trash /></ProtectedRoute>} />
+            <Route path="/budgets" element={<ProtectedRoute><Budgets /></ProtectedRoute>} />
+            <Route path="/recurring" element={<ProtectedRoute><RecurringExpenses /></ProtectedRoute>} />
+            <Route path="/import" element={<ProtectedRoute><ImportExpenses /></ProtectedRoute>} />
+            <Route path="/currencies" element={<ProtectedRoute><Currencies /></ProtectedRoute>} />
+            <Route path="/categories" element={<ProtectedRoute><Categories /></ProtectedRoute>} />
+            <Route path="/groups" element={<ProtectedRoute><Groups /></ProtectedRoute>} />
+            <Route path="/groups/:id" element={<ProtectedRoute><GroupDetails /></ProtectedRoute>} />
             <Route path="*" element={<NotFound />} />
           </Routes>
         </main>
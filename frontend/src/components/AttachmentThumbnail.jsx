@@ -0,0 +1,84 @@
+import { useState, useEffect } from 'react';
+import { FaFilePdf, FaTrash } from 'react-icons/fa';
+import PropTypes from 'prop-types';
+import { useExpenseContext } from '../context/ExpenseContext';
+
+/**
+ * AttachmentThumbnail component showing a preview of an attachment that opens the file when clicked
+ * Images are previewed; PDFs are shown as an icon.
+ * @param {Object} props - Component props
+ * @param {string} props.expenseId - ID of the expense the attachment belongs to
+ * @param {Object} props.attachment - Attachment metadata
+ * @param {Function} props.onDelete - Function called with the attachment to delete it
+ * @returns {JSX.Element} The rendered AttachmentThumbnail component
+ */
+const AttachmentThumbnail = ({ expenseId, attachment, onDelete }) => {
+  const { getAttachmentFile } = useExpenseContext();
+  const [url, setUrl] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  // Load the file into an object URL, released again on unmount
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+
+    getAttachmentFile(expenseId, attachment._id)
+      .then(blob => {
+        if (!cancelled) {
+          objectUrl = URL.createObjectURL(blob);
+          setUrl(objectUrl);
+        }
+      })
+      .catch(() => {
+        if (!cancelled) setFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [expenseId, attachment._id, getAttachmentFile]);
+
+  const isImage = attachment.mimeType.startsWith('image/');
+
+  return (
+    <div className="relative group w-28">
+      <a
+        href={url || undefined}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="w-28 h-28 border rounded-md overflow-hidden bg-gray-50 flex items-center justify-center"
+        title={attachment.filename}
+      >
+        {isImage && url ? (
+          <img src={url} alt={attachment.filename} className="w-full h-full object-cover" />
+        ) : isImage ? (
+          <span className="text-xs text-gray-400">{failed ? 'Unavailable' : 'Loading...'}</span>
+        ) : (
+          <FaFilePdf className="text-4xl text-red-500" />
+        )}
+      </a>
+      <p className="text-xs text-gray-600 truncate mt-1">{attachment.filename}</p>
+      <button
+        type="button"
+        onClick={() => onDelete(attachment)}
+        className="absolute top-1 right-1 bg-white rounded-full p-1 text-red-600 hover:text-red-900 shadow opacity-0 group-hover:opacity-100 focus:opacity-100"
+        title="Delete attachment"
+      >
+        <FaTrash className="text-xs" />
+      </button>
+    </div>
+  );
+};
+
+AttachmentThumbnail.propTypes = {
+  expenseId: PropTypes.string.isRequired,
+  attachment: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    filename: PropTypes.string.isRequired,
+    mimeType: PropTypes.string.isRequired
+  }).isRequired,
+  onDelete: PropTypes.func.isRequired
+};
+
+export default AttachmentThumbnail;
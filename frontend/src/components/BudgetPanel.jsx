@@ -0,0 +1,69 @@
+import { useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FaExclamationTriangle } from 'react-icons/fa';
+import { useExpenseContext } from '../context/ExpenseContext';
+import { formatCurrency } from '../utils/currency';
+
+// Progress bar and text colours per budget status
+const STATUS_STYLES = {
+  ok: { bar: 'bg-green-500', text: 'text-gray-600' },
+  warning: { bar: 'bg-amber-500', text: 'text-amber-600' },
+  over: { bar: 'bg-red-600', text: 'text-red-600' }
+};
+
+/**
+ * BudgetPanel component showing spent vs limit for each budgeted category this month
+ * @returns {JSX.Element} The rendered BudgetPanel component
+ */
+const BudgetPanel = () => {
+  const { user, budgetStats, getBudgetStats } = useExpenseContext();
+  
+  // Fetch the current month's budget status on mount
+  useEffect(() => {
+    getBudgetStats();
+  }, [getBudgetStats]);
+  
+  return (
+    <div className="card">
+      <div className="card-header flex justify-between items-center">
+        <h2 className="text-lg font-semibold">Budgets This Month</h2>
+        <Link to="/budgets" className="text-sm text-blue-600 hover:text-blue-800">Manage</Link>
+      </div>
+      <div className="card-body">
+        {budgetStats.budgets.length === 0 ? (
+          <p className="text-gray-500 text-center">
+            No budgets set. <Link to="/budgets" className="text-blue-600 hover:text-blue-800">Create one</Link>
+          </p>
+        ) : (
+          <ul className="space-y-4">
+            {budgetStats.budgets.map(item => {
+              const styles = STATUS_STYLES[item.status];
+              
+              return (
+                <li key={item.category}>
+                  <div className="flex justify-between text-sm mb-1">
+                    <span className="font-medium flex items-center">
+                      {item.status !== 'ok' && <FaExclamationTriangle className={`mr-1 ${styles.text}`} />}
+                      {item.category}
+                    </span>
+                    <span className={styles.text}>
+                      {formatCurrency(item.spent, user.baseCurrency)} of {formatCurrency(item.limit, user.baseCurrency)} ({item.percentage}%)
+                    </span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-2.5">
+                    <div
+                      className={`${styles.bar} h-2.5 rounded-full`}
+                      style={{ width: `${Math.min(item.percentage, 100)}%` }}
+                    ></div>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BudgetPanel;
@@ -0,0 +1,165 @@
+import { useState } from 'react';
+import { FaCheck, FaTimes } from 'react-icons/fa';
+import PropTypes from 'prop-types';
+import CategoryOptions from './CategoryOptions';
+
+// Bulk actions offered for selected expenses
+const ACTIONS = [
+  { value: 'delete', label: 'Move to trash' },
+  { value: 'setCategory', label: 'Change category' },
+  { value: 'addTags', label: 'Add tags' },
+  { value: 'removeTags', label: 'Remove tags' },
+  { value: 'shiftDate', label: 'Shift date' }
+];
+
+/**
+ * BulkActionBar component for applying one action to the selected expenses
+ * @param {Object} props - Component props
+ * @param {number} props.selectedCount - Number of expenses selected
+ * @param {number} props.matchingCount - Number of expenses matching the filters
+ * @param {boolean} props.canSelectAllMatching - Whether to offer selecting every matching expense
+ * @param {Function} props.onSelectAllMatching - Function to select every matching expense
+ * @param {Function} props.onClear - Function to clear the selection
+ * @param {Function} props.onApply - Function called with the action and its category, tags or days
+ * @returns {JSX.Element} The rendered BulkActionBar component
+ */
+const BulkActionBar = ({
+  selectedCount,
+  matchingCount,
+  canSelectAllMatching,
+  onSelectAllMatching,
+  onClear,
+  onApply
+}) => {
+  const [action, setAction] = useState('delete');
+  const [category, setCategory] = useState('Other');
+  const [tags, setTags] = useState('');
+  const [days, setDays] = useState('');
+  const [isApplying, setIsApplying] = useState(false);
+
+  const noun = selectedCount === 1 ? 'expense' : 'expenses';
+
+  /**
+   * Build the chosen action, or null when its value is missing
+   * @returns {Object|null} Action with its parameter
+   */
+  const buildOperation = () => {
+    switch (action) {
+      case 'setCategory':
+        return { action, category };
+      case 'addTags':
+      case 'removeTags':
+        return tags.trim() ? { action, tags: tags.split(',') } : null;
+      case 'shiftDate':
+        return Number.isInteger(Number(days)) && Number(days) !== 0 ? { action, days: Number(days) } : null;
+      default:
+        return { action };
+    }
+  };
+
+  /**
+   * Apply the chosen action, confirming deletes first
+   */
+  const handleApply = async () => {
+    const operation = buildOperation();
+    if (!operation) {
+      return;
+    }
+    if (action === 'delete' && !window.confirm(`Move ${selectedCount} ${noun} to the trash?`)) {
+      return;
+    }
+
+    try {
+      setIsApplying(true);
+      await onApply(operation);
+      setTags('');
+      setDays('');
+    } catch (error) {
+      console.error('Error applying bulk action:', error);
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 px-6 py-3 bg-blue-50 border-b border-blue-100">
+      <span className="text-sm font-medium">
+        {selectedCount} {noun} selected
+      </span>
+      {canSelectAllMatching && (
+        <button onClick={onSelectAllMatching} className="text-sm text-blue-600 hover:text-blue-800 underline">
+          Select all {matchingCount} matching
+        </button>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2 ml-auto">
+        <select
+          value={action}
+          onChange={(e) => setAction(e.target.value)}
+          className="form-input w-auto"
+          aria-label="Bulk action"
+        >
+          {ACTIONS.map(item => (
+            <option key={item.value} value={item.value}>{item.label}</option>
+          ))}
+        </select>
+
+        {action === 'setCategory' && (
+          <select
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            className="form-input w-auto"
+            aria-label="New category"
+          >
+            <CategoryOptions />
+          </select>
+        )}
+        {(action === 'addTags' || action === 'removeTags') && (
+          <input
+            type="text"
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            className="form-input w-48"
+            placeholder="e.g. work, trip"
+            aria-label="Tags"
+          />
+        )}
+        {action === 'shiftDate' && (
+          <input
+            type="number"
+            value={days}
+            onChange={(e) => setDays(e.target.value)}
+            className="form-input w-32"
+            placeholder="Days (+/-)"
+            aria-label="Days to shift by"
+            step="1"
+          />
+        )}
+
+        <button
+          onClick={handleApply}
+          className={`btn ${action === 'delete' ? 'btn-danger' : 'btn-primary'} flex items-center`}
+          disabled={isApplying || !buildOperation()}
+        >
+          <FaCheck className="mr-1" />
+          <span>{isApplying ? 'Applying...' : 'Apply'}</span>
+        </button>
+        <button onClick={onClear} className="btn btn-secondary flex items-center" disabled={isApplying}>
+          <FaTimes className="mr-1" />
+          <span>Clear</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+BulkActionBar.propTypes = {
+  selectedCount: PropTypes.number.isRequired,
+  matchingCount: PropTypes.number.isRequired,
+  canSelectAllMatching: PropTypes.bool,
+  onSelectAllMatching: PropTypes.func.isRequired,
+  onClear: PropTypes.func.isRequired,
+  onApply: PropTypes.func.isRequired
+};
+
+export default BulkActionBar;
@@ -0,0 +1,35 @@
+import PropTypes from 'prop-types';
+import { useExpenseContext } from '../context/ExpenseContext';
+import { CATEGORY_ICONS, DEFAULT_CATEGORY_COLOR } from '../constants/categoryIcons';
+
+/**
+ * CategoryBadge component showing a category name in its colour with its icon
+ * @param {Object} props - Component props
+ * @param {string} props.name - Category name
+ * @param {string} props.className - Extra classes for the badge
+ * @returns {JSX.Element} The rendered CategoryBadge component
+ */
+const CategoryBadge = ({ name, className = '' }) => {
+  const { categories } = useExpenseContext();
+  const category = categories.find(item => item.name === name);
+  const color = category ? category.color : DEFAULT_CATEGORY_COLOR;
+  const Icon = (category && CATEGORY_ICONS[category.icon]) || CATEGORY_ICONS.FaTag;
+  
+  return (
+    <span
+      className={`badge ${className}`}
+      // A translucent background keeps the text readable for any colour
+      style={{ backgroundColor: `${color}22`, color }}
+    >
+      <Icon className="mr-1" />
+      {name}
+    </span>
+  );
+};
+
+CategoryBadge.propTypes = {
+  name: PropTypes.string.isRequired,
+  className: PropTypes.string
+};
+
+export default CategoryBadge;
@@ -0,0 +1,32 @@
+import PropTypes from 'prop-types';
+import { useExpenseContext } from '../context/ExpenseContext';
+import { toCategoryTree } from '../utils/categories';
+
+/**
+ * CategoryOptions component rendering the user's categories as <option>s, subcategories indented
+ * @param {Object} props - Component props
+ * @param {string} props.valueKey - Category field used as the option value ('name' or '_id')
+ * @param {Function} props.filter - Optional predicate choosing which categories to list
+ * @returns {JSX.Element} The rendered options
+ */
+const CategoryOptions = ({ valueKey = 'name', filter }) => {
+  const { categories } = useExpenseContext();
+  const tree = toCategoryTree(filter ? categories.filter(filter) : categories);
+  
+  return (
+    <>
+      {tree.map(({ category, depth }) => (
+        <option key={category._id} value={category[valueKey]}>
+          {depth > 0 ? `\u00A0\u00A0\u00A0\u00A0${category.name}` : category.name}
+        </option>
+      ))}
+    </>
+  );
+};
+
+CategoryOptions.propTypes = {
+  valueKey: PropTypes.oneOf(['name', '_id']),
+  filter: PropTypes.func
+};
+
+export default CategoryOptions;
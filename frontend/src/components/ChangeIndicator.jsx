@@ -0,0 +1,45 @@
+import PropTypes from 'prop-types';
+import { FaArrowUp, FaArrowDown } from 'react-icons/fa';
+
+/**
+ * ChangeIndicator component showing how a figure moved since the comparison period
+ * Rises are shown in red, since for spending a higher figure is the worse outcome.
+ * @param {Object} props - Component props
+ * @param {Object} props.change - Change with difference and percentage (null when the previous figure was 0)
+ * @param {Function} props.format - Function formatting the difference when there is no percentage
+ * @param {string} props.label - What the figure is compared with, e.g. "vs previous period"
+ * @returns {JSX.Element|null} The rendered ChangeIndicator component
+ */
+const ChangeIndicator = ({ change, format = String, label }) => {
+  if (!change) {
+    return null;
+  }
+
+  if (change.difference === 0) {
+    return <p className="text-sm text-gray-500 mt-1">No change {label}</p>;
+  }
+
+  const rising = change.difference > 0;
+  const Icon = rising ? FaArrowUp : FaArrowDown;
+  const amount = change.percentage === null
+    ? format(Math.abs(change.difference))
+    : `${Math.abs(change.percentage)}%`;
+
+  return (
+    <p className={`text-sm mt-1 flex items-center ${rising ? 'text-red-600' : 'text-green-600'}`}>
+      <Icon className="mr-1" />
+      <span>{amount} {label}</span>
+    </p>
+  );
+};
+
+ChangeIndicator.propTypes = {
+  change: PropTypes.shape({
+    difference: PropTypes.number.isRequired,
+    percentage: PropTypes.number
+  }),
+  format: PropTypes.func,
+  label: PropTypes.string.isRequired
+};
+
+export default ChangeIndicator;
@@ -0,0 +1,114 @@
+import { useState } from 'react';
+import { FaExclamationTriangle, FaSave, FaTimes } from 'react-icons/fa';
+import PropTypes from 'prop-types';
+import { FIELD_LABELS, formatFieldValue, sameFieldValue } from '../utils/expenseFields';
+
+/**
+ * ConflictResolver component comparing the user's edit with a newer copy saved by someone else
+ * Each differing field can be taken from either version before saving the result.
+ * @param {Object} props - Component props
+ * @param {Object} props.mine - The user's form values
+ * @param {Object} props.theirs - Form values of the copy now on the server
+ * @param {Function} props.onResolve - Function called with the merged form values
+ * @param {Function} props.onDiscard - Function called to drop the user's changes and load the server copy
+ * @param {boolean} props.isSubmitting - Whether the merged values are being saved
+ * @returns {JSX.Element} The rendered ConflictResolver component
+ */
+const ConflictResolver = ({ mine, theirs, onResolve, onDiscard, isSubmitting }) => {
+  const fields = Object.keys(FIELD_LABELS);
+  const conflicting = fields.filter(field => !sameFieldValue(mine[field], theirs[field]));
+
+  // Start from the user's edit; they choose which of the other changes to take
+  const [choices, setChoices] = useState(() => Object.fromEntries(conflicting.map(field => [field, 'mine'])));
+
+  /**
+   * Save the chosen value of every field
+   */
+  const handleResolve = () => {
+    const merged = Object.fromEntries(fields.map(field => [
+      field,
+      choices[field] === 'theirs' ? theirs[field] : mine[field]
+    ]));
+    onResolve(merged);
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center text-yellow-700">
+        <FaExclamationTriangle className="mr-2" />
+        <h2 className="text-lg font-semibold">Someone else changed this expense</h2>
+      </div>
+      <div className="card-body">
+        <p className="text-sm text-gray-600 mb-4">
+          {conflicting.length > 0
+            ? 'Choose which version of each field to keep, then save.'
+            : 'Their changes match yours; save to apply your edit on top of them.'}
+        </p>
+
+        {conflicting.length > 0 && (
+          <table className="min-w-full divide-y divide-gray-200 mb-4">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Field</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Your version</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Their version</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {conflicting.map(field => (
+                <tr key={field}>
+                  <td className="px-4 py-2 text-sm font-medium text-gray-900">{FIELD_LABELS[field]}</td>
+                  {['mine', 'theirs'].map(side => (
+                    <td key={side} className="px-4 py-2 text-sm">
+                      <label className="flex items-start cursor-pointer">
+                        <input
+                          type="radio"
+                          name={`conflict-${field}`}
+                          checked={choices[field] === side}
+                          onChange={() => setChoices(prev => ({ ...prev, [field]: side }))}
+                          className="mt-1 mr-2"
+                        />
+                        <span>{formatFieldValue(field, side === 'mine' ? mine[field] : theirs[field])}</span>
+                      </label>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div className="flex justify-end space-x-2">
+          <button
+            type="button"
+            onClick={onDiscard}
+            className="btn btn-secondary flex items-center"
+            disabled={isSubmitting}
+          >
+            <FaTimes className="mr-1" />
+            <span>Discard my changes</span>
+          </button>
+          <button
+            type="button"
+            onClick={handleResolve}
+            className="btn btn-primary flex items-center"
+            disabled={isSubmitting}
+          >
+            <FaSave className="mr-1" />
+            <span>{isSubmitting ? 'Saving...' : 'Save'}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ConflictResolver.propTypes = {
+  mine: PropTypes.object.isRequired,
+  theirs: PropTypes.object.isRequired,
+  onResolve: PropTypes.func.isRequired,
+  onDiscard: PropTypes.func.isRequired,
+  isSubmitting: PropTypes.bool
+};
+
+export default ConflictResolver;
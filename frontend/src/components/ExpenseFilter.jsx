@@ -1,9 +1,10 @@
-import { useState } from 'react';
-import { FaFilter, FaTimes } from 'react-icons/fa';
+import { useState, useEffect } from 'react';
+import { FaFilter, FaTimes, FaSearch } from 'react-icons/fa';
 import PropTypes from 'prop-types';
+import CategoryOptions from './CategoryOptions';
 
 /**
- * ExpenseFilter component for filtering expenses by various criteria
+ * ExpenseFilter component for searching and filtering expenses by various criteria
  * @param {Object} props - Component props
  * @param {Object} props.initialFilters - Initial filter values
  * @param {Function} props.onApplyFilters - Function to call when filters are applied
@@ -12,7 +13,10 @@ import PropTypes from 'prop-types';
  */
 const ExpenseFilter = ({ 
   initialFilters = {
+    q: '',
     category: '',
+    tags: '',
+    tagMatch: 'any',
     startDate: '',
     endDate: '',
     sort: 'date:desc'
@@ -23,16 +27,34 @@ const ExpenseFilter = ({
   const [isOpen, setIsOpen] = useState(false);
   const [filters, setFilters] = useState(initialFilters);
   
+  // Keep the panel in sync when filters change elsewhere (e.g. sorting from the list)
+  useEffect(() => {
+    setFilters(initialFilters);
+  }, [initialFilters]);
+  
   /**
    * Handle filter change
    * @param {Object} e - Event object
    */
   const handleChange = (e) => {
     const { name, value } = e.target;
-    setFilters(prev => ({
-      ...prev,
-      [name]: value
-    }));
+    setFilters(prev => {
+      const next = {
+        ...prev,
+        [name]: value
+      };
+      
+      // Rank search results by relevance unless another sort was chosen
+      if (name === 'q') {
+        if (value.trim() && prev.sort === 'date:desc') {
+          next.sort = 'relevance';
+        } else if (!value.trim() && prev.sort === 'relevance') {
+          next.sort = 'date:desc';
+        }
+      }
+      
+      return next;
+    });
   };
   
   /**
@@ -48,7 +70,10 @@ const ExpenseFilter = ({
    */
   const resetFilters = () => {
     const resetValues = {
+      q: '',
       category: '',
+      tags: '',
+      tagMatch: 'any',
       startDate: '',
       endDate: '',
       sort: 'date:desc'
@@ -78,6 +103,23 @@ const ExpenseFilter = ({
       {isOpen && (
         <div className="mt-4 bg-white p-4 rounded-lg shadow-md">
           <h2 className="text-lg font-semibold mb-3">Filter Expenses</h2>
+          <div className="form-group">
+            <label htmlFor="q" className="form-label">Search</label>
+            <div className="relative">
+              <FaSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+              <input 
+                type="search"
+                id="q"
+                name="q"
+                value={filters.q || ''}
+                onChange={handleChange}
+                onKeyDown={(e) => e.key === 'Enter' && applyFilters()}
+                className="form-input pl-9"
+                placeholder="Search titles and descriptions..."
+              />
+            </div>
+          </div>
+          
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
             <div className="form-group">
               <label htmlFor="category" className="form-label">Category</label>
@@ -89,21 +131,36 @@ const ExpenseFilter = ({
                 className="form-input"
               >
                 <option value="">All Categories</option>
-                <option value="Food">Food</option>
-                <option value="Transportation">Transportation</option>
-                <option value="Entertainment">Entertainment</option>
-                <option value="Shopping">Shopping</option>
-                <option value="Utilities">Utilities</option>
-                <option value="Housing">Housing</option>
-                <option value="Healthcare">Healthcare</option>
-                <option value="Personal">Personal</option>
-                <option value="Education">Education</option>
-                <option value="Gifts">Gifts</option>
-                <option value="Travel">Travel</option>
-                <option value="Other">Other</option>
+                <CategoryOptions />
               </select>
             </div>
             
+            <div className="form-group">
+              <label htmlFor="tags" className="form-label">Tags</label>
+              <div className="flex space-x-2">
+                <input 
+                  type="text"
+                  id="tags"
+                  name="tags"
+                  value={filters.tags || ''}
+                  onChange={handleChange}
+                  onKeyDown={(e) => e.key === 'Enter' && applyFilters()}
+                  className="form-input"
+                  placeholder="e.g. work, trip"
+                />
+                <select 
+                  name="tagMatch"
+                  value={filters.tagMatch || 'any'}
+                  onChange={handleChange}
+                  className="form-input w-24"
+                  aria-label="Match tags"
+                >
+                  <option value="any">Any</option>
+                  <option value="all">All</option>
+                </select>
+              </div>
+            </div>
+            
             <div className="form-group">
               <label htmlFor="startDate" className="form-label">Start Date</label>
               <input 
@@ -137,6 +194,7 @@ const ExpenseFilter = ({
                 onChange={handleChange}
                 className="form-input"
               >
+                {filters.q && <option value="relevance">Relevance</option>}
                 <option value="date:desc">Date (Newest)</option>
                 <option value="date:asc">Date (Oldest)</option>
                 <option value="amount:desc">Amount (Highest)</option>
@@ -169,7 +227,10 @@ const ExpenseFilter = ({
 
 ExpenseFilter.propTypes = {
   initialFilters: PropTypes.shape({
+    q: PropTypes.string,
     category: PropTypes.string,
+    tags: PropTypes.string,
+    tagMatch: PropTypes.oneOf(['any', 'all']),
     startDate: PropTypes.string,
     endDate: PropTypes.string,
     sort: PropTypes.string
@@ -1,6 +1,9 @@
 import { useState, useEffect } from 'react';
 import { FaSave, FaTimes } from 'react-icons/fa';
 import PropTypes from 'prop-types';
+import CategoryOptions from './CategoryOptions';
+import TagInput from './TagInput';
+import { validateExpense } from '../utils/validation';
 
 /**
  * Reusable form component for creating and editing expenses
@@ -18,7 +21,8 @@ const ExpenseForm = ({
     amount: '',
     category: 'Other',
     date: new Date().toISOString().split('T')[0],
-    description: ''
+    description: '',
+    tags: []
   },
   onSubmit,
   onCancel,
@@ -58,31 +62,7 @@ const ExpenseForm = ({
    * @returns {boolean} True if form is valid, false otherwise
    */
   const validateForm = () => {
-    const newErrors = {};
-    
-    if (!formData.title.trim()) {
-      newErrors.title = 'Title is required';
-    } else if (formData.title.length > 100) {
-      newErrors.title = 'Title cannot be more than 100 characters';
-    }
-    
-    if (!formData.amount) {
-      newErrors.amount = 'Amount is required';
-    } else if (isNaN(formData.amount) || Number(formData.amount) <= 0) {
-      newErrors.amount = 'Amount must be a positive number';
-    }
-    
-    if (!formData.category) {
-      newErrors.category = 'Category is required';
-    }
-    
-    if (!formData.date) {
-      newErrors.date = 'Date is required';
-    }
-    
-    if (formData.description && formData.description.length > 500) {
-      newErrors.description = 'Description cannot be more than 500 characters';
-    }
+    const newErrors = validateExpense(formData);
     
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -149,18 +129,7 @@ const ExpenseForm = ({
           onChange={handleChange}
           className={`form-input ${errors.category ? 'border-red-500' : ''}`}
         >
-          <option value="Food">Food</option>
-          <option value="Transportation">Transportation</option>
-          <option value="Entertainment">Entertainment</option>
-          <option value="Shopping">Shopping</option>
-          <option value="Utilities">Utilities</option>
-          <option value="Housing">Housing</option>
-          <option value="Healthcare">Healthcare</option>
-          <option value="Personal">Personal</option>
-          <option value="Education">Education</option>
-          <option value="Gifts">Gifts</option>
-          <option value="Travel">Travel</option>
-          <option value="Other">Other</option>
+          <CategoryOptions />
         </select>
         {errors.category && <p className="text-red-500 text-sm mt-1">{errors.category}</p>}
       </div>
@@ -195,6 +164,14 @@ const ExpenseForm = ({
         </p>
       </div>
       
+      <div className="form-group">
+        <label htmlFor="tags" className="form-label">Tags (Optional)</label>
+        <TagInput
+          value={formData.tags || []}
+          onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+        />
+      </div>
+      
       <div className="flex justify-end space-x-2 mt-6">
         <button
           type="button"
@@ -233,7 +210,8 @@ ExpenseForm.propTypes = {
     amount: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
     category: PropTypes.string,
     date: PropTypes.string,
-    description: PropTypes.string
+    description: PropTypes.string,
+    tags: PropTypes.arrayOf(PropTypes.string)
   }),
   onSubmit: PropTypes.func.isRequired,
   onCancel: PropTypes.func.isRequired,
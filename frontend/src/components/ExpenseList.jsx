@@ -1,29 +1,45 @@
-import { useState } from 'react';
 import { Link } from 'react-router-dom';
-import { FaEdit, FaTrash, FaEye, FaSort, FaSortUp, FaSortDown } from 'react-icons/fa';
+import { FaEdit, FaTrash, FaEye, FaSort, FaSortUp, FaSortDown, FaCloudUploadAlt } from 'react-icons/fa';
 import PropTypes from 'prop-types';
+import Highlight from './Highlight';
+import CategoryBadge from './CategoryBadge';
+import TagChip from './TagChip';
+import { formatCurrency } from '../utils/currency';
 
 /**
- * ExpenseList component for displaying a list of expenses with sorting and pagination
+ * ExpenseList component for displaying a server-paginated, server-sorted list of expenses
  * @param {Object} props - Component props
- * @param {Array} props.expenses - List of expenses to display
- * @param {Function} props.onDelete - Function to call when deleting an expense
+ * @param {Array} props.expenses - Current page of expenses to display
+ * @param {Object} props.pagination - Paging state returned by the API
+ * @param {string} props.sort - Active sort field and direction (e.g. 'date:desc')
+ * @param {string} props.searchQuery - Active search query, whose matches are highlighted
+ * @param {string} props.baseCurrency - Currency converted amounts are shown in
+ * @param {Function} props.onSortChange - Function to call with a new sort value
+ * @param {Function} props.onPageChange - Function to call with a new page number
+ * @param {Function} props.onDelete - Function to call with the ID and version of an expense to delete it
+ * @param {Function} props.onTagClick - Optional function to call with a tag whose chip was clicked
+ * @param {Array<string>} props.selectedIds - IDs of the selected expenses
+ * @param {Function} props.onSelectionChange - Optional function called with the new selected IDs; shows the selection column
  * @param {boolean} props.loading - Whether the expenses are loading
  * @returns {JSX.Element} The rendered ExpenseList component
  */
-const ExpenseList = ({ expenses, onDelete, loading }) => {
-  const [sortField, setSortField] = useState('date');
-  const [sortDirection, setSortDirection] = useState('desc');
-  const [currentPage, setCurrentPage] = useState(1);
-  const itemsPerPage = 10;
-  
-  // Format currency
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-IN', {
-      style: 'currency',
-      currency: 'INR'
-    }).format(amount);
-  };
+const ExpenseList = ({
+  expenses,
+  pagination,
+  sort = 'date:desc',
+  searchQuery = '',
+  baseCurrency,
+  onSortChange,
+  onPageChange,
+  onDelete,
+  onTagClick,
+  selectedIds = [],
+  onSelectionChange,
+  loading
+}) => {
+  const [sortField, sortDirection] = sort.split(':');
+  const currentPage = pagination.page || 1;
+  const totalPages = Math.max(Math.ceil(pagination.totalCount / pagination.limit), 1);
   
   // Format date
   const formatDate = (dateString) => {
@@ -38,10 +54,9 @@ const ExpenseList = ({ expenses, onDelete, loading }) => {
   // Handle sorting
   const handleSort = (field) => {
     if (sortField === field) {
-      setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
+      onSortChange(`${field}:${sortDirection === 'asc' ? 'desc' : 'asc'}`);
     } else {
-      setSortField(field);
-      setSortDirection('asc');
+      onSortChange(`${field}:asc`);
     }
   };
   
@@ -55,47 +70,41 @@ const ExpenseList = ({ expenses, onDelete, loading }) => {
       <FaSortDown className="ml-1 text-blue-500" />;
   };
   
-  // Sort expenses
-  const sortedExpenses = [...expenses].sort((a, b) => {
-    let aValue = a[sortField];
-    let bValue = b[sortField];
-    
-    // Handle date comparison
-    if (sortField === 'date' || sortField === 'createdAt' || sortField === 'updatedAt') {
-      aValue = new Date(aValue).getTime();
-      bValue = new Date(bValue).getTime();
-    }
-    
-    // Handle string comparison
-    if (typeof aValue === 'string') {
-      aValue = aValue.toLowerCase();
-      bValue = bValue.toLowerCase();
-    }
-    
-    if (aValue < bValue) {
-      return sortDirection === 'asc' ? -1 : 1;
-    }
-    if (aValue > bValue) {
-      return sortDirection === 'asc' ? 1 : -1;
-    }
-    return 0;
-  });
-  
-  // Paginate expenses
-  const indexOfLastItem = currentPage * itemsPerPage;
-  const indexOfFirstItem = indexOfLastItem - itemsPerPage;
-  const currentExpenses = sortedExpenses.slice(indexOfFirstItem, indexOfLastItem);
-  const totalPages = Math.ceil(expenses.length / itemsPerPage);
+  // Page numbers shown around the current page
+  const firstPageShown = Math.max(currentPage - 2, 1);
+  const lastPageShown = Math.min(firstPageShown + 4, totalPages);
+  const pageNumbers = [];
+  for (let number = Math.max(lastPageShown - 4, 1); number <= lastPageShown; number++) {
+    pageNumbers.push(number);
+  }
   
   // Handle page change
   const handlePageChange = (pageNumber) => {
-    setCurrentPage(pageNumber);
+    if (pageNumber >= 1 && pageNumber <= totalPages && pageNumber !== currentPage) {
+      onPageChange(pageNumber);
+    }
+  };
+  
+  // Select or deselect one expense
+  const handleSelect = (id) => {
+    onSelectionChange(selectedIds.includes(id)
+      ? selectedIds.filter(selectedId => selectedId !== id)
+      : [...selectedIds, id]);
+  };
+  
+  // Select or deselect every expense on this page, keeping selections on other pages
+  const pageIds = expenses.map(expense => expense._id);
+  const isPageSelected = pageIds.length > 0 && pageIds.every(id => selectedIds.includes(id));
+  const handleSelectPage = () => {
+    onSelectionChange(isPageSelected
+      ? selectedIds.filter(id => !pageIds.includes(id))
+      : [...new Set([...selectedIds, ...pageIds])]);
   };
   
   // Handle expense deletion
-  const handleDelete = (id) => {
+  const handleDelete = (expense) => {
     if (window.confirm('Are you sure you want to delete this expense?')) {
-      onDelete(id);
+      onDelete(expense._id, expense.__v);
     }
   };
   
@@ -123,6 +132,16 @@ const ExpenseList = ({ expenses, onDelete, loading }) => {
         <table className="min-w-full divide-y divide-gray-200">
           <thead className="bg-gray-50">
             <tr>
+              {onSelectionChange && (
+                <th className="pl-6 py-3 text-left">
+                  <input
+                    type="checkbox"
+                    checked={isPageSelected}
+                    onChange={handleSelectPage}
+                    aria-label="Select all expenses on this page"
+                  />
+                </th>
+              )}
               <th 
                 className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
                 onClick={() => handleSort('title')}
@@ -165,28 +184,48 @@ const ExpenseList = ({ expenses, onDelete, loading }) => {
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
-            {currentExpenses.map(expense => (
-              <tr key={expense._id} className="hover:bg-gray-50">
+            {expenses.map(expense => (
+              <tr key={expense._id} className={selectedIds.includes(expense._id) ? 'bg-blue-50' : 'hover:bg-gray-50'}>
+                {onSelectionChange && (
+                  <td className="pl-6 py-4">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(expense._id)}
+                      onChange={() => handleSelect(expense._id)}
+                      aria-label={`Select ${expense.title}`}
+                    />
+                  </td>
+                )}
                 <td className="px-6 py-4 whitespace-nowrap">
-                  <div className="text-sm font-medium text-gray-900">{expense.title}</div>
+                  <div className="text-sm font-medium text-gray-900">
+                    <Highlight text={expense.title} query={searchQuery} />
+                    {expense.pendingSync && (
+                      <FaCloudUploadAlt className="inline ml-2 text-gray-400" title="Not saved to the server yet" />
+                    )}
+                  </div>
                   {expense.description && (
-                    <div className="text-sm text-gray-500 truncate max-w-xs">{expense.description}</div>
+                    <div className="text-sm text-gray-500 truncate max-w-xs">
+                      <Highlight text={expense.description} query={searchQuery} />
+                    </div>
+                  )}
+                  {expense.tags && expense.tags.length > 0 && (
+                    <div className="flex flex-wrap mt-1">
+                      {expense.tags.map(tag => (
+                        <TagChip key={tag} tag={tag} onClick={onTagClick} />
+                      ))}
+                    </div>
                   )}
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap">
-                  <div className="text-sm font-medium text-gray-900">{formatCurrency(expense.amount)}</div>
+                  <div className="text-sm font-medium text-gray-900">{formatCurrency(expense.amount, expense.currency)}</div>
+                  {baseCurrency && expense.currency !== baseCurrency && (
+                    <div className="text-xs text-gray-500">
+                      {expense.baseAmount !== null ? `≈ ${formatCurrency(expense.baseAmount, baseCurrency)}` : 'No rate'}
+                    </div>
+                  )}
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap">
-                  <span className={`badge ${
-                    expense.category === 'Food' ? 'badge-green' :
-                    expense.category === 'Transportation' ? 'badge-blue' :
-                    expense.category === 'Entertainment' ? 'badge-purple' :
-                    expense.category === 'Shopping' ? 'badge-red' :
-                    expense.category === 'Utilities' ? 'badge-yellow' :
-                    'badge-gray'
-                  }`}>
-                    {expense.category}
-                  </span>
+                  <CategoryBadge name={expense.category} />
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap">
                   <div className="text-sm text-gray-900">{formatDate(expense.date)}</div>
@@ -208,7 +247,7 @@ const ExpenseList = ({ expenses, onDelete, loading }) => {
                       <FaEdit />
                     </Link>
                     <button
-                      onClick={() => handleDelete(expense._id)}
+                      onClick={() => handleDelete(expense)}
                       className="text-red-600 hover:text-red-900"
                       title="Delete"
                     >
@@ -223,8 +262,11 @@ const ExpenseList = ({ expenses, onDelete, loading }) => {
       </div>
       
       {/* Pagination */}
+      <p className="text-sm text-gray-500 text-center mt-4">
+        Showing {(currentPage - 1) * pagination.limit + 1}–{(currentPage - 1) * pagination.limit + expenses.length} of {pagination.totalCount}
+      </p>
       {totalPages > 1 && (
-        <div className="flex justify-center mt-4">
+        <div className="flex justify-center mt-2 mb-4">
           <nav className="inline-flex rounded-md shadow-sm -space-x-px" aria-label="Pagination">
             <button
               onClick={() => handlePageChange(currentPage - 1)}
@@ -237,17 +279,17 @@ const ExpenseList = ({ expenses, onDelete, loading }) => {
               &laquo;
             </button>
             
-            {[...Array(totalPages)].map((_, index) => (
+            {pageNumbers.map(number => (
               <button
-                key={index}
-                onClick={() => handlePageChange(index + 1)}
+                key={number}
+                onClick={() => handlePageChange(number)}
                 className={`relative inline-flex items-center px-4 py-2 border text-sm font-medium ${
-                  currentPage === index + 1
+                  currentPage === number
                     ? 'z-10 bg-blue-50 border-blue-500 text-blue-600'
                     : 'bg-white border-gray-300 text-gray-500 hover:bg-gray-50'
                 }`}
               >
-                {index + 1}
+                {number}
               </button>
             ))}
             
@@ -270,7 +312,20 @@ const ExpenseList = ({ expenses, onDelete, loading }) => {
 
 ExpenseList.propTypes = {
   expenses: PropTypes.array.isRequired,
+  pagination: PropTypes.shape({
+    page: PropTypes.number,
+    limit: PropTypes.number,
+    totalCount: PropTypes.number
+  }).isRequired,
+  sort: PropTypes.string,
+  searchQuery: PropTypes.string,
+  baseCurrency: PropTypes.string,
+  onSortChange: PropTypes.func.isRequired,
+  onPageChange: PropTypes.func.isRequired,
   onDelete: PropTypes.func.isRequired,
+  onTagClick: PropTypes.func,
+  selectedIds: PropTypes.arrayOf(PropTypes.string),
+  onSelectionChange: PropTypes.func,
   loading: PropTypes.bool
 };
 
@@ -0,0 +1,258 @@
+import { useState } from 'react';
+import { FaPlus } from 'react-icons/fa';
+import PropTypes from 'prop-types';
+import CategoryOptions from './CategoryOptions';
+
+// Ways of splitting an expense, with the label of the per-member value
+const SPLIT_METHODS = [
+  { value: 'equal', label: 'Equally', valueLabel: null },
+  { value: 'exact', label: 'By exact amounts', valueLabel: 'Amount' },
+  { value: 'percentage', label: 'By percentages', valueLabel: '%' },
+  { value: 'shares', label: 'By shares', valueLabel: 'Shares' }
+];
+
+/**
+ * GroupExpenseForm component for adding an expense to a group and choosing how to split it
+ * @param {Object} props - Component props
+ * @param {Object} props.group - Group with populated members
+ * @param {string} props.userId - ID of the logged-in user, who pays by default
+ * @param {Function} props.onSubmit - Function called with the expense data; may throw to keep the form
+ * @returns {JSX.Element} The rendered GroupExpenseForm component
+ */
+const GroupExpenseForm = ({ group, userId, onSubmit }) => {
+  const emptyForm = () => ({
+    title: '',
+    amount: '',
+    category: 'Other',
+    date: new Date().toISOString().slice(0, 10),
+    paidBy: userId,
+    method: 'equal',
+    // Every member is included by default, with an empty value for non-equal splits
+    values: Object.fromEntries(group.members.map(member => [member._id, ''])),
+    included: Object.fromEntries(group.members.map(member => [member._id, true]))
+  });
+
+  const [formData, setFormData] = useState(emptyForm);
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const method = SPLIT_METHODS.find(item => item.value === formData.method);
+
+  /**
+   * Handle form input changes
+   * @param {Object} e - Event object
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  /**
+   * Update one member's part of the split
+   * @param {string} memberId - Member ID
+   * @param {string} field - 'values' or 'included'
+   * @param {string|boolean} value - New value
+   */
+  const handleMemberChange = (memberId, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: { ...prev[field], [memberId]: value }
+    }));
+    setErrors(prev => ({ ...prev, split: '' }));
+  };
+
+  /**
+   * Validate the form, including that the split adds up
+   * @returns {boolean} Whether the form is valid
+   */
+  const validateForm = () => {
+    const newErrors = {};
+    const members = group.members.filter(member => formData.included[member._id]);
+    const total = members.reduce((sum, member) => sum + Number(formData.values[member._id] || 0), 0);
+
+    if (!formData.title.trim()) {
+      newErrors.title = 'Title is required';
+    }
+
+    if (!formData.amount) {
+      newErrors.amount = 'Amount is required';
+    } else if (isNaN(formData.amount) || Number(formData.amount) <= 0) {
+      newErrors.amount = 'Amount must be a positive number';
+    }
+
+    if (members.length === 0) {
+      newErrors.split = 'Choose at least one member to split with';
+    } else if (formData.method === 'exact' && Math.abs(total - Number(formData.amount)) > 0.005) {
+      newErrors.split = `Amounts add up to ${total.toFixed(2)}, not ${Number(formData.amount || 0).toFixed(2)}`;
+    } else if (formData.method === 'percentage' && Math.abs(total - 100) > 0.001) {
+      newErrors.split = `Percentages add up to ${total}, not 100`;
+    } else if (formData.method === 'shares' && total <= 0) {
+      newErrors.split = 'Give at least one member a share';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  /**
+   * Submit the expense with its split
+   * @param {Object} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    const entries = group.members
+      .filter(member => formData.included[member._id])
+      .map(member => ({
+        user: member._id,
+        value: formData.method === 'equal' ? 1 : Number(formData.values[member._id] || 0)
+      }));
+
+    try {
+      setIsSubmitting(true);
+      await onSubmit({
+        title: formData.title.trim(),
+        amount: Number(formData.amount),
+        category: formData.category,
+        date: formData.date,
+        paidBy: formData.paidBy,
+        split: { method: formData.method, entries }
+      });
+      setFormData(emptyForm());
+    } catch (error) {
+      console.error('Error adding group expense:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="form-group">
+          <label htmlFor="title" className="form-label">Title</label>
+          <input
+            type="text"
+            id="title"
+            name="title"
+            value={formData.title}
+            onChange={handleChange}
+            className={`form-input ${errors.title ? 'border-red-500' : ''}`}
+            placeholder="e.g. Groceries"
+          />
+          {errors.title && <p className="text-red-500 text-sm mt-1">{errors.title}</p>}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="amount" className="form-label">Amount ({group.currency})</label>
+          <input
+            type="number"
+            id="amount"
+            name="amount"
+            value={formData.amount}
+            onChange={handleChange}
+            className={`form-input ${errors.amount ? 'border-red-500' : ''}`}
+            placeholder="0.00"
+            step="0.01"
+            min="0"
+          />
+          {errors.amount && <p className="text-red-500 text-sm mt-1">{errors.amount}</p>}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="date" className="form-label">Date</label>
+          <input type="date" id="date" name="date" value={formData.date} onChange={handleChange} className="form-input" />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="category" className="form-label">Category</label>
+          <select id="category" name="category" value={formData.category} onChange={handleChange} className="form-input">
+            <CategoryOptions />
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="paidBy" className="form-label">Paid by</label>
+          <select id="paidBy" name="paidBy" value={formData.paidBy} onChange={handleChange} className="form-input">
+            {group.members.map(member => (
+              <option key={member._id} value={member._id}>{member.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="method" className="form-label">Split</label>
+          <select id="method" name="method" value={formData.method} onChange={handleChange} className="form-input">
+            {SPLIT_METHODS.map(item => (
+              <option key={item.value} value={item.value}>{item.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="mt-2 space-y-2">
+        {group.members.map(member => (
+          <div key={member._id} className="flex items-center gap-3">
+            <label className="flex items-center w-48">
+              <input
+                type="checkbox"
+                checked={formData.included[member._id]}
+                onChange={(e) => handleMemberChange(member._id, 'included', e.target.checked)}
+                className="mr-2"
+              />
+              <span className="text-sm">{member.name}</span>
+            </label>
+            {method.valueLabel && formData.included[member._id] && (
+              <input
+                type="number"
+                value={formData.values[member._id]}
+                onChange={(e) => handleMemberChange(member._id, 'values', e.target.value)}
+                className="form-input w-32"
+                placeholder={method.valueLabel}
+                aria-label={`${method.valueLabel} for ${member.name}`}
+                step="any"
+                min="0"
+              />
+            )}
+          </div>
+        ))}
+        {errors.split && <p className="text-red-500 text-sm">{errors.split}</p>}
+      </div>
+
+      <div className="flex justify-end mt-4">
+        <button type="submit" className="btn btn-primary flex items-center" disabled={isSubmitting}>
+          <FaPlus className="mr-2" />
+          <span>Add Expense</span>
+        </button>
+      </div>
+    </form>
+  );
+};
+
+GroupExpenseForm.propTypes = {
+  group: PropTypes.shape({
+    currency: PropTypes.string.isRequired,
+    members: PropTypes.arrayOf(PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired
+    })).isRequired
+  }).isRequired,
+  userId: PropTypes.string.isRequired,
+  onSubmit: PropTypes.func.isRequired
+};
+
+export default GroupExpenseForm;
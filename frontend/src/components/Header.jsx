@@ -1,12 +1,32 @@
-import { Link } from 'react-router-dom';
-import { FaPlus, FaChartPie } from 'react-icons/fa';
+import { Link, useNavigate } from 'react-router-dom';
+import { FaPlus, FaChartPie, FaSignOutAlt } from 'react-icons/fa';
+import { useExpenseContext } from '../context/ExpenseContext';
+import SyncStatus from './SyncStatus';
 
 /**
  * Header component for the application
- * Displays navigation and app title
+ * Displays navigation, app title, the sync status of offline changes and the session controls
  * @returns {JSX.Element} The rendered Header component
  */
 const Header = () => {
+  const navigate = useNavigate();
+  const { user, logout, syncStatus } = useExpenseContext();
+
+  /**
+   * Log out and return to the login page
+   * Logging out deletes what is stored offline, so changes not sent yet are only lost on confirmation.
+   */
+  const handleLogout = async () => {
+    const { pending } = syncStatus;
+    if (pending > 0 && !window.confirm(
+      `${pending} change${pending === 1 ? '' : 's'} made offline ${pending === 1 ? 'has' : 'have'} not been saved yet and will be lost. Log out anyway?`
+    )) {
+      return;
+    }
+    await logout();
+    navigate('/login');
+  };
+
   return (
     <header className="bg-white shadow-md">
       <div className="container mx-auto px-4 py-4">
@@ -15,27 +35,125 @@ const Header = () => {
             <FaChartPie className="mr-2" />
             <span>Expense Tracker</span>
           </Link>
-          
+
           <nav>
-            <ul className="flex space-x-4">
-              <li>
-                <Link 
-                  to="/" 
-                  className="text-gray-600 hover:text-blue-600 transition-colors duration-300"
-                >
-                  Dashboard
-                </Link>
-              </li>
-              <li>
-                <Link 
-                  to="/add" 
-                  className="btn btn-primary flex items-center"
-                >
-                  <FaPlus className="mr-1" size={14} />
-                  <span>Add Expense</span>
-                </Link>
-              </li>
-            </ul>
+            {user ? (
+              <ul className="flex items-center space-x-4">
+                <li>
+                  <Link
+                    to="/"
+                    className="text-gray-600 hover:text-blue-600 transition-colors duration-300"
+                  >
+                    Dashboard
+                  </Link>
+                </li>
+                <li>
+                  <Link
+                    to="/income"
+                    className="text-gray-600 hover:text-blue-600 transition-colors duration-300"
+                  >
+                    Income
+                  </Link>
+                </li>
+                <li>
+                  <Link
+                    to="/budgets"
+                    className="text-gray-600 hover:text-blue-600 transition-colors duration-300"
+                  >
+                    Budgets
+                  </Link>
+                </li>
+                <li>
+                  <Link
+                    to="/recurring"
+                    className="text-gray-600 hover:text-blue-600 transition-colors duration-300"
+                  >
+                    Recurring
+                  </Link>
+                </li>
+                <li>
+                  <Link
+                    to="/import"
+                    className="text-gray-600 hover:text-blue-600 transition-colors duration-300"
+                  >
+                    Import
+                  </Link>
+                </li>
+                <li>
+                  <Link
+                    to="/groups"
+                    className="text-gray-600 hover:text-blue-600 transition-colors duration-300"
+                  >
+                    Groups
+                  </Link>
+                </li>
+                <li>
+                  <Link
+                    to="/categories"
+                    className="text-gray-600 hover:text-blue-600 transition-colors duration-300"
+                  >
+                    Categories
+                  </Link>
+                </li>
+                <li>
+                  <Link
+                    to="/currencies"
+                    className="text-gray-600 hover:text-blue-600 transition-colors duration-300"
+                  >
+                    Currencies
+                  </Link>
+                </li>
+                <li>
+                  <Link
+                    to="/trash"
+                    className="text-gray-600 hover:text-blue-600 transition-colors duration-300"
+                  >
+                    Trash
+                  </Link>
+                </li>
+                <li>
+                  <Link
+                    to="/add"
+                    className="btn btn-primary flex items-center"
+                  >
+                    <FaPlus className="mr-1" size={14} />
+                    <span>Add Expense</span>
+                  </Link>
+                </li>
+                <li>
+                  <SyncStatus />
+                </li>
+                <li className="text-gray-600 hidden md:block">{user.name}</li>
+                <li>
+                  <button
+                    onClick={handleLogout}
+                    className="text-gray-600 hover:text-red-600 transition-colors duration-300 flex items-center"
+                    title="Log Out"
+                  >
+                    <FaSignOutAlt />
+                  </button>
+                </li>
+              </ul>
+            ) : (
+              <ul className="flex items-center space-x-4">
+                <li>
+                  <Link
+                    to="/login"
+                    className="text-gray-600 hover:text-blue-600 transition-colors duration-300"
+                  >
+                    Log In
+                  </Link>
+                </li>
+                <li>
+                  <Link
+                    to="/register"
+                    className="btn btn-primary"
+                  >
+                    Sign Up
+                  </Link>
+                </li>
+              </ul>
+            )}
           </nav>
         </div>
       </div>
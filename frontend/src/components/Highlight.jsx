@@ -0,0 +1,57 @@
+import PropTypes from 'prop-types';
+
+/**
+ * Turn a search query into the list of words worth highlighting
+ * Drops quotes and negated terms, which MongoDB text search treats specially
+ * @param {string} query - Search query
+ * @returns {Array<string>} Words to highlight
+ */
+const getSearchTerms = (query) => {
+  return (query || '')
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'));
+};
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Highlight component that marks the words of a search query inside a text
+ * @param {Object} props - Component props
+ * @param {string} props.text - Text to render
+ * @param {string} props.query - Search query whose words should be marked
+ * @returns {JSX.Element} The rendered text with matches wrapped in <mark>
+ */
+const Highlight = ({ text, query = '' }) => {
+  const terms = getSearchTerms(query);
+  
+  if (!text || terms.length === 0) {
+    return <>{text}</>;
+  }
+  
+  // Match whole words and their stems (e.g. "ride" also marks "rides")
+  const pattern = new RegExp(`(\\b(?:${terms.map(escapeRegExp).join('|')})\\w*)`, 'gi');
+  const parts = text.split(pattern);
+  
+  return (
+    <>
+      {parts.map((part, index) => (
+        index % 2 === 1
+          ? <mark key={index} className="bg-yellow-200 rounded px-0.5">{part}</mark>
+          : part
+      ))}
+    </>
+  );
+};
+
+Highlight.propTypes = {
+  text: PropTypes.string,
+  query: PropTypes.string
+};
+
+export default Highlight;
@@ -0,0 +1,101 @@
+import { FaHistory, FaUndo } from 'react-icons/fa';
+import PropTypes from 'prop-types';
+import { FIELD_LABELS, formatFieldValue } from '../utils/expenseFields';
+
+// Wording for each kind of history entry
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Edited',
+  delete: 'Moved to the trash',
+  restore: 'Restored from the trash',
+  revert: 'Reverted to an earlier version'
+};
+
+/**
+ * Format a date and time
+ * @param {string} dateString - ISO date string
+ * @returns {string} Formatted date and time
+ */
+const formatDateTime = (dateString) => {
+  return new Intl.DateTimeFormat('en-IN', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  }).format(new Date(dateString));
+};
+
+/**
+ * HistoryTimeline component listing the changes made to an expense, newest first
+ * @param {Object} props - Component props
+ * @param {Array} props.history - History entries, newest first
+ * @param {Function} props.onRevert - Function called with an entry to revert the expense to its version
+ * @param {string} props.revertingId - ID of the entry being reverted to, if any
+ * @returns {JSX.Element} The rendered HistoryTimeline component
+ */
+const HistoryTimeline = ({ history, onRevert, revertingId }) => {
+  if (history.length === 0) {
+    return <p className="text-gray-400 italic">No changes recorded yet.</p>;
+  }
+
+  return (
+    <ol className="relative border-l border-gray-200 ml-2">
+      {history.map((entry, index) => (
+        <li key={entry._id} className="mb-6 ml-4">
+          <span className="absolute -left-2 flex items-center justify-center w-4 h-4 bg-blue-100 rounded-full">
+            <FaHistory className="text-blue-600" size={10} />
+          </span>
+          <div className="flex justify-between items-start">
+            <div>
+              <p className="font-medium">{ACTION_LABELS[entry.action] || entry.action}</p>
+              <p className="text-sm text-gray-500">
+                {formatDateTime(entry.createdAt)} by {entry.changedBy ? entry.changedBy.name : 'a recurring rule'}
+              </p>
+            </div>
+            {index > 0 && (
+              <button
+                onClick={() => onRevert(entry)}
+                className="text-sm text-blue-600 hover:text-blue-800 flex items-center"
+                disabled={Boolean(revertingId)}
+                title="Set the expense back to how it was after this change"
+              >
+                <FaUndo className="mr-1" />
+                <span>{revertingId === entry._id ? 'Reverting...' : 'Revert to this version'}</span>
+              </button>
+            )}
+          </div>
+          {entry.action !== 'create' && entry.changes.length > 0 && (
+            <ul className="mt-2 text-sm space-y-1">
+              {entry.changes.map(change => (
+                <li key={change.field}>
+                  <span className="text-gray-600">{FIELD_LABELS[change.field] || change.field}:</span>{' '}
+                  <span className="line-through text-red-600">{formatFieldValue(change.field, change.from)}</span>{' '}
+                  <span className="text-green-700">{formatFieldValue(change.field, change.to)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+HistoryTimeline.propTypes = {
+  history: PropTypes.arrayOf(PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    action: PropTypes.string.isRequired,
+    createdAt: PropTypes.string.isRequired,
+    changedBy: PropTypes.shape({ name: PropTypes.string }),
+    changes: PropTypes.arrayOf(PropTypes.shape({
+      field: PropTypes.string.isRequired,
+      from: PropTypes.any,
+      to: PropTypes.any
+    })).isRequired
+  })).isRequired,
+  onRevert: PropTypes.func.isRequired,
+  revertingId: PropTypes.string
+};
+
+export default HistoryTimeline;
@@ -0,0 +1,59 @@
+import { useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FaChartLine, FaExclamationTriangle, FaStore, FaTachometerAlt } from 'react-icons/fa';
+import { useExpenseContext } from '../context/ExpenseContext';
+import { describeInsight } from '../utils/insights';
+
+// Icon and colour per insight type
+const INSIGHT_ICONS = {
+  pace: { Icon: FaTachometerAlt, className: 'text-blue-600' },
+  anomaly: { Icon: FaExclamationTriangle, className: 'text-amber-600' },
+  trend: { Icon: FaChartLine, className: 'text-red-600' },
+  newTitle: { Icon: FaStore, className: 'text-teal-600' }
+};
+
+/**
+ * InsightsPanel component describing what stands out in the user's spending
+ * @returns {JSX.Element} The rendered InsightsPanel component
+ */
+const InsightsPanel = () => {
+  const { user, stats, insights, getInsights } = useExpenseContext();
+
+  // Fetch the insights on mount and again whenever the expenses change
+  useEffect(() => {
+    getInsights();
+  }, [getInsights, stats]);
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h2 className="text-lg font-semibold">Insights</h2>
+      </div>
+      <div className="card-body">
+        {insights.length === 0 ? (
+          <p className="text-gray-500 text-center">Nothing stands out yet. Insights appear as your spending history grows.</p>
+        ) : (
+          <ul className="space-y-3">
+            {insights.map((insight, index) => {
+              const { Icon, className } = INSIGHT_ICONS[insight.type] || INSIGHT_ICONS.pace;
+              const sentence = describeInsight(insight, user.baseCurrency);
+
+              return (
+                <li key={`${insight.type}-${insight.expenseId || insight.category || insight.title || index}`} className="flex items-start text-sm">
+                  <Icon className={`mr-2 mt-0.5 flex-shrink-0 ${className}`} />
+                  {insight.type === 'anomaly' ? (
+                    <Link to={`/expense/${insight.expenseId}`} className="hover:text-blue-600">{sentence}</Link>
+                  ) : (
+                    <span>{sentence}</span>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default InsightsPanel;
@@ -0,0 +1,97 @@
+import PropTypes from 'prop-types';
+import { PERIOD_PRESETS, GRANULARITIES } from '../utils/period';
+
+/**
+ * PeriodPicker component for choosing the period and grouping of the statistics
+ * @param {Object} props - Component props
+ * @param {Object} props.period - Current period: preset, granularity and custom from/to days
+ * @param {Function} props.onChange - Function called with the new period
+ * @returns {JSX.Element} The rendered PeriodPicker component
+ */
+const PeriodPicker = ({ period, onChange }) => {
+  /**
+   * Switch preset, starting from the preset's usual granularity
+   * @param {Object} e - Event object
+   */
+  const handlePresetChange = (e) => {
+    const preset = PERIOD_PRESETS.find(item => item.value === e.target.value);
+    onChange({ ...period, preset: preset.value, granularity: preset.granularity });
+  };
+
+  /**
+   * Change the granularity or one of the custom days
+   * @param {Object} e - Event object
+   */
+  const handleChange = (e) => {
+    const next = { ...period, [e.target.name]: e.target.value };
+
+    // Wait for a complete, ordered custom range before refetching
+    if (next.preset === 'custom' && next.from && next.to && next.from > next.to) {
+      return;
+    }
+    onChange(next);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select
+        value={period.preset}
+        onChange={handlePresetChange}
+        className="form-input w-auto"
+        aria-label="Statistics period"
+      >
+        {PERIOD_PRESETS.map(item => (
+          <option key={item.value} value={item.value}>{item.label}</option>
+        ))}
+      </select>
+
+      {period.preset === 'custom' && (
+        <>
+          <input
+            type="date"
+            name="from"
+            value={period.from}
+            max={period.to || undefined}
+            onChange={handleChange}
+            className="form-input w-auto"
+            aria-label="From"
+          />
+          <span className="text-gray-500">to</span>
+          <input
+            type="date"
+            name="to"
+            value={period.to}
+            min={period.from || undefined}
+            onChange={handleChange}
+            className="form-input w-auto"
+            aria-label="To"
+          />
+        </>
+      )}
+
+      <select
+        name="granularity"
+        value={period.granularity}
+        onChange={handleChange}
+        className="form-input w-auto"
+        aria-label="Group by"
+      >
+        {GRANULARITIES.map(item => (
+          <option key={item.value} value={item.value}>By {item.label.toLowerCase()}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+PeriodPicker.propTypes = {
+  period: PropTypes.shape({
+    preset: PropTypes.string.isRequired,
+    granularity: PropTypes.string.isRequired,
+    from: PropTypes.string,
+    to: PropTypes.string
+  }).isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default PeriodPicker;
@@ -0,0 +1,34 @@
+import { Navigate, useLocation } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { useExpenseContext } from '../context/ExpenseContext';
+
+/**
+ * ProtectedRoute component that only renders its children for a logged-in user
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Page to render when logged in
+ * @returns {JSX.Element} The page, a spinner, or a redirect to the login page
+ */
+const ProtectedRoute = ({ children }) => {
+  const location = useLocation();
+  const { user, authLoading } = useExpenseContext();
+  
+  if (authLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="w-12 h-12 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+  
+  if (!user) {
+    return <Navigate to="/login" state={{ from: location }} replace />;
+  }
+  
+  return children;
+};
+
+ProtectedRoute.propTypes = {
+  children: PropTypes.node.isRequired
+};
+
+export default ProtectedRoute;
@@ -0,0 +1,167 @@
+import PropTypes from 'prop-types';
+import { FaRedo } from 'react-icons/fa';
+
+// Singular unit shown next to the interval for each frequency
+const UNITS = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+  yearly: 'year'
+};
+
+/**
+ * RepeatSection component for making an expense recur
+ * @param {Object} props - Component props
+ * @param {Object} props.value - Current repeat settings
+ * @param {Function} props.onChange - Function to call with updated repeat settings
+ * @param {Object} props.errors - Validation errors keyed by repeat field
+ * @returns {JSX.Element} The rendered RepeatSection component
+ */
+const RepeatSection = ({ value, onChange, errors = {} }) => {
+  /**
+   * Handle repeat input changes
+   * @param {Object} e - Event object
+   */
+  const handleChange = (e) => {
+    const { name, value: fieldValue, type, checked } = e.target;
+    onChange({
+      ...value,
+      [name]: type === 'checkbox' ? checked : fieldValue
+    });
+  };
+  
+  const unit = UNITS[value.frequency];
+  
+  return (
+    <div className="form-group border border-gray-200 rounded-md p-3">
+      <label className="flex items-center font-medium text-gray-700">
+        <input
+          type="checkbox"
+          name="enabled"
+          checked={value.enabled}
+          onChange={handleChange}
+          className="mr-2"
+        />
+        <FaRedo className="mr-2 text-gray-500" size={12} />
+        <span>Repeat</span>
+      </label>
+      
+      {value.enabled && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-3">
+          <div>
+            <label htmlFor="frequency" className="form-label">Every</label>
+            <div className="flex space-x-2">
+              <input
+                type="number"
+                id="interval"
+                name="interval"
+                value={value.interval}
+                onChange={handleChange}
+                className={`form-input w-20 ${errors.interval ? 'border-red-500' : ''}`}
+                min="1"
+                aria-label="Interval"
+              />
+              <select
+                id="frequency"
+                name="frequency"
+                value={value.frequency}
+                onChange={handleChange}
+                className="form-input"
+              >
+                <option value="daily">Day(s)</option>
+                <option value="weekly">Week(s)</option>
+                <option value="monthly">Month(s)</option>
+                <option value="yearly">Year(s)</option>
+              </select>
+            </div>
+            {errors.interval && <p className="text-red-500 text-sm mt-1">{errors.interval}</p>}
+          </div>
+          
+          {(value.frequency === 'monthly' || value.frequency === 'yearly') && (
+            <div>
+              <label htmlFor="dayOfMonth" className="form-label">On day of month</label>
+              <input
+                type="number"
+                id="dayOfMonth"
+                name="dayOfMonth"
+                value={value.dayOfMonth}
+                onChange={handleChange}
+                className={`form-input ${errors.dayOfMonth ? 'border-red-500' : ''}`}
+                placeholder="Same as date"
+                min="1"
+                max="31"
+              />
+              {errors.dayOfMonth && <p className="text-red-500 text-sm mt-1">{errors.dayOfMonth}</p>}
+            </div>
+          )}
+          
+          <div>
+            <label htmlFor="ends" className="form-label">Ends</label>
+            <select
+              id="ends"
+              name="ends"
+              value={value.ends}
+              onChange={handleChange}
+              className="form-input"
+            >
+              <option value="never">Never</option>
+              <option value="date">On date</option>
+              <option value="count">After a number of times</option>
+            </select>
+          </div>
+          
+          {value.ends === 'date' && (
+            <div>
+              <label htmlFor="endDate" className="form-label">End date</label>
+              <input
+                type="date"
+                id="endDate"
+                name="endDate"
+                value={value.endDate}
+                onChange={handleChange}
+                className={`form-input ${errors.endDate ? 'border-red-500' : ''}`}
+              />
+              {errors.endDate && <p className="text-red-500 text-sm mt-1">{errors.endDate}</p>}
+            </div>
+          )}
+          
+          {value.ends === 'count' && (
+            <div>
+              <label htmlFor="count" className="form-label">Occurrences</label>
+              <input
+                type="number"
+                id="count"
+                name="count"
+                value={value.count}
+                onChange={handleChange}
+                className={`form-input ${errors.count ? 'border-red-500' : ''}`}
+                min="1"
+              />
+              {errors.count && <p className="text-red-500 text-sm mt-1">{errors.count}</p>}
+            </div>
+          )}
+          
+          <p className="text-sm text-gray-500 md:col-span-2">
+            Repeats every {Number(value.interval) > 1 ? `${value.interval} ${unit}s` : unit}, starting on the date above.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+RepeatSection.propTypes = {
+  value: PropTypes.shape({
+    enabled: PropTypes.bool,
+    frequency: PropTypes.string,
+    interval: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    dayOfMonth: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    ends: PropTypes.string,
+    endDate: PropTypes.string,
+    count: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  errors: PropTypes.object
+};
+
+export default RepeatSection;
@@ -0,0 +1,67 @@
+import { Link } from 'react-router-dom';
+import { FaCheckCircle, FaCloudUploadAlt, FaExclamationTriangle, FaSync, FaWifi } from 'react-icons/fa';
+import { useExpenseContext } from '../context/ExpenseContext';
+
+/**
+ * SyncStatus component showing whether changes made offline have reached the server
+ * Offers to send queued changes now, and links to the first edit that needs resolving.
+ * @returns {JSX.Element} The rendered SyncStatus component
+ */
+const SyncStatus = () => {
+  const { isOnline, syncStatus, syncPendingChanges } = useExpenseContext();
+  const { syncing, pending, conflicts } = syncStatus;
+  const pendingText = `${pending} change${pending === 1 ? '' : 's'} waiting`;
+
+  if (conflicts.length > 0) {
+    return (
+      <Link
+        to={`/edit/${conflicts[0].expenseId}`}
+        className="text-sm text-yellow-700 flex items-center"
+        title="Changes made offline clashed with newer versions; choose what to keep"
+      >
+        <FaExclamationTriangle className="mr-1" />
+        <span>{conflicts.length} to resolve</span>
+      </Link>
+    );
+  }
+
+  if (!isOnline) {
+    return (
+      <span className="text-sm text-gray-500 flex items-center" title="Changes are saved on this device until you reconnect">
+        <FaWifi className="mr-1 opacity-50" />
+        <span>Offline{pending > 0 ? ` · ${pendingText}` : ''}</span>
+      </span>
+    );
+  }
+
+  if (syncing) {
+    return (
+      <span className="text-sm text-blue-600 flex items-center">
+        <FaSync className="mr-1 animate-spin" />
+        <span>Syncing...</span>
+      </span>
+    );
+  }
+
+  if (pending > 0) {
+    return (
+      <button
+        onClick={syncPendingChanges}
+        className="text-sm text-blue-600 hover:text-blue-800 flex items-center"
+        title="Send the changes made while offline now"
+      >
+        <FaCloudUploadAlt className="mr-1" />
+        <span>{pendingText}</span>
+      </button>
+    );
+  }
+
+  return (
+    <span className="text-sm text-green-600 flex items-center" title="All changes are saved">
+      <FaCheckCircle className="mr-1" />
+      <span className="hidden md:inline">Synced</span>
+    </span>
+  );
+};
+
+export default SyncStatus;
@@ -0,0 +1,52 @@
+import { FaHashtag, FaTimes } from 'react-icons/fa';
+import PropTypes from 'prop-types';
+
+/**
+ * TagChip component showing a tag, optionally clickable or removable
+ * @param {Object} props - Component props
+ * @param {string} props.tag - Tag name
+ * @param {Function} props.onClick - Function called with the tag when the chip is clicked
+ * @param {Function} props.onRemove - Function called with the tag when its remove button is clicked
+ * @returns {JSX.Element} The rendered TagChip component
+ */
+const TagChip = ({ tag, onClick, onRemove }) => {
+  const content = (
+    <>
+      <FaHashtag className="mr-0.5" />
+      {tag}
+    </>
+  );
+
+  return (
+    <span className="badge badge-gray mr-1 mb-1">
+      {onClick ? (
+        <button
+          type="button"
+          onClick={() => onClick(tag)}
+          className="inline-flex items-center hover:text-blue-600"
+          title={`Show expenses tagged ${tag}`}
+        >
+          {content}
+        </button>
+      ) : content}
+      {onRemove && (
+        <button
+          type="button"
+          onClick={() => onRemove(tag)}
+          className="ml-1 hover:text-red-600"
+          aria-label={`Remove tag ${tag}`}
+        >
+          <FaTimes />
+        </button>
+      )}
+    </span>
+  );
+};
+
+TagChip.propTypes = {
+  tag: PropTypes.string.isRequired,
+  onClick: PropTypes.func,
+  onRemove: PropTypes.func
+};
+
+export default TagChip;
@@ -0,0 +1,83 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useExpenseContext } from '../context/ExpenseContext';
+import TagChip from './TagChip';
+import { MAX_TAGS, MAX_TAG_LENGTH, normalizeTags } from '../utils/tags';
+
+/**
+ * TagInput component for entering an expense's tags, suggesting tags already in use
+ * A tag is added on Enter, comma or leaving the field; Backspace in the empty field removes the last one.
+ * @param {Object} props - Component props
+ * @param {string} props.id - ID of the text input, for its label
+ * @param {Array<string>} props.value - Current tags
+ * @param {Function} props.onChange - Function called with the new list of tags
+ * @returns {JSX.Element} The rendered TagInput component
+ */
+const TagInput = ({ id = 'tags', value, onChange }) => {
+  const { tags: knownTags } = useExpenseContext();
+  const [text, setText] = useState('');
+
+  const isFull = value.length >= MAX_TAGS;
+  const suggestions = knownTags.filter(tag => !value.includes(tag.name));
+
+  /**
+   * Add whatever has been typed as one or more tags
+   */
+  const commit = () => {
+    if (text.trim()) {
+      onChange(normalizeTags([...value, ...text.split(',')]).slice(0, MAX_TAGS));
+    }
+    setText('');
+  };
+
+  /**
+   * Handle keys that add or remove tags
+   * @param {Object} e - Keyboard event
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      commit();
+    } else if (e.key === 'Backspace' && !text && value.length > 0) {
+      onChange(value.slice(0, -1));
+    }
+  };
+
+  return (
+    <div>
+      {value.length > 0 && (
+        <div className="flex flex-wrap mb-2">
+          {value.map(tag => (
+            <TagChip key={tag} tag={tag} onRemove={() => onChange(value.filter(item => item !== tag))} />
+          ))}
+        </div>
+      )}
+      <input
+        type="text"
+        id={id}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={commit}
+        list={`${id}-suggestions`}
+        className="form-input"
+        placeholder={isFull ? `Up to ${MAX_TAGS} tags` : 'Add tags, e.g. work, trip'}
+        maxLength={MAX_TAG_LENGTH}
+        disabled={isFull}
+      />
+      <datalist id={`${id}-suggestions`}>
+        {suggestions.map(tag => (
+          <option key={tag.name} value={tag.name} />
+        ))}
+      </datalist>
+    </div>
+  );
+};
+
+TagInput.propTypes = {
+  id: PropTypes.string,
+  value: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default TagInput;
@@ -0,0 +1,42 @@
+import { FaUndo } from 'react-icons/fa';
+import PropTypes from 'prop-types';
+
+/**
+ * UndoToast component with a message and an Undo button, shown inside a toast
+ * @param {Object} props - Component props
+ * @param {string} props.message - Message to show
+ * @param {Function} props.onUndo - Function called when Undo is clicked
+ * @param {Function} props.closeToast - Function provided by the toast to close it
+ * @returns {JSX.Element} The rendered UndoToast component
+ */
+const UndoToast = ({ message, onUndo, closeToast }) => {
+  /**
+   * Close the toast and undo the action
+   */
+  const handleUndo = () => {
+    closeToast();
+    onUndo();
+  };
+
+  return (
+    <div className="flex items-center justify-between">
+      <span>{message}</span>
+      <button
+        type="button"
+        onClick={handleUndo}
+        className="ml-3 flex items-center font-medium text-blue-600 hover:text-blue-800"
+      >
+        <FaUndo className="mr-1" />
+        <span>Undo</span>
+      </button>
+    </div>
+  );
+};
+
+UndoToast.propTypes = {
+  message: PropTypes.string.isRequired,
+  onUndo: PropTypes.func.isRequired,
+  closeToast: PropTypes.func
+};
+
+export default UndoToast;
@@ -0,0 +1,72 @@
+import {
+  FaTag,
+  FaUtensils,
+  FaCoffee,
+  FaShoppingCart,
+  FaCar,
+  FaBus,
+  FaGasPump,
+  FaFilm,
+  FaMusic,
+  FaGamepad,
+  FaShoppingBag,
+  FaTshirt,
+  FaBolt,
+  FaWifi,
+  FaMobileAlt,
+  FaHome,
+  FaHeartbeat,
+  FaPills,
+  FaUser,
+  FaGraduationCap,
+  FaBook,
+  FaGift,
+  FaPlane,
+  FaHotel,
+  FaPaw,
+  FaChild,
+  FaDumbbell,
+  FaBriefcase
+} from 'react-icons/fa';
+
+/**
+ * Icons a category can use, keyed by the icon name stored by the API
+ * Unknown names fall back to FaTag.
+ * @type {Object<string, Function>}
+ */
+export const CATEGORY_ICONS = {
+  FaTag,
+  FaUtensils,
+  FaCoffee,
+  FaShoppingCart,
+  FaCar,
+  FaBus,
+  FaGasPump,
+  FaFilm,
+  FaMusic,
+  FaGamepad,
+  FaShoppingBag,
+  FaTshirt,
+  FaBolt,
+  FaWifi,
+  FaMobileAlt,
+  FaHome,
+  FaHeartbeat,
+  FaPills,
+  FaUser,
+  FaGraduationCap,
+  FaBook,
+  FaGift,
+  FaPlane,
+  FaHotel,
+  FaPaw,
+  FaChild,
+  FaDumbbell,
+  FaBriefcase
+};
+
+/**
+ * Colour used for categories that are unknown or have none
+ * @type {string}
+ */
+export const DEFAULT_CATEGORY_COLOR = '#6b7280';
@@ -0,0 +1,22 @@
+/**
+ * Currencies accepted by the API, as ISO 4217 codes
+ * The first entry is the default base currency.
+ * @type {Array<string>}
+ */
+export const CURRENCIES = [
+  'INR',
+  'USD',
+  'EUR',
+  'GBP',
+  'JPY',
+  'AUD',
+  'CAD',
+  'CHF',
+  'CNY',
+  'SGD',
+  'HKD',
+  'AED',
+  'NZD',
+  'THB',
+  'ZAR'
+];
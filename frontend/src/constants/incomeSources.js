@@ -0,0 +1,13 @@
+/**
+ * Kinds of income accepted by the API
+ * @type {Array<string>}
+ */
+export const INCOME_SOURCES = [
+  'Salary',
+  'Freelance',
+  'Refund',
+  'Reimbursement',
+  'Interest',
+  'Gift',
+  'Other'
+];
@@ -1,26 +1,205 @@
-import { createContext, useContext, useState, useEffect, useCallback } from 'react';
-import axios from 'axios';
+import { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import { toast } from 'react-toastify';
+import { DEFAULT_STATS_PERIOD, toStatsParams, toExpenseQuery } from '../utils/period';
+import UndoToast from '../components/UndoToast';
+import {
+  getCached,
+  setCached,
+  getQueue,
+  clearOfflineData,
+  applyQueue,
+  isOfflineId,
+  createOfflineId
+} from '../utils/offlineStore';
+import {
+  dedupeRequest,
+  isLatestRequest,
+  toCacheKey,
+  isFresh,
+  storeExpenses,
+  storeList,
+  storeStats,
+  prependToList,
+  patchExpense,
+  removeExpense,
+  invalidateQueries,
+  invalidateCache,
+  readList
+} from '../utils/expenseCache';
+import { openEventStream } from '../utils/eventStream';
+import {
+  api,
+  API_URL,
+  TOKEN_KEY,
+  CLIENT_ID,
+  ifMatch,
+  isVersionConflict,
+  isNetworkError,
+  toastApiError
+} from '../utils/api';
+import { useOfflineSync } from '../hooks/useOfflineSync';
+import { useExpenseCache } from '../hooks/useExpenseCache';
+import { useGroups } from '../hooks/useGroups';
 
 /**
- * Context for managing expense data and operations
+ * Context for managing the user session, expense data and operations
  * @typedef {Object} ExpenseContextType
- * @property {Array} expenses - List of all expenses
- * @property {Object} stats - Statistics about expenses
- * @property {boolean} loading - Loading state
- * @property {Function} getExpenses - Function to fetch all expenses
- * @property {Function} getExpenseById - Function to fetch a single expense by ID
+ * @property {Object|null} user - The logged-in user, or null when logged out
+ * @property {boolean} authLoading - Whether the stored session is being restored
+ * @property {Function} login - Function to log in with email and password
+ * @property {Function} register - Function to create an account and log in
+ * @property {Function} logout - Function to end the current session
+ * @property {Function} updateProfile - Function to change the user's name or base currency
+ * @property {Array} expenses - Current page of expenses, from the cache
+ * @property {Object} expenseFilters - Search, category, tags and sort applied to the expense list and statistics
+ * @property {Function} setExpenseFilters - Function to change the filters, refetching the list and statistics
+ * @property {Object} pagination - Paging state and totals for the current expense query
+ * @property {Object} stats - Statistics about expenses in the chosen period, with changes versus a comparison period
+ * @property {Object} statsPeriod - Period the statistics cover: preset, granularity and custom from/to days
+ * @property {Function} setStatsPeriod - Function to choose the period, refetching the statistics and the list limited to it
+ * @property {Object} requestStatus - Loading and error state of each operation, e.g. requestStatus.expenses or requestStatus['deleteExpense:<id>']
+ * @property {Function} getExpenses - Function to fetch a page of expenses matching the filters and period, unless it was fetched recently
+ * @property {Function} getExpenseById - Function to get a single expense by ID, from the cache when it is there
+ * @property {Function} getCachedExpense - Function to read an expense from the cache without fetching it
  * @property {Function} addExpense - Function to add a new expense
- * @property {Function} updateExpense - Function to update an existing expense
- * @property {Function} deleteExpense - Function to delete an expense
- * @property {Function} getExpenseStats - Function to fetch expense statistics
+ * @property {Function} updateExpense - Function to update an existing expense, based on the version that was loaded
+ * @property {Function} deleteExpense - Function to move an expense to the trash, offering to undo it
+ * @property {Function} bulkUpdateExpenses - Function to apply one action to many expenses
+ * @property {Function} getTrash - Function to fetch a page of trashed expenses
+ * @property {Function} restoreExpense - Function to restore an expense from the trash
+ * @property {Function} deleteExpensePermanently - Function to permanently delete an expense in the trash
+ * @property {Function} emptyTrash - Function to permanently delete everything in the trash
+ * @property {Function} getExpenseHistory - Function to fetch the change history of an expense
+ * @property {Function} revertExpense - Function to revert an expense to a version from its history
+ * @property {boolean} isOnline - Whether the browser has a network connection
+ * @property {Object} syncStatus - Whether offline changes are being replayed, how many are queued and the conflicts they ran into
+ * @property {Function} syncPendingChanges - Function to replay the changes made while offline
+ * @property {Function} getSyncConflict - Function to get the conflict an offline edit of an expense ran into, if any
+ * @property {Function} resolveSyncConflict - Function to forget the conflict of an expense once it is resolved
+ * @property {Array} tags - Tags used on the user's expenses with their counts, most used first
+ * @property {Function} getTags - Function to fetch the tags in use
+ * @property {Function} getExpenseStats - Function to fetch expense statistics for the chosen period
+ * @property {Function} importExpenses - Function to preview or run a CSV import
+ * @property {Function} exportExpenses - Function to download the filtered expenses as a file
+ * @property {Function} uploadAttachment - Function to upload a receipt to an expense
+ * @property {Function} getAttachmentFile - Function to fetch the file of an attachment
+ * @property {Function} deleteAttachment - Function to delete an attachment
+ * @property {Array} groups - Groups the user belongs to
+ * @property {Function} getGroups - Function to fetch the user's groups
+ * @property {Function} getGroup - Function to fetch a group with balances and suggested transfers
+ * @property {Function} createGroup - Function to create a group
+ * @property {Function} deleteGroup - Function to delete a group
+ * @property {Function} addGroupMember - Function to add a user to a group by email
+ * @property {Function} removeGroupMember - Function to remove a member from a group
+ * @property {Function} getGroupExpenses - Function to fetch a page of a group's expenses
+ * @property {Function} addGroupExpense - Function to add an expense split between group members
+ * @property {Function} deleteGroupExpense - Function to delete a group expense
+ * @property {Function} getSettlements - Function to fetch a group's settlements
+ * @property {Function} addSettlement - Function to record a payment between group members
+ * @property {Function} deleteSettlement - Function to delete a settlement
+ * @property {Array} categories - The user's categories with their expense counts
+ * @property {Function} getCategories - Function to fetch all categories
+ * @property {Function} addCategory - Function to add a category or subcategory
+ * @property {Function} updateCategory - Function to update a category
+ * @property {Function} deleteCategory - Function to delete a category, moving its expenses to another
+ * @property {Array} budgets - List of the user's budgets
+ * @property {Object} budgetStats - Spent vs limit per budgeted category for a month
+ * @property {Function} getBudgets - Function to fetch all budgets
+ * @property {Function} addBudget - Function to add a new budget
+ * @property {Function} updateBudget - Function to update an existing budget
+ * @property {Function} deleteBudget - Function to delete a budget
+ * @property {Function} getBudgetStats - Function to fetch budget statistics for a month
+ * @property {Object} cashFlow - Income, expenses and net savings per month of a year
+ * @property {Function} getIncomes - Function to fetch a page of income
+ * @property {Function} addIncome - Function to record income
+ * @property {Function} updateIncome - Function to update an income record
+ * @property {Function} deleteIncome - Function to delete an income record
+ * @property {Function} getCashFlow - Function to fetch the cash-flow report for a year
+ * @property {Array} insights - Spending insights: this month's pace, unusually large expenses, trending categories and new titles
+ * @property {Function} getInsights - Function to fetch the spending insights
+ * @property {Object|null} forecast - Projected month-end and year-end spending per category with confidence bands
+ * @property {Function} getForecast - Function to fetch the spending forecast
+ * @property {Array} recurringExpenses - List of the user's recurring expense rules
+ * @property {Array} upcomingOccurrences - Upcoming occurrences of active recurring rules
+ * @property {Function} getRecurringExpenses - Function to fetch recurring rules and upcoming occurrences
+ * @property {Function} addRecurringExpense - Function to create a recurring rule
+ * @property {Function} deleteRecurringExpense - Function to delete a recurring rule
+ * @property {Function} skipOccurrence - Function to skip or restore an upcoming occurrence
+ * @property {Function} pauseRecurringExpense - Function to pause or resume a recurring rule
+ * @property {Array} rates - The user's dated exchange rates, newest first
+ * @property {Function} getRates - Function to fetch all exchange rates
+ * @property {Function} addRate - Function to add an exchange rate
+ * @property {Function} deleteRate - Function to delete an exchange rate
+ * @property {Function} importRates - Function to import exchange rates from a CSV or JSON file
  */
 
 // Create the context
 const ExpenseContext = createContext();
 
-// Base URL for API
-const API_URL = '/api/expenses';
+// Base URLs for API
+const AUTH_URL = '/api/auth';
+const BUDGET_URL = '/api/budgets';
+const RECURRING_URL = '/api/recurring';
+const RATE_URL = '/api/rates';
+const CATEGORY_URL = '/api/categories';
+const INCOME_URL = '/api/income';
+const INSIGHT_URL = '/api/insights';
+const FORECAST_URL = '/api/forecast';
+
+// Expense list filters before the user changes any
+const DEFAULT_EXPENSE_FILTERS = {
+  q: '',
+  category: '',
+  tags: '',
+  tagMatch: 'any',
+  sort: 'date:desc'
+};
+
+/**
+ * Fetch a page of expenses, falling back to the copy saved in IndexedDB when offline
+ * @async
+ * @param {string} query - Query string of the page
+ * @returns {Promise<Object>} Response body
+ */
+const fetchExpensePage = async (query) => {
+  const savedKey = `expenses?${query}`;
+  try {
+    const response = await api.get(`${API_URL}?${query}`);
+    if (response.data.success) {
+      setCached(savedKey, response.data).catch(err => console.error('Error caching expenses:', err));
+    }
+    return response.data;
+  } catch (error) {
+    const saved = isNetworkError(error) ? await getCached(savedKey).catch(() => undefined) : undefined;
+    if (!saved) {
+      throw error;
+    }
+    return saved;
+  }
+};
+
+/**
+ * Fetch an expense, falling back to the copy saved in IndexedDB when offline
+ * @async
+ * @param {string} id - Expense ID
+ * @returns {Promise<Object>} Response body
+ */
+const fetchExpense = async (id) => {
+  const savedKey = `expense:${id}`;
+  try {
+    const response = await api.get(`${API_URL}/${id}`);
+    if (response.data.success) {
+      setCached(savedKey, response.data.data).catch(err => console.error('Error caching expense:', err));
+    }
+    return response.data;
+  } catch (error) {
+    const saved = isNetworkError(error) ? await getCached(savedKey).catch(() => undefined) : undefined;
+    if (!saved) {
+      throw error;
+    }
+    return { success: true, data: saved };
+  }
+};
 
 /**
  * Provider component for expense context
@@ -29,216 +208,1704 @@ const API_URL = '/api/expenses';
  * @returns {JSX.Element} Provider component
  */
 export const ExpenseProvider = ({ children }) => {
-  const [expenses, setExpenses] = useState([]);
-  const [stats, setStats] = useState({
-    total: 0,
-    byCategory: [],
+  const [user, setUser] = useState(null);
+  const [authLoading, setAuthLoading] = useState(true);
+  // Normalized cache of expenses, list pages and statistics, and what is on screen
+  const {
+    cacheRef,
+    listKey,
+    setListKey,
+    setStatsKey,
+    listPagingRef,
+    requestedListKeyRef,
+    expenses,
+    pagination,
+    stats,
+    updateCache,
+    getCachedExpense,
+    resetCache
+  } = useExpenseCache();
+  // Loading and error state of each operation, keyed by operation
+  const [requestStatus, setRequestStatus] = useState({});
+  const [statsPeriod, setStatsPeriod] = useState(DEFAULT_STATS_PERIOD);
+  const [expenseFilters, setExpenseFilters] = useState(DEFAULT_EXPENSE_FILTERS);
+  const [budgets, setBudgets] = useState([]);
+  const [budgetStats, setBudgetStats] = useState({
+    month: '',
+    budgets: []
+  });
+  const [recurringExpenses, setRecurringExpenses] = useState([]);
+  const [upcomingOccurrences, setUpcomingOccurrences] = useState([]);
+  const [rates, setRates] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [cashFlow, setCashFlow] = useState({
+    year: null,
     byMonth: []
   });
-  const [loading, setLoading] = useState(true);
+  const [insights, setInsights] = useState([]);
+  const [forecast, setForecast] = useState(null);
+  const userId = user ? user._id : null;
+  // Changes made offline, sent once the connection returns
+  const {
+    isOnline,
+    syncStatus,
+    resetSyncStatus,
+    queueOfflineChange,
+    syncPendingChanges,
+    getSyncConflict,
+    resolveSyncConflict
+  } = useOfflineSync({ userId, onSynced: () => invalidateExpenseData({ tags: true }) });
+  // Groups and the expenses and payments shared in them
+  const {
+    groups,
+    getGroups,
+    getGroup,
+    createGroup,
+    deleteGroup,
+    addGroupMember,
+    removeGroupMember,
+    getGroupExpenses,
+    addGroupExpense,
+    deleteGroupExpense,
+    getSettlements,
+    addSettlement,
+    deleteSettlement,
+    resetGroups
+  } = useGroups({ user, onExpensesChanged: () => invalidateExpenseData() });
+
+  /**
+   * Run a request, recording its loading and error state under an operation key
+   * @async
+   * @param {string} operation - Operation key, e.g. 'expenses' or 'deleteExpense:<id>'
+   * @param {Function} request - Function returning the request's promise
+   * @returns {Promise<*>} Result of the request
+   */
+  const trackRequest = useCallback(async (operation, request) => {
+    setRequestStatus(prev => ({ ...prev, [operation]: { loading: true, error: null } }));
+    try {
+      const result = await request();
+      setRequestStatus(prev => ({ ...prev, [operation]: { loading: false, error: null } }));
+      return result;
+    } catch (error) {
+      setRequestStatus(prev => ({ ...prev, [operation]: { loading: false, error: error.message } }));
+      throw error;
+    }
+  }, []);
+
+  /**
+   * Drop the current session and any data that belonged to it
+   * @param {Object} [options] - What to keep
+   * @param {boolean} [options.keepChanges=false] - Keep changes made offline and not sent yet, so
+   *   they can be sent once the user logs in again
+   */
+  const clearSession = useCallback(({ keepChanges = false } = {}) => {
+    localStorage.removeItem(TOKEN_KEY);
+    clearOfflineData({ keepChanges }).catch(error => console.error('Error clearing offline data:', error));
+    resetSyncStatus();
+    setUser(null);
+    resetCache();
+    setRequestStatus({});
+    setBudgets([]);
+    setRecurringExpenses([]);
+    setUpcomingOccurrences([]);
+    setRates([]);
+    setCategories([]);
+    setTags([]);
+    resetGroups();
+    setBudgetStats({
+      month: '',
+      budgets: []
+    });
+    setCashFlow({
+      year: null,
+      byMonth: []
+    });
+    setInsights([]);
+    setForecast(null);
+    setStatsPeriod(DEFAULT_STATS_PERIOD);
+    setExpenseFilters(DEFAULT_EXPENSE_FILTERS);
+  }, [resetSyncStatus, resetCache, resetGroups]);
+
+  /**
+   * Store a freshly issued session
+   * @param {Object} data - Auth response body with token and user data
+   * @returns {Object} Logged-in user
+   */
+  const startSession = (data) => {
+    localStorage.setItem(TOKEN_KEY, data.token);
+    setCached('user', data.data).catch(error => console.error('Error caching user:', error));
+    setUser(data.data);
+    return data.data;
+  };
 
   /**
-   * Fetch all expenses with optional filters
+   * Log in with email and password
    * @async
-   * @param {Object} filters - Optional filters for expenses
-   * @param {string} filters.category - Filter by category
-   * @param {string} filters.startDate - Filter by start date
-   * @param {string} filters.endDate - Filter by end date
-   * @param {string} filters.sort - Sort field and direction (e.g. 'date:desc')
-   * @returns {Promise<Array>} List of expenses
+   * @param {Object} credentials - Login credentials
+   * @param {string} credentials.email - User email
+   * @param {string} credentials.password - User password
+   * @returns {Promise<Object>} Logged-in user
    */
-  const getExpenses = useCallback(async (filters = {}) => {
+  const login = async (credentials) => {
     try {
-      setLoading(true);
+      const response = await api.post(`${AUTH_URL}/login`, credentials);
       
-      // Build query string from filters
-      const queryParams = new URLSearchParams();
-      Object.entries(filters).forEach(([key, value]) => {
-        if (value) queryParams.append(key, value);
-      });
+      if (response.data.success) {
+        toast.success(`Welcome back, ${response.data.data.name}`);
+        return startSession(response.data);
+      }
+    } catch (error) {
+      console.error('Error logging in:', error);
+      toastApiError(error, 'Failed to log in');
+      throw error;
+    }
+  };
+
+  /**
+   * Create a new account and log in
+   * @async
+   * @param {Object} userData - New user data
+   * @param {string} userData.name - Display name
+   * @param {string} userData.email - User email
+   * @param {string} userData.password - User password
+   * @returns {Promise<Object>} Logged-in user
+   */
+  const register = async (userData) => {
+    try {
+      const response = await api.post(`${AUTH_URL}/register`, userData);
       
-      const response = await axios.get(`${API_URL}?${queryParams.toString()}`);
+      if (response.data.success) {
+        toast.success('Account created successfully');
+        return startSession(response.data);
+      }
+    } catch (error) {
+      console.error('Error registering:', error);
+      toastApiError(error, 'Failed to create account');
+      throw error;
+    }
+  };
+
+  /**
+   * Log out and revoke the current token
+   * @async
+   */
+  const logout = async () => {
+    try {
+      await api.post(`${AUTH_URL}/logout`);
+    } catch (error) {
+      // The local session is cleared even if the server could not be reached
+      console.error('Error logging out:', error);
+    } finally {
+      clearSession();
+    }
+  };
+
+  /**
+   * Update the logged-in user's profile
+   * Changing the base currency reloads expenses and statistics in the new currency.
+   * @async
+   * @param {Object} updates - Fields to change (name, baseCurrency)
+   * @returns {Promise<Object>} Updated user
+   */
+  const updateProfile = async (updates) => {
+    try {
+      const response = await api.put(`${AUTH_URL}/me`, updates);
       
       if (response.data.success) {
-        setExpenses(response.data.data);
+        setCached('user', response.data.data).catch(err => console.error('Error caching user:', err));
+        if (response.data.data.baseCurrency !== user.baseCurrency) {
+          // Cached totals are in the old currency; the user change makes the effects fetch them again
+          updateCache(invalidateCache);
+        }
+        setUser(response.data.data);
+        toast.success('Settings saved');
         return response.data.data;
       }
+    } catch (error) {
+      console.error('Error updating profile:', error);
+      toastApiError(error, 'Failed to save settings');
+      throw error;
+    }
+  };
+
+  /**
+   * Fetch a page of the expenses matching the list filters and statistics period
+   * A page fetched within the last STALE_TIME_MS is served from the cache. A stale page is shown
+   * straight away and fetched again; a page not cached yet replaces the current one once it arrives.
+   * @async
+   * @param {Object} paging - Optional paging
+   * @param {number} paging.page - Page number to fetch
+   * @param {number} paging.limit - Number of expenses per page
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.force] - Fetch even if the cached page is fresh
+   * @returns {Promise<Array>} Page of expenses
+   */
+  const getExpenses = useCallback(async (paging = {}, { force = false } = {}) => {
+    const key = toCacheKey({ ...toExpenseQuery(expenseFilters, statsPeriod), ...paging });
+    listPagingRef.current = paging;
+    requestedListKeyRef.current = key;
+    
+    const cached = readList(cacheRef.current, key);
+    if (cached) {
+      setListKey(key);
+      if (!force && isFresh(cached)) {
+        return cached.expenses;
+      }
+    }
+    
+    try {
+      const requestKey = `expenses?${key}`;
+      const request = dedupeRequest(requestKey, () => fetchExpensePage(key), { force });
+      const body = await trackRequest('expenses', () => request);
+      
+      if (body.success) {
+        const data = applyQueue(body.data, await getQueue().catch(() => []));
+        // A response to an older request for the same page must not replace a newer one
+        if (isLatestRequest(requestKey, request)) {
+          updateCache(current => storeList(current, key, { ...body, data }));
+        }
+        if (requestedListKeyRef.current === key) {
+          setListKey(key);
+        }
+        return data;
+      }
     } catch (error) {
       console.error('Error fetching expenses:', error);
       toast.error('Failed to fetch expenses');
-    } finally {
-      setLoading(false);
     }
-  }, []);
+  }, [expenseFilters, statsPeriod, trackRequest, updateCache, cacheRef, listPagingRef, requestedListKeyRef, setListKey]);
+
+  /**
+   * Fetch an expense from the server into the cache, sharing a request already on its way
+   * @async
+   * @param {string} id - Expense ID
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.force] - Start a new request even if one is on its way
+   * @returns {Promise<Object>} Expense with any queued offline edits applied
+   */
+  const loadExpense = useCallback(async (id, { force = false } = {}) => {
+    const requestKey = `expense:${id}`;
+    const request = dedupeRequest(requestKey, () => fetchExpense(id), { force });
+    const body = await trackRequest(requestKey, () => request);
+    
+    if (body.success) {
+      const edits = (await getQueue().catch(() => [])).filter(change => change.type === 'update');
+      const [expense] = applyQueue([body.data], edits);
+      if (isLatestRequest(requestKey, request)) {
+        updateCache(current => storeExpenses(current, [expense]));
+      }
+      return expense;
+    }
+  }, [trackRequest, updateCache]);
 
   /**
-   * Fetch a single expense by ID
+   * Get a single expense by ID
+   * An expense already in the cache, e.g. from the list, is returned straight away and fetched
+   * again in the background when stale.
    * @async
    * @param {string} id - Expense ID
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.force] - Wait for the server's copy, e.g. before editing
    * @returns {Promise<Object>} Expense data
    */
-  const getExpenseById = async (id) => {
+  const getExpenseById = useCallback(async (id, { force = false } = {}) => {
     try {
-      // We don't set global loading state here anymore
-      // Each component will manage its own loading state
-      const response = await axios.get(`${API_URL}/${id}`);
+      if (isOfflineId(id)) {
+        // Only the queued creation knows about an expense added offline
+        const expense = applyQueue([], await getQueue().catch(() => [])).find(item => item._id === id);
+        if (expense) {
+          updateCache(current => storeExpenses(current, [expense], { fresh: false }));
+        }
+        return expense;
+      }
       
-      if (response.data.success) {
-        return response.data.data;
+      const cached = cacheRef.current.expenses[id];
+      if (cached && !force) {
+        if (!isFresh(cached)) {
+          loadExpense(id).catch(error => console.error('Error refreshing expense:', error));
+        }
+        return cached.data;
+      }
+      
+      try {
+        return await loadExpense(id, { force });
+      } catch (error) {
+        // Offline, the copy in the cache is the best there is
+        if (cached && isNetworkError(error)) {
+          return cached.data;
+        }
+        throw error;
       }
     } catch (error) {
       console.error('Error fetching expense:', error);
       toast.error('Failed to fetch expense details');
       throw error;
-    } finally {
-      setLoading(false);
     }
+  }, [loadExpense, updateCache, cacheRef]);
+
+  /**
+   * Fetch the list page on screen again, stepping back a page if changes emptied it
+   * @async
+   */
+  const refreshExpenseList = useCallback(async () => {
+    const paging = listPagingRef.current;
+    const data = await getExpenses(paging, { force: true });
+    if (data && data.length === 0 && paging.page > 1) {
+      await getExpenses({ ...paging, page: paging.page - 1 }, { force: true });
+    }
+  }, [getExpenses, listPagingRef]);
+
+  /**
+   * Catch up after an expense was added, edited or deleted and the change was put in the cache
+   * The list pages and statistics are marked stale, as the change can move the expense between
+   * pages and changes the totals. The statistics on screen are fetched again, and the list page
+   * on screen too when a deletion left a gap that the next page would fill.
+   */
+  const refreshAfterChange = () => {
+    updateCache(invalidateQueries);
+    getExpenseStats({ force: true });
+    
+    const list = listKey !== null && cacheRef.current.lists[listKey];
+    if (list) {
+      const expected = Math.min(list.limit, list.totalCount - ((list.page || 1) - 1) * list.limit);
+      if (list.ids.length < expected || (list.ids.length === 0 && list.page > 1)) {
+        refreshExpenseList();
+      }
+    }
+  };
+
+  /**
+   * Fetch the change history of an expense, newest first
+   * @async
+   * @param {string} id - Expense ID
+   * @returns {Promise<Array>} History entries
+   */
+  const getExpenseHistory = useCallback(async (id) => {
+    // An expense added offline has no history until it reaches the server
+    if (isOfflineId(id)) {
+      return [];
+    }
+    try {
+      const response = await api.get(`${API_URL}/${id}/history`);
+      
+      if (response.data.success) {
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error fetching expense history:', error);
+      toast.error('Failed to fetch expense history');
+      throw error;
+    }
+  }, []);
+
+  /**
+   * Revert an expense to the version saved by one of its history entries
+   * Fails with a 412 error holding the current copy when someone else changed it since the given version.
+   * @async
+   * @param {string} id - Expense ID
+   * @param {string} historyId - History entry to revert to
+   * @param {number} version - Version (__v) of the expense the user saw
+   * @returns {Promise<Object>} Reverted expense
+   */
+  const revertExpense = async (id, historyId, version) => {
+    try {
+      const response = await api.post(`${API_URL}/${id}/history/${historyId}/revert`, null, { headers: ifMatch(version) });
+      
+      if (response.data.success) {
+        toast.success('Expense reverted');
+        updateCache(current => storeExpenses(current, [response.data.data], { fresh: false }));
+        invalidateExpenseData({ tags: true });
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error reverting expense:', error);
+      if (isVersionConflict(error)) {
+        // Show the current copy so the user can decide again
+        toast.warning(`${error.response.data.error}; it was not reverted`);
+        updateCache(current => storeExpenses(current, [error.response.data.data], { fresh: false }));
+      } else {
+        toastApiError(error, 'Failed to revert expense');
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * Add an expense while offline, showing it straight away and queueing it for the server
+   * @async
+   * @param {Object} expenseData - New expense data
+   * @returns {Promise<Object>} Expense as shown until it is synced
+   */
+  const addExpenseOffline = async (expenseData) => {
+    const expense = { ...expenseData, _id: createOfflineId(), pendingSync: true };
+    await queueOfflineChange(
+      { type: 'create', expenseId: expense._id, data: expenseData },
+      "You're offline; the expense will be saved when you reconnect"
+    );
+    updateCache(current => prependToList(current, listKey, expense));
+    return expense;
+  };
+
+  /**
+   * Edit an expense while offline, showing the edit straight away and queueing it for the server
+   * @async
+   * @param {string} id - Expense ID
+   * @param {Object} expenseData - Updated expense data
+   * @param {number} [version] - Version (__v) of the expense the edit is based on; none for expenses added offline
+   * @returns {Promise<Object>} Expense as shown until it is synced
+   */
+  const updateExpenseOffline = async (id, expenseData, version) => {
+    await queueOfflineChange(
+      { type: 'update', expenseId: id, data: expenseData, version },
+      "You're offline; your changes will be saved when you reconnect"
+    );
+    updateCache(current => patchExpense(current, id, { ...expenseData, pendingSync: true }));
+    return cacheRef.current.expenses[id].data;
+  };
+
+  /**
+   * Delete an expense while offline, hiding it straight away and queueing the deletion for the server
+   * @async
+   * @param {string} id - Expense ID
+   * @param {number} [version] - Version (__v) the user saw; none for expenses added offline
+   * @returns {Promise<boolean>} Success status
+   */
+  const deleteExpenseOffline = async (id, version) => {
+    await queueOfflineChange(
+      { type: 'delete', expenseId: id, version },
+      isOfflineId(id)
+        ? 'Expense removed'
+        : "You're offline; the expense will be moved to the trash when you reconnect"
+    );
+    updateCache(current => removeExpense(current, id));
+    return true;
   };
 
   /**
    * Add a new expense
+   * Offline, the expense is queued and sent once the connection returns.
    * @async
    * @param {Object} expenseData - New expense data
    * @returns {Promise<Object>} Created expense
    */
   const addExpense = async (expenseData) => {
     try {
-      setLoading(true);
-      const response = await axios.post(API_URL, expenseData);
+      const response = await trackRequest('addExpense', () => api.post(API_URL, expenseData));
       
       if (response.data.success) {
-        setExpenses([response.data.data, ...expenses]);
+        updateCache(current => prependToList(current, listKey, response.data.data));
+        refreshAfterChange();
         toast.success('Expense added successfully');
+        getTags();
+        
+        // Let the user know when this expense blew a budget
+        if (response.data.warning) {
+          toast.warning(response.data.warning);
+        }
         return response.data.data;
       }
     } catch (error) {
       console.error('Error adding expense:', error);
       
-      if (error.response && error.response.data && error.response.data.error) {
-        // Show validation errors if any
-        if (Array.isArray(error.response.data.error)) {
-          error.response.data.error.forEach(err => toast.error(err));
-        } else {
-          toast.error(error.response.data.error);
-        }
-      } else {
-        toast.error('Failed to add expense');
+      if (isNetworkError(error)) {
+        return addExpenseOffline(expenseData);
       }
       
+      toastApiError(error, 'Failed to add expense');
+      
       throw error;
-    } finally {
-      setLoading(false);
     }
   };
 
   /**
    * Update an existing expense
+   * Fails with a 412 error holding the current copy when someone else changed it since the given version.
+   * Offline, and for expenses added offline, the edit is queued and sent once the connection returns.
    * @async
    * @param {string} id - Expense ID
    * @param {Object} expenseData - Updated expense data
+   * @param {number} version - Version (__v) of the expense the edit is based on
    * @returns {Promise<Object>} Updated expense
    */
-  const updateExpense = async (id, expenseData) => {
+  const updateExpense = async (id, expenseData, version) => {
+    if (isOfflineId(id)) {
+      return updateExpenseOffline(id, expenseData, version);
+    }
     try {
-      setLoading(true);
-      const response = await axios.put(`${API_URL}/${id}`, expenseData);
+      const response = await trackRequest(`updateExpense:${id}`, () => (
+        api.put(`${API_URL}/${id}`, expenseData, { headers: ifMatch(version) })
+      ));
       
       if (response.data.success) {
-        // Update the expenses state
-        setExpenses(expenses.map(expense => 
-          expense._id === id ? response.data.data : expense
-        ));
+        // Every list page showing the expense reads this one copy
+        updateCache(current => storeExpenses(current, [response.data.data], { fresh: false }));
+        refreshAfterChange();
         
         toast.success('Expense updated successfully');
+        getTags();
         return response.data.data;
       }
     } catch (error) {
       console.error('Error updating expense:', error);
       
-      if (error.response && error.response.data && error.response.data.error) {
-        // Show validation errors if any
-        if (Array.isArray(error.response.data.error)) {
-          error.response.data.error.forEach(err => toast.error(err));
-        } else {
-          toast.error(error.response.data.error);
-        }
+      if (isNetworkError(error)) {
+        return updateExpenseOffline(id, expenseData, version);
+      }
+      if (isVersionConflict(error)) {
+        toast.warning(error.response.data.error);
       } else {
-        toast.error('Failed to update expense');
+        toastApiError(error, 'Failed to update expense');
       }
       
       throw error;
-    } finally {
-      setLoading(false);
     }
   };
 
   /**
-   * Delete an expense
+   * Move an expense to the trash, with an Undo button in the confirmation toast
+   * Fails with a 412 error holding the current copy when someone else changed it since the given version.
+   * Offline, and for expenses added offline, the deletion is queued and sent once the connection returns.
    * @async
    * @param {string} id - Expense ID
+   * @param {number} version - Version (__v) of the expense the user saw
    * @returns {Promise<boolean>} Success status
    */
-  const deleteExpense = async (id) => {
+  const deleteExpense = async (id, version) => {
+    if (isOfflineId(id)) {
+      return deleteExpenseOffline(id, version);
+    }
     try {
-      setLoading(true);
-      const response = await axios.delete(`${API_URL}/${id}`);
+      const response = await trackRequest(`deleteExpense:${id}`, () => api.delete(`${API_URL}/${id}`, {
+        headers: ifMatch(version)
+      }));
       
       if (response.data.success) {
-        // Remove the deleted expense from state
-        setExpenses(expenses.filter(expense => expense._id !== id));
+        updateCache(current => removeExpense(current, id));
+        refreshAfterChange();
         
-        toast.success('Expense deleted successfully');
+        toast.success(({ closeToast }) => (
+          <UndoToast message="Expense moved to the trash" onUndo={() => restoreExpense(id)} closeToast={closeToast} />
+        ));
         return true;
       }
     } catch (error) {
       console.error('Error deleting expense:', error);
-      toast.error('Failed to delete expense');
+      if (isNetworkError(error)) {
+        return deleteExpenseOffline(id, version);
+      }
+      if (isVersionConflict(error)) {
+        // Show the current copy so the user can decide again
+        toast.warning(`${error.response.data.error}; it was not deleted`);
+        updateCache(current => storeExpenses(current, [error.response.data.data], { fresh: false }));
+      } else {
+        toast.error('Failed to delete expense');
+      }
       throw error;
-    } finally {
-      setLoading(false);
     }
   };
 
   /**
-   * Fetch expense statistics
+   * Apply one action to many expenses, chosen by ID or by filters
    * @async
-   * @returns {Promise<Object>} Expense statistics
+   * @param {Object} operation - action, its category, tags or days, and ids or filters
+   * @returns {Promise<Object>} Counts and a result for every expense
+   */
+  const bulkUpdateExpenses = async (operation) => {
+    try {
+      const response = await api.post(`${API_URL}/bulk`, operation);
+      
+      if (response.data.success) {
+        const { succeeded, failed, results } = response.data.data;
+        if (succeeded > 0) {
+          toast.success(`${succeeded} ${succeeded === 1 ? 'expense' : 'expenses'} updated`);
+        }
+        if (failed > 0) {
+          const firstError = results.find(result => !result.success).error;
+          toast.warning(`${failed} ${failed === 1 ? 'expense' : 'expenses'} could not be changed: ${firstError}`);
+        }
+        
+        invalidateExpenseData({ tags: true });
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error running bulk action:', error);
+      toastApiError(error, 'Failed to update expenses');
+      throw error;
+    }
+  };
+
+  /**
+   * Fetch a page of trashed expenses, most recently deleted first
+   * @async
+   * @param {number} page - Page to fetch
+   * @returns {Promise<Object>} Trashed expenses on the page with paging details and the retention period
+   */
+  const getTrash = useCallback(async (page = 1) => {
+    try {
+      const response = await api.get(`${API_URL}/trash`, { params: { page } });
+      
+      if (response.data.success) {
+        return response.data;
+      }
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      toast.error('Failed to fetch the trash');
+      throw error;
+    }
+  }, []);
+
+  /**
+   * Restore an expense from the trash
+   * @async
+   * @param {string} id - Expense ID
+   * @returns {Promise<Object>} Restored expense
    */
-  const getExpenseStats = async () => {
+  const restoreExpense = async (id) => {
     try {
-      setLoading(true);
-      const response = await axios.get(`${API_URL}/stats`);
+      const response = await api.post(`${API_URL}/${id}/restore`);
       
       if (response.data.success) {
-        setStats(response.data.data);
+        toast.success('Expense restored');
+        invalidateExpenseData({ tags: true });
         return response.data.data;
       }
+    } catch (error) {
+      console.error('Error restoring expense:', error);
+      toastApiError(error, 'Failed to restore expense');
+      throw error;
+    }
+  };
+
+  /**
+   * Permanently delete an expense in the trash
+   * @async
+   * @param {string} id - Expense ID
+   * @returns {Promise<boolean>} Success status
+   */
+  const deleteExpensePermanently = async (id) => {
+    try {
+      const response = await api.delete(`${API_URL}/trash/${id}`);
+      
+      if (response.data.success) {
+        toast.success('Expense permanently deleted');
+        return true;
+      }
+    } catch (error) {
+      console.error('Error permanently deleting expense:', error);
+      toastApiError(error, 'Failed to delete expense');
+      throw error;
+    }
+  };
+
+  /**
+   * Permanently delete everything in the trash
+   * @async
+   * @returns {Promise<number>} Number of expenses deleted
+   */
+  const emptyTrash = async () => {
+    try {
+      const response = await api.delete(`${API_URL}/trash`);
+      
+      if (response.data.success) {
+        toast.success('Trash emptied');
+        return response.data.data.deleted;
+      }
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      toastApiError(error, 'Failed to empty the trash');
+      throw error;
+    }
+  };
+
+  /**
+   * Fetch expense statistics for the chosen period
+   * Statistics fetched within the last STALE_TIME_MS are served from the cache.
+   * @async
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.force] - Fetch even if the cached statistics are fresh
+   * @returns {Promise<Object>} Expense statistics
+   */
+  const getExpenseStats = useCallback(async ({ force = false } = {}) => {
+    const key = toCacheKey({
+      ...toStatsParams(statsPeriod),
+      q: expenseFilters.q,
+      category: expenseFilters.category,
+      tags: expenseFilters.tags,
+      tagMatch: expenseFilters.tags ? expenseFilters.tagMatch : undefined
+    });
+    setStatsKey(key);
+    
+    const cached = cacheRef.current.stats[key];
+    if (!force && isFresh(cached)) {
+      return cached.data;
+    }
+    
+    try {
+      const requestKey = `stats?${key}`;
+      const request = dedupeRequest(requestKey, () => (
+        api.get(`${API_URL}/stats?${key}`).then(response => response.data)
+      ), { force });
+      const body = await trackRequest('stats', () => request);
+      
+      if (body.success) {
+        if (isLatestRequest(requestKey, request)) {
+          updateCache(current => storeStats(current, key, body.data));
+        }
+        return body.data;
+      }
     } catch (error) {
       console.error('Error fetching expense stats:', error);
       toast.error('Failed to fetch expense statistics');
-    } finally {
-      setLoading(false);
     }
-  };
+  }, [statsPeriod, expenseFilters.q, expenseFilters.category, expenseFilters.tags, expenseFilters.tagMatch, trackRequest, updateCache, cacheRef, setStatsKey]);
 
-  // Load expenses on initial render
-  useEffect(() => {
-    getExpenses();
-    getExpenseStats();
-  }, [getExpenses]);
+  /**
+   * Preview or run an import of expenses from a CSV file
+   * @async
+   * @param {File} file - CSV file to import
+   * @param {Object} options - Import options
+   * @param {Object} options.mapping - Expense field to CSV column mapping (omit to get the headers)
+   * @param {string} options.dateFormat - Format of the date column
+   * @param {string} options.defaultCategory - Category for rows without one
+   * @param {boolean} options.dryRun - Only preview the import when true
+   * @returns {Promise<Object>} Headers, preview or import summary
+   */
+  const importExpenses = async (file, { mapping, dateFormat, defaultCategory, dryRun = true } = {}) => {
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      if (mapping) formData.append('mapping', JSON.stringify(mapping));
+      if (dateFormat) formData.append('dateFormat', dateFormat);
+      if (defaultCategory) formData.append('defaultCategory', defaultCategory);
+      formData.append('dryRun', String(dryRun));
+      
+      const response = await api.post(`${API_URL}/import`, formData);
+      
+      if (response.data.success) {
+        if (!dryRun) {
+          toast.success(`Imported ${response.data.data.summary.imported} expenses`);
+          invalidateExpenseData();
+        }
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error importing expenses:', error);
+      toastApiError(error, 'Failed to import expenses');
+      throw error;
+    }
+  };
+
+  /**
+   * Download expenses matching the given filters as a file
+   * @async
+   * @param {string} format - Export format: csv, json or xlsx
+   * @param {Object} filters - Same filters as getExpenses (q, category, startDate, endDate, sort)
+   */
+  const exportExpenses = async (format, filters = {}) => {
+    try {
+      const params = { format };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      
+      const response = await api.get(`${API_URL}/export`, { params, responseType: 'blob' });
+      
+      // Save the file under the name the server chose
+      const disposition = response.headers['content-disposition'] || '';
+      const match = disposition.match(/filename="([^"]+)"/);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : `expenses.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting expenses:', error);
+      toast.error('Failed to export expenses');
+    }
+  };
+
+  /**
+   * Upload a receipt image or PDF to an expense
+   * @async
+   * @param {string} expenseId - Expense ID
+   * @param {File} file - File to upload
+   * @returns {Promise<Object>} Created attachment
+   */
+  const uploadAttachment = async (expenseId, file) => {
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      
+      const response = await api.post(`${API_URL}/${expenseId}/attachments`, formData);
+      
+      if (response.data.success) {
+        const attachment = response.data.data;
+        updateCache(current => patchExpense(current, expenseId, {
+          attachments: [...((current.expenses[expenseId] && current.expenses[expenseId].data.attachments) || []), attachment]
+        }));
+        toast.success('Attachment uploaded');
+        return attachment;
+      }
+    } catch (error) {
+      console.error('Error uploading attachment:', error);
+      toastApiError(error, 'Failed to upload attachment');
+      throw error;
+    }
+  };
+
+  /**
+   * Fetch the file of an attachment
+   * Files need the auth header, so they are fetched as blobs rather than linked directly.
+   * @async
+   * @param {string} expenseId - Expense ID
+   * @param {string} attachmentId - Attachment ID
+   * @returns {Promise<Blob>} File contents
+   */
+  const getAttachmentFile = useCallback(async (expenseId, attachmentId) => {
+    const response = await api.get(`${API_URL}/${expenseId}/attachments/${attachmentId}`, {
+      responseType: 'blob'
+    });
+    return response.data;
+  }, []);
+
+  /**
+   * Delete an attachment
+   * @async
+   * @param {string} expenseId - Expense ID
+   * @param {string} attachmentId - Attachment ID
+   * @returns {Promise<boolean>} Success status
+   */
+  const deleteAttachment = async (expenseId, attachmentId) => {
+    try {
+      const response = await api.delete(`${API_URL}/${expenseId}/attachments/${attachmentId}`);
+      
+      if (response.data.success) {
+        updateCache(current => patchExpense(current, expenseId, {
+          attachments: ((current.expenses[expenseId] && current.expenses[expenseId].data.attachments) || [])
+            .filter(attachment => attachment._id !== attachmentId)
+        }));
+        toast.success('Attachment deleted');
+        return true;
+      }
+    } catch (error) {
+      console.error('Error deleting attachment:', error);
+      toastApiError(error, 'Failed to delete attachment');
+      throw error;
+    }
+  };
+
+  /**
+   * Fetch the tags used on the user's expenses, for autocomplete
+   * @async
+   * @returns {Promise<Array>} Tags with their counts
+   */
+  const getTags = useCallback(async () => {
+    try {
+      const response = await api.get(`${API_URL}/tags`);
+      
+      if (response.data.success) {
+        setTags(response.data.data);
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+    }
+  }, []);
+
+  /**
+   * Catch up after changes that may have touched any expense, e.g. a bulk action or an import
+   * Everything cached is marked stale; the list page and statistics on screen are fetched again now.
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.tags] - Whether the tags in use may have changed too
+   */
+  const invalidateExpenseData = useCallback(({ tags: tagsChanged = false } = {}) => {
+    updateCache(invalidateCache);
+    refreshExpenseList();
+    getExpenseStats({ force: true });
+    if (tagsChanged) {
+      getTags();
+    }
+  }, [updateCache, refreshExpenseList, getExpenseStats, getTags]);
+
+  /**
+   * Fetch all categories
+   * @async
+   * @returns {Promise<Array>} List of categories
+   */
+  const getCategories = useCallback(async () => {
+    try {
+      const response = await api.get(CATEGORY_URL);
+      
+      if (response.data.success) {
+        setCategories(response.data.data);
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error fetching categories:', error);
+      toast.error('Failed to fetch categories');
+    }
+  }, []);
+
+  /**
+   * Add a category or subcategory
+   * @async
+   * @param {Object} categoryData - Category data (name, color, icon, parent)
+   * @returns {Promise<Object>} Created category
+   */
+  const addCategory = async (categoryData) => {
+    try {
+      const response = await api.post(CATEGORY_URL, categoryData);
+      
+      if (response.data.success) {
+        setCategories(prev => [...prev, { ...response.data.data, expenseCount: 0 }]);
+        toast.success('Category added successfully');
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error adding category:', error);
+      toastApiError(error, 'Failed to add category');
+      throw error;
+    }
+  };
+
+  /**
+   * Update a category
+   * A rename also renames the category on existing expenses, so they are reloaded.
+   * @async
+   * @param {string} id - Category ID
+   * @param {Object} categoryData - Fields to change
+   * @returns {Promise<Object>} Updated category
+   */
+  const updateCategory = async (id, categoryData) => {
+    try {
+      const response = await api.put(`${CATEGORY_URL}/${id}`, categoryData);
+      
+      if (response.data.success) {
+        setCategories(prev => prev.map(category => 
+          category._id === id ? { ...category, ...response.data.data } : category
+        ));
+        toast.success('Category updated successfully');
+        invalidateExpenseData();
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error updating category:', error);
+      toastApiError(error, 'Failed to update category');
+      throw error;
+    }
+  };
+
+  /**
+   * Delete a category
+   * @async
+   * @param {string} id - Category ID
+   * @param {string} reassignTo - ID of the category its expenses move to, if it has any
+   * @returns {Promise<boolean>} Success status
+   */
+  const deleteCategory = async (id, reassignTo) => {
+    try {
+      const response = await api.delete(`${CATEGORY_URL}/${id}`, {
+        params: reassignTo ? { reassignTo } : {}
+      });
+      
+      if (response.data.success) {
+        toast.success('Category deleted successfully');
+        getCategories();
+        invalidateExpenseData();
+        return true;
+      }
+    } catch (error) {
+      console.error('Error deleting category:', error);
+      toastApiError(error, 'Failed to delete category');
+      throw error;
+    }
+  };
+
+  /**
+   * Fetch all budgets
+   * @async
+   * @returns {Promise<Array>} List of budgets
+   */
+  const getBudgets = useCallback(async () => {
+    try {
+      const response = await api.get(BUDGET_URL);
+      
+      if (response.data.success) {
+        setBudgets(response.data.data);
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error fetching budgets:', error);
+      toast.error('Failed to fetch budgets');
+    }
+  }, []);
+
+  /**
+   * Add a new budget
+   * @async
+   * @param {Object} budgetData - New budget data
+   * @returns {Promise<Object>} Created budget
+   */
+  const addBudget = async (budgetData) => {
+    try {
+      const response = await api.post(BUDGET_URL, budgetData);
+      
+      if (response.data.success) {
+        setBudgets(prev => [...prev, response.data.data]);
+        toast.success('Budget added successfully');
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error adding budget:', error);
+      toastApiError(error, 'Failed to add budget');
+      throw error;
+    }
+  };
+
+  /**
+   * Update an existing budget
+   * @async
+   * @param {string} id - Budget ID
+   * @param {Object} budgetData - Updated budget data
+   * @returns {Promise<Object>} Updated budget
+   */
+  const updateBudget = async (id, budgetData) => {
+    try {
+      const response = await api.put(`${BUDGET_URL}/${id}`, budgetData);
+      
+      if (response.data.success) {
+        setBudgets(prev => prev.map(budget => 
+          budget._id === id ? response.data.data : budget
+        ));
+        toast.success('Budget updated successfully');
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error updating budget:', error);
+      toastApiError(error, 'Failed to update budget');
+      throw error;
+    }
+  };
+
+  /**
+   * Delete a budget
+   * @async
+   * @param {string} id - Budget ID
+   * @returns {Promise<boolean>} Success status
+   */
+  const deleteBudget = async (id) => {
+    try {
+      const response = await api.delete(`${BUDGET_URL}/${id}`);
+      
+      if (response.data.success) {
+        setBudgets(prev => prev.filter(budget => budget._id !== id));
+        toast.success('Budget deleted successfully');
+        return true;
+      }
+    } catch (error) {
+      console.error('Error deleting budget:', error);
+      toast.error('Failed to delete budget');
+      throw error;
+    }
+  };
+
+  /**
+   * Fetch spent vs limit for every budgeted category in a month
+   * @async
+   * @param {string} month - Month in YYYY-MM format, defaults to the current month
+   * @returns {Promise<Object>} Budget statistics
+   */
+  const getBudgetStats = useCallback(async (month) => {
+    try {
+      const response = await api.get(`${BUDGET_URL}/stats`, { params: { month } });
+      
+      if (response.data.success) {
+        setBudgetStats(response.data.data);
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error fetching budget stats:', error);
+      toast.error('Failed to fetch budget statistics');
+    }
+  }, []);
+
+  /**
+   * Fetch a page of income, newest first
+   * @async
+   * @param {number} page - Page to fetch
+   * @returns {Promise<Object>} Income on the page with paging details
+   */
+  const getIncomes = useCallback(async (page = 1) => {
+    try {
+      const response = await api.get(INCOME_URL, { params: { page } });
+      
+      if (response.data.success) {
+        return response.data;
+      }
+    } catch (error) {
+      console.error('Error fetching income:', error);
+      toast.error('Failed to fetch income');
+      throw error;
+    }
+  }, []);
+
+  /**
+   * Record new income
+   * @async
+   * @param {Object} incomeData - New income data
+   * @returns {Promise<Object>} Created income
+   */
+  const addIncome = async (incomeData) => {
+    try {
+      const response = await api.post(INCOME_URL, incomeData);
+      
+      if (response.data.success) {
+        toast.success('Income added successfully');
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error adding income:', error);
+      toastApiError(error, 'Failed to add income');
+      throw error;
+    }
+  };
+
+  /**
+   * Update an income record
+   * @async
+   * @param {string} id - Income ID
+   * @param {Object} incomeData - Updated income data
+   * @returns {Promise<Object>} Updated income
+   */
+  const updateIncome = async (id, incomeData) => {
+    try {
+      const response = await api.put(`${INCOME_URL}/${id}`, incomeData);
+      
+      if (response.data.success) {
+        toast.success('Income updated successfully');
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error updating income:', error);
+      toastApiError(error, 'Failed to update income');
+      throw error;
+    }
+  };
+
+  /**
+   * Delete an income record
+   * @async
+   * @param {string} id - Income ID
+   * @returns {Promise<boolean>} Success status
+   */
+  const deleteIncome = async (id) => {
+    try {
+      const response = await api.delete(`${INCOME_URL}/${id}`);
+      
+      if (response.data.success) {
+        toast.success('Income deleted successfully');
+        return true;
+      }
+    } catch (error) {
+      console.error('Error deleting income:', error);
+      toast.error('Failed to delete income');
+      throw error;
+    }
+  };
+
+  /**
+   * Fetch income, expenses, net savings and savings rate per month of a year
+   * @async
+   * @param {number} year - Year to report on, defaults to the current year
+   * @returns {Promise<Object>} Cash-flow report
+   */
+  const getCashFlow = useCallback(async (year) => {
+    try {
+      const response = await api.get(`${INCOME_URL}/cashflow`, { params: { year } });
+      
+      if (response.data.success) {
+        setCashFlow(response.data.data);
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error fetching cash flow:', error);
+      toast.error('Failed to fetch cash flow');
+    }
+  }, []);
+
+  /**
+   * Fetch spending insights computed from the user's expenses
+   * @async
+   * @returns {Promise<Array>} Insights, most useful first
+   */
+  const getInsights = useCallback(async () => {
+    try {
+      const response = await api.get(INSIGHT_URL);
+      
+      if (response.data.success) {
+        setInsights(response.data.data);
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error fetching insights:', error);
+    }
+  }, []);
+
+  /**
+   * Fetch the month-end and year-end spending forecast
+   * @async
+   * @returns {Promise<Object>} Forecast with monthEnd and yearEnd figures
+   */
+  const getForecast = useCallback(async () => {
+    try {
+      const response = await api.get(FORECAST_URL);
+      
+      if (response.data.success) {
+        setForecast(response.data.data);
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error fetching forecast:', error);
+    }
+  }, []);
+
+  /**
+   * Fetch recurring rules and their upcoming occurrences
+   * @async
+   * @param {number} days - How many days ahead to list occurrences for
+   * @returns {Promise<Array>} List of recurring rules
+   */
+  const getRecurringExpenses = useCallback(async (days = 30) => {
+    try {
+      const [rulesResponse, upcomingResponse] = await Promise.all([
+        api.get(RECURRING_URL),
+        api.get(`${RECURRING_URL}/upcoming`, { params: { days } })
+      ]);
+      
+      if (rulesResponse.data.success && upcomingResponse.data.success) {
+        setRecurringExpenses(rulesResponse.data.data);
+        setUpcomingOccurrences(upcomingResponse.data.data);
+        return rulesResponse.data.data;
+      }
+    } catch (error) {
+      console.error('Error fetching recurring expenses:', error);
+      toast.error('Failed to fetch recurring expenses');
+    }
+  }, []);
+
+  /**
+   * Create a recurring expense rule
+   * Occurrences already due are created by the server straight away.
+   * @async
+   * @param {Object} ruleData - New rule data
+   * @returns {Promise<Object>} Created rule
+   */
+  const addRecurringExpense = async (ruleData) => {
+    try {
+      const response = await api.post(RECURRING_URL, ruleData);
+      
+      if (response.data.success) {
+        setRecurringExpenses(prev => [...prev, response.data.data]);
+        toast.success('Recurring expense added successfully');
+        
+        // Pick up the expenses that were created for due occurrences
+        if (response.data.created > 0) {
+          invalidateExpenseData();
+        }
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error adding recurring expense:', error);
+      toastApiError(error, 'Failed to add recurring expense');
+      throw error;
+    }
+  };
+
+  /**
+   * Delete a recurring expense rule
+   * @async
+   * @param {string} id - Rule ID
+   * @returns {Promise<boolean>} Success status
+   */
+  const deleteRecurringExpense = async (id) => {
+    try {
+      const response = await api.delete(`${RECURRING_URL}/${id}`);
+      
+      if (response.data.success) {
+        setRecurringExpenses(prev => prev.filter(rule => rule._id !== id));
+        setUpcomingOccurrences(prev => prev.filter(occurrence => occurrence.recurringExpense !== id));
+        toast.success('Recurring expense deleted successfully');
+        return true;
+      }
+    } catch (error) {
+      console.error('Error deleting recurring expense:', error);
+      toast.error('Failed to delete recurring expense');
+      throw error;
+    }
+  };
+
+  /**
+   * Skip or restore a single upcoming occurrence
+   * @async
+   * @param {string} id - Rule ID
+   * @param {string} date - Occurrence date
+   * @param {boolean} skipped - True to skip, false to restore
+   * @returns {Promise<Object>} Updated rule
+   */
+  const skipOccurrence = async (id, date, skipped = true) => {
+    try {
+      const response = await api.post(`${RECURRING_URL}/${id}/skip`, { date, skipped });
+      
+      if (response.data.success) {
+        setRecurringExpenses(prev => prev.map(rule => 
+          rule._id === id ? response.data.data : rule
+        ));
+        setUpcomingOccurrences(prev => prev.map(occurrence => 
+          occurrence.recurringExpense === id && occurrence.date === date
+            ? { ...occurrence, skipped }
+            : occurrence
+        ));
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error skipping occurrence:', error);
+      toastApiError(error, 'Failed to update occurrence');
+      throw error;
+    }
+  };
+
+  /**
+   * Pause or resume a recurring expense rule
+   * @async
+   * @param {string} id - Rule ID
+   * @param {boolean} paused - True to pause, false to resume
+   * @returns {Promise<Object>} Updated rule
+   */
+  const pauseRecurringExpense = async (id, paused = true) => {
+    try {
+      const response = await api.post(`${RECURRING_URL}/${id}/pause`, { paused });
+      
+      if (response.data.success) {
+        toast.success(paused ? 'Recurring expense paused' : 'Recurring expense resumed');
+        // Upcoming occurrences change with the rule's state
+        getRecurringExpenses();
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error pausing recurring expense:', error);
+      toastApiError(error, 'Failed to update recurring expense');
+      throw error;
+    }
+  };
+
+  /**
+   * Fetch all exchange rates
+   * @async
+   * @returns {Promise<Array>} List of exchange rates
+   */
+  const getRates = useCallback(async () => {
+    try {
+      const response = await api.get(RATE_URL);
+      
+      if (response.data.success) {
+        setRates(response.data.data);
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error fetching exchange rates:', error);
+      toast.error('Failed to fetch exchange rates');
+    }
+  }, []);
+
+  /**
+   * Add an exchange rate
+   * Converted totals are reloaded as they may now use the new rate.
+   * @async
+   * @param {Object} rateData - Rate data (date, from, to, rate)
+   * @returns {Promise<Object>} Created rate
+   */
+  const addRate = async (rateData) => {
+    try {
+      const response = await api.post(RATE_URL, rateData);
+      
+      if (response.data.success) {
+        toast.success('Exchange rate added');
+        getRates();
+        invalidateExpenseData();
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error adding exchange rate:', error);
+      toastApiError(error, 'Failed to add exchange rate');
+      throw error;
+    }
+  };
+
+  /**
+   * Delete an exchange rate
+   * @async
+   * @param {string} id - Rate ID
+   * @returns {Promise<boolean>} Success status
+   */
+  const deleteRate = async (id) => {
+    try {
+      const response = await api.delete(`${RATE_URL}/${id}`);
+      
+      if (response.data.success) {
+        setRates(prev => prev.filter(rate => rate._id !== id));
+        toast.success('Exchange rate deleted');
+        invalidateExpenseData();
+        return true;
+      }
+    } catch (error) {
+      console.error('Error deleting exchange rate:', error);
+      toast.error('Failed to delete exchange rate');
+      throw error;
+    }
+  };
+
+  /**
+   * Import exchange rates from a CSV or JSON file
+   * @async
+   * @param {File} file - File of rates with date, from, to and rate
+   * @returns {Promise<Object>} Number of rates created and updated
+   */
+  const importRates = async (file) => {
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      
+      const response = await api.post(`${RATE_URL}/import`, formData);
+      
+      if (response.data.success) {
+        const { created, updated } = response.data.data;
+        toast.success(`Imported rates: ${created} new, ${updated} updated`);
+        getRates();
+        invalidateExpenseData();
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error importing exchange rates:', error);
+      toastApiError(error, 'Failed to import exchange rates');
+      throw error;
+    }
+  };
+
+  /**
+   * Apply a change made in another tab or on another device to the cache
+   * Edits and deletions patch the cached copy straight away; the statistics, and the list page
+   * when the change can move expenses in or out of it, are fetched again.
+   * @param {Object} event - Expense event with type, expense and the clientId of the tab that made it
+   */
+  const handleExpenseEvent = (event) => {
+    // This tab already shows its own changes
+    if (event.clientId === CLIENT_ID) {
+      return;
+    }
+    
+    switch (event.type) {
+      case 'update':
+        updateCache(current => storeExpenses(current, [event.expense], { fresh: false }));
+        refreshAfterChange();
+        getTags();
+        break;
+      case 'delete':
+        updateCache(current => removeExpense(current, event.expense._id));
+        refreshAfterChange();
+        break;
+      case 'create':
+        // Where a new expense belongs depends on the filters and sort, so the page is fetched again
+        updateCache(current => invalidateQueries(storeExpenses(current, [event.expense], { fresh: false })));
+        refreshExpenseList();
+        getExpenseStats({ force: true });
+        getTags();
+        break;
+      default:
+        // Many expenses changed, or events were missed while disconnected
+        invalidateExpenseData({ tags: true });
+    }
+  };
+  
+  // The stream outlives renders, so it calls the latest handler through a ref
+  const expenseEventHandlerRef = useRef(handleExpenseEvent);
+  expenseEventHandlerRef.current = handleExpenseEvent;
+
+  // Restore a stored session on initial render
+  useEffect(() => {
+    const restoreSession = async () => {
+      if (!localStorage.getItem(TOKEN_KEY)) {
+        setAuthLoading(false);
+        return;
+      }
+      
+      try {
+        const response = await api.get(`${AUTH_URL}/me`);
+        if (response.data.success) {
+          setUser(response.data.data);
+          setCached('user', response.data.data).catch(err => console.error('Error caching user:', err));
+        }
+      } catch (error) {
+        console.error('Error restoring session:', error);
+        // Offline, carry on as the user last seen rather than logging them out
+        const cachedUser = isNetworkError(error) ? await getCached('user').catch(() => undefined) : undefined;
+        if (cachedUser) {
+          setUser(cachedUser);
+        } else {
+          clearSession({ keepChanges: true });
+        }
+      } finally {
+        setAuthLoading(false);
+      }
+    };
+    
+    restoreSession();
+  }, [clearSession]);
+
+  // Log out locally whenever the server rejects the token
+  useEffect(() => {
+    const interceptor = api.interceptors.response.use(
+      response => response,
+      (error) => {
+        if (error.response && error.response.status === 401 && localStorage.getItem(TOKEN_KEY)) {
+          // Changes not sent yet are kept for when the user logs in again
+          clearSession({ keepChanges: true });
+          toast.info('Your session has expired, please log in again');
+        }
+        return Promise.reject(error);
+      }
+    );
+    
+    return () => api.interceptors.response.eject(interceptor);
+  }, [clearSession]);
+
+  // Load categories and tags once a user is logged in
+  useEffect(() => {
+    if (user) {
+      getCategories();
+      getTags();
+    }
+  }, [user, getCategories, getTags]);
+
+  // Load expenses once a user is logged in and whenever the filters or period change
+  useEffect(() => {
+    if (user) {
+      getExpenses();
+    }
+  }, [user, getExpenses]);
+
+  // Load statistics once a user is logged in and whenever the filters or period change
+  useEffect(() => {
+    if (user) {
+      getExpenseStats();
+    }
+  }, [user, getExpenseStats]);
+
+  // Receive changes made elsewhere while logged in and online, catching up after reconnects
+  useEffect(() => {
+    if (!userId || !isOnline) {
+      return undefined;
+    }
+    
+    return openEventStream(`${API_URL}/events`, {
+      getHeaders: () => ({ Authorization: `Bearer ${localStorage.getItem(TOKEN_KEY)}`, 'X-Client-Id': CLIENT_ID }),
+      onEvent: event => expenseEventHandlerRef.current(event)
+    });
+  }, [userId, isOnline]);
 
   return (
     <ExpenseContext.Provider
       value={{
+        user,
+        authLoading,
+        login,
+        register,
+        logout,
+        updateProfile,
         expenses,
+        expenseFilters,
+        setExpenseFilters,
+        pagination,
         stats,
-        loading,
+        statsPeriod,
+        setStatsPeriod,
+        requestStatus,
         getExpenses,
         getExpenseById,
+        getCachedExpense,
         addExpense,
         updateExpense,
         deleteExpense,
-        getExpenseStats
+        bulkUpdateExpenses,
+        getTrash,
+        restoreExpense,
+        deleteExpensePermanently,
+        emptyTrash,
+        getExpenseHistory,
+        revertExpense,
+        isOnline,
+        syncStatus,
+        syncPendingChanges,
+        getSyncConflict,
+        resolveSyncConflict,
+        tags,
+        getTags,
+        getExpenseStats,
+        importExpenses,
+        exportExpenses,
+        uploadAttachment,
+        getAttachmentFile,
+        deleteAttachment,
+        groups,
+        getGroups,
+        getGroup,
+        createGroup,
+        deleteGroup,
+        addGroupMember,
+        removeGroupMember,
+        getGroupExpenses,
+        addGroupExpense,
+        deleteGroupExpense,
+        getSettlements,
+        addSettlement,
+        deleteSettlement,
+        categories,
+        getCategories,
+        addCategory,
+        updateCategory,
+        deleteCategory,
+        budgets,
+        budgetStats,
+        getBudgets,
+        addBudget,
+        updateBudget,
+        deleteBudget,
+        getBudgetStats,
+        cashFlow,
+        getIncomes,
+        addIncome,
+        updateIncome,
+        deleteIncome,
+        getCashFlow,
+        insights,
+        getInsights,
+        forecast,
+        getForecast,
+        recurringExpenses,
+        upcomingOccurrences,
+        getRecurringExpenses,
+        addRecurringExpense,
+        deleteRecurringExpense,
+        skipOccurrence,
+        pauseRecurringExpense,
+        rates,
+        getRates,
+        addRate,
+        deleteRate,
+        importRates
       }}
     >
       {children}
@@ -0,0 +1,96 @@
+/**
+ * State of the normalized expense cache and of what is on screen
+ * The cache itself is changed with the pure functions of utils/expenseCache; this hook holds
+ * it, with a ref that always has the latest copy for requests that finish after a render.
+ */
+import { useState, useCallback, useRef, useMemo } from 'react';
+import { EMPTY_CACHE, forgetRequests, readList } from '../utils/expenseCache';
+
+// Paging state before any expenses have been fetched
+const INITIAL_PAGINATION = {
+  page: 1,
+  limit: 10,
+  totalCount: 0,
+  totalAmount: 0,
+  hasMore: false,
+  nextCursor: null
+};
+
+// Statistics before any have been fetched
+const INITIAL_STATS = {
+  total: 0,
+  count: 0,
+  average: 0,
+  unconverted: 0,
+  byCategory: [],
+  byTag: [],
+  byPeriod: [],
+  comparison: null
+};
+
+/**
+ * Hold the expense cache and the keys of the list page and statistics on screen
+ * @returns {Object} The page, paging and statistics on screen, the refs and setters requests
+ *   use to fill the cache, and functions to change, read and reset it
+ */
+export const useExpenseCache = () => {
+  const [cache, setCache] = useState(EMPTY_CACHE);
+  const cacheRef = useRef(EMPTY_CACHE);
+  // Cache keys of the list page and statistics on screen
+  const [listKey, setListKey] = useState(null);
+  const [statsKey, setStatsKey] = useState(null);
+  // Paging and cache key of the list page asked for last, which is shown once it has loaded
+  const listPagingRef = useRef({});
+  const requestedListKeyRef = useRef(null);
+
+  // The page and statistics on screen, read from the cache
+  const currentList = useMemo(() => (listKey === null ? null : readList(cache, listKey)), [cache, listKey]);
+  const expenses = currentList ? currentList.expenses : [];
+  const pagination = currentList ? currentList.pagination : INITIAL_PAGINATION;
+  const stats = statsKey !== null && cache.stats[statsKey] ? cache.stats[statsKey].data : INITIAL_STATS;
+
+  /**
+   * Apply a change to the cache
+   * @param {Function} update - Function from the current cache to the new one
+   */
+  const updateCache = useCallback((update) => {
+    cacheRef.current = update(cacheRef.current);
+    setCache(cacheRef.current);
+  }, []);
+
+  /**
+   * Read an expense from the cache without fetching it
+   * @param {string} id - Expense ID
+   * @returns {Object|undefined} Cached expense
+   */
+  const getCachedExpense = useCallback((id) => {
+    return cache.expenses[id] ? cache.expenses[id].data : undefined;
+  }, [cache]);
+
+  /**
+   * Empty the cache and forget requests in flight, e.g. when the user logs out
+   */
+  const resetCache = useCallback(() => {
+    forgetRequests();
+    cacheRef.current = EMPTY_CACHE;
+    setCache(EMPTY_CACHE);
+    setListKey(null);
+    setStatsKey(null);
+    requestedListKeyRef.current = null;
+  }, []);
+
+  return {
+    cacheRef,
+    listKey,
+    setListKey,
+    setStatsKey,
+    listPagingRef,
+    requestedListKeyRef,
+    expenses,
+    pagination,
+    stats,
+    updateCache,
+    getCachedExpense,
+    resetCache
+  };
+};
@@ -0,0 +1,309 @@
+/**
+ * Groups, their members, split expenses and the settlements between members
+ * Group expenses also count towards each member's own statistics, so adding or deleting one,
+ * or deleting a group, asks for the expense data to be fetched again.
+ */
+import { useState, useCallback, useRef } from 'react';
+import { toast } from 'react-toastify';
+import { api, toastApiError } from '../utils/api';
+
+// Base URL of the groups API
+const GROUP_URL = '/api/groups';
+
+/**
+ * Hold the user's groups and the functions that call the groups API
+ * @param {Object} options - Hook options
+ * @param {Object|null} options.user - The logged-in user
+ * @param {Function} options.onExpensesChanged - Called after a change to the user's expense data
+ * @returns {Object} groups and the functions to fetch and change groups, members, expenses and settlements
+ */
+export const useGroups = ({ user, onExpensesChanged }) => {
+  const [groups, setGroups] = useState([]);
+  // Changes finish after later renders, so they call the latest callback through a ref
+  const onExpensesChangedRef = useRef(onExpensesChanged);
+  onExpensesChangedRef.current = onExpensesChanged;
+
+  /**
+   * Fetch the groups the user belongs to
+   * @async
+   * @returns {Promise<Array>} List of groups
+   */
+  const getGroups = useCallback(async () => {
+    try {
+      const response = await api.get(GROUP_URL);
+
+      if (response.data.success) {
+        setGroups(response.data.data);
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error fetching groups:', error);
+      toast.error('Failed to fetch groups');
+    }
+  }, []);
+
+  /**
+   * Fetch a group with each member's balance and the transfers that settle them
+   * @async
+   * @param {string} id - Group ID
+   * @returns {Promise<Object>} Group with balances and transfers
+   */
+  const getGroup = useCallback(async (id) => {
+    try {
+      const response = await api.get(`${GROUP_URL}/${id}`);
+
+      if (response.data.success) {
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error fetching group:', error);
+      toast.error('Failed to fetch group');
+      throw error;
+    }
+  }, []);
+
+  /**
+   * Create a group
+   * @async
+   * @param {Object} groupData - Group name, currency and member emails
+   * @returns {Promise<Object>} Created group
+   */
+  const createGroup = async (groupData) => {
+    try {
+      const response = await api.post(GROUP_URL, groupData);
+
+      if (response.data.success) {
+        setGroups(prev => [...prev, response.data.data].sort((a, b) => a.name.localeCompare(b.name)));
+        toast.success('Group created successfully');
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error creating group:', error);
+      toastApiError(error, 'Failed to create group');
+      throw error;
+    }
+  };
+
+  /**
+   * Delete a group; its expenses stay as personal expenses
+   * @async
+   * @param {string} id - Group ID
+   * @returns {Promise<boolean>} Success status
+   */
+  const deleteGroup = async (id) => {
+    try {
+      const response = await api.delete(`${GROUP_URL}/${id}`);
+
+      if (response.data.success) {
+        setGroups(prev => prev.filter(group => group._id !== id));
+        toast.success('Group deleted successfully');
+        // Its expenses now count in full for the members who added them
+        onExpensesChangedRef.current();
+        return true;
+      }
+    } catch (error) {
+      console.error('Error deleting group:', error);
+      toastApiError(error, 'Failed to delete group');
+      throw error;
+    }
+  };
+
+  /**
+   * Add a user to a group by email
+   * @async
+   * @param {string} id - Group ID
+   * @param {string} email - Email of the user to add
+   * @returns {Promise<Object>} Updated group
+   */
+  const addGroupMember = async (id, email) => {
+    try {
+      const response = await api.post(`${GROUP_URL}/${id}/members`, { email });
+
+      if (response.data.success) {
+        toast.success('Member added');
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error adding group member:', error);
+      toastApiError(error, 'Failed to add member');
+      throw error;
+    }
+  };
+
+  /**
+   * Remove a member from a group, or leave it
+   * @async
+   * @param {string} id - Group ID
+   * @param {string} userId - ID of the member to remove
+   * @returns {Promise<Object>} Updated group
+   */
+  const removeGroupMember = async (id, userId) => {
+    try {
+      const response = await api.delete(`${GROUP_URL}/${id}/members/${userId}`);
+
+      if (response.data.success) {
+        toast.success(userId === user._id ? 'You left the group' : 'Member removed');
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error removing group member:', error);
+      toastApiError(error, 'Failed to remove member');
+      throw error;
+    }
+  };
+
+  /**
+   * Fetch a page of a group's expenses
+   * @async
+   * @param {string} id - Group ID
+   * @param {number} page - Page number
+   * @returns {Promise<Object>} Response with expenses in data and paging fields
+   */
+  const getGroupExpenses = useCallback(async (id, page = 1) => {
+    try {
+      const response = await api.get(`${GROUP_URL}/${id}/expenses`, { params: { page } });
+
+      if (response.data.success) {
+        return response.data;
+      }
+    } catch (error) {
+      console.error('Error fetching group expenses:', error);
+      toast.error('Failed to fetch group expenses');
+      throw error;
+    }
+  }, []);
+
+  /**
+   * Add an expense split between group members
+   * @async
+   * @param {string} id - Group ID
+   * @param {Object} expenseData - Expense data with paidBy and split ({method, entries})
+   * @returns {Promise<Object>} Created expense
+   */
+  const addGroupExpense = async (id, expenseData) => {
+    try {
+      const response = await api.post(`${GROUP_URL}/${id}/expenses`, expenseData);
+
+      if (response.data.success) {
+        toast.success('Expense added to group');
+        onExpensesChangedRef.current();
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error adding group expense:', error);
+      toastApiError(error, 'Failed to add expense');
+      throw error;
+    }
+  };
+
+  /**
+   * Delete a group expense
+   * @async
+   * @param {string} id - Group ID
+   * @param {string} expenseId - Expense ID
+   * @returns {Promise<boolean>} Success status
+   */
+  const deleteGroupExpense = async (id, expenseId) => {
+    try {
+      const response = await api.delete(`${GROUP_URL}/${id}/expenses/${expenseId}`);
+
+      if (response.data.success) {
+        toast.success('Expense moved to the trash');
+        onExpensesChangedRef.current();
+        return true;
+      }
+    } catch (error) {
+      console.error('Error deleting group expense:', error);
+      toastApiError(error, 'Failed to delete expense');
+      throw error;
+    }
+  };
+
+  /**
+   * Fetch a group's settlements
+   * @async
+   * @param {string} id - Group ID
+   * @returns {Promise<Array>} List of settlements
+   */
+  const getSettlements = useCallback(async (id) => {
+    try {
+      const response = await api.get(`${GROUP_URL}/${id}/settlements`);
+
+      if (response.data.success) {
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error fetching settlements:', error);
+      toast.error('Failed to fetch settlements');
+      throw error;
+    }
+  }, []);
+
+  /**
+   * Record a payment between two group members
+   * @async
+   * @param {string} id - Group ID
+   * @param {Object} settlementData - from, to, amount, date and note
+   * @returns {Promise<Object>} Created settlement
+   */
+  const addSettlement = async (id, settlementData) => {
+    try {
+      const response = await api.post(`${GROUP_URL}/${id}/settlements`, settlementData);
+
+      if (response.data.success) {
+        toast.success('Payment recorded');
+        return response.data.data;
+      }
+    } catch (error) {
+      console.error('Error recording settlement:', error);
+      toastApiError(error, 'Failed to record payment');
+      throw error;
+    }
+  };
+
+  /**
+   * Delete a settlement
+   * @async
+   * @param {string} id - Group ID
+   * @param {string} settlementId - Settlement ID
+   * @returns {Promise<boolean>} Success status
+   */
+  const deleteSettlement = async (id, settlementId) => {
+    try {
+      const response = await api.delete(`${GROUP_URL}/${id}/settlements/${settlementId}`);
+
+      if (response.data.success) {
+        toast.success('Payment deleted');
+        return true;
+      }
+    } catch (error) {
+      console.error('Error deleting settlement:', error);
+      toastApiError(error, 'Failed to delete payment');
+      throw error;
+    }
+  };
+
+  /**
+   * Forget the groups, e.g. when the user logs out
+   */
+  const resetGroups = useCallback(() => {
+    setGroups([]);
+  }, []);
+
+  return {
+    groups,
+    getGroups,
+    getGroup,
+    createGroup,
+    deleteGroup,
+    addGroupMember,
+    removeGroupMember,
+    getGroupExpenses,
+    addGroupExpense,
+    deleteGroupExpense,
+    getSettlements,
+    addSettlement,
+    deleteSettlement,
+    resetGroups
+  };
+};
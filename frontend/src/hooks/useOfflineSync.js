@@ -0,0 +1,244 @@
+/**
+ * Queue of changes made while offline and their replay once the connection returns
+ * Changes wait in IndexedDB and are sent oldest first. An edit that clashes with a newer
+ * version on the server is kept as a conflict for the user to resolve.
+ */
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { toast } from 'react-toastify';
+import {
+  api,
+  API_URL,
+  ifMatch,
+  isVersionConflict,
+  isTemporaryError,
+  toastApiError
+} from '../utils/api';
+import {
+  getQueue,
+  queueChange,
+  removeFromQueue,
+  getConflicts,
+  saveConflict,
+  removeConflict,
+  discardOtherUsersChanges
+} from '../utils/offlineStore';
+
+// Sync state before anything has been read from the queue
+const INITIAL_SYNC_STATUS = {
+  syncing: false,
+  pending: 0,
+  conflicts: []
+};
+
+/**
+ * Build the 412 error a queued change gets when the version it was based on is unknown
+ * Such a change cannot be checked against the server's copy, so it is not sent; the copy is
+ * fetched instead for the user to compare with, as for a change that clashed.
+ * @async
+ * @param {Object} change - Queued update or deletion without a version
+ * @returns {Promise<Error>} Axios-like error holding the server's copy
+ */
+const unknownVersionConflict = async (change) => {
+  const response = await api.get(`${API_URL}/${change.expenseId}`);
+  return Object.assign(new Error('The version this change was based on is unknown'), {
+    response: { status: 412, data: { error: 'The version this change was based on is unknown', data: response.data.data } }
+  });
+};
+
+/**
+ * Send a change that was queued while offline
+ * @param {Object} change - Queued change
+ * @returns {Promise<Object>} Axios response
+ */
+const replayChange = async (change) => {
+  if (change.type === 'create') {
+    return api.post(API_URL, change.data);
+  }
+  if (change.version === undefined || change.version === null) {
+    throw await unknownVersionConflict(change);
+  }
+  const headers = ifMatch(change.version);
+  if (change.type === 'update') {
+    return api.put(`${API_URL}/${change.expenseId}`, change.data, { headers });
+  }
+  return api.delete(`${API_URL}/${change.expenseId}`, { headers });
+};
+
+/**
+ * Follow the connection and replay queued changes for the logged-in user
+ * Queued changes are sent when the connection returns and when a user logs in.
+ * @param {Object} options - Hook options
+ * @param {string|null} options.userId - ID of the logged-in user, or null when logged out
+ * @param {Function} options.onSynced - Called after the server accepted at least one change
+ * @returns {Object} isOnline, syncStatus and the functions to queue, replay and resolve changes
+ */
+export const useOfflineSync = ({ userId, onSynced }) => {
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [syncStatus, setSyncStatus] = useState(INITIAL_SYNC_STATUS);
+  // Guards against replaying the queue twice at once
+  const syncingRef = useRef(false);
+  // Replays outlive renders, so they call the latest callback through a ref
+  const onSyncedRef = useRef(onSynced);
+  onSyncedRef.current = onSynced;
+
+  /**
+   * Re-read the number of queued changes and the unresolved conflicts
+   * @async
+   */
+  const refreshSyncStatus = useCallback(async () => {
+    try {
+      const [queue, conflicts] = await Promise.all([getQueue(), getConflicts()]);
+      setSyncStatus(prev => ({ ...prev, pending: queue.length, conflicts }));
+    } catch (error) {
+      console.error('Error reading offline changes:', error);
+    }
+  }, []);
+
+  /**
+   * Forget the sync state, e.g. when the user logs out
+   */
+  const resetSyncStatus = useCallback(() => {
+    setSyncStatus(INITIAL_SYNC_STATUS);
+  }, []);
+
+  /**
+   * Queue a change to an expense until the connection returns, and tell the user
+   * @async
+   * @param {Object} change - Change to queue: type, expenseId, data and version
+   * @param {string} message - What will happen once the user is back online
+   */
+  const queueOfflineChange = async (change, message) => {
+    await queueChange({ ...change, userId });
+    await refreshSyncStatus();
+    toast.info(message);
+  };
+
+  /**
+   * Send the changes made while offline, oldest first
+   * Stops at the first change that may go through later, leaving it and the rest queued: when the
+   * server cannot be reached, fails or is busy, or the session has expired. Other refusals are
+   * final, so the change is dropped. An edit that clashes with a newer version, or whose version
+   * is unknown, is kept as a conflict for the user to resolve; a deletion that does is dropped
+   * with a warning, as when deleting online.
+   * @async
+   * @returns {Promise<number>} Number of changes the server accepted
+   */
+  const syncPendingChanges = useCallback(async () => {
+    if (syncingRef.current || !navigator.onLine) {
+      return 0;
+    }
+
+    syncingRef.current = true;
+    setSyncStatus(prev => ({ ...prev, syncing: true }));
+    let synced = 0;
+    try {
+      const queue = await getQueue();
+      for (const change of queue) {
+        try {
+          await replayChange(change);
+          synced += 1;
+        } catch (error) {
+          if (isTemporaryError(error)) {
+            break;
+          }
+
+          const title = change.data ? change.data.title : 'an expense';
+          if (isVersionConflict(error) && change.type === 'update') {
+            await saveConflict({
+              expenseId: change.expenseId,
+              mine: change.data,
+              theirs: error.response.data.data,
+              userId: change.userId
+            });
+            toast.warning(`"${title}" was changed by someone else while you were offline; open it to choose what to keep`);
+          } else if (isVersionConflict(error)) {
+            toast.warning(`"${error.response.data.data.title}" was changed by someone else while you were offline; it was not deleted`);
+          } else if (!(change.type === 'delete' && error.response.status === 404)) {
+            toastApiError(error, `Failed to save your offline change to ${title}`);
+          }
+        }
+        await removeFromQueue(change.id);
+      }
+    } catch (error) {
+      console.error('Error syncing offline changes:', error);
+    } finally {
+      syncingRef.current = false;
+      setSyncStatus(prev => ({ ...prev, syncing: false }));
+      await refreshSyncStatus();
+    }
+
+    if (synced > 0) {
+      toast.success(`Saved ${synced} change${synced === 1 ? '' : 's'} made while offline`);
+      onSyncedRef.current();
+    }
+    return synced;
+  }, [refreshSyncStatus]);
+
+  /**
+   * Get the conflict an offline edit of an expense ran into
+   * @param {string} id - Expense ID
+   * @returns {Object|null} Conflict with the queued values (mine) and the server copy (theirs), or null
+   */
+  const getSyncConflict = useCallback((id) => {
+    return syncStatus.conflicts.find(conflict => conflict.expenseId === id) || null;
+  }, [syncStatus.conflicts]);
+
+  /**
+   * Forget the conflict of an expense once the user has kept or dropped their offline edit
+   * @async
+   * @param {string} id - Expense ID
+   */
+  const resolveSyncConflict = async (id) => {
+    try {
+      await removeConflict(id);
+      await refreshSyncStatus();
+    } catch (error) {
+      console.error('Error resolving sync conflict:', error);
+    }
+  };
+
+  // Follow the connection, sending queued changes as soon as it returns
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncPendingChanges();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncPendingChanges]);
+
+  // Send changes left queued from an earlier visit once a user is logged in; changes another
+  // user left when their session expired are not theirs to send
+  useEffect(() => {
+    if (!userId) {
+      return;
+    }
+
+    discardOtherUsersChanges(userId)
+      .then((dropped) => {
+        if (dropped > 0) {
+          toast.warning(`${dropped} change${dropped === 1 ? '' : 's'} made offline by another account ${dropped === 1 ? 'was' : 'were'} discarded`);
+        }
+      })
+      .catch(error => console.error('Error reading offline changes:', error))
+      .then(() => refreshSyncStatus())
+      .then(() => syncPendingChanges());
+  }, [userId, refreshSyncStatus, syncPendingChanges]);
+
+  return {
+    isOnline,
+    syncStatus,
+    refreshSyncStatus,
+    resetSyncStatus,
+    queueOfflineChange,
+    syncPendingChanges,
+    getSyncConflict,
+    resolveSyncConflict
+  };
+};
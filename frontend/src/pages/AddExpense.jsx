@@ -2,24 +2,34 @@ import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { FaSave, FaTimes } from 'react-icons/fa';
 import { useExpenseContext } from '../context/ExpenseContext';
+import RepeatSection from '../components/RepeatSection';
+import { DEFAULT_REPEAT, validateRepeat, toRecurringRule } from '../utils/recurrence';
+import { CURRENCIES } from '../constants/currencies';
+import CategoryOptions from '../components/CategoryOptions';
+import TagInput from '../components/TagInput';
+import { validateExpense, apiFieldErrors } from '../utils/validation';
 
 /**
- * AddExpense component for creating new expenses
+ * AddExpense component for creating new expenses, optionally repeating on a schedule
  * @returns {JSX.Element} The rendered AddExpense component
  */
 const AddExpense = () => {
   const navigate = useNavigate();
-  const { addExpense } = useExpenseContext();
+  const { user, addExpense, addRecurringExpense } = useExpenseContext();
   
   const [formData, setFormData] = useState({
     title: '',
     amount: '',
+    currency: user.baseCurrency,
     category: 'Other',
     date: new Date().toISOString().split('T')[0],
-    description: ''
+    description: '',
+    tags: []
   });
   
+  const [repeat, setRepeat] = useState(DEFAULT_REPEAT);
   const [errors, setErrors] = useState({});
+  const [repeatErrors, setRepeatErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   
   /**
@@ -47,34 +57,22 @@ const AddExpense = () => {
    * @returns {boolean} True if form is valid, false otherwise
    */
   const validateForm = () => {
-    const newErrors = {};
+    const newErrors = validateExpense(formData);
     
-    if (!formData.title.trim()) {
-      newErrors.title = 'Title is required';
-    } else if (formData.title.length > 100) {
-      newErrors.title = 'Title cannot be more than 100 characters';
-    }
-    
-    if (!formData.amount) {
-      newErrors.amount = 'Amount is required';
-    } else if (isNaN(formData.amount) || Number(formData.amount) <= 0) {
-      newErrors.amount = 'Amount must be a positive number';
-    }
-    
-    if (!formData.category) {
-      newErrors.category = 'Category is required';
-    }
-    
-    if (!formData.date) {
-      newErrors.date = 'Date is required';
-    }
-    
-    if (formData.description && formData.description.length > 500) {
-      newErrors.description = 'Description cannot be more than 500 characters';
-    }
+    const newRepeatErrors = validateRepeat(repeat, formData.date);
     
     setErrors(newErrors);
-    return Object.keys(newErrors).length === 0;
+    setRepeatErrors(newRepeatErrors);
+    return Object.keys(newErrors).length === 0 && Object.keys(newRepeatErrors).length === 0;
+  };
+  
+  /**
+   * Handle repeat setting changes
+   * @param {Object} newRepeat - Updated repeat settings
+   */
+  const handleRepeatChange = (newRepeat) => {
+    setRepeat(newRepeat);
+    setRepeatErrors({});
   };
   
   /**
@@ -97,10 +95,17 @@ const AddExpense = () => {
         amount: Number(formData.amount)
       };
       
-      await addExpense(expenseData);
+      // A repeating expense becomes a recurring rule; the server creates its due occurrences
+      if (repeat.enabled) {
+        await addRecurringExpense(toRecurringRule(expenseData, repeat));
+      } else {
+        await addExpense(expenseData);
+      }
       navigate('/');
     } catch (error) {
       console.error('Error adding expense:', error);
+      // Show the server's validation errors next to the fields
+      setErrors(prev => apiFieldErrors(error) || prev);
     } finally {
       setIsSubmitting(false);
     }
@@ -137,17 +142,31 @@ const AddExpense = () => {
             
             <div className="form-group">
               <label htmlFor="amount" className="form-label">Amount</label>
-              <input
-                type="number"
-                id="amount"
-                name="amount"
-                value={formData.amount}
-                onChange={handleChange}
-                className={`form-input ${errors.amount ? 'border-red-500' : ''}`}
-                placeholder="0.00"
-                step="0.01"
-                min="0"
-              />
+              <div className="flex space-x-2">
+                <input
+                  type="number"
+                  id="amount"
+                  name="amount"
+                  value={formData.amount}
+                  onChange={handleChange}
+                  className={`form-input ${errors.amount ? 'border-red-500' : ''}`}
+                  placeholder="0.00"
+                  step="0.01"
+                  min="0"
+                />
+                <select
+                  id="currency"
+                  name="currency"
+                  value={formData.currency}
+                  onChange={handleChange}
+                  className="form-input w-28"
+                  aria-label="Currency"
+                >
+                  {CURRENCIES.map(currency => (
+                    <option key={currency} value={currency}>{currency}</option>
+                  ))}
+                </select>
+              </div>
               {errors.amount && <p className="text-red-500 text-sm mt-1">{errors.amount}</p>}
             </div>
             
@@ -160,18 +179,7 @@ const AddExpense = () => {
                 onChange={handleChange}
                 className={`form-input ${errors.category ? 'border-red-500' : ''}`}
               >
-                <option value="Food">Food</option>
-                <option value="Transportation">Transportation</option>
-                <option value="Entertainment">Entertainment</option>
-                <option value="Shopping">Shopping</option>
-                <option value="Utilities">Utilities</option>
-                <option value="Housing">Housing</option>
-                <option value="Healthcare">Healthcare</option>
-                <option value="Personal">Personal</option>
-                <option value="Education">Education</option>
-                <option value="Gifts">Gifts</option>
-                <option value="Travel">Travel</option>
-                <option value="Other">Other</option>
+                <CategoryOptions />
               </select>
               {errors.category && <p className="text-red-500 text-sm mt-1">{errors.category}</p>}
             </div>
@@ -206,6 +214,20 @@ const AddExpense = () => {
               </p>
             </div>
             
+            <div className="form-group">
+              <label htmlFor="tags" className="form-label">Tags (Optional)</label>
+              <TagInput
+                value={formData.tags}
+                onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+              />
+            </div>
+            
+            <RepeatSection
+              value={repeat}
+              onChange={handleRepeatChange}
+              errors={repeatErrors}
+            />
+            
             <div className="flex justify-end space-x-2 mt-6">
               <button
                 type="button"
@@ -0,0 +1,289 @@
+import { useState, useEffect } from 'react';
+import { FaEdit, FaTrash, FaPlus, FaTimes } from 'react-icons/fa';
+import { useExpenseContext } from '../context/ExpenseContext';
+import CategoryBadge from '../components/CategoryBadge';
+import CategoryOptions from '../components/CategoryOptions';
+import { formatCurrency } from '../utils/currency';
+
+// Empty budget form
+const EMPTY_FORM = {
+  category: 'Food',
+  month: new Date().toISOString().slice(0, 7),
+  recurring: false,
+  limit: ''
+};
+
+/**
+ * Budgets component for creating, editing and deleting monthly category budgets
+ * @returns {JSX.Element} The rendered Budgets component
+ */
+const Budgets = () => {
+  const { user, budgets, getBudgets, addBudget, updateBudget, deleteBudget } = useExpenseContext();
+  
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  
+  // Fetch budgets on component mount
+  useEffect(() => {
+    getBudgets();
+  }, [getBudgets]);
+  
+  /**
+   * Handle form input changes
+   * @param {Object} e - Event object
+   */
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+    
+    // Clear error for the field being edited
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+  
+  /**
+   * Validate form data
+   * @returns {boolean} True if form is valid, false otherwise
+   */
+  const validateForm = () => {
+    const newErrors = {};
+    
+    if (formData.limit === '') {
+      newErrors.limit = 'Limit is required';
+    } else if (isNaN(formData.limit) || Number(formData.limit) < 0) {
+      newErrors.limit = 'Limit must be a positive number';
+    }
+    
+    if (!formData.recurring && !formData.month) {
+      newErrors.month = 'Month is required unless the budget repeats monthly';
+    }
+    
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+  
+  /**
+   * Start editing an existing budget
+   * @param {Object} budget - Budget to edit
+   */
+  const handleEdit = (budget) => {
+    setEditingId(budget._id);
+    setErrors({});
+    setFormData({
+      category: budget.category,
+      month: budget.month || EMPTY_FORM.month,
+      recurring: budget.recurring,
+      limit: budget.limit
+    });
+  };
+  
+  /**
+   * Leave edit mode and clear the form
+   */
+  const resetForm = () => {
+    setEditingId(null);
+    setErrors({});
+    setFormData(EMPTY_FORM);
+  };
+  
+  /**
+   * Handle form submission
+   * @param {Object} e - Event object
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!validateForm()) {
+      return;
+    }
+    
+    const budgetData = {
+      category: formData.category,
+      recurring: formData.recurring,
+      limit: Number(formData.limit),
+      ...(formData.recurring ? {} : { month: formData.month })
+    };
+    
+    try {
+      setIsSubmitting(true);
+      if (editingId) {
+        await updateBudget(editingId, budgetData);
+      } else {
+        await addBudget(budgetData);
+      }
+      resetForm();
+    } catch (error) {
+      console.error('Error saving budget:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  /**
+   * Handle budget deletion
+   * @param {string} id - Budget ID
+   */
+  const handleDelete = async (id) => {
+    if (window.confirm('Are you sure you want to delete this budget?')) {
+      try {
+        await deleteBudget(id);
+        if (editingId === id) {
+          resetForm();
+        }
+      } catch (error) {
+        console.error('Error deleting budget:', error);
+      }
+    }
+  };
+  
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <h1 className="text-2xl font-bold">Budgets</h1>
+      
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold">{editingId ? 'Edit Budget' : 'New Budget'}</h2>
+        </div>
+        <div className="card-body">
+          <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-start">
+            <div className="form-group">
+              <label htmlFor="category" className="form-label">Category</label>
+              <select
+                id="category"
+                name="category"
+                value={formData.category}
+                onChange={handleChange}
+                className="form-input"
+              >
+                <CategoryOptions />
+              </select>
+            </div>
+            
+            <div className="form-group">
+              <label htmlFor="month" className="form-label">Month</label>
+              <input
+                type="month"
+                id="month"
+                name="month"
+                value={formData.month}
+                onChange={handleChange}
+                disabled={formData.recurring}
+                className={`form-input ${errors.month ? 'border-red-500' : ''}`}
+              />
+              {errors.month && <p className="text-red-500 text-sm mt-1">{errors.month}</p>}
+              <label className="flex items-center text-sm text-gray-600 mt-2">
+                <input
+                  type="checkbox"
+                  name="recurring"
+                  checked={formData.recurring}
+                  onChange={handleChange}
+                  className="mr-2"
+                />
+                Every month
+              </label>
+            </div>
+            
+            <div className="form-group">
+              <label htmlFor="limit" className="form-label">Limit ({user.baseCurrency})</label>
+              <input
+                type="number"
+                id="limit"
+                name="limit"
+                value={formData.limit}
+                onChange={handleChange}
+                className={`form-input ${errors.limit ? 'border-red-500' : ''}`}
+                placeholder="0.00"
+                step="0.01"
+                min="0"
+              />
+              {errors.limit && <p className="text-red-500 text-sm mt-1">{errors.limit}</p>}
+            </div>
+            
+            <div className="flex space-x-2 md:mt-6">
+              <button
+                type="submit"
+                className="btn btn-primary flex items-center"
+                disabled={isSubmitting}
+              >
+                <FaPlus className="mr-1" />
+                <span>{editingId ? 'Update' : 'Add'}</span>
+              </button>
+              {editingId && (
+                <button
+                  type="button"
+                  onClick={resetForm}
+                  className="btn btn-secondary flex items-center"
+                >
+                  <FaTimes className="mr-1" />
+                  <span>Cancel</span>
+                </button>
+              )}
+            </div>
+          </form>
+        </div>
+      </div>
+      
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold">Your Budgets</h2>
+        </div>
+        {budgets.length === 0 ? (
+          <p className="p-8 text-center text-gray-500">No budgets yet</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Applies To</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Limit</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {budgets.map(budget => (
+                <tr key={budget._id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <CategoryBadge name={budget.category} />
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {budget.recurring ? 'Every month' : budget.month}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatCurrency(budget.limit, user.baseCurrency)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => handleEdit(budget)}
+                        className="text-yellow-600 hover:text-yellow-900"
+                        title="Edit"
+                      >
+                        <FaEdit />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(budget._id)}
+                        className="text-red-600 hover:text-red-900"
+                        title="Delete"
+                      >
+                        <FaTrash />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Budgets;
@@ -0,0 +1,337 @@
+import { useState, useEffect } from 'react';
+import { FaPlus, FaSave, FaTimes, FaEdit, FaTrash } from 'react-icons/fa';
+import { useExpenseContext } from '../context/ExpenseContext';
+import CategoryBadge from '../components/CategoryBadge';
+import CategoryOptions from '../components/CategoryOptions';
+import { CATEGORY_ICONS, DEFAULT_CATEGORY_COLOR } from '../constants/categoryIcons';
+import { toCategoryTree } from '../utils/categories';
+
+// Empty category form
+const EMPTY_FORM = {
+  name: '',
+  color: DEFAULT_CATEGORY_COLOR,
+  icon: 'FaTag',
+  parent: ''
+};
+
+/**
+ * Categories component for creating, editing and deleting the user's categories and subcategories
+ * @returns {JSX.Element} The rendered Categories component
+ */
+const Categories = () => {
+  const { categories, getCategories, addCategory, updateCategory, deleteCategory } = useExpenseContext();
+
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [deleting, setDeleting] = useState(null);
+  const [reassignTo, setReassignTo] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Fetch categories on component mount so expense counts are current
+  useEffect(() => {
+    getCategories();
+  }, [getCategories]);
+
+  /**
+   * Handle form input changes
+   * @param {Object} e - Event object
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  /**
+   * Validate the category form
+   * @returns {boolean} Whether the form is valid
+   */
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Name is required';
+    } else if (formData.name.length > 50) {
+      newErrors.name = 'Name cannot be more than 50 characters';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  /**
+   * Load a category into the form for editing
+   * @param {Object} category - Category to edit
+   */
+  const handleEdit = (category) => {
+    setEditingId(category._id);
+    setFormData({
+      name: category.name,
+      color: category.color,
+      icon: category.icon,
+      parent: category.parent || ''
+    });
+    setErrors({});
+  };
+
+  /**
+   * Reset the form to create a new category
+   */
+  const handleCancel = () => {
+    setEditingId(null);
+    setFormData(EMPTY_FORM);
+    setErrors({});
+  };
+
+  /**
+   * Create or update the category in the form
+   * @param {Object} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    const categoryData = {
+      ...formData,
+      name: formData.name.trim(),
+      parent: formData.parent || null
+    };
+
+    try {
+      setIsSubmitting(true);
+      if (editingId) {
+        await updateCategory(editingId, categoryData);
+      } else {
+        await addCategory(categoryData);
+      }
+      handleCancel();
+    } catch (error) {
+      console.error('Error saving category:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Start deleting a category
+   * Categories without expenses are deleted after confirmation; others ask where to move them first.
+   * @param {Object} category - Category to delete
+   */
+  const handleDelete = async (category) => {
+    if (category.expenseCount > 0) {
+      setDeleting(category);
+      setReassignTo('');
+      return;
+    }
+
+    if (window.confirm(`Are you sure you want to delete the ${category.name} category?`)) {
+      try {
+        await deleteCategory(category._id);
+      } catch (error) {
+        console.error('Error deleting category:', error);
+      }
+    }
+  };
+
+  /**
+   * Delete the chosen category, moving its expenses to the selected one
+   * @param {Object} e - Form submit event
+   */
+  const handleReassign = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSubmitting(true);
+      await deleteCategory(deleting._id, reassignTo);
+      setDeleting(null);
+    } catch (error) {
+      console.error('Error deleting category:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // A category with subcategories cannot itself become a subcategory
+  const hasChildren = editingId && categories.some(category => category.parent === editingId);
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <h1 className="text-2xl font-bold">Categories</h1>
+
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold">{editingId ? 'Edit Category' : 'Add Category'}</h2>
+        </div>
+        <div className="card-body">
+          <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+            <div className="form-group">
+              <label htmlFor="name" className="form-label">Name</label>
+              <input
+                type="text"
+                id="name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                className={`form-input ${errors.name ? 'border-red-500' : ''}`}
+                placeholder="e.g. Groceries"
+              />
+              {errors.name && <p className="text-red-500 text-sm mt-1">{errors.name}</p>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="parent" className="form-label">Parent</label>
+              <select
+                id="parent"
+                name="parent"
+                value={formData.parent}
+                onChange={handleChange}
+                className="form-input"
+                disabled={hasChildren}
+              >
+                <option value="">None</option>
+                <CategoryOptions
+                  valueKey="_id"
+                  filter={category => !category.parent && category._id !== editingId}
+                />
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="icon" className="form-label">Icon</label>
+              <select id="icon" name="icon" value={formData.icon} onChange={handleChange} className="form-input">
+                {Object.keys(CATEGORY_ICONS).map(icon => (
+                  <option key={icon} value={icon}>{icon.replace(/^Fa/, '')}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="color" className="form-label">Colour</label>
+              <input
+                type="color"
+                id="color"
+                name="color"
+                value={formData.color}
+                onChange={handleChange}
+                className="form-input h-10 p-1"
+              />
+            </div>
+
+            <div className="form-group flex space-x-2">
+              <button type="submit" className="btn btn-primary flex items-center" disabled={isSubmitting}>
+                {editingId ? <FaSave className="mr-2" /> : <FaPlus className="mr-2" />}
+                <span>{editingId ? 'Save' : 'Add'}</span>
+              </button>
+              {editingId && (
+                <button type="button" onClick={handleCancel} className="btn btn-secondary flex items-center">
+                  <FaTimes className="mr-2" />
+                  <span>Cancel</span>
+                </button>
+              )}
+            </div>
+          </form>
+        </div>
+      </div>
+
+      {deleting && (
+        <div className="card">
+          <div className="card-header">
+            <h2 className="text-lg font-semibold">Delete {deleting.name}</h2>
+          </div>
+          <div className="card-body">
+            <p className="text-sm text-gray-600 mb-4">
+              {deleting.expenseCount} {deleting.expenseCount === 1 ? 'expense uses' : 'expenses use'} this
+              category. Choose a category to move {deleting.expenseCount === 1 ? 'it' : 'them'} to; recurring
+              expenses move too, and budgets for {deleting.name} are removed.
+            </p>
+            <form onSubmit={handleReassign} className="flex flex-wrap items-center gap-2">
+              <select
+                id="reassignTo"
+                value={reassignTo}
+                onChange={(e) => setReassignTo(e.target.value)}
+                className="form-input w-60"
+                aria-label="Move expenses to"
+              >
+                <option value="">Move expenses to...</option>
+                <CategoryOptions valueKey="_id" filter={category => category._id !== deleting._id} />
+              </select>
+              <button type="submit" className="btn btn-danger flex items-center" disabled={!reassignTo || isSubmitting}>
+                <FaTrash className="mr-2" />
+                <span>Move and Delete</span>
+              </button>
+              <button type="button" onClick={() => setDeleting(null)} className="btn btn-secondary">
+                Cancel
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold">Your Categories</h2>
+        </div>
+        {categories.length === 0 ? (
+          <div className="card-body text-center text-gray-500">
+            No categories yet. Add one above to start recording expenses.
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expenses</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {toCategoryTree(categories).map(({ category, depth }) => (
+                  <tr key={category._id} className="hover:bg-gray-50">
+                    <td className={`px-6 py-4 whitespace-nowrap ${depth > 0 ? 'pl-12' : ''}`}>
+                      <CategoryBadge name={category.name} />
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{category.expenseCount}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      <div className="flex justify-end space-x-2">
+                        <button
+                          onClick={() => handleEdit(category)}
+                          className="text-blue-600 hover:text-blue-900"
+                          title="Edit"
+                        >
+                          <FaEdit />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(category)}
+                          className="text-red-600 hover:text-red-900"
+                          title="Delete"
+                        >
+                          <FaTrash />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Categories;
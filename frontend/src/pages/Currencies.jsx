@@ -0,0 +1,299 @@
+import { useState, useEffect } from 'react';
+import { FaPlus, FaTrash, FaFileUpload } from 'react-icons/fa';
+import { useExpenseContext } from '../context/ExpenseContext';
+import { CURRENCIES } from '../constants/currencies';
+
+// Empty exchange rate form
+const EMPTY_FORM = {
+  date: new Date().toISOString().slice(0, 10),
+  from: 'USD',
+  to: CURRENCIES[0],
+  rate: ''
+};
+
+/**
+ * Currencies component for choosing the base currency and managing dated exchange rates
+ * @returns {JSX.Element} The rendered Currencies component
+ */
+const Currencies = () => {
+  const { user, updateProfile, rates, getRates, addRate, deleteRate, importRates } = useExpenseContext();
+
+  const [formData, setFormData] = useState({ ...EMPTY_FORM, to: user.baseCurrency });
+  const [errors, setErrors] = useState({});
+  const [file, setFile] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Fetch rates on component mount
+  useEffect(() => {
+    getRates();
+  }, [getRates]);
+
+  // Format date
+  const formatDate = (dateString) => {
+    return new Intl.DateTimeFormat('en-IN', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      timeZone: 'UTC'
+    }).format(new Date(dateString));
+  };
+
+  /**
+   * Handle form input changes
+   * @param {Object} e - Event object
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  /**
+   * Validate the rate form
+   * @returns {boolean} Whether the form is valid
+   */
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.date) {
+      newErrors.date = 'Date is required';
+    }
+
+    if (formData.from === formData.to) {
+      newErrors.to = 'Choose two different currencies';
+    }
+
+    if (formData.rate === '') {
+      newErrors.rate = 'Rate is required';
+    } else if (isNaN(formData.rate) || Number(formData.rate) <= 0) {
+      newErrors.rate = 'Rate must be a positive number';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  /**
+   * Add the exchange rate in the form
+   * @param {Object} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      await addRate({ ...formData, rate: Number(formData.rate) });
+      setFormData(prev => ({ ...prev, rate: '' }));
+    } catch (error) {
+      console.error('Error adding exchange rate:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Import the chosen file of rates
+   * @param {Object} e - Form submit event
+   */
+  const handleImport = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSubmitting(true);
+      await importRates(file);
+      setFile(null);
+      e.target.reset();
+    } catch (error) {
+      console.error('Error importing exchange rates:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Delete an exchange rate after confirmation
+   * @param {string} id - Rate ID
+   */
+  const handleDelete = async (id) => {
+    if (window.confirm('Are you sure you want to delete this exchange rate?')) {
+      try {
+        await deleteRate(id);
+      } catch (error) {
+        console.error('Error deleting exchange rate:', error);
+      }
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <h1 className="text-2xl font-bold">Currencies</h1>
+
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold">Base Currency</h2>
+        </div>
+        <div className="card-body">
+          <p className="text-sm text-gray-500 mb-2">
+            Totals, statistics and budgets are shown in this currency. Expenses in other
+            currencies are converted with the latest rate on or before their date.
+          </p>
+          <select
+            id="baseCurrency"
+            value={user.baseCurrency}
+            onChange={(e) => updateProfile({ baseCurrency: e.target.value })}
+            className="form-input w-40"
+            aria-label="Base currency"
+          >
+            {CURRENCIES.map(currency => (
+              <option key={currency} value={currency}>{currency}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold">Add Exchange Rate</h2>
+        </div>
+        <div className="card-body">
+          <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+            <div className="form-group">
+              <label htmlFor="date" className="form-label">From date</label>
+              <input
+                type="date"
+                id="date"
+                name="date"
+                value={formData.date}
+                onChange={handleChange}
+                className={`form-input ${errors.date ? 'border-red-500' : ''}`}
+              />
+              {errors.date && <p className="text-red-500 text-sm mt-1">{errors.date}</p>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="from" className="form-label">1 unit of</label>
+              <select id="from" name="from" value={formData.from} onChange={handleChange} className="form-input">
+                {CURRENCIES.map(currency => (
+                  <option key={currency} value={currency}>{currency}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="rate" className="form-label">Equals</label>
+              <input
+                type="number"
+                id="rate"
+                name="rate"
+                value={formData.rate}
+                onChange={handleChange}
+                className={`form-input ${errors.rate ? 'border-red-500' : ''}`}
+                placeholder="0.00"
+                step="any"
+                min="0"
+              />
+              {errors.rate && <p className="text-red-500 text-sm mt-1">{errors.rate}</p>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="to" className="form-label">Units of</label>
+              <select
+                id="to"
+                name="to"
+                value={formData.to}
+                onChange={handleChange}
+                className={`form-input ${errors.to ? 'border-red-500' : ''}`}
+              >
+                {CURRENCIES.map(currency => (
+                  <option key={currency} value={currency}>{currency}</option>
+                ))}
+              </select>
+              {errors.to && <p className="text-red-500 text-sm mt-1">{errors.to}</p>}
+            </div>
+
+            <div className="form-group">
+              <button type="submit" className="btn btn-primary flex items-center" disabled={isSubmitting}>
+                <FaPlus className="mr-2" />
+                <span>Add Rate</span>
+              </button>
+            </div>
+          </form>
+
+          <form onSubmit={handleImport} className="flex flex-wrap items-center gap-2 mt-4 pt-4 border-t">
+            <label htmlFor="rateFile" className="text-sm text-gray-600">
+              Or import a CSV or JSON file with <code>date</code>, <code>from</code>, <code>to</code> and <code>rate</code>:
+            </label>
+            <input
+              type="file"
+              id="rateFile"
+              accept=".csv,.json"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              className="text-sm"
+            />
+            <button type="submit" className="btn btn-secondary flex items-center" disabled={!file || isSubmitting}>
+              <FaFileUpload className="mr-2" />
+              <span>Import</span>
+            </button>
+          </form>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold">Exchange Rates</h2>
+        </div>
+        {rates.length === 0 ? (
+          <div className="card-body text-center text-gray-500">
+            No exchange rates yet. Expenses in other currencies are left out of totals until a rate is added.
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">From date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rate</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {rates.map(rate => (
+                  <tr key={rate._id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatDate(rate.date)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      1 {rate.from} = {rate.rate} {rate.to}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      <button
+                        onClick={() => handleDelete(rate._id)}
+                        className="text-red-600 hover:text-red-900"
+                        title="Delete"
+                      >
+                        <FaTrash />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Currencies;
@@ -1,51 +1,121 @@
-import { useState } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { Link } from 'react-router-dom';
+import { FaFileExport } from 'react-icons/fa';
 import { useExpenseContext } from '../context/ExpenseContext';
 import { Chart as ChartJS, ArcElement, Tooltip, Legend, CategoryScale, LinearScale, BarElement, Title } from 'chart.js';
 import { Pie, Bar } from 'react-chartjs-2';
 import ExpenseList from '../components/ExpenseList';
 import ExpenseFilter from '../components/ExpenseFilter';
+import BulkActionBar from '../components/BulkActionBar';
+import BudgetPanel from '../components/BudgetPanel';
+import InsightsPanel from '../components/InsightsPanel';
+import PeriodPicker from '../components/PeriodPicker';
+import ChangeIndicator from '../components/ChangeIndicator';
+import TagChip from '../components/TagChip';
+import { formatCurrency } from '../utils/currency';
+import { getCategoryColor } from '../utils/categories';
+import { PERIOD_PRESETS, toExpenseQuery, formatBucket, formatDayRange } from '../utils/period';
+import { addTagToFilter } from '../utils/tags';
 
 // Register ChartJS components
 ChartJS.register(ArcElement, Tooltip, Legend, CategoryScale, LinearScale, BarElement, Title);
 
+// No expenses selected for a bulk action
+const EMPTY_SELECTION = { ids: [], allMatching: false };
+
 /**
  * Dashboard component displaying expense list and statistics
  * @returns {JSX.Element} The rendered Dashboard component
  */
 const Dashboard = () => {
-  const { expenses, stats, loading, getExpenses, deleteExpense, getExpenseStats } = useExpenseContext();
-  const [filters, setFilters] = useState({
-    category: '',
-    startDate: '',
-    endDate: '',
-    sort: 'date:desc'
-  });
-
-  // Format currency
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-IN', {
-      style: 'currency',
-      currency: 'INR'
-    }).format(amount);
+  const {
+    user,
+    expenses,
+    expenseFilters,
+    setExpenseFilters,
+    pagination,
+    stats,
+    statsPeriod,
+    setStatsPeriod,
+    cashFlow,
+    categories,
+    requestStatus,
+    getExpenses,
+    deleteExpense,
+    bulkUpdateExpenses,
+    getCashFlow,
+    forecast,
+    getForecast,
+    exportExpenses
+  } = useExpenseContext();
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [isExporting, setIsExporting] = useState(false);
+  const [selection, setSelection] = useState(EMPTY_SELECTION);
+  const listStatus = requestStatus.expenses || {};
+
+  // Refresh the cash flow and forecast whenever the expense statistics change
+  useEffect(() => {
+    getCashFlow();
+    getForecast();
+  }, [getCashFlow, getForecast, stats]);
+
+  // The list, its export and the statistics all use the filters with the period's dates
+  const listFilters = useMemo(() => toExpenseQuery(expenseFilters, statsPeriod), [expenseFilters, statsPeriod]);
+
+  // Apply filters; the context refetches the list and statistics from the first page
+  const handleApplyFilters = ({ startDate, endDate, ...newFilters }) => {
+    setExpenseFilters(newFilters);
+
+    // Dates entered in the filter replace the period, or clear it when removed
+    if (startDate !== listFilters.startDate || endDate !== listFilters.endDate) {
+      setStatsPeriod(startDate || endDate
+        ? { preset: 'custom', granularity: statsPeriod.granularity, from: startDate, to: endDate }
+        : { ...statsPeriod, preset: 'all', from: '', to: '' });
+    }
+  };
+
+  // Change the sort order from the list headers
+  const handleSortChange = (sort) => {
+    setExpenseFilters({ ...expenseFilters, sort });
   };
 
-  // Apply filters
-  const handleApplyFilters = (newFilters) => {
-    setFilters(newFilters);
-    getExpenses(newFilters);
+  // A selection only makes sense for the filters it was made under
+  useEffect(() => {
+    setSelection(EMPTY_SELECTION);
+  }, [listFilters]);
+
+  // Apply a bulk action to the selected expenses, or to every match of the filters
+  const handleBulkApply = async (operation) => {
+    const target = selection.allMatching ? { filters: listFilters } : { ids: selection.ids };
+    await bulkUpdateExpenses({ ...operation, ...target });
+    setSelection(EMPTY_SELECTION);
+  };
+
+  // Narrow the list and statistics to a tag clicked in the list or breakdown
+  const handleTagClick = (tag) => {
+    setExpenseFilters({ ...expenseFilters, tags: addTagToFilter(expenseFilters.tags, tag) });
+  };
+
+  // Fetch another page with the current filters
+  const handlePageChange = (page) => {
+    getExpenses({ page });
   };
 
-  // Reset filters
-  const handleResetFilters = (defaultFilters) => {
-    setFilters(defaultFilters);
-    getExpenses({});
+  // Download the expenses matching the current filters
+  const handleExport = async () => {
+    setIsExporting(true);
+    await exportExpenses(exportFormat, listFilters);
+    setIsExporting(false);
   };
 
-  // Handle expense deletion
-  const handleDelete = async (id) => {
-    await deleteExpense(id);
-    getExpenseStats();
+  // Handle expense deletion; the context refills the page and statistics, and shows why it failed
+  const handleDelete = async (id, version) => {
+    try {
+      await deleteExpense(id, version);
+      setSelection(prev => ({ ...prev, ids: prev.ids.filter(selectedId => selectedId !== id) }));
+    } catch (error) {
+      console.error('Error deleting expense:', error);
+    }
   };
 
   // Prepare data for pie chart
@@ -54,48 +124,90 @@ const Dashboard = () => {
     datasets: [
       {
         data: stats.byCategory?.map(cat => cat.total) || [],
-        backgroundColor: [
-          '#FF6384',
-          '#36A2EB',
-          '#FFCE56',
-          '#4BC0C0',
-          '#9966FF',
-          '#FF9F40',
-          '#8AC926',
-          '#1982C4',
-          '#6A4C93',
-          '#F15BB5'
-        ],
+        backgroundColor: stats.byCategory?.map(cat => getCategoryColor(categories, cat._id)) || [],
         borderWidth: 1
       }
     ]
   };
 
-  // Prepare data for bar chart
-  const barChartData = {
-    labels: stats.byMonth?.map(month => {
-      const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-      return monthNames[month._id - 1];
-    }) || [],
+  // Prepare data for the spending-over-time chart
+  const periodChartData = {
+    labels: stats.byPeriod?.map(item => formatBucket(item.start, statsPeriod.granularity)) || [],
     datasets: [
       {
-        label: 'Monthly Expenses',
-        data: stats.byMonth?.map(month => month.total) || [],
+        label: 'Expenses',
+        data: stats.byPeriod?.map(item => item.total) || [],
         backgroundColor: '#36A2EB'
       }
     ]
   };
 
-  // Bar chart options
+  // What the stat cards are compared with
+  const comparisonLabel = stats.comparison
+    ? `vs ${formatDayRange(stats.comparison.from, stats.comparison.to)}`
+    : '';
+  const periodLabel = PERIOD_PRESETS.find(item => item.value === statsPeriod.preset).label;
+
+  // The current month's bar gets the forecast spending still to come stacked on what has been spent
+  const forecastMonth = forecast && cashFlow.year === forecast.year
+    ? cashFlow.byMonth.find(month => month.month === forecast.month)
+    : null;
+  const projectedRest = forecastMonth
+    ? Math.max(Math.round((forecast.monthEnd.projected - forecastMonth.expenses) * 100) / 100, 0)
+    : 0;
+
+  // Prepare data for bar chart, with income and expenses side by side per month
+  const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  const barChartData = {
+    labels: cashFlow.byMonth.map(month => monthNames[month.month - 1]),
+    datasets: [
+      {
+        label: 'Income',
+        data: cashFlow.byMonth.map(month => month.income),
+        backgroundColor: '#4BC0C0',
+        stack: 'income'
+      },
+      {
+        label: 'Expenses',
+        data: cashFlow.byMonth.map(month => month.expenses),
+        backgroundColor: '#FF6384',
+        stack: 'expenses'
+      },
+      ...(projectedRest > 0 ? [{
+        label: 'Projected',
+        data: cashFlow.byMonth.map(month => (month === forecastMonth ? projectedRest : null)),
+        backgroundColor: 'rgba(255, 99, 132, 0.35)',
+        borderColor: '#FF6384',
+        borderWidth: 1,
+        borderDash: [4, 4],
+        stack: 'expenses'
+      }] : [])
+    ]
+  };
+  const hasCashFlow = projectedRest > 0 || cashFlow.byMonth.some(month => month.income > 0 || month.expenses > 0);
+
+  // Bar chart options; the projected segment's tooltip gives the month-end forecast and its band
   const barChartOptions = {
     responsive: true,
+    scales: {
+      x: { stacked: true },
+      y: { stacked: true }
+    },
     plugins: {
       legend: {
         position: 'top',
       },
       title: {
         display: true,
-        text: 'Monthly Expenses'
+        text: `Income vs Expenses ${cashFlow.year || ''}`
+      },
+      tooltip: {
+        callbacks: {
+          label: context => (context.dataset.label === 'Projected'
+            ? `Projected month-end: ${formatCurrency(forecast.monthEnd.projected, user.baseCurrency)} ` +
+              `(${formatCurrency(forecast.monthEnd.low, user.baseCurrency)} – ${formatCurrency(forecast.monthEnd.high, user.baseCurrency)})`
+            : `${context.dataset.label}: ${formatCurrency(context.parsed.y, user.baseCurrency)}`)
+        }
       }
     }
   };
@@ -104,24 +216,59 @@ const Dashboard = () => {
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <h1 className="text-2xl font-bold">Expense Dashboard</h1>
-        <Link to="/add" className="btn btn-primary">Add New Expense</Link>
+        <div className="flex items-center space-x-2">
+          <select
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            className="form-input w-auto"
+            aria-label="Export format"
+          >
+            <option value="csv">CSV</option>
+            <option value="xlsx">Excel (XLSX)</option>
+            <option value="json">JSON</option>
+          </select>
+          <button
+            onClick={handleExport}
+            className="btn btn-secondary flex items-center"
+            disabled={isExporting || pagination.totalCount === 0}
+          >
+            <FaFileExport className="mr-2" />
+            <span>{isExporting ? 'Exporting...' : 'Export'}</span>
+          </button>
+          <Link to="/add" className="btn btn-primary">Add New Expense</Link>
+        </div>
       </div>
 
       {/* Filter Component */}
       <ExpenseFilter 
-        initialFilters={filters}
+        initialFilters={listFilters}
         onApplyFilters={handleApplyFilters}
-        onResetFilters={handleResetFilters}
+        onResetFilters={handleApplyFilters}
       />
 
       {/* Stats Overview */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <h2 className="text-xl font-semibold">Statistics: {periodLabel}</h2>
+        <PeriodPicker period={statsPeriod} onChange={setStatsPeriod} />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
         <div className="card">
           <div className="card-header">
             <h2 className="text-lg font-semibold">Total Expenses</h2>
           </div>
           <div className="card-body">
-            <p className="text-3xl font-bold text-blue-600">{formatCurrency(stats.total || 0)}</p>
+            <p className="text-3xl font-bold text-blue-600">{formatCurrency(stats.total || 0, user.baseCurrency)}</p>
+            <ChangeIndicator
+              change={stats.comparison?.change.total}
+              format={amount => formatCurrency(amount, user.baseCurrency)}
+              label={comparisonLabel}
+            />
+            {stats.unconverted > 0 && (
+              <p className="text-sm text-amber-600 mt-1">
+                {stats.unconverted} expense{stats.unconverted === 1 ? '' : 's'} left out: no exchange rate to {user.baseCurrency}
+              </p>
+            )}
           </div>
         </div>
         
@@ -130,7 +277,8 @@ const Dashboard = () => {
             <h2 className="text-lg font-semibold">Expense Count</h2>
           </div>
           <div className="card-body">
-            <p className="text-3xl font-bold text-green-600">{expenses.length}</p>
+            <p className="text-3xl font-bold text-green-600">{stats.count || 0}</p>
+            <ChangeIndicator change={stats.comparison?.change.count} label={comparisonLabel} />
           </div>
         </div>
         
@@ -140,46 +288,138 @@ const Dashboard = () => {
           </div>
           <div className="card-body">
             <p className="text-3xl font-bold text-purple-600">
-              {formatCurrency(expenses.length ? stats.total / expenses.length : 0)}
+              {formatCurrency(stats.average || 0, user.baseCurrency)}
+            </p>
+            <ChangeIndicator
+              change={stats.comparison?.change.average}
+              format={amount => formatCurrency(amount, user.baseCurrency)}
+              label={comparisonLabel}
+            />
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="card-header">
+            <h2 className="text-lg font-semibold">Net Savings {cashFlow.year}</h2>
+          </div>
+          <div className="card-body">
+            <p className={`text-3xl font-bold ${cashFlow.net < 0 ? 'text-red-600' : 'text-teal-600'}`}>
+              {formatCurrency(cashFlow.net || 0, user.baseCurrency)}
+            </p>
+            <p className="text-sm text-gray-500 mt-1">
+              {cashFlow.savingsRate === null || cashFlow.savingsRate === undefined
+                ? 'No income recorded this year'
+                : `Savings rate ${cashFlow.savingsRate}% of ${formatCurrency(cashFlow.income, user.baseCurrency)} income`}
             </p>
           </div>
         </div>
       </div>
 
+      {stats.count > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h2 className="text-lg font-semibold">Spending by {statsPeriod.granularity}</h2>
+          </div>
+          <div className="card-body p-4">
+            <Bar data={periodChartData} options={{ responsive: true, plugins: { legend: { display: false } } }} />
+          </div>
+        </div>
+      )}
+
+      {stats.byTag?.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h2 className="text-lg font-semibold">Spending by Tag</h2>
+          </div>
+          <ul className="divide-y divide-gray-200">
+            {stats.byTag.map(item => (
+              <li key={item._id} className="flex justify-between items-center px-6 py-3 text-sm">
+                <TagChip tag={item._id} onClick={handleTagClick} />
+                <span>
+                  {formatCurrency(item.total, user.baseCurrency)}
+                  <span className="text-gray-500"> · {item.count} {item.count === 1 ? 'expense' : 'expenses'}</span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* What stands out in recent spending */}
+      <InsightsPanel />
+
+      {/* Budget Progress */}
+      <BudgetPanel />
+
       {/* Charts */}
-      {!loading && stats.byCategory && stats.byCategory.length > 0 && (
+      {(stats.byCategory?.length > 0 || hasCashFlow) && (
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-          <div className="card">
-            <div className="card-header">
-              <h2 className="text-lg font-semibold">Expenses by Category</h2>
-            </div>
-            <div className="card-body p-4 flex justify-center">
-              <div className="w-64 h-64">
-                <Pie data={pieChartData} />
+          {stats.byCategory?.length > 0 && (
+            <div className="card">
+              <div className="card-header">
+                <h2 className="text-lg font-semibold">Expenses by Category</h2>
+              </div>
+              <div className="card-body p-4 flex justify-center">
+                <div className="w-64 h-64">
+                  <Pie data={pieChartData} />
+                </div>
               </div>
             </div>
-          </div>
+          )}
           
-          <div className="card">
-            <div className="card-header">
-              <h2 className="text-lg font-semibold">Monthly Expenses</h2>
-            </div>
-            <div className="card-body p-4">
-              <Bar data={barChartData} options={barChartOptions} />
+          {hasCashFlow && (
+            <div className="card">
+              <div className="card-header">
+                <h2 className="text-lg font-semibold">Income vs Expenses</h2>
+              </div>
+              <div className="card-body p-4">
+                <Bar data={barChartData} options={barChartOptions} />
+                {projectedRest > 0 && (
+                  <p className="text-sm text-gray-500 mt-2">
+                    {monthNames[forecast.month - 1]} is on course for {formatCurrency(forecast.monthEnd.projected, user.baseCurrency)}
+                    {' '}(likely {formatCurrency(forecast.monthEnd.low, user.baseCurrency)} – {formatCurrency(forecast.monthEnd.high, user.baseCurrency)})
+                    {' '}and {forecast.year} for {formatCurrency(forecast.yearEnd.projected, user.baseCurrency)}
+                    {' '}({formatCurrency(forecast.yearEnd.low, user.baseCurrency)} – {formatCurrency(forecast.yearEnd.high, user.baseCurrency)}).
+                  </p>
+                )}
+              </div>
             </div>
-          </div>
+          )}
         </div>
       )}
 
       {/* Expense List Component */}
       <div className="card">
-        <div className="card-header">
+        <div className="card-header flex justify-between items-center">
           <h2 className="text-lg font-semibold">Recent Expenses</h2>
+          {listStatus.loading && expenses.length > 0 && (
+            <span className="text-sm text-gray-500">Refreshing...</span>
+          )}
         </div>
+        {(selection.allMatching || selection.ids.length > 0) && (
+          <BulkActionBar
+            selectedCount={selection.allMatching ? pagination.totalCount : selection.ids.length}
+            matchingCount={pagination.totalCount}
+            canSelectAllMatching={!selection.allMatching && pagination.totalCount > selection.ids.length &&
+              expenses.every(expense => selection.ids.includes(expense._id))}
+            onSelectAllMatching={() => setSelection({ ids: [], allMatching: true })}
+            onClear={() => setSelection(EMPTY_SELECTION)}
+            onApply={handleBulkApply}
+          />
+        )}
         <ExpenseList 
           expenses={expenses} 
+          pagination={pagination}
+          sort={expenseFilters.sort}
+          searchQuery={expenseFilters.q}
+          baseCurrency={user.baseCurrency}
+          onSortChange={handleSortChange}
+          onPageChange={handlePageChange}
           onDelete={handleDelete} 
-          loading={loading} 
+          onTagClick={handleTagClick}
+          selectedIds={selection.allMatching ? expenses.map(expense => expense._id) : selection.ids}
+          onSelectionChange={(ids) => setSelection({ ids, allMatching: false })}
+          loading={Boolean(listStatus.loading) && expenses.length === 0} 
         />
       </div>
     </div>
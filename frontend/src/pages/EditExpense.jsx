@@ -2,6 +2,12 @@ import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { FaSave, FaTimes } from 'react-icons/fa';
 import { useExpenseContext } from '../context/ExpenseContext';
+import { CURRENCIES } from '../constants/currencies';
+import CategoryOptions from '../components/CategoryOptions';
+import TagInput from '../components/TagInput';
+import ConflictResolver from '../components/ConflictResolver';
+import { toExpenseFormData } from '../utils/expenseFields';
+import { validateExpense, apiFieldErrors } from '../utils/validation';
 
 /**
  * EditExpense component for updating existing expenses
@@ -10,16 +16,23 @@ import { useExpenseContext } from '../context/ExpenseContext';
 const EditExpense = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { getExpenseById, updateExpense } = useExpenseContext();
+  const { getExpenseById, updateExpense, getSyncConflict, resolveSyncConflict } = useExpenseContext();
   
   const [formData, setFormData] = useState({
     title: '',
     amount: '',
+    currency: '',
     category: '',
     date: '',
-    description: ''
+    description: '',
+    tags: []
   });
   
+  // Version of the expense the form is based on, sent with the update
+  const [version, setVersion] = useState(null);
+  // Newer copy saved by someone else, with its version, when saving ran into it
+  const [conflict, setConflict] = useState(null);
+  
   const [errors, setErrors] = useState({});
   const [isLoading, setIsLoading] = useState(true);
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -29,19 +42,19 @@ const EditExpense = () => {
     const fetchExpense = async () => {
       try {
         setIsLoading(true);
-        const expenseData = await getExpenseById(id);
+        // Edit the server's latest version rather than a cached copy, so saving does not clash needlessly
+        const expenseData = await getExpenseById(id, { force: true });
         
         if (expenseData) {
-          // Format date to YYYY-MM-DD for input
-          const formattedDate = new Date(expenseData.date).toISOString().split('T')[0];
-          
-          setFormData({
-            title: expenseData.title,
-            amount: expenseData.amount,
-            category: expenseData.category,
-            date: formattedDate,
-            description: expenseData.description || ''
-          });
+          const offlineConflict = getSyncConflict(id);
+          setVersion(expenseData.__v);
+          if (offlineConflict) {
+            // An edit made offline clashed with a newer version; let the user merge the two
+            setFormData({ ...toExpenseFormData(expenseData), ...offlineConflict.mine });
+            setConflict({ theirs: toExpenseFormData(expenseData), version: expenseData.__v });
+          } else {
+            setFormData(toExpenseFormData(expenseData));
+          }
         }
       } catch (error) {
         console.error('Error fetching expense:', error);
@@ -52,7 +65,7 @@ const EditExpense = () => {
     };
     
     fetchExpense();
-  }, [id, getExpenseById, navigate]);
+  }, [id, getExpenseById, getSyncConflict, navigate]);
   
   /**
    * Handle form input changes
@@ -79,65 +92,70 @@ const EditExpense = () => {
    * @returns {boolean} True if form is valid, false otherwise
    */
   const validateForm = () => {
-    const newErrors = {};
-    
-    if (!formData.title.trim()) {
-      newErrors.title = 'Title is required';
-    } else if (formData.title.length > 100) {
-      newErrors.title = 'Title cannot be more than 100 characters';
-    }
-    
-    if (!formData.amount) {
-      newErrors.amount = 'Amount is required';
-    } else if (isNaN(formData.amount) || Number(formData.amount) <= 0) {
-      newErrors.amount = 'Amount must be a positive number';
-    }
-    
-    if (!formData.category) {
-      newErrors.category = 'Category is required';
-    }
-    
-    if (!formData.date) {
-      newErrors.date = 'Date is required';
-    }
-    
-    if (formData.description && formData.description.length > 500) {
-      newErrors.description = 'Description cannot be more than 500 characters';
-    }
+    const newErrors = validateExpense(formData);
     
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
   
   /**
-   * Handle form submission
-   * @param {Object} e - Event object
+   * Save form values on top of a version of the expense
+   * When someone else saved a newer version first, the conflict view shows both.
+   * @param {Object} values - Form values to save
+   * @param {number} baseVersion - Version the values are based on
    */
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
-    if (!validateForm()) {
-      return;
-    }
-    
+  const save = async (values, baseVersion) => {
     try {
       setIsSubmitting(true);
       
       // Convert amount to number
       const expenseData = {
-        ...formData,
-        amount: Number(formData.amount)
+        ...values,
+        amount: Number(values.amount)
       };
       
-      await updateExpense(id, expenseData);
+      await updateExpense(id, expenseData, baseVersion);
+      resolveSyncConflict(id);
       navigate('/');
     } catch (error) {
       console.error('Error updating expense:', error);
+      if (error.response && error.response.status === 412) {
+        const current = error.response.data.data;
+        setFormData(values);
+        setConflict({ theirs: toExpenseFormData(current), version: current.__v });
+      } else {
+        // Show the server's validation errors next to the fields
+        setErrors(prev => apiFieldErrors(error) || prev);
+      }
     } finally {
       setIsSubmitting(false);
     }
   };
   
+  /**
+   * Handle form submission
+   * @param {Object} e - Event object
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    
+    if (!validateForm()) {
+      return;
+    }
+    
+    save(formData, version);
+  };
+  
+  /**
+   * Drop the user's changes and continue from the copy someone else saved
+   */
+  const handleDiscard = () => {
+    resolveSyncConflict(id);
+    setFormData(conflict.theirs);
+    setVersion(conflict.version);
+    setConflict(null);
+  };
+  
   /**
    * Handle cancel button click
    */
@@ -153,6 +171,21 @@ const EditExpense = () => {
     );
   }
   
+  if (conflict) {
+    return (
+      <div className="max-w-2xl mx-auto">
+        <ConflictResolver
+          key={conflict.version}
+          mine={formData}
+          theirs={conflict.theirs}
+          onResolve={(merged) => save(merged, conflict.version)}
+          onDiscard={handleDiscard}
+          isSubmitting={isSubmitting}
+        />
+      </div>
+    );
+  }
+  
   return (
     <div className="max-w-2xl mx-auto">
       <div className="card">
@@ -177,17 +210,31 @@ const EditExpense = () => {
             
             <div className="form-group">
               <label htmlFor="amount" className="form-label">Amount</label>
-              <input
-                type="number"
-                id="amount"
-                name="amount"
-                value={formData.amount}
-                onChange={handleChange}
-                className={`form-input ${errors.amount ? 'border-red-500' : ''}`}
-                placeholder="0.00"
-                step="0.01"
-                min="0"
-              />
+              <div className="flex space-x-2">
+                <input
+                  type="number"
+                  id="amount"
+                  name="amount"
+                  value={formData.amount}
+                  onChange={handleChange}
+                  className={`form-input ${errors.amount ? 'border-red-500' : ''}`}
+                  placeholder="0.00"
+                  step="0.01"
+                  min="0"
+                />
+                <select
+                  id="currency"
+                  name="currency"
+                  value={formData.currency}
+                  onChange={handleChange}
+                  className="form-input w-28"
+                  aria-label="Currency"
+                >
+                  {CURRENCIES.map(currency => (
+                    <option key={currency} value={currency}>{currency}</option>
+                  ))}
+                </select>
+              </div>
               {errors.amount && <p className="text-red-500 text-sm mt-1">{errors.amount}</p>}
             </div>
             
@@ -200,18 +247,7 @@ const EditExpense = () => {
                 onChange={handleChange}
                 className={`form-input ${errors.category ? 'border-red-500' : ''}`}
               >
-                <option value="Food">Food</option>
-                <option value="Transportation">Transportation</option>
-                <option value="Entertainment">Entertainment</option>
-                <option value="Shopping">Shopping</option>
-                <option value="Utilities">Utilities</option>
-                <option value="Housing">Housing</option>
-                <option value="Healthcare">Healthcare</option>
-                <option value="Personal">Personal</option>
-                <option value="Education">Education</option>
-                <option value="Gifts">Gifts</option>
-                <option value="Travel">Travel</option>
-                <option value="Other">Other</option>
+                <CategoryOptions />
               </select>
               {errors.category && <p className="text-red-500 text-sm mt-1">{errors.category}</p>}
             </div>
@@ -246,6 +282,14 @@ const EditExpense = () => {
               </p>
             </div>
             
+            <div className="form-group">
+              <label htmlFor="tags" className="form-label">Tags (Optional)</label>
+              <TagInput
+                value={formData.tags}
+                onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+              />
+            </div>
+            
             <div className="flex justify-end space-x-2 mt-6">
               <button
                 type="button"
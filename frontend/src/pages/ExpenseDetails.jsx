@@ -1,7 +1,12 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
-import { FaEdit, FaTrash, FaArrowLeft } from 'react-icons/fa';
+import { FaEdit, FaTrash, FaArrowLeft, FaPaperclip } from 'react-icons/fa';
 import { useExpenseContext } from '../context/ExpenseContext';
+import { formatCurrency } from '../utils/currency';
+import CategoryBadge from '../components/CategoryBadge';
+import TagChip from '../components/TagChip';
+import AttachmentThumbnail from '../components/AttachmentThumbnail';
+import HistoryTimeline from '../components/HistoryTimeline';
 
 /**
  * ExpenseDetails component for viewing detailed information about a specific expense
@@ -10,18 +15,25 @@ import { useExpenseContext } from '../context/ExpenseContext';
 const ExpenseDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { getExpenseById, deleteExpense } = useExpenseContext();
+  const {
+    user,
+    getExpenseById,
+    getCachedExpense,
+    deleteExpense,
+    uploadAttachment,
+    deleteAttachment,
+    getExpenseHistory,
+    revertExpense
+  } = useExpenseContext();
   
-  const [expense, setExpense] = useState(null);
+  // The cached copy follows edits made anywhere in the app; the fetched one covers anything not cached
+  const [fetchedExpense, setFetchedExpense] = useState(null);
+  const expense = getCachedExpense(id) || fetchedExpense;
+  const attachments = (expense && expense.attachments) || [];
+  const [history, setHistory] = useState([]);
   const [loading, setLoading] = useState(true);
-  
-  // Format currency
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-IN', {
-      style: 'currency',
-      currency: 'INR'
-    }).format(amount);
-  };
+  const [uploading, setUploading] = useState(false);
+  const [revertingId, setRevertingId] = useState(null);
   
   // Format date
   const formatDate = (dateString) => {
@@ -33,13 +45,11 @@ const ExpenseDetails = () => {
     }).format(date);
   };
   
-  // Fetch expense data on component mount
+  // Fetch expense data on component mount, unless it is already cached
   useEffect(() => {
     const fetchExpense = async () => {
       try {
-        setLoading(true);
-        const expenseData = await getExpenseById(id);
-        setExpense(expenseData);
+        setFetchedExpense(await getExpenseById(id));
       } catch (error) {
         console.error('Error fetching expense:', error);
         navigate('/');
@@ -51,13 +61,48 @@ const ExpenseDetails = () => {
     fetchExpense();
   }, [id, getExpenseById, navigate]);
   
+  /**
+   * Load the change history of the expense
+   */
+  const loadHistory = useCallback(async () => {
+    try {
+      setHistory(await getExpenseHistory(id));
+    } catch (error) {
+      console.error('Error fetching expense history:', error);
+    }
+  }, [id, getExpenseHistory]);
+  
+  // Fetch the history alongside the expense
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+  
+  /**
+   * Revert the expense to the version saved by a history entry, after confirmation
+   * @param {Object} entry - History entry to revert to
+   */
+  const handleRevert = async (entry) => {
+    if (window.confirm('Revert this expense to how it was after this change?')) {
+      try {
+        setRevertingId(entry._id);
+        await revertExpense(id, entry._id, expense.__v);
+        setFetchedExpense(await getExpenseById(id, { force: true }));
+        await loadHistory();
+      } catch (error) {
+        console.error('Error reverting expense:', error);
+      } finally {
+        setRevertingId(null);
+      }
+    }
+  };
+  
   /**
    * Handle expense deletion
    */
   const handleDelete = async () => {
     if (window.confirm('Are you sure you want to delete this expense?')) {
       try {
-        await deleteExpense(id);
+        await deleteExpense(id, expense.__v);
         navigate('/');
       } catch (error) {
         console.error('Error deleting expense:', error);
@@ -65,7 +110,42 @@ const ExpenseDetails = () => {
     }
   };
   
-  if (loading) {
+  /**
+   * Upload the chosen receipt
+   * @param {Object} e - File input change event
+   */
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+    
+    try {
+      setUploading(true);
+      await uploadAttachment(id, file);
+    } catch (error) {
+      console.error('Error uploading attachment:', error);
+    } finally {
+      setUploading(false);
+    }
+  };
+  
+  /**
+   * Delete an attachment after confirmation
+   * @param {Object} attachment - Attachment to delete
+   */
+  const handleDeleteAttachment = async (attachment) => {
+    if (window.confirm(`Delete ${attachment.filename}?`)) {
+      try {
+        await deleteAttachment(id, attachment._id);
+      } catch (error) {
+        console.error('Error deleting attachment:', error);
+      }
+    }
+  };
+  
+  if (loading && !expense) {
     return (
       <div className="flex justify-center items-center h-64">
         <div className="w-12 h-12 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
@@ -122,23 +202,31 @@ const ExpenseDetails = () => {
               
               <div className="mb-4">
                 <p className="text-gray-600 text-sm">Amount</p>
-                <p className="text-2xl font-bold text-blue-600">{formatCurrency(expense.amount)}</p>
+                <p className="text-2xl font-bold text-blue-600">{formatCurrency(expense.amount, expense.currency)}</p>
+                {/* A just-saved copy has no converted amount until it is fetched again */}
+                {expense.currency !== user.baseCurrency && expense.baseAmount !== undefined && (
+                  <p className="text-sm text-gray-500">
+                    {expense.baseAmount !== null
+                      ? `≈ ${formatCurrency(expense.baseAmount, user.baseCurrency)} at the rate on ${formatDate(expense.date)}`
+                      : `No ${expense.currency} to ${user.baseCurrency} rate on or before this date`}
+                  </p>
+                )}
               </div>
               
               <div className="mb-4">
                 <p className="text-gray-600 text-sm">Category</p>
-                <span className={`badge ${
-                  expense.category === 'Food' ? 'badge-green' :
-                  expense.category === 'Transportation' ? 'badge-blue' :
-                  expense.category === 'Entertainment' ? 'badge-purple' :
-                  expense.category === 'Shopping' ? 'badge-red' :
-                  expense.category === 'Utilities' ? 'badge-yellow' :
-                  'badge-gray'
-                } text-sm px-3 py-1`}>
-                  {expense.category}
-                </span>
+                <CategoryBadge name={expense.category} className="text-sm px-3 py-1" />
               </div>
               
+              {expense.tags && expense.tags.length > 0 && (
+                <div className="mb-4">
+                  <p className="text-gray-600 text-sm">Tags</p>
+                  <div className="flex flex-wrap">
+                    {expense.tags.map(tag => <TagChip key={tag} tag={tag} />)}
+                  </div>
+                </div>
+              )}
+              
               <div className="mb-4">
                 <p className="text-gray-600 text-sm">Date</p>
                 <p className="font-medium">{formatDate(expense.date)}</p>
@@ -170,6 +258,42 @@ const ExpenseDetails = () => {
               </div>
             </div>
           </div>
+          
+          <div className="mt-6 pt-6 border-t">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-lg font-semibold">Receipts</h2>
+              <label className={`btn btn-secondary flex items-center cursor-pointer ${uploading ? 'opacity-50' : ''}`}>
+                <FaPaperclip className="mr-1" />
+                <span>{uploading ? 'Uploading...' : 'Attach File'}</span>
+                <input
+                  type="file"
+                  accept="image/jpeg,image/png,image/gif,image/webp,application/pdf"
+                  onChange={handleUpload}
+                  disabled={uploading}
+                  className="hidden"
+                />
+              </label>
+            </div>
+            {attachments.length === 0 ? (
+              <p className="text-gray-400 italic">No receipts attached. Images and PDFs up to 5 MB can be added.</p>
+            ) : (
+              <div className="flex flex-wrap gap-4">
+                {attachments.map(attachment => (
+                  <AttachmentThumbnail
+                    key={attachment._id}
+                    expenseId={expense._id}
+                    attachment={attachment}
+                    onDelete={handleDeleteAttachment}
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+          
+          <div className="mt-6 pt-6 border-t">
+            <h2 className="text-lg font-semibold mb-4">History</h2>
+            <HistoryTimeline history={history} onRevert={handleRevert} revertingId={revertingId} />
+          </div>
         </div>
       </div>
     </div>
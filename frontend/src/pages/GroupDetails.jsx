@@ -0,0 +1,405 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { FaArrowLeft, FaTrash, FaUserPlus, FaCheck, FaSignOutAlt } from 'react-icons/fa';
+import { useExpenseContext } from '../context/ExpenseContext';
+import GroupExpenseForm from '../components/GroupExpenseForm';
+import CategoryBadge from '../components/CategoryBadge';
+import { formatCurrency } from '../utils/currency';
+
+/**
+ * GroupDetails component showing a group's balances, members, split expenses and settlements
+ * @returns {JSX.Element} The rendered GroupDetails component
+ */
+const GroupDetails = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const {
+    user,
+    getGroup,
+    deleteGroup,
+    addGroupMember,
+    removeGroupMember,
+    getGroupExpenses,
+    addGroupExpense,
+    deleteGroupExpense,
+    getSettlements,
+    addSettlement,
+    deleteSettlement
+  } = useExpenseContext();
+
+  const [group, setGroup] = useState(null);
+  const [expenses, setExpenses] = useState({ data: [], page: 1, hasMore: false });
+  const [settlements, setSettlements] = useState([]);
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  // Format date
+  const formatDate = (dateString) => {
+    return new Intl.DateTimeFormat('en-IN', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    }).format(new Date(dateString));
+  };
+
+  /**
+   * Reload the group's balances and settlements, and a page of its expenses
+   * @param {number} page - Page of expenses to show
+   */
+  const refresh = useCallback(async (page = 1) => {
+    const [groupData, expenseData, settlementData] = await Promise.all([
+      getGroup(id),
+      getGroupExpenses(id, page),
+      getSettlements(id)
+    ]);
+    setGroup(groupData);
+    setExpenses(expenseData);
+    setSettlements(settlementData);
+  }, [id, getGroup, getGroupExpenses, getSettlements]);
+
+  // Fetch group data on component mount
+  useEffect(() => {
+    const fetchGroup = async () => {
+      try {
+        setLoading(true);
+        await refresh();
+      } catch (error) {
+        console.error('Error fetching group:', error);
+        navigate('/groups');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchGroup();
+  }, [refresh, navigate]);
+
+  /**
+   * Find a member's name, including members who have since left
+   * @param {string} memberId - User ID
+   * @returns {string} Member name
+   */
+  const memberName = (memberId) => {
+    const member = group.members.find(item => item._id === memberId);
+    if (!member) return 'Former member';
+    return memberId === user._id ? `${member.name} (you)` : member.name;
+  };
+
+  /**
+   * Run a change, then reload the group; errors are already shown by the context
+   * @param {Function} action - Async change to make
+   */
+  const runAndRefresh = async (action) => {
+    try {
+      await action();
+      await refresh(expenses.page);
+    } catch (error) {
+      console.error('Error updating group:', error);
+    }
+  };
+
+  /**
+   * Add the member whose email was entered
+   * @param {Object} e - Form submit event
+   */
+  const handleAddMember = (e) => {
+    e.preventDefault();
+    runAndRefresh(async () => {
+      await addGroupMember(id, email.trim());
+      setEmail('');
+    });
+  };
+
+  /**
+   * Remove a member, or leave the group when removing yourself
+   * @param {Object} member - Member to remove
+   */
+  const handleRemoveMember = async (member) => {
+    const leaving = member._id === user._id;
+    if (!window.confirm(leaving ? 'Leave this group?' : `Remove ${member.name} from the group?`)) {
+      return;
+    }
+
+    if (leaving) {
+      try {
+        await removeGroupMember(id, member._id);
+        navigate('/groups');
+      } catch (error) {
+        console.error('Error leaving group:', error);
+      }
+      return;
+    }
+
+    runAndRefresh(() => removeGroupMember(id, member._id));
+  };
+
+  /**
+   * Delete the group after confirmation
+   */
+  const handleDeleteGroup = async () => {
+    if (window.confirm('Delete this group? Its expenses are kept as personal expenses of whoever added them.')) {
+      try {
+        await deleteGroup(id);
+        navigate('/groups');
+      } catch (error) {
+        console.error('Error deleting group:', error);
+      }
+    }
+  };
+
+  /**
+   * Record one of the suggested transfers as paid
+   * @param {Object} transfer - Transfer with from, to and amount
+   */
+  const handleSettle = (transfer) => {
+    const message = `Record that ${memberName(transfer.from)} paid ${memberName(transfer.to)} ${formatCurrency(transfer.amount, group.currency)}?`;
+    if (window.confirm(message)) {
+      runAndRefresh(() => addSettlement(id, transfer));
+    }
+  };
+
+  /**
+   * Delete a group expense after confirmation
+   * @param {string} expenseId - Expense ID
+   */
+  const handleDeleteExpense = (expenseId) => {
+    if (window.confirm('Are you sure you want to delete this expense?')) {
+      runAndRefresh(() => deleteGroupExpense(id, expenseId));
+    }
+  };
+
+  /**
+   * Delete a recorded payment after confirmation
+   * @param {string} settlementId - Settlement ID
+   */
+  const handleDeleteSettlement = (settlementId) => {
+    if (window.confirm('Are you sure you want to delete this payment?')) {
+      runAndRefresh(() => deleteSettlement(id, settlementId));
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="w-12 h-12 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  if (!group) {
+    return null;
+  }
+
+  const isOwner = group.owner === user._id;
+
+  return (
+    <div className="max-w-5xl mx-auto space-y-6">
+      <div>
+        <Link to="/groups" className="text-blue-600 hover:text-blue-800 flex items-center">
+          <FaArrowLeft className="mr-1" />
+          <span>Back to Groups</span>
+        </Link>
+      </div>
+
+      <div className="flex justify-between items-center">
+        <h1 className="text-2xl font-bold">{group.name}</h1>
+        {isOwner && (
+          <button onClick={handleDeleteGroup} className="btn btn-danger flex items-center">
+            <FaTrash className="mr-1" />
+            <span>Delete Group</span>
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="card">
+          <div className="card-header">
+            <h2 className="text-lg font-semibold">Balances</h2>
+          </div>
+          <div className="card-body">
+            <ul className="space-y-2 mb-4">
+              {group.balances.map(({ user: memberId, balance }) => (
+                <li key={memberId} className="flex justify-between">
+                  <span>{memberName(memberId)}</span>
+                  <span className={balance > 0 ? 'text-green-600' : balance < 0 ? 'text-red-600' : 'text-gray-500'}>
+                    {balance > 0 ? 'gets back ' : balance < 0 ? 'owes ' : 'settled '}
+                    {balance !== 0 && formatCurrency(Math.abs(balance), group.currency)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+
+            <h3 className="font-semibold mb-2">Settle Up</h3>
+            {group.transfers.length === 0 ? (
+              <p className="text-gray-500 text-sm">Everyone is settled up.</p>
+            ) : (
+              <ul className="space-y-2">
+                {group.transfers.map(transfer => (
+                  <li key={`${transfer.from}-${transfer.to}`} className="flex justify-between items-center text-sm">
+                    <span>
+                      {memberName(transfer.from)} pays {memberName(transfer.to)}{' '}
+                      <strong>{formatCurrency(transfer.amount, group.currency)}</strong>
+                    </span>
+                    <button
+                      onClick={() => handleSettle(transfer)}
+                      className="text-green-600 hover:text-green-800 flex items-center"
+                      title="Record payment"
+                    >
+                      <FaCheck className="mr-1" />
+                      <span>Paid</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="card-header">
+            <h2 className="text-lg font-semibold">Members</h2>
+          </div>
+          <div className="card-body">
+            <ul className="space-y-2 mb-4">
+              {group.members.map(member => (
+                <li key={member._id} className="flex justify-between items-center">
+                  <span>
+                    {member.name} <span className="text-sm text-gray-500">{member.email}</span>
+                    {member._id === group.owner && <span className="badge badge-blue ml-2">Owner</span>}
+                  </span>
+                  {member._id !== group.owner && (isOwner || member._id === user._id) && (
+                    <button
+                      onClick={() => handleRemoveMember(member)}
+                      className="text-red-600 hover:text-red-900"
+                      title={member._id === user._id ? 'Leave group' : 'Remove member'}
+                    >
+                      {member._id === user._id ? <FaSignOutAlt /> : <FaTrash />}
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+            <form onSubmit={handleAddMember} className="flex gap-2">
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="form-input"
+                placeholder="Email of a registered user"
+                aria-label="Member email"
+                required
+              />
+              <button type="submit" className="btn btn-secondary flex items-center">
+                <FaUserPlus className="mr-1" />
+                <span>Add</span>
+              </button>
+            </form>
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold">Add Expense</h2>
+        </div>
+        <div className="card-body">
+          <GroupExpenseForm
+            key={group.members.map(member => member._id).join()}
+            group={group}
+            userId={user._id}
+            onSubmit={async (expenseData) => {
+              await addGroupExpense(id, expenseData);
+              await refresh();
+            }}
+          />
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header flex justify-between items-center">
+          <h2 className="text-lg font-semibold">Expenses</h2>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => refresh(expenses.page - 1)}
+              className="btn btn-secondary"
+              disabled={expenses.page <= 1}
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => refresh(expenses.page + 1)}
+              className="btn btn-secondary"
+              disabled={!expenses.hasMore}
+            >
+              Next
+            </button>
+          </div>
+        </div>
+        {expenses.data.length === 0 ? (
+          <div className="card-body text-center text-gray-500">No expenses in this group yet.</div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {expenses.data.map(expense => {
+              const share = expense.split.entries.find(entry => entry.user === user._id);
+              return (
+                <li key={expense._id} className="flex justify-between items-center px-6 py-4">
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      {expense.title} <CategoryBadge name={expense.category} className="ml-2" />
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      {formatDate(expense.date)} · {expense.paidBy ? memberName(expense.paidBy._id) : 'Former member'} paid{' '}
+                      {formatCurrency(expense.amount, expense.currency)}
+                      {share && ` · your share ${formatCurrency(share.amount, expense.currency)}`}
+                    </p>
+                  </div>
+                  {expense.user === user._id && (
+                    <button
+                      onClick={() => handleDeleteExpense(expense._id)}
+                      className="text-red-600 hover:text-red-900"
+                      title="Delete"
+                    >
+                      <FaTrash />
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold">Payments</h2>
+        </div>
+        {settlements.length === 0 ? (
+          <div className="card-body text-center text-gray-500">No payments recorded yet.</div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {settlements.map(settlement => (
+              <li key={settlement._id} className="flex justify-between items-center px-6 py-4 text-sm">
+                <span>
+                  {formatDate(settlement.date)} · {settlement.from.name} paid {settlement.to.name}{' '}
+                  <strong>{formatCurrency(settlement.amount, group.currency)}</strong>
+                  {settlement.note && <span className="text-gray-500"> · {settlement.note}</span>}
+                </span>
+                {[settlement.createdBy, settlement.from._id, settlement.to._id].includes(user._id) && (
+                  <button
+                    onClick={() => handleDeleteSettlement(settlement._id)}
+                    className="text-red-600 hover:text-red-900"
+                    title="Delete"
+                  >
+                    <FaTrash />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GroupDetails;
@@ -0,0 +1,158 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FaPlus, FaUsers } from 'react-icons/fa';
+import { useExpenseContext } from '../context/ExpenseContext';
+import { CURRENCIES } from '../constants/currencies';
+
+/**
+ * Groups component listing the user's groups and creating new ones
+ * @returns {JSX.Element} The rendered Groups component
+ */
+const Groups = () => {
+  const { user, groups, getGroups, createGroup } = useExpenseContext();
+
+  const [formData, setFormData] = useState({ name: '', currency: user.baseCurrency, members: '' });
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Fetch groups on component mount
+  useEffect(() => {
+    getGroups();
+  }, [getGroups]);
+
+  /**
+   * Handle form input changes
+   * @param {Object} e - Event object
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  /**
+   * Create the group in the form
+   * @param {Object} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.name.trim()) {
+      setErrors({ name: 'Name is required' });
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      await createGroup({
+        name: formData.name.trim(),
+        currency: formData.currency,
+        members: formData.members.split(/[\s,;]+/).filter(Boolean)
+      });
+      setFormData({ name: '', currency: user.baseCurrency, members: '' });
+    } catch (error) {
+      console.error('Error creating group:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <h1 className="text-2xl font-bold">Groups</h1>
+
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold">New Group</h2>
+        </div>
+        <div className="card-body">
+          <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+            <div className="form-group">
+              <label htmlFor="name" className="form-label">Name</label>
+              <input
+                type="text"
+                id="name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                className={`form-input ${errors.name ? 'border-red-500' : ''}`}
+                placeholder="e.g. Flat 4B"
+              />
+              {errors.name && <p className="text-red-500 text-sm mt-1">{errors.name}</p>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="currency" className="form-label">Currency</label>
+              <select id="currency" name="currency" value={formData.currency} onChange={handleChange} className="form-input">
+                {CURRENCIES.map(currency => (
+                  <option key={currency} value={currency}>{currency}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="members" className="form-label">Members&apos; emails</label>
+              <input
+                type="text"
+                id="members"
+                name="members"
+                value={formData.members}
+                onChange={handleChange}
+                className="form-input"
+                placeholder="alex@example.com, sam@example.com"
+              />
+            </div>
+
+            <div className="form-group">
+              <button type="submit" className="btn btn-primary flex items-center" disabled={isSubmitting}>
+                <FaPlus className="mr-2" />
+                <span>Create Group</span>
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold">Your Groups</h2>
+        </div>
+        {groups.length === 0 ? (
+          <div className="card-body text-center text-gray-500">
+            No groups yet. Create one to share expenses with flatmates or travel companions.
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {groups.map(group => (
+              <li key={group._id}>
+                <Link to={`/groups/${group._id}`} className="flex items-center justify-between px-6 py-4 hover:bg-gray-50">
+                  <div className="flex items-center">
+                    <FaUsers className="text-blue-600 mr-3" />
+                    <div>
+                      <p className="font-medium text-gray-900">{group.name}</p>
+                      <p className="text-sm text-gray-500">
+                        {group.members.map(member => member.name).join(', ')}
+                      </p>
+                    </div>
+                  </div>
+                  <span className="text-sm text-gray-500">{group.currency}</span>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Groups;
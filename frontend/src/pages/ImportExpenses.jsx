@@ -0,0 +1,308 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { FaFileUpload, FaArrowLeft, FaArrowRight, FaCheck, FaExclamationCircle, FaClone } from 'react-icons/fa';
+import { useExpenseContext } from '../context/ExpenseContext';
+import CategoryOptions from '../components/CategoryOptions';
+import { formatCurrency } from '../utils/currency';
+
+// Expense fields a CSV column can be mapped to
+const FIELDS = [
+  { name: 'date', label: 'Date', required: true },
+  { name: 'title', label: 'Title', required: true },
+  { name: 'amount', label: 'Amount', required: true },
+  { name: 'currency', label: 'Currency', required: false },
+  { name: 'category', label: 'Category', required: false },
+  { name: 'description', label: 'Description', required: false }
+];
+
+// Wizard steps in order
+const STEPS = ['Upload', 'Map Columns', 'Review'];
+
+/**
+ * ImportExpenses component: a wizard to upload a bank CSV, map its columns and import it
+ * @returns {JSX.Element} The rendered ImportExpenses component
+ */
+const ImportExpenses = () => {
+  const navigate = useNavigate();
+  const { importExpenses } = useExpenseContext();
+
+  const [step, setStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [headers, setHeaders] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [dateFormat, setDateFormat] = useState('YYYY-MM-DD');
+  const [defaultCategory, setDefaultCategory] = useState('Other');
+  const [preview, setPreview] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  // Format date
+  const formatDate = (dateString) => {
+    return new Intl.DateTimeFormat('en-IN', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      timeZone: 'UTC'
+    }).format(new Date(dateString));
+  };
+
+  const options = { mapping, dateFormat, defaultCategory };
+  const isMappingComplete = FIELDS.every(field => !field.required || mapping[field.name]);
+
+  /**
+   * Read the headers of the chosen file and move on to mapping
+   * @param {Object} e - Form submit event
+   */
+  const handleUpload = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsWorking(true);
+      const result = await importExpenses(file);
+      setHeaders(result.headers);
+      setMapping(result.suggestedMapping);
+      setStep(1);
+    } catch (error) {
+      console.error('Error reading CSV:', error);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  /**
+   * Handle a mapping change
+   * @param {Object} e - Event object
+   */
+  const handleMappingChange = (e) => {
+    const { name, value } = e.target;
+    setMapping(prev => ({
+      ...prev,
+      [name]: value || undefined
+    }));
+  };
+
+  /**
+   * Run a dry-run import and show the preview
+   */
+  const handlePreview = async () => {
+    try {
+      setIsWorking(true);
+      setPreview(await importExpenses(file, options));
+      setStep(2);
+    } catch (error) {
+      console.error('Error previewing import:', error);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  /**
+   * Import the previewed rows
+   */
+  const handleImport = async () => {
+    try {
+      setIsWorking(true);
+      await importExpenses(file, { ...options, dryRun: false });
+      navigate('/');
+    } catch (error) {
+      console.error('Error importing expenses:', error);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <h1 className="text-2xl font-bold">Import Expenses</h1>
+
+      {/* Step indicator */}
+      <ol className="flex space-x-4 text-sm">
+        {STEPS.map((label, index) => (
+          <li
+            key={label}
+            className={`flex items-center ${index === step ? 'text-blue-600 font-semibold' : 'text-gray-500'}`}
+          >
+            <span className={`w-6 h-6 rounded-full flex items-center justify-center mr-2 ${
+              index <= step ? 'bg-blue-600 text-white' : 'bg-gray-200'
+            }`}>
+              {index < step ? <FaCheck size={10} /> : index + 1}
+            </span>
+            {label}
+          </li>
+        ))}
+      </ol>
+
+      {step === 0 && (
+        <div className="card">
+          <div className="card-body">
+            <form onSubmit={handleUpload}>
+              <div className="form-group">
+                <label htmlFor="file" className="form-label">CSV file</label>
+                <input
+                  type="file"
+                  id="file"
+                  accept=".csv,text/csv"
+                  onChange={(e) => setFile(e.target.files[0] || null)}
+                  className="form-input"
+                />
+                <p className="text-sm text-gray-500 mt-1">
+                  The first row must hold the column names. Up to 1 MB and 5000 rows.
+                </p>
+              </div>
+              <div className="flex justify-end">
+                <button
+                  type="submit"
+                  className="btn btn-primary flex items-center"
+                  disabled={!file || isWorking}
+                >
+                  <FaFileUpload className="mr-2" />
+                  <span>{isWorking ? 'Reading...' : 'Continue'}</span>
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {step === 1 && (
+        <div className="card">
+          <div className="card-body">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {FIELDS.map(field => (
+                <div key={field.name} className="form-group">
+                  <label htmlFor={`map-${field.name}`} className="form-label">
+                    {field.label}{field.required && ' *'}
+                  </label>
+                  <select
+                    id={`map-${field.name}`}
+                    name={field.name}
+                    value={mapping[field.name] || ''}
+                    onChange={handleMappingChange}
+                    className="form-input"
+                  >
+                    <option value="">{field.required ? 'Choose a column' : 'Not in file'}</option>
+                    {headers.map(header => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+
+              <div className="form-group">
+                <label htmlFor="dateFormat" className="form-label">Date format</label>
+                <select
+                  id="dateFormat"
+                  value={dateFormat}
+                  onChange={(e) => setDateFormat(e.target.value)}
+                  className="form-input"
+                >
+                  <option value="YYYY-MM-DD">YYYY-MM-DD</option>
+                  <option value="DD/MM/YYYY">DD/MM/YYYY</option>
+                  <option value="MM/DD/YYYY">MM/DD/YYYY</option>
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="defaultCategory" className="form-label">Category for rows without one</label>
+                <select
+                  id="defaultCategory"
+                  value={defaultCategory}
+                  onChange={(e) => setDefaultCategory(e.target.value)}
+                  className="form-input"
+                >
+                  <CategoryOptions />
+                </select>
+              </div>
+            </div>
+
+            <div className="flex justify-between mt-4">
+              <button onClick={() => setStep(0)} className="btn btn-secondary flex items-center">
+                <FaArrowLeft className="mr-2" />
+                <span>Back</span>
+              </button>
+              <button
+                onClick={handlePreview}
+                className="btn btn-primary flex items-center"
+                disabled={!isMappingComplete || isWorking}
+              >
+                <span>{isWorking ? 'Checking...' : 'Preview'}</span>
+                <FaArrowRight className="ml-2" />
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {step === 2 && preview && (
+        <div className="card">
+          <div className="card-header">
+            <p className="text-sm">
+              <strong>{preview.summary.total}</strong> rows:{' '}
+              <span className="text-green-600">{preview.summary.toImport} to import</span>,{' '}
+              <span className="text-red-600">{preview.summary.invalid} with errors</span>,{' '}
+              <span className="text-amber-600">{preview.summary.duplicates} duplicates skipped</span>
+            </p>
+          </div>
+          <div className="overflow-x-auto max-h-96">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Title</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Amount</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {preview.rows.map(row => (
+                  <tr key={row.row} className={row.errors.length ? 'bg-red-50' : row.duplicate ? 'bg-amber-50' : ''}>
+                    <td className="px-4 py-2 text-gray-500">{row.row}</td>
+                    <td className="px-4 py-2">{row.data.date && row.errors.length === 0 ? formatDate(row.data.date) : '—'}</td>
+                    <td className="px-4 py-2">{row.data.title}</td>
+                    <td className="px-4 py-2">{typeof row.data.amount === 'number' ? formatCurrency(row.data.amount, row.data.currency) : '—'}</td>
+                    <td className="px-4 py-2">{row.data.category}</td>
+                    <td className="px-4 py-2">
+                      {row.errors.length > 0 ? (
+                        <span className="text-red-600 flex items-start">
+                          <FaExclamationCircle className="mr-1 mt-0.5 flex-shrink-0" />
+                          {row.errors.join('; ')}
+                        </span>
+                      ) : row.duplicate ? (
+                        <span className="text-amber-600 flex items-center">
+                          <FaClone className="mr-1" />
+                          {row.duplicate === 'existing' ? 'Already recorded' : 'Repeated in file'}
+                        </span>
+                      ) : (
+                        <span className="text-green-600 flex items-center">
+                          <FaCheck className="mr-1" />
+                          Ready
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="card-body flex justify-between">
+            <button onClick={() => setStep(1)} className="btn btn-secondary flex items-center">
+              <FaArrowLeft className="mr-2" />
+              <span>Back</span>
+            </button>
+            <button
+              onClick={handleImport}
+              className="btn btn-success flex items-center"
+              disabled={preview.summary.toImport === 0 || isWorking}
+            >
+              <FaCheck className="mr-2" />
+              <span>{isWorking ? 'Importing...' : `Import ${preview.summary.toImport} expenses`}</span>
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportExpenses;
@@ -0,0 +1,354 @@
+import { useState, useEffect, useCallback } from 'react';
+import { FaEdit, FaTrash, FaPlus, FaTimes } from 'react-icons/fa';
+import { useExpenseContext } from '../context/ExpenseContext';
+import { CURRENCIES } from '../constants/currencies';
+import { INCOME_SOURCES } from '../constants/incomeSources';
+import { formatCurrency } from '../utils/currency';
+
+/**
+ * Income component for recording, editing and deleting income
+ * @returns {JSX.Element} The rendered Income component
+ */
+const Income = () => {
+  const { user, getIncomes, addIncome, updateIncome, deleteIncome } = useExpenseContext();
+
+  const emptyForm = () => ({
+    title: '',
+    amount: '',
+    currency: user.baseCurrency,
+    source: 'Salary',
+    date: new Date().toISOString().slice(0, 10),
+    description: ''
+  });
+
+  const [incomes, setIncomes] = useState({ data: [], page: 1, hasMore: false });
+  const [formData, setFormData] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Format date
+  const formatDate = (dateString) => {
+    return new Intl.DateTimeFormat('en-IN', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    }).format(new Date(dateString));
+  };
+
+  /**
+   * Load a page of income
+   * @param {number} page - Page to show
+   */
+  const loadPage = useCallback(async (page = 1) => {
+    try {
+      setIncomes(await getIncomes(page));
+    } catch (error) {
+      console.error('Error fetching income:', error);
+    }
+  }, [getIncomes]);
+
+  // Fetch income on component mount
+  useEffect(() => {
+    loadPage();
+  }, [loadPage]);
+
+  /**
+   * Handle form input changes
+   * @param {Object} e - Event object
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  /**
+   * Validate form data
+   * @returns {boolean} True if form is valid, false otherwise
+   */
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.title.trim()) {
+      newErrors.title = 'Title is required';
+    }
+
+    if (!formData.amount) {
+      newErrors.amount = 'Amount is required';
+    } else if (isNaN(formData.amount) || Number(formData.amount) <= 0) {
+      newErrors.amount = 'Amount must be a positive number';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  /**
+   * Start editing an existing income record
+   * @param {Object} income - Income to edit
+   */
+  const handleEdit = (income) => {
+    setEditingId(income._id);
+    setErrors({});
+    setFormData({
+      title: income.title,
+      amount: income.amount,
+      currency: income.currency,
+      source: income.source,
+      date: income.date.slice(0, 10),
+      description: income.description || ''
+    });
+  };
+
+  /**
+   * Leave edit mode and clear the form
+   */
+  const resetForm = () => {
+    setEditingId(null);
+    setErrors({});
+    setFormData(emptyForm());
+  };
+
+  /**
+   * Handle form submission
+   * @param {Object} e - Event object
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    const incomeData = {
+      ...formData,
+      title: formData.title.trim(),
+      amount: Number(formData.amount)
+    };
+
+    try {
+      setIsSubmitting(true);
+      if (editingId) {
+        await updateIncome(editingId, incomeData);
+      } else {
+        await addIncome(incomeData);
+      }
+      resetForm();
+      await loadPage(editingId ? incomes.page : 1);
+    } catch (error) {
+      console.error('Error saving income:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Handle income deletion
+   * @param {string} id - Income ID
+   */
+  const handleDelete = async (id) => {
+    if (window.confirm('Are you sure you want to delete this income?')) {
+      try {
+        await deleteIncome(id);
+        if (editingId === id) {
+          resetForm();
+        }
+        // Step back a page if the last record on this one was deleted
+        await loadPage(incomes.data.length === 1 && incomes.page > 1 ? incomes.page - 1 : incomes.page);
+      } catch (error) {
+        console.error('Error deleting income:', error);
+      }
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <h1 className="text-2xl font-bold">Income</h1>
+
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold">{editingId ? 'Edit Income' : 'New Income'}</h2>
+        </div>
+        <div className="card-body">
+          <form onSubmit={handleSubmit}>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="form-group">
+                <label htmlFor="title" className="form-label">Title</label>
+                <input
+                  type="text"
+                  id="title"
+                  name="title"
+                  value={formData.title}
+                  onChange={handleChange}
+                  className={`form-input ${errors.title ? 'border-red-500' : ''}`}
+                  placeholder="e.g. March salary"
+                />
+                {errors.title && <p className="text-red-500 text-sm mt-1">{errors.title}</p>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="amount" className="form-label">Amount</label>
+                <div className="flex gap-2">
+                  <input
+                    type="number"
+                    id="amount"
+                    name="amount"
+                    value={formData.amount}
+                    onChange={handleChange}
+                    className={`form-input ${errors.amount ? 'border-red-500' : ''}`}
+                    placeholder="0.00"
+                    step="0.01"
+                    min="0"
+                  />
+                  <select
+                    name="currency"
+                    value={formData.currency}
+                    onChange={handleChange}
+                    className="form-input w-28"
+                    aria-label="Currency"
+                  >
+                    {CURRENCIES.map(currency => (
+                      <option key={currency} value={currency}>{currency}</option>
+                    ))}
+                  </select>
+                </div>
+                {errors.amount && <p className="text-red-500 text-sm mt-1">{errors.amount}</p>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="date" className="form-label">Date</label>
+                <input type="date" id="date" name="date" value={formData.date} onChange={handleChange} className="form-input" />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="source" className="form-label">Source</label>
+                <select id="source" name="source" value={formData.source} onChange={handleChange} className="form-input">
+                  {INCOME_SOURCES.map(source => (
+                    <option key={source} value={source}>{source}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group md:col-span-2">
+                <label htmlFor="description" className="form-label">Description (Optional)</label>
+                <input
+                  type="text"
+                  id="description"
+                  name="description"
+                  value={formData.description}
+                  onChange={handleChange}
+                  className="form-input"
+                />
+              </div>
+            </div>
+
+            <div className="flex justify-end space-x-2 mt-4">
+              {editingId && (
+                <button
+                  type="button"
+                  onClick={resetForm}
+                  className="btn btn-secondary flex items-center"
+                >
+                  <FaTimes className="mr-1" />
+                  <span>Cancel</span>
+                </button>
+              )}
+              <button
+                type="submit"
+                className="btn btn-primary flex items-center"
+                disabled={isSubmitting}
+              >
+                <FaPlus className="mr-1" />
+                <span>{editingId ? 'Update' : 'Add'}</span>
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header flex justify-between items-center">
+          <h2 className="text-lg font-semibold">Your Income</h2>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => loadPage(incomes.page - 1)}
+              className="btn btn-secondary"
+              disabled={incomes.page <= 1}
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => loadPage(incomes.page + 1)}
+              className="btn btn-secondary"
+              disabled={!incomes.hasMore}
+            >
+              Next
+            </button>
+          </div>
+        </div>
+        {incomes.data.length === 0 ? (
+          <p className="p-8 text-center text-gray-500">No income recorded yet</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Title</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Source</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {incomes.data.map(income => (
+                <tr key={income._id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    {income.title}
+                    {income.description && <p className="text-gray-500">{income.description}</p>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className="badge badge-green">{income.source}</span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatDate(income.date)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-green-700 font-medium">
+                    {formatCurrency(income.amount, income.currency)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => handleEdit(income)}
+                        className="text-yellow-600 hover:text-yellow-900"
+                        title="Edit"
+                      >
+                        <FaEdit />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(income._id)}
+                        className="text-red-600 hover:text-red-900"
+                        title="Delete"
+                      >
+                        <FaTrash />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Income;
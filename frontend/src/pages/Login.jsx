@@ -0,0 +1,113 @@
+import { useState } from 'react';
+import { Link, Navigate, useNavigate, useLocation } from 'react-router-dom';
+import { FaSignInAlt } from 'react-icons/fa';
+import { useExpenseContext } from '../context/ExpenseContext';
+
+/**
+ * Login component for signing in to an existing account
+ * @returns {JSX.Element} The rendered Login component
+ */
+const Login = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { user, login } = useExpenseContext();
+  
+  const [formData, setFormData] = useState({
+    email: '',
+    password: ''
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  
+  // Page the user was sent away from, if any
+  const redirectTo = location.state?.from?.pathname || '/';
+  
+  /**
+   * Handle form input changes
+   * @param {Object} e - Event object
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+  
+  /**
+   * Handle form submission
+   * @param {Object} e - Event object
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    try {
+      setIsSubmitting(true);
+      await login(formData);
+      navigate(redirectTo, { replace: true });
+    } catch (error) {
+      console.error('Error logging in:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  if (user) {
+    return <Navigate to={redirectTo} replace />;
+  }
+  
+  return (
+    <div className="max-w-md mx-auto">
+      <div className="card">
+        <div className="card-header">
+          <h1 className="text-xl font-semibold">Log In</h1>
+        </div>
+        <div className="card-body">
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label htmlFor="email" className="form-label">Email</label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={formData.email}
+                onChange={handleChange}
+                className="form-input"
+                placeholder="you@example.com"
+                required
+              />
+            </div>
+            
+            <div className="form-group">
+              <label htmlFor="password" className="form-label">Password</label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                className="form-input"
+                required
+              />
+            </div>
+            
+            <button
+              type="submit"
+              className="btn btn-primary w-full flex items-center justify-center"
+              disabled={isSubmitting}
+            >
+              <FaSignInAlt className="mr-2" />
+              <span>{isSubmitting ? 'Logging in...' : 'Log In'}</span>
+            </button>
+          </form>
+          
+          <p className="text-sm text-gray-600 text-center mt-4">
+            Don&apos;t have an account?{' '}
+            <Link to="/register" className="text-blue-600 hover:text-blue-800">Sign up</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Login;
@@ -0,0 +1,196 @@
+import { useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FaPause, FaPlay, FaTrash, FaForward, FaUndo } from 'react-icons/fa';
+import { useExpenseContext } from '../context/ExpenseContext';
+import { formatCurrency } from '../utils/currency';
+
+// Human-readable unit for each frequency
+const UNITS = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+  yearly: 'year'
+};
+
+/**
+ * RecurringExpenses component listing recurring rules and their upcoming occurrences
+ * @returns {JSX.Element} The rendered RecurringExpenses component
+ */
+const RecurringExpenses = () => {
+  const {
+    recurringExpenses,
+    upcomingOccurrences,
+    getRecurringExpenses,
+    deleteRecurringExpense,
+    skipOccurrence,
+    pauseRecurringExpense
+  } = useExpenseContext();
+  
+  // Fetch rules and upcoming occurrences on component mount
+  useEffect(() => {
+    getRecurringExpenses();
+  }, [getRecurringExpenses]);
+  
+  // Format date
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return new Intl.DateTimeFormat('en-IN', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      timeZone: 'UTC'
+    }).format(date);
+  };
+  
+  // Describe how often a rule repeats
+  const describeSchedule = (rule) => {
+    const unit = UNITS[rule.frequency];
+    const every = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`;
+    const onDay = rule.dayOfMonth && (rule.frequency === 'monthly' || rule.frequency === 'yearly')
+      ? ` on day ${rule.dayOfMonth}`
+      : '';
+    
+    let ends = '';
+    if (rule.endDate) {
+      ends = `, until ${formatDate(rule.endDate)}`;
+    } else if (rule.count) {
+      ends = `, ${rule.count} times`;
+    }
+    
+    return `${every}${onDay}${ends}`;
+  };
+  
+  /**
+   * Handle rule deletion
+   * @param {string} id - Rule ID
+   */
+  const handleDelete = async (id) => {
+    if (window.confirm('Stop this recurring expense? Expenses it already created are kept.')) {
+      try {
+        await deleteRecurringExpense(id);
+      } catch (error) {
+        console.error('Error deleting recurring expense:', error);
+      }
+    }
+  };
+  
+  /**
+   * Toggle whether an occurrence is skipped
+   * @param {Object} occurrence - Upcoming occurrence
+   */
+  const handleToggleSkip = async (occurrence) => {
+    try {
+      await skipOccurrence(occurrence.recurringExpense, occurrence.date, !occurrence.skipped);
+    } catch (error) {
+      console.error('Error skipping occurrence:', error);
+    }
+  };
+  
+  /**
+   * Pause or resume a rule
+   * @param {Object} rule - Recurring rule
+   */
+  const handleTogglePause = async (rule) => {
+    try {
+      await pauseRecurringExpense(rule._id, !rule.paused);
+    } catch (error) {
+      console.error('Error pausing recurring expense:', error);
+    }
+  };
+  
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-2xl font-bold">Recurring Expenses</h1>
+        <Link to="/add" className="btn btn-primary">Add Recurring Expense</Link>
+      </div>
+      
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold">Upcoming (next 30 days)</h2>
+        </div>
+        {upcomingOccurrences.length === 0 ? (
+          <p className="p-8 text-center text-gray-500">Nothing scheduled</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {upcomingOccurrences.map(occurrence => (
+              <li
+                key={`${occurrence.recurringExpense}-${occurrence.date}`}
+                className={`px-4 py-3 flex justify-between items-center ${occurrence.skipped ? 'text-gray-400' : ''}`}
+              >
+                <div>
+                  <p className={`font-medium ${occurrence.skipped ? 'line-through' : ''}`}>{occurrence.title}</p>
+                  <p className="text-sm text-gray-500">
+                    {formatDate(occurrence.date)} · {occurrence.category}
+                    {occurrence.skipped && ' · Skipped'}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-4">
+                  <span className="font-medium">{formatCurrency(occurrence.amount, occurrence.currency)}</span>
+                  <button
+                    onClick={() => handleToggleSkip(occurrence)}
+                    className="text-gray-600 hover:text-blue-600"
+                    title={occurrence.skipped ? 'Restore' : 'Skip'}
+                  >
+                    {occurrence.skipped ? <FaUndo /> : <FaForward />}
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold">Rules</h2>
+        </div>
+        {recurringExpenses.length === 0 ? (
+          <p className="p-8 text-center text-gray-500">
+            No recurring expenses. Tick &quot;Repeat&quot; when adding an expense to create one.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {recurringExpenses.map(rule => (
+              <li key={rule._id} className="px-4 py-3 flex justify-between items-center">
+                <div>
+                  <p className="font-medium">
+                    {rule.title}
+                    {rule.paused && <span className="badge badge-yellow ml-2">Paused</span>}
+                    {rule.finished && <span className="badge badge-gray ml-2">Finished</span>}
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    {formatCurrency(rule.amount, rule.currency)} · {rule.category} · {describeSchedule(rule)}
+                  </p>
+                  {rule.nextDate && !rule.paused && (
+                    <p className="text-sm text-gray-500">Next: {formatDate(rule.nextDate)}</p>
+                  )}
+                </div>
+                <div className="flex space-x-3">
+                  {!rule.finished && (
+                    <button
+                      onClick={() => handleTogglePause(rule)}
+                      className="text-gray-600 hover:text-blue-600"
+                      title={rule.paused ? 'Resume' : 'Pause'}
+                    >
+                      {rule.paused ? <FaPlay /> : <FaPause />}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleDelete(rule._id)}
+                    className="text-red-600 hover:text-red-900"
+                    title="Delete"
+                  >
+                    <FaTrash />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RecurringExpenses;
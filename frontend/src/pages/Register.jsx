@@ -0,0 +1,178 @@
+import { useState } from 'react';
+import { Link, Navigate, useNavigate } from 'react-router-dom';
+import { FaUserPlus } from 'react-icons/fa';
+import { useExpenseContext } from '../context/ExpenseContext';
+
+/**
+ * Register component for creating a new account
+ * @returns {JSX.Element} The rendered Register component
+ */
+const Register = () => {
+  const navigate = useNavigate();
+  const { user, register } = useExpenseContext();
+  
+  const [formData, setFormData] = useState({
+    name: '',
+    email: '',
+    password: '',
+    confirmPassword: ''
+  });
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  
+  /**
+   * Handle form input changes
+   * @param {Object} e - Event object
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    
+    // Clear error for the field being edited
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+  
+  /**
+   * Validate form data
+   * @returns {boolean} True if form is valid, false otherwise
+   */
+  const validateForm = () => {
+    const newErrors = {};
+    
+    if (!formData.name.trim()) {
+      newErrors.name = 'Name is required';
+    }
+    
+    if (!formData.email.trim()) {
+      newErrors.email = 'Email is required';
+    }
+    
+    if (formData.password.length < 6) {
+      newErrors.password = 'Password must be at least 6 characters';
+    }
+    
+    if (formData.password !== formData.confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+    
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+  
+  /**
+   * Handle form submission
+   * @param {Object} e - Event object
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!validateForm()) {
+      return;
+    }
+    
+    try {
+      setIsSubmitting(true);
+      const { name, email, password } = formData;
+      await register({ name, email, password });
+      navigate('/', { replace: true });
+    } catch (error) {
+      console.error('Error registering:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  if (user) {
+    return <Navigate to="/" replace />;
+  }
+  
+  return (
+    <div className="max-w-md mx-auto">
+      <div className="card">
+        <div className="card-header">
+          <h1 className="text-xl font-semibold">Create Account</h1>
+        </div>
+        <div className="card-body">
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label htmlFor="name" className="form-label">Name</label>
+              <input
+                type="text"
+                id="name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                className={`form-input ${errors.name ? 'border-red-500' : ''}`}
+              />
+              {errors.name && <p className="text-red-500 text-sm mt-1">{errors.name}</p>}
+            </div>
+            
+            <div className="form-group">
+              <label htmlFor="email" className="form-label">Email</label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={formData.email}
+                onChange={handleChange}
+                className={`form-input ${errors.email ? 'border-red-500' : ''}`}
+                placeholder="you@example.com"
+              />
+              {errors.email && <p className="text-red-500 text-sm mt-1">{errors.email}</p>}
+            </div>
+            
+            <div className="form-group">
+              <label htmlFor="password" className="form-label">Password</label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                className={`form-input ${errors.password ? 'border-red-500' : ''}`}
+              />
+              {errors.password && <p className="text-red-500 text-sm mt-1">{errors.password}</p>}
+            </div>
+            
+            <div className="form-group">
+              <label htmlFor="confirmPassword" className="form-label">Confirm Password</label>
+              <input
+                type="password"
+                id="confirmPassword"
+                name="confirmPassword"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                className={`form-input ${errors.confirmPassword ? 'border-red-500' : ''}`}
+              />
+              {errors.confirmPassword && <p className="text-red-500 text-sm mt-1">{errors.confirmPassword}</p>}
+            </div>
+            
+            <button
+              type="submit"
+              className="btn btn-primary w-full flex items-center justify-center"
+              disabled={isSubmitting}
+            >
+              <FaUserPlus className="mr-2" />
+              <span>{isSubmitting ? 'Creating account...' : 'Sign Up'}</span>
+            </button>
+          </form>
+          
+          <p className="text-sm text-gray-600 text-center mt-4">
+            Already have an account?{' '}
+            <Link to="/login" className="text-blue-600 hover:text-blue-800">Log in</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Register;
@@ -0,0 +1,200 @@
+import { useState, useEffect, useCallback } from 'react';
+import { FaTrash, FaUndo } from 'react-icons/fa';
+import { useExpenseContext } from '../context/ExpenseContext';
+import CategoryBadge from '../components/CategoryBadge';
+import { formatCurrency } from '../utils/currency';
+
+/**
+ * Trash component listing deleted expenses, to restore them or delete them for good
+ * @returns {JSX.Element} The rendered Trash component
+ */
+const Trash = () => {
+  const { getTrash, restoreExpense, deleteExpensePermanently, emptyTrash } = useExpenseContext();
+
+  const [trash, setTrash] = useState({ data: [], page: 1, hasMore: false, totalCount: 0, retentionDays: null });
+  const [busyId, setBusyId] = useState(null);
+
+  // Format date
+  const formatDate = (dateString) => {
+    return new Intl.DateTimeFormat('en-IN', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    }).format(new Date(dateString));
+  };
+
+  /**
+   * Load a page of the trash
+   * @param {number} page - Page to show
+   */
+  const loadPage = useCallback(async (page = 1) => {
+    try {
+      setTrash(await getTrash(page));
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+    }
+  }, [getTrash]);
+
+  // Fetch the trash on component mount
+  useEffect(() => {
+    loadPage();
+  }, [loadPage]);
+
+  /**
+   * Reload the current page after an expense left the trash, stepping back if it was the last one
+   */
+  const reloadAfterRemoval = () => {
+    return loadPage(trash.data.length === 1 && trash.page > 1 ? trash.page - 1 : trash.page);
+  };
+
+  /**
+   * Restore an expense
+   * @param {string} id - Expense ID
+   */
+  const handleRestore = async (id) => {
+    try {
+      setBusyId(id);
+      await restoreExpense(id);
+      await reloadAfterRemoval();
+    } catch (error) {
+      console.error('Error restoring expense:', error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Permanently delete an expense after confirmation
+   * @param {string} id - Expense ID
+   */
+  const handleDelete = async (id) => {
+    if (window.confirm('Delete this expense forever? This cannot be undone.')) {
+      try {
+        setBusyId(id);
+        await deleteExpensePermanently(id);
+        await reloadAfterRemoval();
+      } catch (error) {
+        console.error('Error deleting expense:', error);
+      } finally {
+        setBusyId(null);
+      }
+    }
+  };
+
+  /**
+   * Permanently delete everything in the trash after confirmation
+   */
+  const handleEmpty = async () => {
+    if (window.confirm(`Delete all ${trash.totalCount} expenses in the trash forever? This cannot be undone.`)) {
+      try {
+        await emptyTrash();
+        await loadPage(1);
+      } catch (error) {
+        console.error('Error emptying trash:', error);
+      }
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold">Trash</h1>
+          {trash.retentionDays && (
+            <p className="text-sm text-gray-500">
+              Deleted expenses are removed for good after {trash.retentionDays} days.
+            </p>
+          )}
+        </div>
+        <button
+          onClick={handleEmpty}
+          className="btn btn-danger flex items-center"
+          disabled={trash.totalCount === 0}
+        >
+          <FaTrash className="mr-1" />
+          <span>Empty trash</span>
+        </button>
+      </div>
+
+      <div className="card">
+        <div className="card-header flex justify-between items-center">
+          <h2 className="text-lg font-semibold">Deleted Expenses</h2>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => loadPage(trash.page - 1)}
+              className="btn btn-secondary"
+              disabled={trash.page <= 1}
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => loadPage(trash.page + 1)}
+              className="btn btn-secondary"
+              disabled={!trash.hasMore}
+            >
+              Next
+            </button>
+          </div>
+        </div>
+
+        {trash.data.length === 0 ? (
+          <p className="p-8 text-center text-gray-500">The trash is empty</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Title</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Deleted</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {trash.data.map(expense => (
+                <tr key={expense._id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    {expense.title}
+                    <p className="text-gray-500">{formatDate(expense.date)}</p>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <CategoryBadge name={expense.category} />
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {formatCurrency(expense.amount, expense.currency)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {formatDate(expense.deletedAt)}
+                    <p className="text-gray-500">Purged {formatDate(expense.purgeAt)}</p>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => handleRestore(expense._id)}
+                        className="text-blue-600 hover:text-blue-900"
+                        title="Restore"
+                        disabled={busyId === expense._id}
+                      >
+                        <FaUndo />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(expense._id)}
+                        className="text-red-600 hover:text-red-900"
+                        title="Delete forever"
+                        disabled={busyId === expense._id}
+                      >
+                        <FaTrash />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Trash;
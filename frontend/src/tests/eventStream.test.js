@@ -0,0 +1,118 @@
+/**
+ * Tests for the Server-Sent Events client
+ * fetch is replaced by responses whose bodies yield the given chunks and then end, as a
+ * dropped connection does.
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { openEventStream } from '../utils/eventStream';
+
+/**
+ * Build a streaming response that yields chunks of text and then ends
+ * @param {...string} chunks - Parts of the stream, which need not end on a message boundary
+ * @returns {Object} fetch Response-like object
+ */
+const streamOf = (...chunks) => {
+  const encoder = new TextEncoder();
+  const remaining = [...chunks];
+  return {
+    status: 200,
+    ok: true,
+    body: {
+      getReader: () => ({
+        read: async () => (remaining.length > 0
+          ? { done: false, value: encoder.encode(remaining.shift()) }
+          : { done: true })
+      })
+    }
+  };
+};
+
+/**
+ * Format an expense event as the server sends it
+ * @param {string} id - Event ID
+ * @param {Object} event - Event data
+ * @returns {string} Message ending with a blank line
+ */
+const message = (id, event) => `id: ${id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+
+// Headers fetch was called with on each connection
+const sentHeaders = () => fetch.mock.calls.map(([, options]) => options.headers);
+
+let close;
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  vi.stubGlobal('fetch', vi.fn());
+});
+
+afterEach(() => {
+  close();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+  vi.useRealTimers();
+});
+
+describe('openEventStream', () => {
+  it('should pass each event on once a whole message has arrived', async () => {
+    const onEvent = vi.fn();
+    const created = { type: 'create', expense: { _id: 'a', title: 'Lunch' } };
+    const text = message('run-1', created) + message('run-2', { type: 'delete', expense: { _id: 'a' } });
+    fetch.mockResolvedValueOnce(streamOf(text.slice(0, 20), text.slice(20)));
+
+    close = openEventStream('/api/expenses/events', { getHeaders: () => ({ Authorization: 'Bearer t' }), onEvent });
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(onEvent.mock.calls.map(([event]) => event.type)).toEqual(['create', 'delete']);
+    expect(onEvent.mock.calls[0][0]).toEqual(created);
+    expect(sentHeaders()[0]).toEqual({ Accept: 'text/event-stream', Authorization: 'Bearer t' });
+  });
+
+  it('should catch up from the last event received after a reconnect', async () => {
+    const onEvent = vi.fn();
+    fetch
+      .mockResolvedValueOnce(streamOf(message('run-1', { type: 'create', expense: { _id: 'a' } }), ': keep-alive\n\n'))
+      .mockResolvedValueOnce(streamOf(message('run-2', { type: 'update', expense: { _id: 'a' } })));
+
+    close = openEventStream('/api/expenses/events', { getHeaders: () => ({}), onEvent });
+    await vi.advanceTimersByTimeAsync(0);
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    // The first stream ended, so the client waits a second before reconnecting
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(sentHeaders()[1]['Last-Event-ID']).toBe('run-1');
+    expect(onEvent.mock.calls.map(([event]) => event.type)).toEqual(['create', 'update']);
+  });
+
+  it('should wait longer after each failed reconnect', async () => {
+    fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    close = openEventStream('/api/expenses/events', { getHeaders: () => ({}), onEvent: vi.fn() });
+    await vi.advanceTimersByTimeAsync(0);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('should not reconnect once the session has ended or the stream is closed', async () => {
+    fetch.mockResolvedValueOnce({ status: 401, ok: false, body: null });
+
+    close = openEventStream('/api/expenses/events', { getHeaders: () => ({}), onEvent: vi.fn() });
+    await vi.advanceTimersByTimeAsync(60 * 1000);
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    fetch.mockResolvedValue(streamOf());
+    close();
+    close = openEventStream('/api/expenses/events', { getHeaders: () => ({}), onEvent: vi.fn() });
+    await vi.advanceTimersByTimeAsync(0);
+    close();
+    await vi.advanceTimersByTimeAsync(60 * 1000);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
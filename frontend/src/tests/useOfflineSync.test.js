@@ -0,0 +1,196 @@
+/**
+ * Tests for replaying changes made offline
+ * IndexedDB and the API are replaced by an in-memory queue and mocked requests.
+ */
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { toast } from 'react-toastify';
+import { api } from '../utils/api';
+import {
+  getQueue,
+  removeFromQueue,
+  getConflicts,
+  saveConflict,
+  discardOtherUsersChanges
+} from '../utils/offlineStore';
+import { useOfflineSync } from '../hooks/useOfflineSync';
+
+vi.mock('react-toastify', () => ({
+  toast: { info: vi.fn(), success: vi.fn(), warning: vi.fn(), error: vi.fn() }
+}));
+
+vi.mock('../utils/api', async () => ({
+  ...(await vi.importActual('../utils/api')),
+  api: { get: vi.fn(), post: vi.fn(), put: vi.fn(), delete: vi.fn() }
+}));
+
+vi.mock('../utils/offlineStore', () => ({
+  getQueue: vi.fn(),
+  queueChange: vi.fn(),
+  removeFromQueue: vi.fn(),
+  getConflicts: vi.fn(),
+  saveConflict: vi.fn(),
+  removeConflict: vi.fn(),
+  discardOtherUsersChanges: vi.fn()
+}));
+
+/**
+ * Build the error axios rejects with when the server answers with an error status
+ * @param {number} status - HTTP status
+ * @param {Object} [data] - Response body
+ * @returns {Error} Axios-like error
+ */
+const httpError = (status, data = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  isAxiosError: true,
+  response: { status, data }
+});
+
+// Axios-like error for a request that got no answer
+const networkError = () => Object.assign(new Error('Network Error'), { isAxiosError: true });
+
+// A new expense, an edit and a deletion, queued in that order
+const createChange = { id: 1, type: 'create', expenseId: 'offline-1', data: { title: 'Lunch', amount: 12 }, userId: 'u1' };
+const updateChange = { id: 2, type: 'update', expenseId: 'e2', data: { title: 'Taxi', amount: 30 }, version: 2, userId: 'u1' };
+const deleteChange = { id: 3, type: 'delete', expenseId: 'e3', version: 5, userId: 'u1' };
+
+// Contents of the mocked IndexedDB stores
+let queue;
+let conflicts;
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  queue = [createChange, updateChange, deleteChange];
+  conflicts = [];
+
+  getQueue.mockImplementation(async () => [...queue]);
+  removeFromQueue.mockImplementation(async (id) => {
+    queue = queue.filter(change => change.id !== id);
+  });
+  getConflicts.mockImplementation(async () => [...conflicts]);
+  saveConflict.mockImplementation(async (conflict) => {
+    conflicts.push(conflict);
+  });
+  discardOtherUsersChanges.mockResolvedValue(0);
+  api.post.mockResolvedValue({ data: { success: true } });
+  api.put.mockResolvedValue({ data: { success: true } });
+  api.delete.mockResolvedValue({ data: { success: true } });
+});
+
+/**
+ * Render the hook for a logged-out user, so nothing is replayed until the test asks
+ * @param {Function} [onSynced] - Callback for accepted changes
+ * @returns {Object} renderHook result
+ */
+const renderSync = (onSynced = vi.fn()) => renderHook(() => useOfflineSync({ userId: null, onSynced }));
+
+/**
+ * Replay the queue and wait for the state updates that follow
+ * @param {Object} result - renderHook result
+ * @returns {Promise<number>} Number of changes the server accepted
+ */
+const sync = async (result) => {
+  let synced;
+  await act(async () => {
+    synced = await result.current.syncPendingChanges();
+  });
+  return synced;
+};
+
+describe('syncPendingChanges', () => {
+  it('should send queued changes oldest first and empty the queue', async () => {
+    const onSynced = vi.fn();
+    const { result } = renderSync(onSynced);
+
+    expect(await sync(result)).toBe(3);
+
+    expect(api.post).toHaveBeenCalledWith('/api/expenses', createChange.data);
+    expect(api.put).toHaveBeenCalledWith('/api/expenses/e2', updateChange.data, { headers: { 'If-Match': '"2"' } });
+    expect(api.delete).toHaveBeenCalledWith('/api/expenses/e3', { headers: { 'If-Match': '"5"' } });
+    expect(queue).toEqual([]);
+    expect(onSynced).toHaveBeenCalledTimes(1);
+    expect(result.current.syncStatus).toEqual({ syncing: false, pending: 0, conflicts: [] });
+  });
+
+  it('should keep changes queued when the server cannot be reached', async () => {
+    api.post.mockRejectedValue(networkError());
+    const onSynced = vi.fn();
+    const { result } = renderSync(onSynced);
+
+    expect(await sync(result)).toBe(0);
+
+    expect(queue).toHaveLength(3);
+    expect(api.put).not.toHaveBeenCalled();
+    expect(onSynced).not.toHaveBeenCalled();
+    expect(result.current.syncStatus.pending).toBe(3);
+  });
+
+  it.each([500, 503, 429, 408, 401])('should keep the change and stop when the server answers %i', async (status) => {
+    api.put.mockRejectedValue(httpError(status));
+    const { result } = renderSync();
+
+    expect(await sync(result)).toBe(1);
+
+    expect(queue).toEqual([updateChange, deleteChange]);
+    expect(api.delete).not.toHaveBeenCalled();
+    expect(toast.error).not.toHaveBeenCalled();
+  });
+
+  it('should drop a change the server refused and go on with the next', async () => {
+    api.post.mockRejectedValue(httpError(400, { errors: [{ field: 'amount', message: 'Amount must be positive' }] }));
+    const { result } = renderSync();
+
+    expect(await sync(result)).toBe(2);
+
+    expect(queue).toEqual([]);
+    expect(toast.error).toHaveBeenCalledWith('Amount must be positive');
+  });
+
+  it('should keep an edit that clashed with a newer version as a conflict', async () => {
+    const theirs = { _id: 'e2', title: 'Train', amount: 25, __v: 3 };
+    api.put.mockRejectedValue(httpError(412, { error: 'The expense was changed', data: theirs }));
+    const { result } = renderSync();
+
+    expect(await sync(result)).toBe(2);
+
+    expect(saveConflict).toHaveBeenCalledWith({ expenseId: 'e2', mine: updateChange.data, theirs, userId: 'u1' });
+    expect(queue).toEqual([]);
+    expect(result.current.syncStatus.conflicts).toHaveLength(1);
+    expect(result.current.getSyncConflict('e2').theirs).toEqual(theirs);
+  });
+
+  it('should keep an edit whose version is unknown as a conflict without sending it', async () => {
+    const theirs = { _id: 'e2', title: 'Train', amount: 25, __v: 3 };
+    queue = [{ ...updateChange, version: undefined }, { ...deleteChange, version: null }];
+    api.get.mockResolvedValue({ data: { success: true, data: theirs } });
+    const { result } = renderSync();
+
+    expect(await sync(result)).toBe(0);
+
+    expect(api.put).not.toHaveBeenCalled();
+    expect(api.delete).not.toHaveBeenCalled();
+    expect(saveConflict).toHaveBeenCalledWith({ expenseId: 'e2', mine: updateChange.data, theirs, userId: 'u1' });
+    expect(toast.warning).toHaveBeenCalledTimes(2);
+    expect(queue).toEqual([]);
+  });
+
+  it('should drop a deletion of an expense that is already gone without an error', async () => {
+    queue = [deleteChange];
+    api.delete.mockRejectedValue(httpError(404, { error: 'Expense not found' }));
+    const { result } = renderSync();
+
+    expect(await sync(result)).toBe(0);
+
+    expect(queue).toEqual([]);
+    expect(toast.error).not.toHaveBeenCalled();
+  });
+
+  it('should discard changes left by another user before replaying at login', async () => {
+    discardOtherUsersChanges.mockResolvedValue(2);
+
+    renderHook(() => useOfflineSync({ userId: 'u1', onSynced: vi.fn() }));
+
+    await waitFor(() => expect(queue).toEqual([]));
+    expect(discardOtherUsersChanges).toHaveBeenCalledWith('u1');
+    expect(toast.warning).toHaveBeenCalledWith('2 changes made offline by another account were discarded');
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * HTTP client shared by the expense context and its hooks
+ * Sends the session token and tab ID on every request and holds the helpers for reading the
+ * errors the API answers with.
+ */
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+// Base URL of the expenses API
+export const API_URL = '/api/expenses';
+
+// Key under which the session token is persisted
+export const TOKEN_KEY = 'token';
+
+// Identifies this browser tab, so it can skip the live events of changes it made itself
+export const CLIENT_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// Axios instance that sends the session token and tab ID on every request
+export const api = axios.create();
+
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  config.headers['X-Client-Id'] = CLIENT_ID;
+  return config;
+});
+
+/**
+ * Build the If-Match header for a change to an expense
+ * @param {number} version - Version of the expense the change is based on
+ * @returns {Object} Request headers
+ */
+export const ifMatch = (version) => ({ 'If-Match': `"${version}"` });
+
+/**
+ * Check whether a request failed because the expense changed since it was loaded
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for a 412 version conflict
+ */
+export const isVersionConflict = (error) => Boolean(error.response && error.response.status === 412);
+
+/**
+ * Check whether a request failed because the server could not be reached
+ * @param {Error} error - Axios error
+ * @returns {boolean} True when no response came back
+ */
+export const isNetworkError = (error) => Boolean(error.isAxiosError && !error.response);
+
+/**
+ * Check whether a request that failed may succeed when sent again later
+ * @param {Error} error - Axios error
+ * @returns {boolean} True when there was no answer, the server failed or was busy, or the session expired
+ */
+export const isTemporaryError = (error) => {
+  if (!error.response) {
+    return true;
+  }
+  const { status } = error.response;
+  return status >= 500 || status === 429 || status === 408 || status === 401;
+};
+
+/**
+ * Show the error message(s) returned by the API, or a fallback message
+ * @param {Error} error - Axios error
+ * @param {string} fallback - Message to show when the API gave none
+ */
+export const toastApiError = (error, fallback) => {
+  if (error.response && error.response.data && Array.isArray(error.response.data.errors)) {
+    // Show each invalid field reported by request validation
+    error.response.data.errors.forEach(err => toast.error(err.message));
+  } else if (error.response && error.response.data && error.response.data.error) {
+    // Show validation errors if any
+    if (Array.isArray(error.response.data.error)) {
+      error.response.data.error.forEach(err => toast.error(err));
+    } else {
+      toast.error(error.response.data.error);
+    }
+  } else {
+    toast.error(fallback);
+  }
+};
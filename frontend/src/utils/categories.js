@@ -0,0 +1,38 @@
+/**
+ * Helpers for working with the user's category list
+ */
+
+import { DEFAULT_CATEGORY_COLOR } from '../constants/categoryIcons';
+
+/**
+ * Order categories as a tree: each top-level category followed by its subcategories
+ * @param {Array<Object>} categories - Categories as returned by the API
+ * @returns {Array<{category: Object, depth: number}>} Categories in display order with their depth
+ */
+export const toCategoryTree = (categories) => {
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const children = categories.filter(category => category.parent);
+  const isTopLevel = category => !category.parent || !categories.some(parent => parent._id === category.parent);
+
+  return categories
+    .filter(isTopLevel)
+    .sort(byName)
+    .flatMap(parent => [
+      { category: parent, depth: 0 },
+      ...children
+        .filter(child => child.parent === parent._id)
+        .sort(byName)
+        .map(child => ({ category: child, depth: 1 }))
+    ]);
+};
+
+/**
+ * Find the colour of a category by name
+ * @param {Array<Object>} categories - Categories as returned by the API
+ * @param {string} name - Category name
+ * @returns {string} Hex colour
+ */
+export const getCategoryColor = (categories, name) => {
+  const category = categories.find(item => item.name === name);
+  return category ? category.color : DEFAULT_CATEGORY_COLOR;
+};
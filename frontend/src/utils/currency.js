@@ -0,0 +1,18 @@
+/**
+ * Helpers for displaying amounts in their currency
+ */
+
+import { CURRENCIES } from '../constants/currencies';
+
+/**
+ * Format an amount in a currency
+ * @param {number} amount - Amount to format
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} Formatted amount, e.g. ₹1,250.00 or US$40.00
+ */
+export const formatCurrency = (amount, currency = CURRENCIES[0]) => {
+  return new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: currency || CURRENCIES[0]
+  }).format(amount);
+};
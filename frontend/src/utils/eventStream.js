@@ -0,0 +1,118 @@
+/**
+ * Client for Server-Sent Events streams that need the session token
+ * EventSource cannot send headers, so the stream is read with fetch; it keeps the token out of
+ * URLs and server logs. Dropped streams reconnect with a growing delay and resume after the
+ * last event received, using the Last-Event-ID header as EventSource would.
+ */
+
+// Delay before the first reconnect, doubled after each failed attempt up to the maximum
+const RETRY_MIN_MS = 1000;
+const RETRY_MAX_MS = 30 * 1000;
+
+/**
+ * Parse one message of a Server-Sent Events stream
+ * Comment lines and fields other than id, event and data are ignored.
+ * @param {string} block - Lines of the message, without the blank line ending it
+ * @returns {Object} id, event and data of the message; data lines are joined with newlines
+ */
+const parseMessage = (block) => {
+  const message = { data: [] };
+  block.split('\n').forEach((line) => {
+    const colon = line.indexOf(':');
+    if (colon === 0) {
+      return;
+    }
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'data') {
+      message.data.push(value);
+    } else if (field === 'id' || field === 'event') {
+      message[field] = value;
+    }
+  });
+  return { ...message, data: message.data.join('\n') };
+};
+
+/**
+ * Open a stream of JSON events, reconnecting until it is closed
+ * @param {string} url - Stream URL
+ * @param {Object} options - Stream options
+ * @param {Function} options.getHeaders - Returns the headers for each connection, e.g. the session token
+ * @param {Function} options.onEvent - Called with the parsed data of each event
+ * @returns {Function} Function that closes the stream
+ */
+export const openEventStream = (url, { getHeaders, onEvent }) => {
+  let lastEventId = null;
+  let controller = null;
+  let retryTimer = null;
+  let delay = RETRY_MIN_MS;
+  let closed = false;
+
+  const connect = async () => {
+    controller = new AbortController();
+    try {
+      const response = await fetch(url, {
+        headers: {
+          Accept: 'text/event-stream',
+          ...getHeaders(),
+          ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {})
+        },
+        cache: 'no-store',
+        signal: controller.signal
+      });
+
+      // The session has ended; the next API request logs the user out
+      if (response.status === 401) {
+        return;
+      }
+      if (!response.ok || !response.body) {
+        throw new Error(`Event stream failed with status ${response.status}`);
+      }
+
+      delay = RETRY_MIN_MS;
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffered = '';
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+        buffered += decoder.decode(value, { stream: true });
+
+        let end = buffered.indexOf('\n\n');
+        while (end !== -1) {
+          const message = parseMessage(buffered.slice(0, end));
+          buffered = buffered.slice(end + 2);
+          if (message.id !== undefined) {
+            lastEventId = message.id;
+          }
+          if (message.data) {
+            onEvent(JSON.parse(message.data));
+          }
+          end = buffered.indexOf('\n\n');
+        }
+      }
+    } catch (error) {
+      if (closed) {
+        return;
+      }
+      console.error('Event stream dropped:', error);
+    }
+
+    if (!closed) {
+      retryTimer = setTimeout(connect, delay);
+      delay = Math.min(delay * 2, RETRY_MAX_MS);
+    }
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    if (controller) {
+      controller.abort();
+    }
+  };
+};
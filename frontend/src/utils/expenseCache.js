@@ -0,0 +1,251 @@
+/**
+ * Normalized client-side cache of expenses, expense list pages and statistics
+ * Expenses are stored once by ID; list pages keep only the IDs they contain, so an edit shows
+ * up on every page that lists the expense. The functions are pure: each returns a new cache.
+ */
+
+// How long fetched data is shown without asking the server again
+export const STALE_TIME_MS = 30 * 1000;
+
+// Cache before anything has been fetched
+export const EMPTY_CACHE = {
+  // Expense ID -> { data, fetchedAt }
+  expenses: {},
+  // List query string -> { ids, page, limit, totalCount, totalAmount, hasMore, nextCursor, fetchedAt }
+  lists: {},
+  // Statistics query string -> { data, fetchedAt }
+  stats: {}
+};
+
+// Requests waiting for a response, and the latest request made for each key
+const inFlight = new Map();
+const latest = new Map();
+
+/**
+ * Share one request between every caller asking for the same data at the same time
+ * @param {string} key - Key identifying the data, e.g. the request URL
+ * @param {Function} request - Function starting the request and returning a promise
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force] - Start a new request even if one is already waiting
+ * @returns {Promise<*>} The shared request
+ */
+export const dedupeRequest = (key, request, { force = false } = {}) => {
+  if (force || !inFlight.has(key)) {
+    const promise = request().finally(() => {
+      if (inFlight.get(key) === promise) {
+        inFlight.delete(key);
+      }
+    });
+    inFlight.set(key, promise);
+    latest.set(key, promise);
+  }
+  return inFlight.get(key);
+};
+
+/**
+ * Check whether a request is still the latest for its key
+ * A response to an older request must not overwrite the answer to a newer one.
+ * @param {string} key - Key the request was made under
+ * @param {Promise<*>} promise - The request
+ * @returns {boolean} True if no newer request was made for the key
+ */
+export const isLatestRequest = (key, promise) => latest.get(key) === promise;
+
+/**
+ * Forget every request, so responses still on their way are ignored (e.g. after logging out)
+ */
+export const forgetRequests = () => {
+  inFlight.clear();
+  latest.clear();
+};
+
+/**
+ * Build the cache key of a query from its parameters
+ * @param {Object} params - Query parameters; empty values are left out
+ * @returns {string} Query string
+ */
+export const toCacheKey = (params) => {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value) query.append(key, value);
+  });
+  return query.toString();
+};
+
+/**
+ * Check whether a cache entry can be used without asking the server again
+ * @param {Object} [entry] - Cache entry with fetchedAt
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} True if the entry was fetched less than STALE_TIME_MS ago
+ */
+export const isFresh = (entry, now = Date.now()) => Boolean(entry && now - entry.fetchedAt < STALE_TIME_MS);
+
+/**
+ * Store expenses by ID
+ * @param {Object} cache - Cache
+ * @param {Array<Object>} expenses - Expenses to store
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.fresh] - Whether they are complete server copies; the result of a change is
+ *   stored as stale, since it lacks figures such as the base-currency amount
+ * @returns {Object} New cache
+ */
+export const storeExpenses = (cache, expenses, { fresh = true } = {}) => {
+  const fetchedAt = fresh ? Date.now() : 0;
+  const stored = { ...cache.expenses };
+  expenses.forEach((expense) => {
+    stored[expense._id] = { data: expense, fetchedAt };
+  });
+  return { ...cache, expenses: stored };
+};
+
+/**
+ * Store a page of expenses fetched for a list query
+ * @param {Object} cache - Cache
+ * @param {string} key - Cache key of the query
+ * @param {Object} body - Response body with data, page, limit, totals, hasMore and nextCursor
+ * @returns {Object} New cache
+ */
+export const storeList = (cache, key, { data, page, limit, totalCount, totalAmount, hasMore, nextCursor }) => {
+  const withExpenses = storeExpenses(cache, data);
+  return {
+    ...withExpenses,
+    lists: {
+      ...withExpenses.lists,
+      [key]: {
+        ids: data.map(expense => expense._id),
+        page,
+        limit,
+        totalCount,
+        totalAmount,
+        hasMore,
+        nextCursor,
+        fetchedAt: Date.now()
+      }
+    }
+  };
+};
+
+/**
+ * Store statistics fetched for a query
+ * @param {Object} cache - Cache
+ * @param {string} key - Cache key of the query
+ * @param {Object} data - Statistics
+ * @returns {Object} New cache
+ */
+export const storeStats = (cache, key, data) => ({
+  ...cache,
+  stats: { ...cache.stats, [key]: { data, fetchedAt: Date.now() } }
+});
+
+/**
+ * Show a new expense at the top of a list page until the page is fetched again
+ * @param {Object} cache - Cache
+ * @param {string} key - Cache key of the list page
+ * @param {Object} expense - New expense
+ * @returns {Object} New cache
+ */
+export const prependToList = (cache, key, expense) => {
+  const withExpense = storeExpenses(cache, [expense], { fresh: false });
+  const list = withExpense.lists[key];
+  if (!list) {
+    return withExpense;
+  }
+  return {
+    ...withExpense,
+    lists: {
+      ...withExpense.lists,
+      [key]: {
+        ...list,
+        ids: [expense._id, ...list.ids],
+        totalCount: list.totalCount + 1,
+        totalAmount: list.totalAmount + (expense.amount || 0)
+      }
+    }
+  };
+};
+
+/**
+ * Change some fields of a cached expense, keeping when it was fetched
+ * @param {Object} cache - Cache
+ * @param {string} id - Expense ID
+ * @param {Object} changes - Fields to change
+ * @returns {Object} New cache
+ */
+export const patchExpense = (cache, id, changes) => {
+  const entry = cache.expenses[id] || { data: { _id: id }, fetchedAt: 0 };
+  return {
+    ...cache,
+    expenses: { ...cache.expenses, [id]: { ...entry, data: { ...entry.data, ...changes } } }
+  };
+};
+
+/**
+ * Take an expense out of the cache and every list page showing it
+ * @param {Object} cache - Cache
+ * @param {string} id - Expense ID
+ * @returns {Object} New cache
+ */
+export const removeExpense = (cache, id) => {
+  const entry = cache.expenses[id];
+  // List totals are in the base currency; expenses without a rate are not counted in them
+  let amount = 0;
+  if (entry) {
+    amount = 'baseAmount' in entry.data ? entry.data.baseAmount || 0 : entry.data.amount || 0;
+  }
+  const expenses = { ...cache.expenses };
+  delete expenses[id];
+
+  const lists = Object.fromEntries(Object.entries(cache.lists).map(([key, list]) => [
+    key,
+    list.ids.includes(id)
+      ? {
+          ...list,
+          ids: list.ids.filter(listedId => listedId !== id),
+          totalCount: list.totalCount - 1,
+          totalAmount: list.totalAmount - amount
+        }
+      : list
+  ]));
+
+  return { ...cache, expenses, lists };
+};
+
+// Mark every entry of a cache section out of date
+const markStale = entries => Object.fromEntries(
+  Object.entries(entries).map(([key, entry]) => [key, { ...entry, fetchedAt: 0 }])
+);
+
+/**
+ * Mark every list page and all statistics out of date, so they are fetched again when next shown
+ * Any change to an expense can move it between pages and changes the totals, while the other
+ * cached expenses are still correct. The cached copies stay visible until the new ones arrive.
+ * @param {Object} cache - Cache
+ * @returns {Object} New cache
+ */
+export const invalidateQueries = cache => ({ ...cache, lists: markStale(cache.lists), stats: markStale(cache.stats) });
+
+/**
+ * Mark everything cached out of date, after changes that may have touched any expense
+ * @param {Object} cache - Cache
+ * @returns {Object} New cache
+ */
+export const invalidateCache = cache => ({ ...invalidateQueries(cache), expenses: markStale(cache.expenses) });
+
+/**
+ * Read a list page with its expenses
+ * @param {Object} cache - Cache
+ * @param {string} key - Cache key of the list page
+ * @returns {Object|null} Expenses and paging of the page, or null if it has not been fetched
+ */
+export const readList = (cache, key) => {
+  const list = cache.lists[key];
+  if (!list) {
+    return null;
+  }
+  const { ids, fetchedAt, ...paging } = list;
+  return {
+    expenses: ids.map(id => cache.expenses[id] && cache.expenses[id].data).filter(Boolean),
+    pagination: paging,
+    fetchedAt
+  };
+};
@@ -0,0 +1,61 @@
+/**
+ * Helpers for showing and comparing the editable fields of an expense
+ */
+
+// Readable names of the fields tracked in an expense's history, in display order
+export const FIELD_LABELS = {
+  title: 'Title',
+  amount: 'Amount',
+  currency: 'Currency',
+  category: 'Category',
+  date: 'Date',
+  description: 'Description',
+  tags: 'Tags'
+};
+
+/**
+ * Format a field value for display
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {string} Display text
+ */
+export const formatFieldValue = (field, value) => {
+  if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return '(none)';
+  }
+  if (field === 'date') {
+    return new Intl.DateTimeFormat('en-IN', { year: 'numeric', month: 'short', day: 'numeric' }).format(new Date(value));
+  }
+  if (Array.isArray(value)) {
+    return value.join(', ');
+  }
+  return String(value);
+};
+
+/**
+ * Convert an expense from the API into the values of the expense form
+ * @param {Object} expense - Expense from the API
+ * @returns {Object} Form values, with the date as YYYY-MM-DD
+ */
+export const toExpenseFormData = (expense) => ({
+  title: expense.title,
+  amount: expense.amount,
+  currency: expense.currency,
+  category: expense.category,
+  date: new Date(expense.date).toISOString().split('T')[0],
+  description: expense.description || '',
+  tags: expense.tags || []
+});
+
+/**
+ * Check whether two values of a form field are the same
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values match
+ */
+export const sameFieldValue = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return (a || []).join(',') === (b || []).join(',');
+  }
+  return String(a ?? '') === String(b ?? '');
+};
@@ -0,0 +1,54 @@
+/**
+ * Helpers for describing spending insights in words
+ */
+
+import { formatCurrency } from './currency';
+
+/**
+ * Format a day for an insight sentence
+ * @param {string} date - ISO date
+ * @returns {string} Day such as 12 Oct
+ */
+const formatDay = (date) => new Intl.DateTimeFormat('en-IN', {
+  timeZone: 'UTC',
+  day: 'numeric',
+  month: 'short'
+}).format(new Date(date));
+
+/**
+ * Describe a percentage change
+ * @param {number} change - Change in percent, negative for a fall
+ * @returns {string} e.g. 25% more or 10% less
+ */
+const describeChange = change => `${Math.abs(change)}% ${change >= 0 ? 'more' : 'less'}`;
+
+/**
+ * Describe an insight from GET /api/insights as a sentence
+ * @param {Object} insight - Insight with a type of pace, anomaly, trend or newTitle
+ * @param {string} currency - Base currency the insight's amounts are in
+ * @returns {string} Readable sentence
+ */
+export const describeInsight = (insight, currency) => {
+  const money = amount => formatCurrency(amount, currency);
+
+  switch (insight.type) {
+    case 'pace': {
+      const comparison = insight.change === null
+        ? ''
+        : `, ${describeChange(insight.change)} than by day ${insight.dayOfMonth} last month (${money(insight.lastMonthToDate)})`;
+      return `You've spent ${money(insight.monthToDate)} so far this month${comparison}. ` +
+        `At this pace the month will come to about ${money(insight.projected)}, against ${money(insight.lastMonthTotal)} last month.`;
+    }
+    case 'anomaly':
+      return `"${insight.title}" (${money(insight.amount)} on ${formatDay(insight.date)}) is unusually large for ` +
+        `${insight.category}, where expenses average ${money(insight.categoryAverage)}.`;
+    case 'trend':
+      return `${insight.category} spending is up ${insight.change}% on its recent average: ` +
+        `${money(insight.recent)} in the last 30 days against ${money(insight.average)} a month before that.`;
+    case 'newTitle':
+      return `"${insight.title}" is new: ${money(insight.total)} across ${insight.count} ` +
+        `${insight.count === 1 ? 'expense' : 'expenses'} since ${formatDay(insight.firstDate)}.`;
+    default:
+      return '';
+  }
+};
@@ -0,0 +1,208 @@
+/**
+ * IndexedDB storage for working offline
+ * Keeps the last copies of fetched data, the queue of changes made while offline and the
+ * conflicts found when replaying them.
+ */
+
+const DB_NAME = 'expense-tracker';
+const DB_VERSION = 1;
+
+// Object stores: cached API data by key, queued changes in order, and conflicts by expense
+const CACHE_STORE = 'cache';
+const QUEUE_STORE = 'queue';
+const CONFLICT_STORE = 'conflicts';
+
+// Prefix of the IDs given to expenses created offline until the server assigns one
+const OFFLINE_ID_PREFIX = 'offline-';
+
+let dbPromise = null;
+
+/**
+ * Open the database, creating its stores on first use
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(CACHE_STORE);
+        db.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+        db.createObjectStore(CONFLICT_STORE, { keyPath: 'expenseId' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run one request against a store and wait for its transaction to finish
+ * @param {string} storeName - Object store to use
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Function given the store, returning an IDBRequest
+ * @returns {Promise<*>} Result of the request
+ */
+const run = async (storeName, mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Read a cached value
+ * @param {string} key - Cache key
+ * @returns {Promise<*>} Cached value, or undefined
+ */
+export const getCached = (key) => run(CACHE_STORE, 'readonly', store => store.get(key));
+
+/**
+ * Store a value in the cache
+ * @param {string} key - Cache key
+ * @param {*} value - Value to store; must be structured-cloneable
+ * @returns {Promise<void>}
+ */
+export const setCached = (key, value) => run(CACHE_STORE, 'readwrite', store => store.put(value, key));
+
+/**
+ * Get the queued changes, oldest first
+ * @returns {Promise<Array<Object>>} Queued changes
+ */
+export const getQueue = () => run(QUEUE_STORE, 'readonly', store => store.getAll());
+
+/**
+ * Remove a change from the queue once it has been replayed
+ * @param {number} id - Queue entry ID
+ * @returns {Promise<void>}
+ */
+export const removeFromQueue = (id) => run(QUEUE_STORE, 'readwrite', store => store.delete(id));
+
+/**
+ * Check whether an expense ID was made up offline
+ * @param {string} id - Expense ID
+ * @returns {boolean} True until the expense has been saved to the server
+ */
+export const isOfflineId = (id) => typeof id === 'string' && id.startsWith(OFFLINE_ID_PREFIX);
+
+/**
+ * Make up an ID for an expense created offline
+ * @returns {string} Temporary expense ID
+ */
+export const createOfflineId = () => `${OFFLINE_ID_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Queue a change to an expense made while offline
+ * A change is folded into any earlier queued change to the same expense, so the server sees
+ * one request per expense based on the version the user first saw. Deleting an expense that
+ * only exists offline just drops its queued creation.
+ * @param {Object} change - Change to queue
+ * @param {string} change.type - 'create', 'update' or 'delete'
+ * @param {string} change.expenseId - ID of the expense, temporary for offline creations
+ * @param {Object} [change.data] - Expense fields to send
+ * @param {number} [change.version] - Version (__v) the change is based on
+ * @param {string} [change.userId] - ID of the user who made the change
+ * @returns {Promise<void>}
+ */
+export const queueChange = async (change) => {
+  const queued = { ...change, queuedAt: new Date().toISOString() };
+  const earlier = (await getQueue()).find(entry => entry.expenseId === change.expenseId);
+
+  if (!earlier) {
+    await run(QUEUE_STORE, 'readwrite', store => store.add(queued));
+    return;
+  }
+
+  if (change.type === 'delete') {
+    await removeFromQueue(earlier.id);
+    if (earlier.type !== 'create') {
+      await run(QUEUE_STORE, 'readwrite', store => store.add({ ...queued, version: earlier.version }));
+    }
+    return;
+  }
+
+  await run(QUEUE_STORE, 'readwrite', store => store.put({ ...earlier, data: { ...earlier.data, ...change.data } }));
+};
+
+/**
+ * Get the conflicts found while replaying queued changes
+ * @returns {Promise<Array<Object>>} Conflicts with the user's values and the server copy
+ */
+export const getConflicts = () => run(CONFLICT_STORE, 'readonly', store => store.getAll());
+
+/**
+ * Record a queued edit that clashed with a newer version on the server
+ * @param {Object} conflict - Conflict to record
+ * @param {string} conflict.expenseId - ID of the expense
+ * @param {Object} conflict.mine - Values of the queued edit
+ * @param {Object} conflict.theirs - Expense as it is now on the server
+ * @param {string} [conflict.userId] - ID of the user who made the edit
+ * @returns {Promise<void>}
+ */
+export const saveConflict = (conflict) => run(CONFLICT_STORE, 'readwrite', store => store.put(conflict));
+
+/**
+ * Forget a conflict once the user has resolved it
+ * @param {string} expenseId - ID of the expense
+ * @returns {Promise<void>}
+ */
+export const removeConflict = (expenseId) => run(CONFLICT_STORE, 'readwrite', store => store.delete(expenseId));
+
+/**
+ * Delete what is stored offline, e.g. when the user logs out
+ * @param {Object} [options] - What to keep
+ * @param {boolean} [options.keepChanges=false] - Keep queued changes and conflicts, e.g. when the
+ *   session expired and the user can send them once logged in again
+ * @returns {Promise<void>}
+ */
+export const clearOfflineData = async ({ keepChanges = false } = {}) => {
+  const stores = keepChanges ? [CACHE_STORE] : [CACHE_STORE, QUEUE_STORE, CONFLICT_STORE];
+  await Promise.all(stores.map(name => run(name, 'readwrite', store => store.clear())));
+};
+
+/**
+ * Drop the queued changes and conflicts another user left behind
+ * Changes made before they were tagged with a user are kept.
+ * @param {string} userId - ID of the user now logged in
+ * @returns {Promise<number>} Number of queued changes dropped
+ */
+export const discardOtherUsersChanges = async (userId) => {
+  const [queue, conflicts] = await Promise.all([getQueue(), getConflicts()]);
+  const isOtherUsers = entry => entry.userId !== undefined && entry.userId !== userId;
+  const dropped = queue.filter(isOtherUsers);
+
+  await Promise.all([
+    ...dropped.map(change => removeFromQueue(change.id)),
+    ...conflicts.filter(isOtherUsers).map(conflict => removeConflict(conflict.expenseId))
+  ]);
+  return dropped.length;
+};
+
+/**
+ * Show queued changes in a list of expenses fetched earlier
+ * @param {Array<Object>} expenses - Expenses as last fetched
+ * @param {Array<Object>} queue - Queued changes, oldest first
+ * @returns {Array<Object>} Expenses with queued creations first, queued edits applied and queued deletions left out
+ */
+export const applyQueue = (expenses, queue) => {
+  return queue.reduce((list, change) => {
+    if (change.type === 'create') {
+      return [{ ...change.data, _id: change.expenseId, pendingSync: true }, ...list];
+    }
+    if (change.type === 'delete') {
+      return list.filter(expense => expense._id !== change.expenseId);
+    }
+    return list.map(expense => (
+      expense._id === change.expenseId ? { ...expense, ...change.data, pendingSync: true } : expense
+    ));
+  }, expenses);
+};
@@ -0,0 +1,133 @@
+/**
+ * Helpers for choosing the period the dashboard statistics and expense list cover
+ */
+
+/**
+ * Period presets offered on the dashboard, with the granularity each starts with
+ * @type {Array<Object>}
+ */
+export const PERIOD_PRESETS = [
+  { value: 'thisMonth', label: 'This month', granularity: 'day' },
+  { value: 'lastMonth', label: 'Last month', granularity: 'day' },
+  { value: 'last30', label: 'Last 30 days', granularity: 'day' },
+  { value: 'thisYear', label: 'This year', granularity: 'month' },
+  { value: 'lastYear', label: 'Last year', granularity: 'month' },
+  { value: 'all', label: 'All time', granularity: 'month' },
+  { value: 'custom', label: 'Custom', granularity: 'week' }
+];
+
+/**
+ * Bucket sizes the statistics can be grouped by
+ * @type {Array<Object>}
+ */
+export const GRANULARITIES = [
+  { value: 'day', label: 'Day' },
+  { value: 'week', label: 'Week' },
+  { value: 'month', label: 'Month' },
+  { value: 'quarter', label: 'Quarter' },
+  { value: 'year', label: 'Year' }
+];
+
+/**
+ * Default statistics period for a new session
+ * @type {Object}
+ */
+export const DEFAULT_STATS_PERIOD = {
+  preset: 'thisMonth',
+  granularity: 'day',
+  from: '',
+  to: ''
+};
+
+/**
+ * Format a local date as a day string
+ * @param {Date} date - Any date
+ * @returns {string} Day in YYYY-MM-DD format
+ */
+const toDay = (date) => {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Turn a statistics period into query parameters for the stats endpoint
+ * Year-to-date is compared with the same days last year; other periods with the one before.
+ * @param {Object} period - Period with preset, granularity and, for custom periods, from and to
+ * @param {Date} today - Date the presets are relative to
+ * @returns {Object} from, to, granularity and compare query parameters
+ */
+export const toStatsParams = (period, today = new Date()) => {
+  const year = today.getFullYear();
+  const month = today.getMonth();
+  const params = { granularity: period.granularity, compare: 'previous' };
+
+  switch (period.preset) {
+    case 'thisMonth':
+      return { ...params, from: toDay(new Date(year, month, 1)), to: toDay(today) };
+    case 'lastMonth':
+      return { ...params, from: toDay(new Date(year, month - 1, 1)), to: toDay(new Date(year, month, 0)) };
+    case 'last30':
+      return { ...params, from: toDay(new Date(year, month, today.getDate() - 29)), to: toDay(today) };
+    case 'thisYear':
+      return { ...params, from: toDay(new Date(year, 0, 1)), to: toDay(today), compare: 'year' };
+    case 'lastYear':
+      return { ...params, from: toDay(new Date(year - 1, 0, 1)), to: toDay(new Date(year - 1, 11, 31)) };
+    case 'custom':
+      return { ...params, from: period.from || undefined, to: period.to || undefined };
+    default:
+      return { granularity: period.granularity };
+  }
+};
+
+/**
+ * Combine the list filters with a statistics period into expense list query parameters
+ * The period's days become the list's date range, so the list shows the expenses the statistics describe.
+ * @param {Object} filters - List filters: q, category and sort
+ * @param {Object} period - Statistics period
+ * @returns {Object} q, category, sort, startDate and endDate
+ */
+export const toExpenseQuery = (filters, period) => {
+  const { from, to } = toStatsParams(period);
+  return { ...filters, startDate: from || '', endDate: to || '' };
+};
+
+/**
+ * Label a statistics bucket for charts
+ * @param {string} start - First day of the bucket in YYYY-MM-DD format
+ * @param {string} granularity - Bucket size
+ * @returns {string} Label such as 3 Oct, Week of 3 Oct, Oct 2026, Q4 2026 or 2026
+ */
+export const formatBucket = (start, granularity) => {
+  const date = new Date(`${start}T00:00:00Z`);
+  const format = options => new Intl.DateTimeFormat('en-IN', { timeZone: 'UTC', ...options }).format(date);
+
+  switch (granularity) {
+    case 'day':
+      return format({ day: 'numeric', month: 'short' });
+    case 'week':
+      return `Week of ${format({ day: 'numeric', month: 'short' })}`;
+    case 'month':
+      return format({ month: 'short', year: 'numeric' });
+    case 'quarter':
+      return `Q${Math.floor(date.getUTCMonth() / 3) + 1} ${date.getUTCFullYear()}`;
+    default:
+      return String(date.getUTCFullYear());
+  }
+};
+
+/**
+ * Describe a range of days for display
+ * @param {string} from - First day in YYYY-MM-DD format
+ * @param {string} to - Last day in YYYY-MM-DD format
+ * @returns {string} Range such as 1 Sept 2026 – 19 Sept 2026
+ */
+export const formatDayRange = (from, to) => {
+  const format = day => new Intl.DateTimeFormat('en-IN', {
+    timeZone: 'UTC',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+  }).format(new Date(`${day}T00:00:00Z`));
+
+  return from === to ? format(from) : `${format(from)} – ${format(to)}`;
+};
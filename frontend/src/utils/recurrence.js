@@ -0,0 +1,70 @@
+/**
+ * Helpers for the repeat settings of recurring expenses
+ */
+
+/**
+ * Default repeat settings for a new expense
+ * @type {Object}
+ */
+export const DEFAULT_REPEAT = {
+  enabled: false,
+  frequency: 'monthly',
+  interval: 1,
+  dayOfMonth: '',
+  ends: 'never',
+  endDate: '',
+  count: ''
+};
+
+/**
+ * Validate repeat settings
+ * @param {Object} repeat - Repeat settings
+ * @param {string} startDate - Date of the first occurrence
+ * @returns {Object} Validation errors keyed by repeat field
+ */
+export const validateRepeat = (repeat, startDate) => {
+  const errors = {};
+  
+  if (!repeat.enabled) {
+    return errors;
+  }
+  
+  if (!Number.isInteger(Number(repeat.interval)) || Number(repeat.interval) < 1) {
+    errors.interval = 'Interval must be a whole number of at least 1';
+  }
+  
+  if (repeat.dayOfMonth !== '' && (Number(repeat.dayOfMonth) < 1 || Number(repeat.dayOfMonth) > 31)) {
+    errors.dayOfMonth = 'Day of month must be between 1 and 31';
+  }
+  
+  if (repeat.ends === 'date' && (!repeat.endDate || repeat.endDate < startDate)) {
+    errors.endDate = 'End date must be on or after the start date';
+  }
+  
+  if (repeat.ends === 'count' && (!Number.isInteger(Number(repeat.count)) || Number(repeat.count) < 1)) {
+    errors.count = 'Occurrences must be a whole number of at least 1';
+  }
+  
+  return errors;
+};
+
+/**
+ * Build the API payload for a recurring rule from an expense and repeat settings
+ * @param {Object} expenseData - Expense fields (title, amount, category, date, description)
+ * @param {Object} repeat - Repeat settings
+ * @returns {Object} Recurring rule data
+ */
+export const toRecurringRule = (expenseData, repeat) => {
+  const { date, ...fields } = expenseData;
+  const isMonthly = repeat.frequency === 'monthly' || repeat.frequency === 'yearly';
+  
+  return {
+    ...fields,
+    startDate: date,
+    frequency: repeat.frequency,
+    interval: Number(repeat.interval),
+    ...(isMonthly && repeat.dayOfMonth !== '' ? { dayOfMonth: Number(repeat.dayOfMonth) } : {}),
+    ...(repeat.ends === 'date' ? { endDate: repeat.endDate } : {}),
+    ...(repeat.ends === 'count' ? { count: Number(repeat.count) } : {})
+  };
+};
@@ -0,0 +1,19 @@
+/**
+ * Registration of the service worker that makes the app installable and usable offline
+ */
+
+/**
+ * Register public/sw.js once the page has loaded
+ * Only production builds register it, so the dev server is never served stale files.
+ */
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((error) => {
+      console.error('Error registering service worker:', error);
+    });
+  });
+};
@@ -0,0 +1,28 @@
+/**
+ * Helpers for working with expense tags
+ */
+
+// Limits the server puts on the tags of one expense
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 30;
+
+/**
+ * Normalize tags the way the server stores them: trimmed, lower-cased, without blanks or repeats
+ * @param {Array<string>|string} tags - Tags, or a comma-separated list of them
+ * @returns {Array<string>} Normalized tags in their original order
+ */
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const normalized = list
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(normalized)];
+};
+
+/**
+ * Add a tag to a comma-separated tag filter
+ * @param {string} filterTags - Current tag filter
+ * @param {string} tag - Tag to add
+ * @returns {string} Tag filter including the tag
+ */
+export const addTagToFilter = (filterTags, tag) => normalizeTags([...normalizeTags(filterTags), tag]).join(',');
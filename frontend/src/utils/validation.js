@@ -0,0 +1,38 @@
+/**
+ * Form validation against the declarative schemas in shared/
+ * The API checks requests with the same validator and schemas, so a form reports the same
+ * rules and messages the server would.
+ */
+import { validate } from 'expense-tracker-shared';
+import expenseSchema from '../../../shared/expenseSchema.json';
+
+/**
+ * Turn a list of field errors into the error messages of a form, keyed by field
+ * @param {Array<{field: string, message: string}>} errors - Errors from validate or the API
+ * @returns {Object} First message of each invalid field
+ */
+export const toFieldErrors = (errors) => {
+  return errors.reduce((fieldErrors, { field, message }) => (
+    fieldErrors[field] ? fieldErrors : { ...fieldErrors, [field]: message }
+  ), {});
+};
+
+/**
+ * Validate the values of an expense form
+ * The form always sends a category and a date, so both are required here.
+ * @param {Object} values - Form values
+ * @returns {Object} Error messages keyed by field, empty if the values are valid
+ */
+export const validateExpense = (values) => {
+  return toFieldErrors(validate(expenseSchema.expense, values, { required: ['category', 'date'] }));
+};
+
+/**
+ * Get the field errors of a failed API request, if it reported any
+ * @param {Error} error - Axios error
+ * @returns {Object|null} Error messages keyed by field, or null if the API sent none
+ */
+export const apiFieldErrors = (error) => {
+  const errors = error.response && error.response.data && error.response.data.errors;
+  return Array.isArray(errors) ? toFieldErrors(errors) : null;
+};
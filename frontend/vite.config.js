@@ -4,8 +4,21 @@ import react from '@vitejs/plugin-react'
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // The validator shared with the backend is CommonJS, so it is bundled like a dependency
+  optimizeDeps: {
+    include: ['expense-tracker-shared']
+  },
+  build: {
+    commonjsOptions: {
+      include: [/shared[\/]validation\.js$/, /node_modules/]
+    }
+  },
   server: {
     port: 3000,
+    // Validation schemas are shared with the backend from ../shared
+    fs: {
+      allow: ['..']
+    },
     proxy: {
       '/api': {
         target: 'http://localhost:5000',
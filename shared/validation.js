@@ -0,0 +1,129 @@
+/**
+ * Validation of data against the declarative schemas in expenseSchema.json
+ * The API checks requests and the frontend checks its forms with this one module, so both
+ * report the same rules with the same messages. It is CommonJS so Express can require it;
+ * Vite bundles it for the browser.
+ * @module shared/validation
+ */
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Check whether a value counts as not given
+ * @param {*} value - Value to check
+ * @returns {boolean} True for undefined, null and blank strings
+ */
+const isMissing = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Check a given value against a field rule
+ * @param {Object} rule - Field rule from a schema
+ * @param {*} value - Value to check
+ * @returns {string|null} Code of the first rule broken, or null if the value is valid
+ */
+const checkValue = (rule, value) => {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return 'type';
+      const text = value.trim();
+      if (rule.maxLength !== undefined && text.length > rule.maxLength) return 'maxLength';
+      if (rule.pattern && !new RegExp(rule.pattern).test(text)) return 'pattern';
+      if (rule.enum && !rule.enum.includes(text)) return 'enum';
+      return null;
+    }
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'string' ? Number(value.trim()) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return 'type';
+      if (rule.type === 'integer' && !Number.isInteger(number)) return 'type';
+      if (rule.min !== undefined && number < rule.min) return 'min';
+      if (rule.exclusiveMin !== undefined && number <= rule.exclusiveMin) return 'exclusiveMin';
+      if (rule.max !== undefined && number > rule.max) return 'max';
+      return null;
+    }
+    case 'date': {
+      const valid = (typeof value === 'string' || typeof value === 'number' || value instanceof Date) &&
+        !Number.isNaN(new Date(value).getTime());
+      return valid ? null : 'type';
+    }
+    case 'objectId':
+      return typeof value === 'string' && OBJECT_ID_PATTERN.test(value) ? null : 'type';
+    case 'array': {
+      const list = typeof value === 'string' && rule.split
+        ? value.split(rule.split).map(item => item.trim()).filter(Boolean)
+        : value;
+      if (!Array.isArray(list)) return 'type';
+      if (rule.maxItems !== undefined && list.length > rule.maxItems) return 'maxItems';
+      if (rule.items) {
+        for (const item of list) {
+          const code = checkValue(rule.items, item);
+          if (code) return code === 'type' ? 'items' : code;
+        }
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Validate data against a schema
+ * Fields the schema does not mention are left alone, or reported as unknown in strict mode.
+ * @function validate
+ * @param {Object} schema - Field rules keyed by field name
+ * @param {Object} data - Data to validate
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.partial] - Whether fields left out may be skipped, as in an update
+ * @param {Array<string>} [options.required] - Fields needed even though the schema does not require them
+ * @param {boolean} [options.strict] - Whether fields the schema does not mention are errors
+ * @returns {Array<{field: string, code: string, message: string}>} One error per invalid field
+ */
+const validate = (schema, data, { partial = false, required = [], strict = false } = {}) => {
+  const values = data || {};
+  const errors = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = values[field];
+    let code = null;
+
+    if (isMissing(value)) {
+      if ((rule.required || required.includes(field)) && !(partial && value === undefined)) {
+        code = 'required';
+      }
+    } else {
+      code = checkValue(rule, value);
+    }
+
+    if (code) {
+      errors.push({
+        field,
+        code,
+        message: (rule.messages && rule.messages[code]) || `${field} is not valid`
+      });
+    }
+  });
+
+  if (strict) {
+    Object.keys(values)
+      .filter(field => !Object.prototype.hasOwnProperty.call(schema, field))
+      .forEach((field) => {
+        errors.push({ field, code: 'unknown', message: `${field} is not a field that can be set` });
+      });
+  }
+
+  return errors;
+};
+
+/**
+ * Check whether a value is a well-formed MongoDB ObjectId
+ * @function isObjectId
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a 24-character hex string
+ */
+const isObjectId = (value) => typeof value === 'string' && OBJECT_ID_PATTERN.test(value);
+
+module.exports = {
+  validate,
+  isObjectId
+};